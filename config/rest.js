@@ -0,0 +1,194 @@
+// config/rest.js
+// REST Backend Configuration Class - Settings and HTTP client for a self-hosted sync server
+
+const BACKENDS = ['firebase', 'rest'];
+
+// Origins other than the app's own that may host the sync API (e.g. 'https://sync.example.com')
+const ALLOWED_API_ORIGINS = [];
+
+class RestConfig {
+    constructor() {
+        this.applyUrlOverrides();
+
+        const backend = localStorage.getItem('syncBackend');
+        this.backend = BACKENDS.includes(backend) ? backend : 'firebase';
+        this.baseUrl = this.normalizeApiUrl(localStorage.getItem('restApiUrl')) || '/api';
+        this.token = localStorage.getItem('restAuthToken');
+        this.clientId = this.getClientId();
+    }
+
+    /**
+     * Offer to persist `?backend=rest` / `?api=<url>` so the choice survives reloads.
+     * Nothing is saved without the user's confirmation, and the API must be same-origin
+     * or allow-listed - the session token and all data are sent there.
+     */
+    applyUrlOverrides() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('backend') && !params.has('api')) return;
+
+        const changes = {};
+        const backend = params.get('backend');
+        if (backend !== null) {
+            if (BACKENDS.includes(backend)) {
+                if (backend !== (localStorage.getItem('syncBackend') || 'firebase')) {
+                    changes.syncBackend = backend;
+                }
+            } else {
+                console.warn(`Ignoring unknown sync backend "${backend}"`);
+            }
+        }
+
+        const api = params.get('api');
+        if (api !== null) {
+            const apiUrl = this.normalizeApiUrl(api);
+            if (!apiUrl) {
+                console.warn(`Ignoring sync server "${api}": it is not on this site or in the allowed list`);
+            } else if (apiUrl !== this.normalizeApiUrl(localStorage.getItem('restApiUrl'))) {
+                changes.restApiUrl = apiUrl;
+            }
+        }
+
+        // Drop the parameters so a reload doesn't ask again
+        params.delete('backend');
+        params.delete('api');
+        const query = params.toString();
+        window.history.replaceState(window.history.state, '',
+            `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+        if (Object.keys(changes).length === 0) return;
+
+        const backendName = (changes.syncBackend || localStorage.getItem('syncBackend') || 'firebase') === 'rest'
+            ? `the sync server at ${changes.restApiUrl || this.normalizeApiUrl(localStorage.getItem('restApiUrl')) || '/api'}`
+            : 'Firebase';
+        if (!confirm(`This link wants to change where your work log syncs to:\n\n${backendName}\n\nYour sign-in and all entries will be sent there. Only continue if you trust this link.`)) {
+            return;
+        }
+
+        Object.entries(changes).forEach(([key, value]) => localStorage.setItem(key, value));
+    }
+
+    /**
+     * Resolve an API URL and check it may be used
+     * @param {string|null} value - Relative path or absolute URL
+     * @returns {string|null} - Path for same-origin URLs, full URL for allow-listed origins, else null
+     */
+    normalizeApiUrl(value) {
+        if (!value) return null;
+
+        let url;
+        try {
+            url = new URL(value, window.location.origin);
+        } catch (error) {
+            return null;
+        }
+
+        const path = url.pathname.replace(/\/$/, '');
+        if (url.origin === window.location.origin) {
+            return path || null;
+        }
+        if (ALLOWED_API_ORIGINS.includes(url.origin)) {
+            return `${url.origin}${path}`;
+        }
+        return null;
+    }
+
+    /**
+     * Check if the app is configured to sync with a REST server
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.backend === 'rest';
+    }
+
+    /**
+     * Check if the REST backend is configured (mirrors FirebaseConfig)
+     * @returns {boolean}
+     */
+    isInitialized() {
+        return this.isEnabled();
+    }
+
+    /**
+     * Check if a session token is stored
+     * @returns {boolean}
+     */
+    hasSession() {
+        return Boolean(this.token);
+    }
+
+    /**
+     * Store or clear the session token
+     * @param {string|null} token - Session token
+     */
+    setToken(token) {
+        this.token = token;
+        if (token) {
+            localStorage.setItem('restAuthToken', token);
+        } else {
+            localStorage.removeItem('restAuthToken');
+        }
+    }
+
+    /**
+     * Get an ID for this page, sent with writes so its own changes can be filtered out
+     * Not persisted - other tabs must still see this tab's changes.
+     * @returns {string} - Client ID
+     */
+    getClientId() {
+        return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Send a request to the REST API
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below the API base URL
+     * @param {Object} body - JSON body
+     * @returns {Promise<Object>} - Parsed JSON response
+     */
+    async request(method, path, body) {
+        const headers = {
+            'Accept': 'application/json',
+            'X-Client-Id': this.clientId
+        };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (this.token) {
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            const networkError = new Error('Cannot reach the sync server');
+            networkError.code = 'auth/network-request-failed';
+            throw networkError;
+        }
+
+        const data = response.status === 204 ? {} : await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(data.error?.message || `Request failed with status ${response.status}`);
+            error.code = data.error?.code;
+            error.status = response.status;
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Get REST configuration
+     * @returns {Object}
+     */
+    getConfig() {
+        return { backend: this.backend, baseUrl: this.baseUrl };
+    }
+}
+
+export default RestConfig;
@@ -0,0 +1,268 @@
+// controllers/ConflictController.js
+// Conflict Controller - Lets the user resolve entries edited on two devices
+
+class ConflictController {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.elements = {};
+        this.eventListeners = [];
+
+        this.cacheElements();
+        this.initialize();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            conflictModal: document.getElementById('conflictModal'),
+            conflictList: document.getElementById('conflictList'),
+            closeConflictModalBtn: document.getElementById('closeConflictModalBtn'),
+            keepAllLocalBtn: document.getElementById('keepAllLocalBtn'),
+            keepAllRemoteBtn: document.getElementById('keepAllRemoteBtn')
+        };
+    }
+
+    /**
+     * Initialize conflict controller
+     */
+    initialize() {
+        this.setupEventListeners();
+
+        // Conflicts persisted from a previous session
+        if (this.dataService.getConflicts().length > 0) {
+            this.showConflictModal();
+        }
+
+        console.log('ConflictController: Initialized successfully');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.closeConflictModalBtn) {
+            this.addEventListenerWithCleanup(this.elements.closeConflictModalBtn, 'click', () => {
+                this.hideConflictModal();
+            });
+        }
+
+        if (this.elements.keepAllLocalBtn) {
+            this.addEventListenerWithCleanup(this.elements.keepAllLocalBtn, 'click', async () => {
+                await this.resolveAll('local');
+            });
+        }
+
+        if (this.elements.keepAllRemoteBtn) {
+            this.addEventListenerWithCleanup(this.elements.keepAllRemoteBtn, 'click', async () => {
+                await this.resolveAll('remote');
+            });
+        }
+
+        document.addEventListener('data:conflictsDetected', () => {
+            this.showConflictModal();
+            this.showToast('⚠️ Some entries were edited on another device - please review');
+        });
+
+        console.log('ConflictController: Event listeners set up');
+    }
+
+    /**
+     * Add event listener with cleanup tracking
+     */
+    addEventListenerWithCleanup(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        }
+    }
+
+    /**
+     * Show conflict resolution modal
+     */
+    showConflictModal() {
+        if (this.elements.conflictModal) {
+            this.renderConflicts();
+            this.elements.conflictModal.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Hide conflict resolution modal
+     */
+    hideConflictModal() {
+        if (this.elements.conflictModal) {
+            this.elements.conflictModal.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Render unresolved conflicts
+     */
+    renderConflicts() {
+        if (!this.elements.conflictList) return;
+
+        const conflicts = this.dataService.getConflicts();
+
+        if (conflicts.length === 0) {
+            this.elements.conflictList.innerHTML = `
+                <div class="no-entries">
+                    <p>No conflicts to resolve</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.conflictList.innerHTML = conflicts.map(conflict => this.createConflictHTML(conflict)).join('');
+    }
+
+    /**
+     * Create HTML for a single conflict
+     * @param {Object} conflict - Conflict object
+     * @returns {string} - HTML string
+     */
+    createConflictHTML(conflict) {
+        const rows = conflict.fields.map(field => `
+            <tr>
+                <td>${this.getFieldLabel(field)}</td>
+                <td>
+                    <label>
+                        <input type="radio" name="conflict-${conflict.id}-${field}" value="local" checked>
+                        ${this.formatValue(conflict.local[field])}
+                    </label>
+                </td>
+                <td>
+                    <label>
+                        <input type="radio" name="conflict-${conflict.id}-${field}" value="remote">
+                        ${this.formatValue(conflict.remote[field])}
+                    </label>
+                </td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="conflict-item" data-conflict-id="${conflict.id}">
+                <div class="entry-header">
+                    <strong>${conflict.local.date || conflict.remote.date}</strong>
+                    <small>Detected ${new Date(conflict.detectedAt).toLocaleString()}</small>
+                </div>
+                <table class="conflict-table">
+                    <thead>
+                        <tr>
+                            <th>Field</th>
+                            <th>This device</th>
+                            <th>Other device</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <button class="btn btn--sm btn--primary" onclick="window.conflictController.resolveConflict('${conflict.id}')">
+                    Apply
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Resolve a conflict using the selected radio buttons
+     * @param {string} entryId - Entry ID
+     */
+    async resolveConflict(entryId) {
+        const conflict = this.dataService.getConflicts().find(c => c.id === entryId);
+        if (!conflict) return;
+
+        const choices = {};
+        conflict.fields.forEach(field => {
+            const selected = document.querySelector(`input[name="conflict-${entryId}-${field}"]:checked`);
+            choices[field] = selected ? selected.value : 'local';
+        });
+
+        await this.applyResolution(entryId, choices);
+    }
+
+    /**
+     * Resolve every conflict by taking one side
+     * @param {string} side - 'local' or 'remote'
+     */
+    async resolveAll(side) {
+        const conflicts = [...this.dataService.getConflicts()];
+
+        for (const conflict of conflicts) {
+            const choices = Object.fromEntries(conflict.fields.map(field => [field, side]));
+            await this.applyResolution(conflict.id, choices);
+        }
+    }
+
+    /**
+     * Apply a resolution and refresh the dialog
+     * @param {string} entryId - Entry ID
+     * @param {Object} choices - Field choices
+     */
+    async applyResolution(entryId, choices) {
+        try {
+            await this.dataService.resolveConflict(entryId, choices);
+            this.showToast('✅ Conflict resolved');
+        } catch (error) {
+            console.error('Error resolving conflict:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+
+        this.renderConflicts();
+        if (this.dataService.getConflicts().length === 0) {
+            this.hideConflictModal();
+        }
+    }
+
+    /**
+     * Get display label for an entry field
+     * @param {string} field - Field name
+     * @returns {string} - Label
+     */
+    getFieldLabel(field) {
+        const labels = {
+            type: 'Entry Type',
+            date: 'Date',
+            project: 'Project',
+            hours: 'Hours',
+            halfDayPeriod: 'Period',
+            comments: 'Comments'
+        };
+        return labels[field] || field;
+    }
+
+    /**
+     * Format a field value for display
+     * @param {*} value - Field value
+     * @returns {string} - Display text
+     */
+    formatValue(value) {
+        if (value === undefined || value === null || value === '') return '<em>empty</em>';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Show toast message
+     * @param {string} message - Message to show
+     */
+    showToast(message) {
+        document.dispatchEvent(new CustomEvent('app:toast', {
+            detail: { message }
+        }));
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+export default ConflictController;
@@ -1,6 +1,10 @@
 // controllers/DashboardController.js - UPDATED VERSION
 // Dashboard Controller for Monthly Summary, Historical Data, and Export Options
 
+import EntryType from '../models/EntryType.js';
+import RateCard from '../models/RateCard.js';
+import escapeHTML from '../utils/html.js';
+
 class DashboardController {
     constructor(dataService, analyticsService, exportService) {
         this.dataService = dataService;
@@ -22,10 +26,16 @@ class DashboardController {
             // Monthly Summary - Updated IDs to match your HTML structure
             totalDaysWorked: document.getElementById('totalDaysWorked'),
             totalHoursMonth: document.getElementById('totalHoursMonth'), 
+            expectedHoursMonth: document.getElementById('expectedHoursMonth'),
+            overtimeBalance: document.getElementById('overtimeBalance'),
+            billableHoursMonth: document.getElementById('billableHoursMonth'),
+            billableAmountMonth: document.getElementById('billableAmountMonth'),
             averageHours: document.getElementById('averageHours'),
             totalProjects: document.getElementById('totalProjects'),
             uniqueProjects: document.getElementById('uniqueProjects'),
             monthProgress: document.getElementById('monthProgress'),
+            monthlyTagBreakdown: document.getElementById('monthlyTagBreakdown'),
+            leaveBalances: document.getElementById('leaveBalances'),
             
             // Historical Data
             historicalData: document.getElementById('historicalData'),
@@ -35,10 +45,20 @@ class DashboardController {
             exportMonth: document.getElementById('exportMonth'),
             exportRange: document.getElementById('exportRange'),
             exportAll: document.getElementById('exportAll'),
-            backupData: document.getElementById('backupData'),
+            backupData: document.getElementById('exportBackupBtn'),
             restoreData: document.getElementById('restoreData'),
             fileInput: document.getElementById('fileInput'),
             
+            // Backup Modal
+            backupModal: document.getElementById('backupModal'),
+            backupEncrypt: document.getElementById('backupEncrypt'),
+            backupPassphraseFields: document.getElementById('backupPassphraseFields'),
+            backupPassphrase: document.getElementById('backupPassphrase'),
+            backupPassphraseConfirm: document.getElementById('backupPassphraseConfirm'),
+            confirmBackupBtn: document.getElementById('confirmBackupBtn'),
+            cancelBackupBtn: document.getElementById('cancelBackupBtn'),
+            closeBackupModalBtn: document.getElementById('closeBackupModalBtn'),
+            
             // Legacy export button
             exportBtn: document.getElementById('exportBtn'),
             
@@ -102,10 +122,28 @@ class DashboardController {
         // Backup/Restore buttons
         if (this.elements.backupData) {
             this.addEventListenerWithCleanup(this.elements.backupData, 'click', () => {
-                this.handleExportBackup();
+                this.showBackupModal();
+            });
+        }
+
+        if (this.elements.backupEncrypt) {
+            this.addEventListenerWithCleanup(this.elements.backupEncrypt, 'change', () => {
+                this.updatePassphraseFields();
             });
         }
 
+        if (this.elements.confirmBackupBtn) {
+            this.addEventListenerWithCleanup(this.elements.confirmBackupBtn, 'click', () => {
+                this.handleConfirmBackup();
+            });
+        }
+
+        [this.elements.cancelBackupBtn, this.elements.closeBackupModalBtn].forEach(button => {
+            this.addEventListenerWithCleanup(button, 'click', () => {
+                this.hideBackupModal();
+            });
+        });
+
         if (this.elements.restoreData) {
             this.addEventListenerWithCleanup(this.elements.restoreData, 'click', () => {
                 this.handleImportBackup();
@@ -142,6 +180,17 @@ class DashboardController {
             this.updateExportButtonStates();
         });
 
+        // Expected hours follow the work schedule and public holidays; amounts follow rates and billable flags
+        ['workSchedule:changed', 'holidayCalendars:changed', 'rateCards:changed', 'projects:updated'].forEach(eventName => {
+            this.addEventListenerWithCleanup(document, eventName, () => {
+                this.updateMonthlySummary();
+            });
+        });
+
+        this.addEventListenerWithCleanup(document, 'leaveEntitlements:changed', () => {
+            this.updateLeaveBalances();
+        });
+
         console.log('DashboardController: Event listeners set up');
     }
 
@@ -189,6 +238,7 @@ class DashboardController {
             let totalHours = 0;
             let totalEntries = 0;
             let uniqueProjects = new Set();
+            const monthEntries = [];
             
             Object.keys(workLogData).forEach(dateKey => {
                 const date = new Date(dateKey);
@@ -198,14 +248,16 @@ class DashboardController {
                     
                     dayEntries.forEach(entry => {
                         totalEntries++;
+                        monthEntries.push({ ...entry, date: dateKey });
+                        const entryType = EntryType.get(entry.type);
                         
-                        if (entry.type === 'work') {
+                        if (entryType?.category === 'work') {
                             hasWorkEntry = true;
-                            totalHours += entry.hours || 0;
+                            totalHours += entryType.getHours(entry, dateKey);
                             if (entry.project) {
                                 uniqueProjects.add(entry.project);
                             }
-                        } else if (['fullLeave', 'halfLeave', 'holiday'].includes(entry.type)) {
+                        } else if (entryType) {
                             hasWorkEntry = true; // Count as work day for attendance
                         }
                     });
@@ -231,6 +283,31 @@ class DashboardController {
                 this.elements.totalHoursMonth.textContent = totalHours.toFixed(2);
             }
             
+            if (this.elements.expectedHoursMonth && this.analyticsService) {
+                this.elements.expectedHoursMonth.textContent = this.analyticsService.getExpectedHoursInMonth(currentDate).toFixed(2);
+            }
+            
+            if (this.elements.overtimeBalance) {
+                // Running balance, with this month's share in the tooltip
+                const monthOvertime = this.getMonthOvertime(currentDate);
+                this.elements.overtimeBalance.textContent = monthOvertime.balance.toFixed(2);
+                this.elements.overtimeBalance.title = `This month: ${monthOvertime.accrued}h accrued, ${monthOvertime.used}h taken as time off`;
+            }
+            
+            if (this.elements.billableHoursMonth || this.elements.billableAmountMonth) {
+                const billing = this.dataService.billing.summarise(monthEntries);
+                if (this.elements.billableHoursMonth) {
+                    this.elements.billableHoursMonth.textContent = billing.billableHours.toFixed(2);
+                    this.elements.billableHoursMonth.title = `${billing.nonBillableHours}h non-billable this month`;
+                }
+                if (this.elements.billableAmountMonth) {
+                    this.elements.billableAmountMonth.textContent = RateCard.formatAmounts(billing.amounts);
+                    this.elements.billableAmountMonth.title = billing.unratedHours > 0
+                        ? `${billing.unratedHours}h of billable work has no rate`
+                        : '';
+                }
+            }
+            
             if (this.elements.averageHours) {
                 this.elements.averageHours.textContent = avgHours.toFixed(2);
             }
@@ -246,6 +323,9 @@ class DashboardController {
             if (this.elements.monthProgress) {
                 this.elements.monthProgress.textContent = `${monthProgress.toFixed(1)}%`;
             }
+
+            this.updateTagBreakdown(currentYear, currentMonth);
+            this.updateLeaveBalances();
             
         } catch (error) {
             console.error('Monthly summary update error:', error);
@@ -253,6 +333,58 @@ class DashboardController {
         }
     }
 
+    /**
+     * Show hours per tag for a month
+     * @param {number} year - Full year
+     * @param {number} month - Month index (0-11)
+     */
+    updateTagBreakdown(year, month) {
+        if (!this.elements.monthlyTagBreakdown || !this.analyticsService) return;
+
+        const monthKey = `${year}-${String(month + 1).padStart(2, '0')}`;
+        const breakdown = this.analyticsService.getTagAnalytics({
+            startDate: `${monthKey}-01`,
+            endDate: `${monthKey}-31`
+        }).filter(item => item.tag);
+
+        this.elements.monthlyTagBreakdown.innerHTML = breakdown.map(item => `
+            <span class="tag-chip" title="${item.entryCount} ${item.entryCount === 1 ? 'entry' : 'entries'}">
+                #${item.tag} · ${item.totalHours.toFixed(2)}h
+            </span>
+        `).join('');
+    }
+
+    /**
+     * Show what is left of each leave allowance this leave year
+     */
+    updateLeaveBalances() {
+        if (!this.elements.leaveBalances) return;
+
+        const balances = this.dataService.leaveBalances.getBalances();
+        if (balances.length === 0) {
+            this.elements.leaveBalances.innerHTML = '';
+            return;
+        }
+
+        this.elements.leaveBalances.innerHTML = `
+            <h3>Leave Balance</h3>
+            <div class="leave-balance-grid">
+                ${balances.map(balance => `
+                    <div class="summary-card leave-balance-card ${balance.available < 0 ? 'leave-balance-card--over' : ''}"
+                        title="${escapeHTML(balance.entitlement.describe())}">
+                        <div class="summary-value">${balance.available}</div>
+                        <div class="summary-label">${escapeHTML(balance.entitlement.label)} days left</div>
+                        <small>
+                            ${balance.taken} taken of ${balance.accrued}${balance.entitlement.accrual === 'monthly' ? ' accrued' : ''}
+                            ${balance.carriedOver ? ` · ${balance.carriedOver} carried over` : ''}
+                            · year ends ${balance.yearEnd}
+                        </small>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
     /**
      * Update historical data section - UPDATED to work directly with dataService
      */
@@ -282,10 +414,12 @@ class DashboardController {
                 let hasWorkDay = false;
                 
                 dayEntries.forEach(entry => {
-                    if (entry.type === 'work') {
+                    const entryType = EntryType.get(entry.type);
+                    
+                    if (entryType?.category === 'work') {
                         hasWorkDay = true;
-                        monthlyData[monthKey].totalHours += entry.hours || 0;
-                    } else if (['fullLeave', 'halfLeave', 'holiday'].includes(entry.type)) {
+                        monthlyData[monthKey].totalHours += entryType.getHours(entry, dateKey);
+                    } else if (entryType) {
                         hasWorkDay = true;
                     }
                 });
@@ -455,11 +589,75 @@ class DashboardController {
         }
     }
 
-    async handleExportBackup() {
+    /**
+     * Show backup modal
+     */
+    showBackupModal() {
+        if (!this.elements.backupModal) {
+            this.handleExportBackup();
+            return;
+        }
+
+        if (this.elements.backupEncrypt) {
+            this.elements.backupEncrypt.checked = false;
+        }
+        this.updatePassphraseFields();
+        this.elements.backupModal.classList.remove('hidden');
+    }
+
+    /**
+     * Hide backup modal and forget any typed passphrase
+     */
+    hideBackupModal() {
+        if (this.elements.backupModal) {
+            this.elements.backupModal.classList.add('hidden');
+        }
+        [this.elements.backupPassphrase, this.elements.backupPassphraseConfirm].forEach(input => {
+            if (input) {
+                input.value = '';
+            }
+        });
+    }
+
+    /**
+     * Show passphrase fields only when encryption is chosen
+     */
+    updatePassphraseFields() {
+        if (this.elements.backupPassphraseFields) {
+            const encrypt = Boolean(this.elements.backupEncrypt && this.elements.backupEncrypt.checked);
+            this.elements.backupPassphraseFields.classList.toggle('hidden', !encrypt);
+        }
+    }
+
+    /**
+     * Validate the backup modal and create the backup
+     */
+    async handleConfirmBackup() {
+        let passphrase = null;
+
+        if (this.elements.backupEncrypt && this.elements.backupEncrypt.checked) {
+            passphrase = this.elements.backupPassphrase ? this.elements.backupPassphrase.value : '';
+            const confirmation = this.elements.backupPassphraseConfirm ? this.elements.backupPassphraseConfirm.value : '';
+
+            if (passphrase.length < 8) {
+                this.showToast('❌ Passphrase must be at least 8 characters');
+                return;
+            }
+            if (passphrase !== confirmation) {
+                this.showToast('❌ Passphrases do not match');
+                return;
+            }
+        }
+
+        this.hideBackupModal();
+        await this.handleExportBackup(passphrase);
+    }
+
+    async handleExportBackup(passphrase = null) {
         try {
             this.showLoadingState('Creating backup...');
-            const result = await this.createBackup();
-            this.showToast('✅ Backup created successfully');
+            const result = await this.createBackup(passphrase);
+            this.showToast(`✅ ${result.message}`);
         } catch (error) {
             console.error('Backup error:', error);
             this.showToast('❌ Backup failed: ' + error.message);
@@ -535,7 +733,7 @@ class DashboardController {
             throw new Error('No entries found for current month');
         }
         
-        const csvContent = this.createCSVFromEntries(monthEntries);
+        const csvContent = this.createCSVFromEntries(monthEntries, null, this.getMonthOvertime(currentDate));
         const monthName = currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
         const filename = `work-log-${monthName.replace(' ', '-').toLowerCase()}.csv`;
         this.downloadFile(csvContent, filename, 'text/csv');
@@ -564,40 +762,32 @@ class DashboardController {
         return { message: `${allEntries.length} entries exported` };
     }
 
-    async createBackup() {
-        const backupData = {
-            version: '2.1',
-            exportDate: new Date().toISOString(),
-            workLogData: this.dataService.getWorkLogData(),
-            projectData: this.dataService.getProjects(),
-            metadata: {
-                totalEntries: Object.values(this.dataService.getWorkLogData()).reduce((sum, entries) => sum + entries.length, 0),
-                exportedBy: 'Daily Work Log Tracker'
-            }
-        };
+    async createBackup(passphrase = null) {
+        const backupData = await this.dataService.backups.createBackup(passphrase);
         
         const jsonContent = JSON.stringify(backupData, null, 2);
-        const filename = `work-log-backup-${new Date().toISOString().split('T')[0]}.json`;
+        const suffix = backupData.encrypted ? '-encrypted' : '';
+        const filename = `work-log-backup-${new Date().toISOString().split('T')[0]}${suffix}.json`;
         this.downloadFile(jsonContent, filename, 'application/json');
         
-        return { message: 'Backup created successfully' };
+        return {
+            message: `Backup created: ${backupData.counts.entries} entries, ${backupData.counts.projects} projects${backupData.encrypted ? ' (encrypted)' : ''}`
+        };
     }
 
-    async importBackup(file) {
+    async importBackup(file, passphrase = null) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = async (e) => {
                 try {
-                    const backupData = JSON.parse(e.target.result);
-                    
-                    if (!backupData.workLogData || !backupData.projectData) {
-                        throw new Error('Invalid backup file format');
-                    }
+                    // Checks the hash and counts, decrypting first if needed
+                    const backupData = await this.dataService.backups.readBackup(e.target.result, passphrase);
+                    this.dataService.entryTypes.importTypes(backupData.entryTypes);
                     
                     // Simple import - could be enhanced with merge options
-                    await this.dataService.importData(backupData.workLogData, backupData.projectData);
+                    const result = await this.dataService.importData(backupData.workLogData, backupData.projectData, backupData.version);
                     
-                    resolve({ message: 'Data imported successfully' });
+                    resolve({ message: result.message });
                 } catch (error) {
                     reject(error);
                 }
@@ -608,38 +798,51 @@ class DashboardController {
     }
 
     // Utility methods
-    createCSVFromEntries(entries, singleDate = null) {
-        const headers = ['Date', 'Entry Type', 'Project', 'Hours', 'Comments'];
+    createCSVFromEntries(entries, singleDate = null, overtime = null) {
+        const headers = ['Date', 'Entry Type', 'Project', 'Hours', 'Start Time', 'End Time', 'Break (min)', 'Tags', 'Overtime Reason', 'Comments'];
         const csvRows = [headers.join(',')];
         
         entries.forEach(entry => {
             const date = entry.date || singleDate;
             const type = this.getEntryTypeLabel(entry.type);
             const project = this.getProjectDisplayName(entry.project);
-            const hours = this.getEntryHours(entry);
+            const hours = this.getEntryHours(entry, date);
             const comments = (entry.comments || '').replace(/"/g, '""');
             
-            csvRows.push([date, `"${type}"`, `"${project}"`, hours, `"${comments}"`].join(','));
+            const breakMinutes = entry.startTime ? entry.breakMinutes || 0 : '';
+            
+            const tags = (entry.tags || []).join(', ');
+            const overtimeReason = (entry.overtimeReason || '').replace(/"/g, '""');
+            
+            csvRows.push([date, `"${type}"`, `"${project}"`, hours, entry.startTime || '', entry.endTime || '', breakMinutes, `"${tags}"`, `"${overtimeReason}"`, `"${comments}"`].join(','));
         });
         
+        if (overtime) {
+            csvRows.push('');
+            csvRows.push(`"Overtime accrued",${overtime.accrued}`);
+            csvRows.push(`"Time off in lieu taken",${overtime.used}`);
+            csvRows.push(`"Overtime balance",${overtime.balance}`);
+        }
+        
         return csvRows.join('\n');
     }
 
+    /**
+     * Get overtime for the month of a date
+     * @param {Date} date - Any date in the month
+     * @returns {Object} - Overtime summary, balance as at the month end
+     */
+    getMonthOvertime(date) {
+        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        return this.dataService.overtime.getSummary({ startDate: `${monthKey}-01`, endDate: `${monthKey}-31` });
+    }
+
     getEntryTypeLabel(type) {
-        const types = {
-            work: 'Work Entry',
-            fullLeave: 'Full Day Leave',
-            halfLeave: 'Half Day Leave',
-            holiday: 'Holiday'
-        };
-        return types[type] || type;
+        return EntryType.resolve(type).label;
     }
 
-    getEntryHours(entry) {
-        if (entry.type === 'work') return entry.hours || 0;
-        if (entry.type === 'fullLeave' || entry.type === 'holiday') return 8;
-        if (entry.type === 'halfLeave') return 4;
-        return 0;
+    getEntryHours(entry, dateKey = entry.date) {
+        return EntryType.getEntryHours(entry, dateKey);
     }
 
     getProjectDisplayName(projectValue) {
@@ -680,6 +883,8 @@ class DashboardController {
         const summaryElements = [
             this.elements.totalDaysWorked,
             this.elements.totalHoursMonth,
+            this.elements.expectedHoursMonth,
+            this.elements.overtimeBalance,
             this.elements.averageHours,
             this.elements.totalProjects,
             this.elements.uniqueProjects,
@@ -1,6 +1,14 @@
 // controllers/EntryController.js
 // Entry Controller - Manages work entry creation, editing, and deletion
 
+import WorkEntry from '../models/WorkEntry.js';
+import RecurrenceRule from '../models/RecurrenceRule.js';
+import LeaveBooking from '../models/LeaveBooking.js';
+import EntryType from '../models/EntryType.js';
+import WorkSchedule from '../models/WorkSchedule.js';
+import RateCard from '../models/RateCard.js';
+import escapeHTML from '../utils/html.js';
+
 class EntryController {
     constructor(dataService, calendarView) {
         this.dataService = dataService;
@@ -9,6 +17,7 @@ class EntryController {
         this.eventListeners = [];
         this.currentEntry = null;
         this.editingEntry = null;
+        this.editingSeries = false; // Editing every occurrence of editingEntry's series
         
         this.cacheElements();
         this.initialize();
@@ -24,11 +33,37 @@ class EntryController {
             entryType: document.getElementById('entryType'),
             projectGroup: document.getElementById('projectGroup'),
             project: document.getElementById('project'),
+            billableGroup: document.getElementById('billableGroup'),
+            entryBillable: document.getElementById('entryBillable'),
+            billableHint: document.getElementById('billableHint'),
+            timeRangeGroup: document.getElementById('timeRangeGroup'),
+            startTime: document.getElementById('startTime'),
+            endTime: document.getElementById('endTime'),
+            breakMinutes: document.getElementById('breakMinutes'),
             hoursGroup: document.getElementById('hoursGroup'),
             hours: document.getElementById('hours'),
             halfDayPeriodGroup: document.getElementById('halfDayPeriodGroup'),
             halfDayPeriod: document.getElementById('halfDayPeriod'),
+            overtimeReasonGroup: document.getElementById('overtimeReasonGroup'),
+            overtimeReason: document.getElementById('overtimeReason'),
+            overtimeHint: document.getElementById('overtimeHint'),
+            leaveBalanceNotice: document.getElementById('leaveBalanceNotice'),
             comments: document.getElementById('comments'),
+            tags: document.getElementById('tags'),
+            tagSuggestions: document.getElementById('tagSuggestions'),
+            repeatGroup: document.getElementById('repeatGroup'),
+            repeatFrequency: document.getElementById('repeatFrequency'),
+            repeatOptions: document.getElementById('repeatOptions'),
+            repeatIntervalRow: document.getElementById('repeatIntervalRow'),
+            repeatInterval: document.getElementById('repeatInterval'),
+            repeatIntervalUnit: document.getElementById('repeatIntervalUnit'),
+            repeatDaysRow: document.getElementById('repeatDaysRow'),
+            repeatMonthlyRow: document.getElementById('repeatMonthlyRow'),
+            repeatWeekOfMonth: document.getElementById('repeatWeekOfMonth'),
+            repeatDayOfWeek: document.getElementById('repeatDayOfWeek'),
+            repeatEndDate: document.getElementById('repeatEndDate'),
+            repeatCount: document.getElementById('repeatCount'),
+            repeatSummary: document.getElementById('repeatSummary'),
             addEntryBtn: document.getElementById('addEntryBtn'),
             cancelEntryBtn: document.getElementById('cancelEntryBtn'),
             
@@ -50,6 +85,8 @@ class EntryController {
     initialize() {
         this.setupEventListeners();
         this.setupFormValidation();
+        this.updateEntryTypeDropdown();
+        this.updateHoursLimit();
         this.resetForm();
         console.log('EntryController: Initialized successfully');
     }
@@ -83,6 +120,13 @@ class EntryController {
         if (this.elements.project) {
             this.addEventListenerWithCleanup(this.elements.project, 'change', () => {
                 this.updateProjectUsage();
+                this.updateBillableHint();
+            });
+        }
+
+        if (this.elements.entryBillable) {
+            this.addEventListenerWithCleanup(this.elements.entryBillable, 'change', () => {
+                this.updateBillableHint();
             });
         }
 
@@ -90,6 +134,40 @@ class EntryController {
         if (this.elements.hours) {
             this.addEventListenerWithCleanup(this.elements.hours, 'input', () => {
                 this.validateHours();
+                this.updateOvertimeField();
+            });
+        }
+
+        // Start/end times drive the hours field
+        [this.elements.startTime, this.elements.endTime, this.elements.breakMinutes].forEach(input => {
+            this.addEventListenerWithCleanup(input, 'input', () => {
+                this.updateHoursFromTimes();
+                this.updateOvertimeField();
+            });
+        });
+
+        // Suggest tags as they are typed
+        if (this.elements.tags) {
+            this.addEventListenerWithCleanup(this.elements.tags, 'input', () => {
+                this.updateTagSuggestions();
+            });
+            this.addEventListenerWithCleanup(this.elements.tags, 'focus', () => {
+                this.updateTagSuggestions();
+            });
+        }
+
+        // Repeat rule fields
+        if (this.elements.repeatFrequency) {
+            this.addEventListenerWithCleanup(this.elements.repeatFrequency, 'change', () => {
+                this.toggleRepeatFields();
+            });
+        }
+
+        if (this.elements.repeatOptions) {
+            ['input', 'change'].forEach(eventName => {
+                this.addEventListenerWithCleanup(this.elements.repeatOptions, eventName, () => {
+                    this.updateRepeatSummary();
+                });
             });
         }
 
@@ -103,6 +181,34 @@ class EntryController {
             this.refreshCurrentDateEntries();
         });
 
+        // Entry types added, relabelled or removed
+        this.addEventListenerWithCleanup(document, 'entryTypes:changed', () => {
+            const selectedType = this.elements.entryType?.value;
+            this.updateEntryTypeDropdown();
+            // Only reset the form if the selected type went away
+            if (selectedType && this.elements.entryType?.value !== selectedType) {
+                this.handleEntryTypeChange();
+            }
+            this.refreshCurrentDateEntries();
+        });
+
+        // Daily limits follow the work schedule
+        this.addEventListenerWithCleanup(document, 'workSchedule:changed', () => {
+            this.updateHoursLimit();
+            this.refreshCurrentDateEntries();
+        });
+
+        // Leave allowances changed here or in another tab
+        this.addEventListenerWithCleanup(document, 'leaveEntitlements:changed', () => {
+            this.updateLeaveBalanceNotice();
+        });
+
+        // Rates changed what entries are worth
+        this.addEventListenerWithCleanup(document, 'rateCards:changed', () => {
+            this.updateBillableHint();
+            this.refreshCurrentDateEntries();
+        });
+
         console.log('EntryController: Event listeners set up');
     }
 
@@ -127,6 +233,8 @@ class EntryController {
         
         // Set default values
         this.setDefaultValues(entryType);
+        this.updateOvertimeField();
+        this.updateLeaveBalanceNotice();
         
         // Clear validation errors
         this.hideFormErrors();
@@ -138,23 +246,27 @@ class EntryController {
      */
     toggleFormFields(entryType) {
         const isWorkEntry = entryType === 'work';
-        const isHalfLeave = entryType === 'halfLeave';
+        const isHourly = Boolean(EntryType.get(entryType)?.isHourly());
+        const isHalfDay = Boolean(EntryType.get(entryType)?.isHalfDay());
         
         // Project field - only for work entries
         if (this.elements.projectGroup) {
             this.elements.projectGroup.style.display = isWorkEntry ? 'block' : 'none';
         }
+        if (this.elements.billableGroup) {
+            this.elements.billableGroup.style.display = isWorkEntry ? 'block' : 'none';
+        }
         
-        // Hours field - for work entries only (others are fixed)
+        // Hours field - for types logged in hours only (others are fixed)
         if (this.elements.hoursGroup) {
-            if (isWorkEntry) {
+            if (isHourly) {
                 this.elements.hoursGroup.style.display = 'block';
                 if (this.elements.hours) {
                     this.elements.hours.readOnly = false;
                     this.elements.hours.value = '';
                 }
             } else {
-                // For leave/holiday entries, hours are fixed
+                // For full and half day types, hours are fixed
                 this.elements.hoursGroup.style.display = 'none';
                 if (this.elements.hours) {
                     this.elements.hours.readOnly = true;
@@ -162,9 +274,14 @@ class EntryController {
             }
         }
         
-        // Half day period - only for half leave
+        // Start/end times - only for types logged in hours
+        if (this.elements.timeRangeGroup) {
+            this.elements.timeRangeGroup.style.display = isHourly ? 'block' : 'none';
+        }
+        
+        // Half day period - only for half day types
         if (this.elements.halfDayPeriodGroup) {
-            this.elements.halfDayPeriodGroup.style.display = isHalfLeave ? 'block' : 'none';
+            this.elements.halfDayPeriodGroup.style.display = isHalfDay ? 'block' : 'none';
         }
     }
 
@@ -173,20 +290,10 @@ class EntryController {
      * @param {string} entryType - Selected entry type
      */
     setDefaultValues(entryType) {
+        const type = EntryType.get(entryType);
+
         if (this.elements.hours) {
-            switch (entryType) {
-                case 'fullLeave':
-                case 'holiday':
-                    this.elements.hours.value = '8';
-                    break;
-                case 'halfLeave':
-                    this.elements.hours.value = '4';
-                    break;
-                case 'work':
-                default:
-                    this.elements.hours.value = '';
-                    break;
-            }
+            this.elements.hours.value = type && !type.isHourly() ? String(type.getHours({}, this.currentDate)) : '';
         }
         
         // Reset project selection for non-work entries
@@ -194,12 +301,215 @@ class EntryController {
             if (this.elements.project) {
                 this.elements.project.value = '';
             }
+            if (this.elements.entryBillable) {
+                this.elements.entryBillable.value = '';
+            }
         }
         
-        // Reset half day period for non-half-leave entries
-        if (entryType !== 'halfLeave' && this.elements.halfDayPeriod) {
+        // Reset half day period for other types
+        if (!type?.isHalfDay() && this.elements.halfDayPeriod) {
             this.elements.halfDayPeriod.value = '';
         }
+        
+        // Reset times for types not logged in hours
+        if (!type?.isHourly()) {
+            this.clearTimeFields();
+        }
+    }
+
+    /**
+     * Calculate hours from the start/end times, locking the hours field while both are set
+     */
+    updateHoursFromTimes() {
+        if (!this.elements.hours) return;
+
+        const { startTime, endTime, breakMinutes } = this.gatherFormData();
+        const isTimed = Boolean(startTime && endTime);
+
+        if (isTimed) {
+            const hours = WorkEntry.calculateHours(startTime, endTime, breakMinutes);
+            this.elements.hours.value = hours > 0 ? String(hours) : '';
+        }
+        this.elements.hours.readOnly = isTimed;
+    }
+
+    /**
+     * Clear start/end time fields
+     */
+    clearTimeFields() {
+        [this.elements.startTime, this.elements.endTime, this.elements.breakMinutes].forEach(input => {
+            if (input) input.value = '';
+        });
+        if (this.elements.hours && EntryType.get(this.elements.entryType?.value)?.isHourly()) {
+            this.elements.hours.readOnly = false;
+        }
+    }
+
+    /**
+     * Get the chosen repeat frequency, if the form is creating or editing a series
+     * @returns {string} - Frequency, or '' for a single entry
+     */
+    gatherRepeatFrequency() {
+        if (this.editingEntry && !this.editingSeries) return '';
+        return this.elements.repeatFrequency?.value || '';
+    }
+
+    /**
+     * Gather the repeat rule from the form
+     * @returns {Object|null} - Recurrence rule data, or null for a single entry
+     */
+    gatherRepeatData() {
+        const frequency = this.gatherRepeatFrequency();
+        if (!frequency) return null;
+
+        const options = this.elements.repeatOptions;
+        const endsAfterCount = options?.querySelector('input[name="repeatEnd"]:checked')?.value === 'count';
+
+        return {
+            frequency,
+            interval: parseInt(this.elements.repeatInterval?.value, 10) || 1,
+            // Editing a series keeps its first date, whichever occurrence was opened
+            startDate: this.editingSeries ? this.editingEntry.recurrence?.startDate || this.currentDate : this.currentDate,
+            endDate: endsAfterCount ? '' : this.elements.repeatEndDate?.value || '',
+            count: endsAfterCount ? parseInt(this.elements.repeatCount?.value, 10) || 0 : 0,
+            daysOfWeek: frequency === 'weekly'
+                ? Array.from(options?.querySelectorAll('input[name="repeatDays"]:checked') || []).map(input => parseInt(input.value, 10))
+                : [],
+            weekOfMonth: parseInt(this.elements.repeatWeekOfMonth?.value, 10) || 1,
+            dayOfWeek: parseInt(this.elements.repeatDayOfWeek?.value, 10) || 0
+        };
+    }
+
+    /**
+     * Show the repeat options that apply to the chosen frequency
+     */
+    toggleRepeatFields() {
+        const frequency = this.elements.repeatFrequency?.value || '';
+        const start = RecurrenceRule.parseDate(this.currentDate);
+
+        if (this.elements.repeatOptions) {
+            this.elements.repeatOptions.style.display = frequency ? 'block' : 'none';
+        }
+        if (this.elements.repeatIntervalRow) {
+            this.elements.repeatIntervalRow.style.display = frequency && frequency !== 'weekdays' ? 'flex' : 'none';
+        }
+        if (this.elements.repeatIntervalUnit) {
+            this.elements.repeatIntervalUnit.textContent = { daily: 'days', weekly: 'weeks', monthly: 'months' }[frequency] || '';
+        }
+        if (this.elements.repeatDaysRow) {
+            this.elements.repeatDaysRow.style.display = frequency === 'weekly' ? 'flex' : 'none';
+        }
+        if (this.elements.repeatMonthlyRow) {
+            this.elements.repeatMonthlyRow.style.display = frequency === 'monthly' ? 'flex' : 'none';
+        }
+
+        // Default to the selected date's weekday and position in the month
+        if (start && frequency === 'weekly' && !this.elements.repeatOptions?.querySelector('input[name="repeatDays"]:checked')) {
+            const day = this.elements.repeatOptions?.querySelector(`input[name="repeatDays"][value="${start.getUTCDay()}"]`);
+            if (day) day.checked = true;
+        }
+        if (start && frequency === 'monthly' && !this.editingSeries) {
+            if (this.elements.repeatWeekOfMonth) this.elements.repeatWeekOfMonth.value = String(RecurrenceRule.getWeekOfMonth(start));
+            if (this.elements.repeatDayOfWeek) this.elements.repeatDayOfWeek.value = String(start.getUTCDay());
+        }
+
+        this.updateRepeatSummary();
+    }
+
+    /**
+     * Describe the repeat rule under the form
+     */
+    updateRepeatSummary() {
+        if (!this.elements.repeatSummary) return;
+
+        const ruleData = this.gatherRepeatData();
+        if (!ruleData) {
+            this.elements.repeatSummary.textContent = '';
+            return;
+        }
+
+        try {
+            const rule = new RecurrenceRule(ruleData);
+            const count = rule.getOccurrences().length;
+            this.elements.repeatSummary.textContent = `${rule.describe()} - ${count} ${count === 1 ? 'entry' : 'entries'}`;
+        } catch (error) {
+            this.elements.repeatSummary.textContent = error.message.replace('Validation failed: ', '');
+        }
+    }
+
+    /**
+     * Fill the repeat fields from a series' rule
+     * @param {Object} ruleData - Recurrence rule data
+     */
+    populateRepeatFields(ruleData) {
+        const options = this.elements.repeatOptions;
+
+        if (this.elements.repeatFrequency) this.elements.repeatFrequency.value = ruleData.frequency || '';
+        if (this.elements.repeatInterval) this.elements.repeatInterval.value = ruleData.interval || 1;
+        if (this.elements.repeatWeekOfMonth) this.elements.repeatWeekOfMonth.value = String(ruleData.weekOfMonth || 1);
+        if (this.elements.repeatDayOfWeek) this.elements.repeatDayOfWeek.value = String(ruleData.dayOfWeek ?? 1);
+        if (this.elements.repeatEndDate) this.elements.repeatEndDate.value = ruleData.endDate || '';
+        if (this.elements.repeatCount) this.elements.repeatCount.value = ruleData.count || 10;
+
+        options?.querySelectorAll('input[name="repeatDays"]').forEach(input => {
+            input.checked = (ruleData.daysOfWeek || []).includes(parseInt(input.value, 10));
+        });
+        options?.querySelectorAll('input[name="repeatEnd"]').forEach(input => {
+            input.checked = input.value === (ruleData.count ? 'count' : 'date');
+        });
+
+        this.toggleRepeatFields();
+    }
+
+    /**
+     * Reset the repeat fields to "does not repeat"
+     */
+    resetRepeatFields() {
+        this.populateRepeatFields({});
+
+        if (this.elements.repeatGroup) {
+            this.elements.repeatGroup.style.display = 'block';
+        }
+    }
+
+    /**
+     * Describe an entry's series
+     * @param {Object} entry - Entry in a series
+     * @returns {string} - Description
+     */
+    describeRecurrence(entry) {
+        try {
+            return new RecurrenceRule(entry.recurrence || {}).describe();
+        } catch (error) {
+            return 'Repeating entry';
+        }
+    }
+
+    /**
+     * Describe whether an entry is billable and what it is worth
+     * @param {Object} entry - Work entry with a project
+     * @returns {string} - e.g. "💷 Billable · £340.00"
+     */
+    describeBilling(entry) {
+        const billing = this.dataService.billing.getEntryBilling(entry, entry.date || this.currentDate);
+        if (!billing.billable) return 'Non-billable';
+
+        return billing.rateCard
+            ? `💷 Billable · ${RateCard.formatMoney(billing.amount, billing.currency)}`
+            : '💷 Billable · no rate';
+    }
+
+    /**
+     * Describe an entry's leave booking
+     * @param {Object} entry - Entry in a booking
+     * @returns {string} - Description
+     */
+    describeBooking(entry) {
+        try {
+            return new LeaveBooking(entry.booking || {}).describe();
+        } catch (error) {
+            return 'Booked leave';
+        }
     }
 
     /**
@@ -253,8 +563,14 @@ class EntryController {
             // Gather form data
             const entryData = this.gatherFormData();
 
+            const ruleData = this.gatherRepeatData();
+
             // Add or update entry
-            if (this.editingEntry) {
+            if (ruleData) {
+                if (!await this.saveSeries(entryData, ruleData)) {
+                    return;
+                }
+            } else if (this.editingEntry) {
                 await this.updateEntry(entryData);
             } else {
                 await this.addEntry(entryData);
@@ -277,7 +593,7 @@ class EntryController {
      */
     async addEntry(entryData) {
         await this.dataService.addEntry(this.currentDate, entryData);
-        this.showToast('✅ Entry added successfully');
+        this.showToast('✅ Entry added successfully', this.getUndoAction());
         
         // Dispatch event
         document.dispatchEvent(new CustomEvent('entry:added', {
@@ -290,8 +606,11 @@ class EntryController {
      * @param {Object} entryData - Entry data
      */
     async updateEntry(entryData) {
-        await this.dataService.updateEntry(this.currentDate, this.editingEntry.id, entryData);
-        this.showToast('✅ Entry updated successfully');
+        // An occurrence edited on its own is left alone by later series edits
+        const updateData = this.editingEntry.seriesId ? { ...entryData, seriesException: true } : entryData;
+
+        await this.dataService.updateEntry(this.currentDate, this.editingEntry.id, updateData);
+        this.showToast('✅ Entry updated successfully', this.getUndoAction());
         this.cancelEdit();
         
         // Dispatch event
@@ -300,6 +619,38 @@ class EntryController {
         }));
     }
 
+    /**
+     * Create a series, or update the one being edited
+     * Dates where an occurrence would conflict with existing entries are skipped, after asking.
+     * @param {Object} entryData - Entry data every occurrence gets
+     * @param {Object} ruleData - Recurrence rule data
+     * @returns {Promise<boolean>} - Whether the series was saved
+     */
+    async saveSeries(entryData, ruleData) {
+        const seriesId = this.editingSeries ? this.editingEntry.seriesId : null;
+        const plan = this.dataService.recurrence.planSeries(entryData, ruleData, seriesId);
+
+        const conflicting = plan.occurrences.filter(occurrence =>
+            !occurrence.seriesException &&
+            (!this.validateEntryConflicts(occurrence, occurrence.date) || !this.validateDailyHours(occurrence, occurrence.date))
+        );
+
+        if (conflicting.length > 0) {
+            const dates = conflicting.slice(0, 5).map(occurrence => occurrence.date).join(', ');
+            const more = conflicting.length > 5 ? ` and ${conflicting.length - 5} more` : '';
+
+            if (!confirm(`${conflicting.length} of ${plan.occurrences.length} dates conflict with existing entries and will be skipped:\n${dates}${more}\n\nSave the rest?`)) {
+                return false;
+            }
+            plan.occurrences = plan.occurrences.filter(occurrence => !conflicting.includes(occurrence));
+        }
+
+        const result = await this.dataService.recurrence.saveSeries(plan, !seriesId);
+        this.showToast(`✅ ${result.message}`, this.getUndoAction());
+        this.dataService.dispatchDataEvent('updated');
+        return true;
+    }
+
     /**
      * Edit entry
      * @param {string} entryId - Entry ID
@@ -314,9 +665,59 @@ class EntryController {
         }
 
         this.editingEntry = entry;
+        this.editingSeries = false;
+        this.populateFormWithEntry(entry);
+        this.updateFormUIForEditing();
+        this.showToast(entry.booking || entry.publicHoliday ? '📝 Editing this day only' : entry.seriesId ? '📝 Editing this occurrence only' : '📝 Edit mode activated');
+    }
+
+    /**
+     * Edit every occurrence of an entry's series
+     * @param {string} entryId - ID of any entry in the series
+     */
+    editSeries(entryId) {
+        const entry = this.dataService.getEntriesForDate(this.currentDate).find(e => e.id === entryId);
+
+        if (!entry || !entry.seriesId) {
+            this.showToast('❌ Series not found');
+            return;
+        }
+
+        this.editingEntry = entry;
+        this.editingSeries = true;
         this.populateFormWithEntry(entry);
+        this.populateRepeatFields(entry.recurrence || {});
         this.updateFormUIForEditing();
-        this.showToast('📝 Edit mode activated');
+        this.showToast('📝 Editing the whole series');
+    }
+
+    /**
+     * Move every occurrence of an entry's series to the trash
+     * @param {string} entryId - ID of any entry in the series
+     */
+    async deleteSeries(entryId) {
+        const entry = this.dataService.getEntriesForDate(this.currentDate).find(e => e.id === entryId);
+        const series = entry?.seriesId ? this.dataService.recurrence.getSeries(entry.seriesId) : null;
+
+        if (!series) {
+            this.showToast('❌ Series not found');
+            return;
+        }
+
+        if (!confirm(`Move all ${series.entries.length} entries in this series to the trash?`)) {
+            return;
+        }
+
+        try {
+            const result = await this.dataService.recurrence.deleteSeries(series.seriesId);
+            this.resetForm();
+            this.dataService.dispatchDataEvent('updated');
+            this.calendarView.refresh();
+            this.showToast(`🗑️ ${result.message}`, this.getUndoAction());
+        } catch (error) {
+            console.error('Error deleting series:', error);
+            this.showToast('❌ Failed to delete series');
+        }
     }
 
     /**
@@ -326,12 +727,22 @@ class EntryController {
     populateFormWithEntry(entry) {
         if (this.elements.entryType) this.elements.entryType.value = entry.type;
         if (this.elements.project) this.elements.project.value = entry.project || '';
+        if (this.elements.entryBillable) this.elements.entryBillable.value = typeof entry.billable === 'boolean' ? String(entry.billable) : '';
         if (this.elements.hours) this.elements.hours.value = entry.hours || '';
         if (this.elements.halfDayPeriod) this.elements.halfDayPeriod.value = entry.halfDayPeriod || '';
         if (this.elements.comments) this.elements.comments.value = entry.comments || '';
+        if (this.elements.overtimeReason) this.elements.overtimeReason.value = entry.overtimeReason || '';
+        if (this.elements.tags) this.elements.tags.value = (entry.tags || []).join(', ');
         
         // Trigger entry type change to show/hide fields
         this.handleEntryTypeChange();
+        
+        if (this.elements.startTime) this.elements.startTime.value = entry.startTime || '';
+        if (this.elements.endTime) this.elements.endTime.value = entry.endTime || '';
+        if (this.elements.breakMinutes) this.elements.breakMinutes.value = entry.breakMinutes || '';
+        this.updateHoursFromTimes();
+        this.updateOvertimeField();
+        this.updateBillableHint();
     }
 
     /**
@@ -339,7 +750,11 @@ class EntryController {
      */
     updateFormUIForEditing() {
         if (this.elements.addEntryBtn) {
-            this.elements.addEntryBtn.textContent = 'Update Entry';
+            this.elements.addEntryBtn.textContent = this.editingSeries ? 'Update Series' : 'Update Entry';
+        }
+        // A single occurrence or entry can't be turned into a series
+        if (this.elements.repeatGroup) {
+            this.elements.repeatGroup.style.display = this.editingSeries ? 'block' : 'none';
         }
         if (this.elements.cancelEntryBtn) {
             this.elements.cancelEntryBtn.style.display = 'inline-block';
@@ -351,6 +766,7 @@ class EntryController {
      */
     cancelEdit() {
         this.editingEntry = null;
+        this.editingSeries = false;
         this.resetForm();
         this.showToast('✅ Edit cancelled');
     }
@@ -360,7 +776,7 @@ class EntryController {
      * @param {string} entryId - Entry ID
      */
     async deleteEntry(entryId) {
-        if (!confirm('Are you sure you want to delete this entry?')) {
+        if (!confirm('Move this entry to the trash?')) {
             return;
         }
 
@@ -368,7 +784,7 @@ class EntryController {
             await this.dataService.deleteEntry(this.currentDate, entryId);
             this.refreshCurrentDateEntries();
             this.calendarView.refresh();
-            this.showToast('✅ Entry deleted successfully');
+            this.showToast('🗑️ Entry moved to trash', this.getUndoAction());
             
             // Dispatch event
             document.dispatchEvent(new CustomEvent('entry:deleted', {
@@ -386,12 +802,32 @@ class EntryController {
      * @returns {Object} - Form data
      */
     gatherFormData() {
+        const type = this.elements.entryType?.value || 'work';
+        const isHourly = Boolean(EntryType.get(type)?.isHourly());
+        const startTime = isHourly ? this.elements.startTime?.value || '' : '';
+        const endTime = isHourly ? this.elements.endTime?.value || '' : '';
+        const breakMinutes = isHourly ? parseInt(this.elements.breakMinutes?.value, 10) || 0 : 0;
+
         return {
-            type: this.elements.entryType?.value || 'work',
+            type,
             project: this.elements.project?.value || '',
-            hours: parseFloat(this.elements.hours?.value) || 0,
+            // Empty follows the project's billable flag
+            billable: type === 'work' && this.elements.entryBillable?.value
+                ? this.elements.entryBillable.value === 'true'
+                : null,
+            hours: startTime && endTime
+                ? WorkEntry.calculateHours(startTime, endTime, breakMinutes)
+                : parseFloat(this.elements.hours?.value) || 0,
             halfDayPeriod: this.elements.halfDayPeriod?.value || '',
-            comments: this.elements.comments?.value?.trim() || ''
+            startTime,
+            endTime,
+            breakMinutes,
+            comments: this.elements.comments?.value?.trim() || '',
+            // A reason is only kept while the field is asked for
+            overtimeReason: this.elements.overtimeReasonGroup?.style.display !== 'none'
+                ? this.elements.overtimeReason?.value?.trim() || ''
+                : '',
+            tags: WorkEntry.normalizeTags(this.elements.tags?.value)
         };
     }
 
@@ -402,42 +838,65 @@ class EntryController {
     validateForm() {
         const errors = [];
         const entryData = this.gatherFormData();
+        const entryType = EntryType.get(entryData.type);
 
         // Validate entry type
-        if (!entryData.type) {
+        if (!entryType) {
             errors.push('Entry type is required');
         }
 
         // Validate work entries
-        if (entryData.type === 'work') {
-            if (!entryData.project) {
-                errors.push('Project selection is required for work entries');
-            }
+        if (entryData.type === 'work' && !entryData.project) {
+            errors.push('Project selection is required for work entries');
+        }
+
+        // Validate types logged in hours
+        if (entryType?.isHourly()) {
+            errors.push(...this.validateTimeRange(entryData));
             if (!entryData.hours || entryData.hours <= 0) {
-                errors.push('Hours must be greater than 0 for work entries');
+                errors.push(`Hours must be greater than 0 for ${entryType.label.toLowerCase()} entries`);
             }
             if (entryData.hours > 24) {
                 errors.push('Hours cannot exceed 24 per day');
             }
         }
 
-        // Validate half leave entries
-        if (entryData.type === 'halfLeave') {
+        // Validate tags
+        errors.push(...WorkEntry.validateTags(entryData.tags));
+
+        // Validate half day entries
+        if (entryType?.isHalfDay()) {
             if (!entryData.halfDayPeriod) {
-                errors.push('Time period is required for half-day leave');
+                errors.push(`Time period is required for ${entryType.label.toLowerCase()}`);
             }
         }
 
+        // Comp-off stands in for hours the schedule expected
+        if (entryType?.usesToil && this.dataService.holidays.getExpectedHours(this.currentDate) === 0) {
+            errors.push(`${entryType.label} can only be taken on a working day`);
+        }
+
+        // Repeating entries are checked date by date when the series is saved
+        const isRepeating = Boolean(this.gatherRepeatFrequency());
+        if (this.editingSeries && !isRepeating) {
+            errors.push('Choose how the series repeats');
+        }
+
         // Validate daily hours limit
-        if (!this.validateDailyHours(entryData)) {
-            errors.push('Total daily hours cannot exceed 8 hours');
+        if (!isRepeating && !this.validateDailyHours(entryData)) {
+            errors.push(`Total daily hours cannot exceed ${WorkSchedule.current.getDailyLimit()} hours`);
         }
 
         // Check for conflicts
-        if (!this.validateEntryConflicts(entryData)) {
+        if (!isRepeating && !this.validateEntryConflicts(entryData)) {
             errors.push('This entry conflicts with existing entries for this date');
         }
 
+        // Overtime needs a reason
+        if (!isRepeating && entryType?.category === 'work' && !entryData.overtimeReason && this.getEntryOvertime(entryData) > 0) {
+            errors.push('Give a reason for the overtime');
+        }
+
         if (errors.length > 0) {
             this.showFormErrors(errors);
             return false;
@@ -447,81 +906,191 @@ class EntryController {
         return true;
     }
 
+    /**
+     * Validate start/end times
+     * @param {Object} entryData - Entry data
+     * @returns {Array} - Error messages
+     */
+    validateTimeRange(entryData) {
+        const { startTime, endTime, breakMinutes } = entryData;
+        if (!startTime && !endTime) return [];
+
+        if (!startTime || !endTime) {
+            return ['Enter both a start and an end time, or neither'];
+        }
+
+        const start = WorkEntry.parseTime(startTime);
+        const end = WorkEntry.parseTime(endTime);
+        if (start === null || end === null) {
+            return ['Times must be in HH:MM format'];
+        }
+        if (end <= start) {
+            return ['End time must be after start time'];
+        }
+        if (breakMinutes < 0 || breakMinutes >= end - start) {
+            return ['Break must be shorter than the time between start and end'];
+        }
+        return [];
+    }
+
+    /**
+     * Get the other entries on a date, leaving out the entry being edited or checked
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {Object} newEntry - Entry being checked
+     * @returns {Array} - Entries
+     */
+    getOtherEntries(dateKey, newEntry) {
+        return this.dataService.getEntriesForDate(dateKey).filter(entry =>
+            (!this.editingEntry || entry.id !== this.editingEntry.id) &&
+            (!newEntry.id || entry.id !== newEntry.id)
+        );
+    }
+
+    /**
+     * Get the overtime a day would have with an entry saved
+     * @param {Object} newEntry - Entry being checked
+     * @param {string} dateKey - Date to check, defaults to the selected date
+     * @returns {number} - Overtime hours on the day
+     */
+    getEntryOvertime(newEntry, dateKey = this.currentDate) {
+        if (!dateKey) return 0;
+        return this.dataService.overtime.getDayOvertime(dateKey, [...this.getOtherEntries(dateKey, newEntry), newEntry]);
+    }
+
+    /**
+     * Ask for an overtime reason while the entry takes the day past its expected hours
+     */
+    updateOvertimeField() {
+        if (!this.elements.overtimeReasonGroup) return;
+
+        const entryData = this.gatherFormData();
+        const overtime = EntryType.get(entryData.type)?.category === 'work' ? this.getEntryOvertime(entryData) : 0;
+
+        this.elements.overtimeReasonGroup.style.display = overtime > 0 ? 'block' : 'none';
+        if (this.elements.overtimeHint) {
+            const expected = this.dataService.holidays.getExpectedHours(this.currentDate || new Date());
+            this.elements.overtimeHint.textContent = overtime > 0
+                ? `${overtime} ${overtime === 1 ? 'hour' : 'hours'} over the ${expected} expected - added to your overtime balance`
+                : '';
+        }
+    }
+
+    /**
+     * Say whether the entry is billable, and at what rate on the selected date
+     */
+    updateBillableHint() {
+        if (!this.elements.billableHint) return;
+
+        const entryData = this.gatherFormData();
+        if (entryData.type !== 'work' || !entryData.project) {
+            this.elements.billableHint.textContent = '';
+            return;
+        }
+
+        const billing = this.dataService.billing.getEntryBilling(entryData, this.currentDate || new Date().toISOString().split('T')[0]);
+        const status = !billing.billable
+            ? 'Not billable'
+            : billing.rateCard
+                ? `Billable at ${RateCard.formatMoney(billing.rate, billing.currency)}/h`
+                : 'Billable - no rate covers this date';
+        this.elements.billableHint.textContent = entryData.billable === null ? `Project default: ${status}` : status;
+    }
+
+    /**
+     * Show what is left of the leave allowance the selected type draws on
+     * Going over the allowance is allowed, but flagged before the entry is saved.
+     */
+    updateLeaveBalanceNotice() {
+        const notice = this.elements.leaveBalanceNotice;
+        if (!notice) return;
+
+        const excludeIds = this.editingEntry ? [this.editingEntry.id] : [];
+        const balance = this.currentDate
+            ? this.dataService.leaveBalances.previewLeave(this.elements.entryType?.value, [this.currentDate], excludeIds)
+            : null;
+
+        if (!balance) {
+            notice.textContent = '';
+            notice.style.display = 'none';
+            return;
+        }
+
+        const summary = this.dataService.leaveBalances.describeBalance(balance);
+        notice.textContent = balance.available < 0
+            ? `⚠️ This takes you over your allowance - ${summary}`
+            : `${summary} after this`;
+        notice.classList.toggle('leave-balance-notice--over', balance.available < 0);
+        notice.style.display = 'block';
+    }
+
     /**
      * Validate daily hours limit
      * @param {Object} newEntry - New entry data
+     * @param {string} dateKey - Date to check, defaults to the selected date
      * @returns {boolean} - Whether within daily limit
      */
-    validateDailyHours(newEntry) {
-        const existingEntries = this.dataService.getEntriesForDate(this.currentDate);
+    validateDailyHours(newEntry, dateKey = this.currentDate) {
         let totalHours = 0;
 
         // Calculate existing hours (excluding entry being edited)
-        existingEntries.forEach(entry => {
-            if (!this.editingEntry || entry.id !== this.editingEntry.id) {
-                totalHours += this.getEntryHours(entry);
-            }
+        this.getOtherEntries(dateKey, newEntry).forEach(entry => {
+            totalHours += this.getEntryHours(entry, dateKey);
         });
 
         // Add new entry hours
-        totalHours += this.getEntryHours(newEntry);
+        totalHours += this.getEntryHours(newEntry, dateKey);
 
-        return totalHours <= 8;
+        return totalHours <= WorkSchedule.current.getDailyLimit();
     }
 
     /**
      * Validate entry conflicts
      * @param {Object} newEntry - New entry data
+     * @param {string} dateKey - Date to check, defaults to the selected date
      * @returns {boolean} - Whether entry has conflicts
      */
-    validateEntryConflicts(newEntry) {
-        const existingEntries = this.dataService.getEntriesForDate(this.currentDate);
+    validateEntryConflicts(newEntry, dateKey = this.currentDate) {
+        const existingEntries = this.getOtherEntries(dateKey, newEntry);
+        const newType = EntryType.get(newEntry.type);
         
         // Check for full day conflicts
         const hasFullDayEntry = existingEntries.some(entry => 
-            (!this.editingEntry || entry.id !== this.editingEntry.id) &&
-            (entry.type === 'fullLeave' || entry.type === 'holiday')
+            EntryType.get(entry.type)?.isFullDay()
         );
 
-        if (hasFullDayEntry && newEntry.type !== 'fullLeave' && newEntry.type !== 'holiday') {
+        if (hasFullDayEntry && !newType?.isFullDay()) {
             return false;
         }
 
-        if ((newEntry.type === 'fullLeave' || newEntry.type === 'holiday') && 
-            existingEntries.some(entry => !this.editingEntry || entry.id !== this.editingEntry.id)) {
+        if (newType?.isFullDay() && existingEntries.length > 0) {
             return false;
         }
 
         // Check for half-day period conflicts
-        if (newEntry.type === 'halfLeave') {
+        if (newType?.isHalfDay()) {
             const conflictingHalfDay = existingEntries.some(entry =>
-                (!this.editingEntry || entry.id !== this.editingEntry.id) &&
-                entry.type === 'halfLeave' &&
+                EntryType.get(entry.type)?.isHalfDay() &&
                 entry.halfDayPeriod === newEntry.halfDayPeriod
             );
             if (conflictingHalfDay) return false;
         }
 
-        return true;
+        // Check for overlapping times (including half-day leave periods)
+        const overlapsTimedEntry = existingEntries.some(entry =>
+            WorkEntry.timesOverlap(entry, newEntry)
+        );
+
+        return !overlapsTimedEntry;
     }
 
     /**
      * Get entry hours based on type
      * @param {Object} entry - Entry object
+     * @param {string} dateKey - Date of the entry, defaults to the selected date
      * @returns {number} - Hours
      */
-    getEntryHours(entry) {
-        switch (entry.type) {
-            case 'work':
-                return entry.hours || 0;
-            case 'fullLeave':
-            case 'holiday':
-                return 8;
-            case 'halfLeave':
-                return 4;
-            default:
-                return 0;
-        }
+    getEntryHours(entry, dateKey = entry.date || this.currentDate) {
+        return EntryType.getEntryHours(entry, dateKey);
     }
 
     /**
@@ -531,9 +1100,11 @@ class EntryController {
         const value = parseFloat(this.elements.hours?.value);
         const type = this.elements.entryType?.value;
 
-        if (type === 'work' && this.elements.hours) {
-            if (value > 8) {
-                this.elements.hours.setCustomValidity('Hours cannot exceed 8');
+        const dailyLimit = WorkSchedule.current.getDailyLimit();
+
+        if (EntryType.get(type)?.isHourly() && this.elements.hours) {
+            if (value > dailyLimit) {
+                this.elements.hours.setCustomValidity(`Hours cannot exceed ${dailyLimit}`);
             } else if (value <= 0) {
                 this.elements.hours.setCustomValidity('Hours must be greater than 0');
             } else {
@@ -542,6 +1113,64 @@ class EntryController {
         }
     }
 
+    /**
+     * Offer known tags that complete the tag being typed
+     * The list holds whole field values, so the browser's autocomplete keeps earlier tags.
+     */
+    updateTagSuggestions() {
+        if (!this.elements.tags || !this.elements.tagSuggestions) return;
+
+        const value = this.elements.tags.value;
+        const lastComma = value.lastIndexOf(',');
+        const prefix = lastComma === -1 ? '' : `${value.slice(0, lastComma + 1).trim()} `;
+        const typed = WorkEntry.normalizeTags(value.slice(lastComma + 1))[0] || '';
+        const used = WorkEntry.normalizeTags(value.slice(0, lastComma + 1));
+
+        this.elements.tagSuggestions.innerHTML = '';
+        this.dataService.getTags()
+            .filter(({ tag }) => tag.startsWith(typed) && !used.includes(tag))
+            .slice(0, 10)
+            .forEach(({ tag, count }) => {
+                const option = document.createElement('option');
+                option.value = `${prefix}${tag}`;
+                option.label = `${tag} (${count})`;
+                this.elements.tagSuggestions.appendChild(option);
+            });
+    }
+
+    /**
+     * Limit the hours field to the work schedule's daily limit
+     */
+    updateHoursLimit() {
+        if (!this.elements.hours) return;
+
+        const dailyLimit = WorkSchedule.current.getDailyLimit();
+        this.elements.hours.max = String(dailyLimit);
+        this.elements.hours.placeholder = `Enter hours (0.5 - ${dailyLimit})`;
+    }
+
+    /**
+     * Update entry type dropdown from the type registry
+     */
+    updateEntryTypeDropdown() {
+        if (!this.elements.entryType) return;
+
+        const currentValue = this.elements.entryType.value;
+
+        this.elements.entryType.innerHTML = '<option value="">Select entry type...</option>';
+
+        EntryType.getAll().forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.id;
+            option.textContent = `${type.icon} ${type.label}${type.paid ? '' : ' (unpaid)'}`;
+            this.elements.entryType.appendChild(option);
+        });
+
+        if (currentValue && EntryType.get(currentValue)) {
+            this.elements.entryType.value = currentValue;
+        }
+    }
+
     /**
      * Update project dropdown
      */
@@ -590,6 +1219,8 @@ class EntryController {
         const entries = this.dataService.getEntriesForDate(dateKey);
         this.renderEntries(entries);
         this.updateDailyStats(entries);
+        this.updateOvertimeField();
+        this.updateLeaveBalanceNotice();
     }
 
     /**
@@ -630,7 +1261,7 @@ class EntryController {
                 <div class="entry-header">
                     <div class="entry-type">
                         <span class="entry-type-indicator ${entry.type}" style="background-color: ${typeInfo.color}"></span>
-                        ${typeInfo.label}
+                        ${escapeHTML(typeInfo.icon)} ${escapeHTML(typeInfo.label)}${typeInfo.paid ? '' : ' <small>(unpaid)</small>'}
                     </div>
                     <div class="entry-actions">
                         <button class="btn btn--sm btn--outline" onclick="window.entryController.editEntry('${entry.id}')">
@@ -639,6 +1270,21 @@ class EntryController {
                         <button class="btn btn--sm btn--outline" onclick="window.entryController.deleteEntry('${entry.id}')" style="color: var(--color-error)">
                             Delete
                         </button>
+                        ${entry.publicHoliday ? '' : entry.booking ? `
+                            <button class="btn btn--sm btn--outline" onclick="window.leaveBookingController.editBooking('${entry.seriesId}')">
+                                Edit booking
+                            </button>
+                            <button class="btn btn--sm btn--outline" onclick="window.leaveBookingController.cancelBooking('${entry.seriesId}')" style="color: var(--color-error)">
+                                Cancel booking
+                            </button>
+                        ` : entry.seriesId ? `
+                            <button class="btn btn--sm btn--outline" onclick="window.entryController.editSeries('${entry.id}')">
+                                Edit series
+                            </button>
+                            <button class="btn btn--sm btn--outline" onclick="window.entryController.deleteSeries('${entry.id}')" style="color: var(--color-error)">
+                                Delete series
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
                 <div class="entry-details">
@@ -654,12 +1300,51 @@ class EntryController {
                             <span class="entry-detail-value">${this.getEntryHours(entry)}</span>
                         </div>
                     ` : ''}
-                    ${entry.type === 'halfLeave' ? `
+                    ${entry.startTime && entry.endTime ? `
+                        <div class="entry-detail">
+                            <span class="entry-detail-label">Time:</span>
+                            <span class="entry-detail-value">${entry.startTime} - ${entry.endTime}${entry.breakMinutes ? ` (${entry.breakMinutes} min break)` : ''}</span>
+                        </div>
+                    ` : ''}
+                    ${typeInfo.isHalfDay() ? `
                         <div class="entry-detail">
                             <span class="entry-detail-label">Period:</span>
                             <span class="entry-detail-value">${entry.halfDayPeriod === 'morning' ? 'Morning (8:00 AM - 12:00 PM)' : 'Afternoon (1:00 PM - 5:00 PM)'}</span>
                         </div>
                     ` : ''}
+                    ${entry.project && typeInfo.category === 'work' ? `
+                        <div class="entry-detail">
+                            <span class="entry-detail-label">Billing:</span>
+                            <span class="entry-detail-value">${this.describeBilling(entry)}</span>
+                        </div>
+                    ` : ''}
+                    ${entry.overtimeReason ? `
+                        <div class="entry-detail">
+                            <span class="entry-detail-label">Overtime:</span>
+                            <span class="entry-detail-value">⏱️ ${escapeHTML(entry.overtimeReason)}</span>
+                        </div>
+                    ` : ''}
+                    ${entry.publicHoliday ? `
+                        <div class="entry-detail">
+                            <span class="entry-detail-label">Public holiday:</span>
+                            <span class="entry-detail-value">🎌 ${escapeHTML(entry.publicHoliday)}${entry.seriesException ? ' (edited separately)' : ''}</span>
+                        </div>
+                    ` : entry.booking ? `
+                        <div class="entry-detail">
+                            <span class="entry-detail-label">Booking:</span>
+                            <span class="entry-detail-value">📅 ${this.describeBooking(entry)}${entry.seriesException ? ' (this day edited separately)' : ''}</span>
+                        </div>
+                    ` : entry.seriesId ? `
+                        <div class="entry-detail">
+                            <span class="entry-detail-label">Repeats:</span>
+                            <span class="entry-detail-value">🔁 ${this.describeRecurrence(entry)}${entry.seriesException ? ' (this one edited separately)' : ''}</span>
+                        </div>
+                    ` : ''}
+                    ${entry.tags?.length ? `
+                        <div class="tag-chips">
+                            ${entry.tags.map(tag => `<span class="tag-chip">#${tag}</span>`).join('')}
+                        </div>
+                    ` : ''}
                     ${entry.comments ? `
                         <div class="entry-comments">${entry.comments}</div>
                     ` : ''}
@@ -671,16 +1356,10 @@ class EntryController {
     /**
      * Get entry type information
      * @param {string} type - Entry type
-     * @returns {Object} - Type information
+     * @returns {EntryType} - Registered type, or a stand-in for unknown types
      */
     getEntryTypeInfo(type) {
-        const types = {
-            work: { label: 'Work Entry', color: '#3b82f6' },
-            fullLeave: { label: 'Full Day Leave', color: '#ef4444' },
-            halfLeave: { label: 'Half Day Leave', color: '#f97316' },
-            holiday: { label: 'Holiday', color: '#22c55e' }
-        };
-        return types[type] || { label: type, color: '#6b7280' };
+        return EntryType.resolve(type);
     }
 
     /**
@@ -703,10 +1382,15 @@ class EntryController {
         const totalHours = entries.reduce((sum, entry) => sum + this.getEntryHours(entry), 0);
         this.elements.totalHours.textContent = totalHours.toFixed(1);
 
-        // Show warning if over 8 hours
+        // Show warning past the schedule's limit, or how much overtime the day has
         if (this.elements.validationWarning) {
-            if (totalHours > 8) {
-                this.elements.validationWarning.textContent = 'Exceeds 8-hour daily limit';
+            const schedule = WorkSchedule.current;
+            const overtime = this.currentDate ? this.dataService.overtime.getDayOvertime(this.currentDate, entries) : 0;
+            if (totalHours > schedule.getDailyLimit()) {
+                this.elements.validationWarning.textContent = `Exceeds ${schedule.getDailyLimit()}-hour daily limit`;
+                this.elements.validationWarning.style.display = 'block';
+            } else if (overtime > 0) {
+                this.elements.validationWarning.textContent = `${overtime} ${overtime === 1 ? 'hour' : 'hours'} of overtime`;
                 this.elements.validationWarning.style.display = 'block';
             } else {
                 this.elements.validationWarning.style.display = 'none';
@@ -720,15 +1404,21 @@ class EntryController {
     resetForm() {
         if (this.elements.entryType) this.elements.entryType.value = 'work';
         if (this.elements.project) this.elements.project.value = '';
+        if (this.elements.entryBillable) this.elements.entryBillable.value = '';
         if (this.elements.hours) this.elements.hours.value = '';
         if (this.elements.halfDayPeriod) this.elements.halfDayPeriod.value = '';
         if (this.elements.comments) this.elements.comments.value = '';
+        if (this.elements.overtimeReason) this.elements.overtimeReason.value = '';
+        if (this.elements.tags) this.elements.tags.value = '';
+        this.clearTimeFields();
 
         // Reset UI state
         if (this.elements.addEntryBtn) this.elements.addEntryBtn.textContent = 'Add Entry';
         if (this.elements.cancelEntryBtn) this.elements.cancelEntryBtn.style.display = 'none';
 
         this.editingEntry = null;
+        this.editingSeries = false;
+        this.resetRepeatFields();
         this.handleEntryTypeChange();
         this.hideFormErrors();
     }
@@ -764,14 +1454,31 @@ class EntryController {
     /**
      * Show toast message
      * @param {string} message - Message to show
+     * @param {Object} action - Optional toast button { label, handler }
      */
-    showToast(message) {
+    showToast(message, action = null) {
         const event = new CustomEvent('app:toast', {
-            detail: { message }
+            detail: { message, action }
         });
         document.dispatchEvent(event);
     }
 
+    /**
+     * Get an Undo toast action for the change just made
+     * @returns {Object|null} - Toast action
+     */
+    getUndoAction() {
+        const command = this.dataService.history.peekUndo();
+        if (!command) return null;
+
+        return {
+            label: 'Undo',
+            handler: () => document.dispatchEvent(new CustomEvent('app:undo', {
+                detail: { commandId: command.id }
+            }))
+        };
+    }
+
     /**
      * Cleanup event listeners
      */
@@ -0,0 +1,341 @@
+// controllers/EntryTypeController.js
+// Entry Type Controller - Manage the work, leave and holiday types offered in the entry form
+
+import EntryType from '../models/EntryType.js';
+import escapeHTML from '../utils/html.js';
+
+class EntryTypeController {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.elements = {};
+        this.eventListeners = [];
+        this.editingType = null;
+
+        this.cacheElements();
+        this.initialize();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            entryTypesBtn: document.getElementById('entryTypesBtn'),
+            entryTypesModal: document.getElementById('entryTypesModal'),
+            closeEntryTypesModalBtn: document.getElementById('closeEntryTypesModalBtn'),
+            entryTypeFormTitle: document.getElementById('entryTypeFormTitle'),
+            entryTypeLabel: document.getElementById('entryTypeLabel'),
+            entryTypeIcon: document.getElementById('entryTypeIcon'),
+            entryTypeColor: document.getElementById('entryTypeColor'),
+            entryTypeCategory: document.getElementById('entryTypeCategory'),
+            entryTypeGranularity: document.getElementById('entryTypeGranularity'),
+            entryTypeCountsAsHours: document.getElementById('entryTypeCountsAsHours'),
+            entryTypePaid: document.getElementById('entryTypePaid'),
+            entryTypeUsesToil: document.getElementById('entryTypeUsesToil'),
+            entryTypeFormErrors: document.getElementById('entryTypeFormErrors'),
+            saveEntryTypeBtn: document.getElementById('saveEntryTypeBtn'),
+            cancelEntryTypeBtn: document.getElementById('cancelEntryTypeBtn'),
+            entryTypesList: document.getElementById('entryTypesList')
+        };
+    }
+
+    /**
+     * Initialize entry type controller
+     */
+    initialize() {
+        this.setupEventListeners();
+        console.log('EntryTypeController: Initialized successfully');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.entryTypesBtn) {
+            this.addEventListenerWithCleanup(this.elements.entryTypesBtn, 'click', () => {
+                this.showEntryTypesModal();
+            });
+        }
+
+        if (this.elements.closeEntryTypesModalBtn) {
+            this.addEventListenerWithCleanup(this.elements.closeEntryTypesModalBtn, 'click', () => {
+                this.hideEntryTypesModal();
+            });
+        }
+
+        if (this.elements.saveEntryTypeBtn) {
+            this.addEventListenerWithCleanup(this.elements.saveEntryTypeBtn, 'click', () => {
+                this.saveType();
+            });
+        }
+
+        if (this.elements.cancelEntryTypeBtn) {
+            this.addEventListenerWithCleanup(this.elements.cancelEntryTypeBtn, 'click', () => {
+                this.resetForm();
+            });
+        }
+
+        // Types changed in another tab, or entries now use a type
+        ['entryTypes:changed', 'data:updated'].forEach(eventName => {
+            this.addEventListenerWithCleanup(document, eventName, () => {
+                if (this.isOpen()) {
+                    this.renderTypes();
+                }
+            });
+        });
+
+        console.log('EntryTypeController: Event listeners set up');
+    }
+
+    /**
+     * Add event listener with cleanup tracking
+     */
+    addEventListenerWithCleanup(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        }
+    }
+
+    /**
+     * Show entry types modal
+     */
+    showEntryTypesModal() {
+        if (this.elements.entryTypesModal) {
+            this.resetForm();
+            this.renderTypes();
+            this.elements.entryTypesModal.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Hide entry types modal
+     */
+    hideEntryTypesModal() {
+        if (this.elements.entryTypesModal) {
+            this.elements.entryTypesModal.classList.add('hidden');
+            this.resetForm();
+        }
+    }
+
+    /**
+     * Check if the entry types modal is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.elements.entryTypesModal) && !this.elements.entryTypesModal.classList.contains('hidden');
+    }
+
+    /**
+     * Render the list of types
+     */
+    renderTypes() {
+        if (!this.elements.entryTypesList) return;
+
+        this.elements.entryTypesList.innerHTML = this.dataService.entryTypes.getTypes()
+            .map(type => this.createTypeHTML(type))
+            .join('');
+    }
+
+    /**
+     * Create HTML for a type
+     * @param {EntryType} type - Entry type
+     * @returns {string} - HTML string
+     */
+    createTypeHTML(type) {
+        const usageCount = this.dataService.entryTypes.getUsageCount(type.id);
+        const details = [
+            EntryType.categories[type.category],
+            EntryType.granularities[type.granularity],
+            type.countsAsHours ? 'counts towards hours' : 'no hours',
+            type.paid ? 'paid' : 'unpaid',
+            type.usesToil ? 'taken from overtime balance' : '',
+            `used ${usageCount} ${usageCount === 1 ? 'time' : 'times'}`
+        ];
+
+        return `
+            <div class="entry-type-item" data-type-id="${type.id}">
+                <div class="entry-type-item-details">
+                    <strong>
+                        <span class="entry-type-indicator" style="background-color: ${type.color}"></span>
+                        ${escapeHTML(type.icon)} ${escapeHTML(type.label)}
+                        ${type.builtIn ? '<span class="status status--info">Built in</span>' : ''}
+                    </strong>
+                    <small>${details.filter(Boolean).join(' · ')}</small>
+                </div>
+                <div class="entry-actions">
+                    <button class="btn btn--sm btn--outline" onclick="window.entryTypeController.editType('${type.id}')">
+                        Edit
+                    </button>
+                    ${type.builtIn ? '' : `
+                        <button class="btn btn--sm btn--outline" onclick="window.entryTypeController.deleteType('${type.id}')"
+                            style="color: var(--color-error)" ${usageCount > 0 ? 'disabled title="Used by entries"' : ''}>
+                            Delete
+                        </button>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Gather form data
+     * @returns {Object} - Type fields
+     */
+    gatherFormData() {
+        return {
+            label: this.elements.entryTypeLabel?.value?.trim() || '',
+            icon: this.elements.entryTypeIcon?.value?.trim() || '',
+            color: this.elements.entryTypeColor?.value || '#6b7280',
+            category: this.elements.entryTypeCategory?.value || 'leave',
+            granularity: this.elements.entryTypeGranularity?.value || 'full',
+            countsAsHours: Boolean(this.elements.entryTypeCountsAsHours?.checked),
+            paid: Boolean(this.elements.entryTypePaid?.checked),
+            usesToil: Boolean(this.elements.entryTypeUsesToil?.checked)
+        };
+    }
+
+    /**
+     * Add a new type or save the one being edited
+     */
+    saveType() {
+        try {
+            const typeData = this.gatherFormData();
+            if (this.editingType) {
+                typeData.id = this.editingType.id;
+            }
+
+            const result = this.dataService.entryTypes.saveType(typeData);
+            this.showToast(`✅ ${result.message}`);
+            this.resetForm();
+            this.renderTypes();
+        } catch (error) {
+            console.error('Error saving entry type:', error);
+            this.showFormErrors([error.message.replace('Validation failed: ', '')]);
+        }
+    }
+
+    /**
+     * Load a type into the form for editing
+     * @param {string} id - Type ID
+     */
+    editType(id) {
+        const type = this.dataService.entryTypes.getType(id);
+        if (!type) {
+            this.showToast('❌ Entry type not found');
+            return;
+        }
+
+        this.editingType = type;
+        this.hideFormErrors();
+
+        if (this.elements.entryTypeLabel) this.elements.entryTypeLabel.value = type.label;
+        if (this.elements.entryTypeIcon) this.elements.entryTypeIcon.value = type.icon;
+        if (this.elements.entryTypeColor) this.elements.entryTypeColor.value = type.color;
+        if (this.elements.entryTypeCategory) this.elements.entryTypeCategory.value = type.category;
+        if (this.elements.entryTypeGranularity) {
+            this.elements.entryTypeGranularity.value = type.granularity;
+            // Entries already rely on how these types are counted
+            this.elements.entryTypeGranularity.disabled = type.builtIn || this.dataService.entryTypes.getUsageCount(type.id) > 0;
+        }
+        if (this.elements.entryTypeCountsAsHours) this.elements.entryTypeCountsAsHours.checked = type.countsAsHours;
+        if (this.elements.entryTypePaid) this.elements.entryTypePaid.checked = type.paid;
+        if (this.elements.entryTypeUsesToil) this.elements.entryTypeUsesToil.checked = type.usesToil;
+
+        if (this.elements.entryTypeFormTitle) this.elements.entryTypeFormTitle.textContent = `Edit ${type.label}`;
+        if (this.elements.saveEntryTypeBtn) this.elements.saveEntryTypeBtn.textContent = 'Update Type';
+        if (this.elements.cancelEntryTypeBtn) this.elements.cancelEntryTypeBtn.style.display = 'inline-block';
+    }
+
+    /**
+     * Remove a type
+     * @param {string} id - Type ID
+     */
+    deleteType(id) {
+        const type = this.dataService.entryTypes.getType(id);
+        if (!type || !confirm(`Remove the entry type "${type.label}"?`)) {
+            return;
+        }
+
+        try {
+            const result = this.dataService.entryTypes.deleteType(id);
+            this.showToast(`🗑️ ${result.message}`);
+            if (this.editingType?.id === id) {
+                this.resetForm();
+            }
+        } catch (error) {
+            console.error('Error removing entry type:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+
+        this.renderTypes();
+    }
+
+    /**
+     * Reset the form to adding a new type
+     */
+    resetForm() {
+        this.editingType = null;
+
+        if (this.elements.entryTypeLabel) this.elements.entryTypeLabel.value = '';
+        if (this.elements.entryTypeIcon) this.elements.entryTypeIcon.value = '';
+        if (this.elements.entryTypeColor) this.elements.entryTypeColor.value = '#6b7280';
+        if (this.elements.entryTypeCategory) this.elements.entryTypeCategory.value = 'leave';
+        if (this.elements.entryTypeGranularity) {
+            this.elements.entryTypeGranularity.value = 'full';
+            this.elements.entryTypeGranularity.disabled = false;
+        }
+        if (this.elements.entryTypeCountsAsHours) this.elements.entryTypeCountsAsHours.checked = true;
+        if (this.elements.entryTypePaid) this.elements.entryTypePaid.checked = true;
+        if (this.elements.entryTypeUsesToil) this.elements.entryTypeUsesToil.checked = false;
+
+        if (this.elements.entryTypeFormTitle) this.elements.entryTypeFormTitle.textContent = 'Add Entry Type';
+        if (this.elements.saveEntryTypeBtn) this.elements.saveEntryTypeBtn.textContent = 'Add Type';
+        if (this.elements.cancelEntryTypeBtn) this.elements.cancelEntryTypeBtn.style.display = 'none';
+
+        this.hideFormErrors();
+    }
+
+    /**
+     * Show form errors
+     * @param {Array} errors - Error messages
+     */
+    showFormErrors(errors) {
+        if (this.elements.entryTypeFormErrors) {
+            this.elements.entryTypeFormErrors.innerHTML = errors.map(error => escapeHTML(error)).join('<br>');
+            this.elements.entryTypeFormErrors.classList.add('show');
+        }
+    }
+
+    /**
+     * Hide form errors
+     */
+    hideFormErrors() {
+        if (this.elements.entryTypeFormErrors) {
+            this.elements.entryTypeFormErrors.innerHTML = '';
+            this.elements.entryTypeFormErrors.classList.remove('show');
+        }
+    }
+
+    /**
+     * Show toast message
+     * @param {string} message - Message to show
+     */
+    showToast(message) {
+        document.dispatchEvent(new CustomEvent('app:toast', {
+            detail: { message }
+        }));
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+export default EntryTypeController;
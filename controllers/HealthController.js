@@ -0,0 +1,265 @@
+// controllers/HealthController.js
+// Health Controller - "Check data" tool listing data problems by severity with one-click fixes
+
+import escapeHTML from '../utils/html.js';
+
+class HealthController {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.elements = {};
+        this.eventListeners = [];
+        this.report = null;
+        this.severityLabels = {
+            error: '⛔ Errors',
+            warning: '⚠️ Warnings',
+            info: 'ℹ️ Info'
+        };
+
+        this.cacheElements();
+        this.initialize();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            healthBtn: document.getElementById('healthBtn'),
+            healthModal: document.getElementById('healthModal'),
+            healthSummary: document.getElementById('healthSummary'),
+            healthIssues: document.getElementById('healthIssues'),
+            rescanHealthBtn: document.getElementById('rescanHealthBtn'),
+            fixAllHealthBtn: document.getElementById('fixAllHealthBtn'),
+            closeHealthModalBtn: document.getElementById('closeHealthModalBtn')
+        };
+    }
+
+    /**
+     * Initialize health controller
+     */
+    initialize() {
+        this.setupEventListeners();
+        console.log('HealthController: Initialized successfully');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.healthBtn) {
+            this.addEventListenerWithCleanup(this.elements.healthBtn, 'click', () => {
+                this.showHealthModal();
+            });
+        }
+
+        if (this.elements.closeHealthModalBtn) {
+            this.addEventListenerWithCleanup(this.elements.closeHealthModalBtn, 'click', () => {
+                this.hideHealthModal();
+            });
+        }
+
+        if (this.elements.rescanHealthBtn) {
+            this.addEventListenerWithCleanup(this.elements.rescanHealthBtn, 'click', () => {
+                this.runCheck();
+            });
+        }
+
+        if (this.elements.fixAllHealthBtn) {
+            this.addEventListenerWithCleanup(this.elements.fixAllHealthBtn, 'click', async () => {
+                await this.fixAll();
+            });
+        }
+
+        // Changes from this or another tab make the report stale
+        this.addEventListenerWithCleanup(document, 'data:updated', () => {
+            if (this.isOpen()) {
+                this.runCheck();
+            }
+        });
+
+        console.log('HealthController: Event listeners set up');
+    }
+
+    /**
+     * Add event listener with cleanup tracking
+     */
+    addEventListenerWithCleanup(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        }
+    }
+
+    /**
+     * Show health modal and run the check
+     */
+    showHealthModal() {
+        if (this.elements.healthModal) {
+            this.runCheck();
+            this.elements.healthModal.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Hide health modal
+     */
+    hideHealthModal() {
+        if (this.elements.healthModal) {
+            this.elements.healthModal.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Check if the health modal is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.elements.healthModal) && !this.elements.healthModal.classList.contains('hidden');
+    }
+
+    /**
+     * Scan the data and render the report
+     */
+    runCheck() {
+        try {
+            this.report = this.dataService.health.scan();
+            this.renderReport();
+        } catch (error) {
+            console.error('Error checking data:', error);
+            this.showToast(`❌ Data check failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render the last report
+     */
+    renderReport() {
+        if (!this.report) return;
+
+        const { issues, counts, entries, projects, scannedAt } = this.report;
+        const fixable = issues.filter(issue => issue.fix).length;
+
+        if (this.elements.healthSummary) {
+            this.elements.healthSummary.innerHTML = `
+                <span>Checked ${entries} entries and ${projects} projects at ${new Date(scannedAt).toLocaleTimeString()}</span>
+                <span class="health-counts">
+                    <span class="health-count health-count--error">${counts.error} errors</span>
+                    <span class="health-count health-count--warning">${counts.warning} warnings</span>
+                    <span class="health-count health-count--info">${counts.info} info</span>
+                </span>
+            `;
+        }
+
+        if (this.elements.fixAllHealthBtn) {
+            this.elements.fixAllHealthBtn.disabled = fixable === 0;
+        }
+
+        if (!this.elements.healthIssues) return;
+
+        if (issues.length === 0) {
+            this.elements.healthIssues.innerHTML = `
+                <div class="no-entries">
+                    <p>✅ No problems found</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.healthIssues.innerHTML = Object.keys(this.severityLabels)
+            .map(severity => {
+                const group = issues.filter(issue => issue.severity === severity);
+                if (group.length === 0) return '';
+
+                return `
+                    <h4>${this.severityLabels[severity]} (${group.length})</h4>
+                    ${group.map(issue => this.createIssueHTML(issue)).join('')}
+                `;
+            })
+            .join('');
+    }
+
+    /**
+     * Create HTML for an issue
+     * @param {Object} issue - Issue from the health check
+     * @returns {string} - HTML string
+     */
+    createIssueHTML(issue) {
+        return `
+            <div class="health-issue health-issue--${issue.severity}">
+                <div class="trash-item-details">
+                    <strong>${escapeHTML(issue.title)}</strong>
+                    <small>${escapeHTML(issue.description)}</small>
+                </div>
+                ${issue.fix ? `
+                    <div class="entry-actions">
+                        <button class="btn btn--sm btn--outline" title="${escapeHTML(issue.fix.description)}"
+                            onclick="window.healthController.fixIssue('${escapeHTML(issue.id)}')">
+                            ${escapeHTML(issue.fix.label)}
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Apply the automatic fix for one issue
+     * @param {string} issueId - Issue ID
+     */
+    async fixIssue(issueId) {
+        try {
+            const result = await this.dataService.health.fix(issueId);
+            this.dataService.dispatchDataEvent('updated');
+            document.dispatchEvent(new CustomEvent('projects:updated'));
+            this.showToast(`✅ ${result.message}`);
+        } catch (error) {
+            console.error('Error fixing issue:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+
+        this.runCheck();
+    }
+
+    /**
+     * Apply every automatic fix
+     */
+    async fixAll() {
+        if (!confirm('Apply every automatic fix?\n\nDuplicate and invalid entries are moved to the trash, so they can still be restored.')) {
+            return;
+        }
+
+        try {
+            const result = await this.dataService.health.fixAll();
+            this.dataService.dispatchDataEvent('updated');
+            document.dispatchEvent(new CustomEvent('projects:updated'));
+            this.showToast(`✅ ${result.message}`);
+        } catch (error) {
+            console.error('Error fixing issues:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+
+        this.runCheck();
+    }
+
+    /**
+     * Show toast message
+     * @param {string} message - Message to show
+     */
+    showToast(message) {
+        document.dispatchEvent(new CustomEvent('app:toast', {
+            detail: { message }
+        }));
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+export default HealthController;
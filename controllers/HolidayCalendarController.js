@@ -0,0 +1,402 @@
+// controllers/HolidayCalendarController.js
+// Holiday Calendar Controller - Pick public holiday calendars, upload iCalendar lists and add a year's holidays as entries
+
+import escapeHTML from '../utils/html.js';
+
+class HolidayCalendarController {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.elements = {};
+        this.eventListeners = [];
+
+        this.cacheElements();
+        this.initialize();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            holidayCalendarsBtn: document.getElementById('holidayCalendarsBtn'),
+            holidayCalendarsModal: document.getElementById('holidayCalendarsModal'),
+            closeHolidayCalendarsModalBtn: document.getElementById('closeHolidayCalendarsModalBtn'),
+            holidayCalendarList: document.getElementById('holidayCalendarList'),
+            holidayIcalFile: document.getElementById('holidayIcalFile'),
+            holidayIcalLabel: document.getElementById('holidayIcalLabel'),
+            uploadHolidayCalendarBtn: document.getElementById('uploadHolidayCalendarBtn'),
+            holidayUpcoming: document.getElementById('holidayUpcoming'),
+            holidayEntriesYear: document.getElementById('holidayEntriesYear'),
+            holidayEntriesPreview: document.getElementById('holidayEntriesPreview'),
+            addHolidayEntriesBtn: document.getElementById('addHolidayEntriesBtn'),
+            clearHolidayEntriesBtn: document.getElementById('clearHolidayEntriesBtn'),
+            holidayCalendarErrors: document.getElementById('holidayCalendarErrors')
+        };
+    }
+
+    /**
+     * Initialize holiday calendar controller
+     */
+    initialize() {
+        this.setupEventListeners();
+        console.log('HolidayCalendarController: Initialized successfully');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.holidayCalendarsBtn) {
+            this.addEventListenerWithCleanup(this.elements.holidayCalendarsBtn, 'click', () => {
+                this.showHolidayCalendarsModal();
+            });
+        }
+
+        if (this.elements.closeHolidayCalendarsModalBtn) {
+            this.addEventListenerWithCleanup(this.elements.closeHolidayCalendarsModalBtn, 'click', () => {
+                this.hideHolidayCalendarsModal();
+            });
+        }
+
+        if (this.elements.holidayCalendarList) {
+            this.addEventListenerWithCleanup(this.elements.holidayCalendarList, 'change', (e) => {
+                if (e.target.matches('input[type="checkbox"]')) {
+                    this.saveSelection();
+                }
+            });
+        }
+
+        if (this.elements.uploadHolidayCalendarBtn) {
+            this.addEventListenerWithCleanup(this.elements.uploadHolidayCalendarBtn, 'click', () => {
+                this.uploadCalendar();
+            });
+        }
+
+        if (this.elements.holidayEntriesYear) {
+            this.addEventListenerWithCleanup(this.elements.holidayEntriesYear, 'change', () => {
+                this.updateYearPreview();
+            });
+        }
+
+        if (this.elements.addHolidayEntriesBtn) {
+            this.addEventListenerWithCleanup(this.elements.addHolidayEntriesBtn, 'click', () => {
+                this.addHolidayEntries();
+            });
+        }
+
+        if (this.elements.clearHolidayEntriesBtn) {
+            this.addEventListenerWithCleanup(this.elements.clearHolidayEntriesBtn, 'click', () => {
+                this.clearHolidayEntries();
+            });
+        }
+
+        // Calendars changed in another tab, or days off and entries changed what a year needs
+        ['holidayCalendars:changed', 'workSchedule:changed', 'data:updated'].forEach(eventName => {
+            this.addEventListenerWithCleanup(document, eventName, () => {
+                if (this.isOpen()) {
+                    this.render();
+                }
+            });
+        });
+
+        console.log('HolidayCalendarController: Event listeners set up');
+    }
+
+    /**
+     * Add event listener with cleanup tracking
+     */
+    addEventListenerWithCleanup(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        }
+    }
+
+    /**
+     * Show holiday calendars modal
+     */
+    showHolidayCalendarsModal() {
+        if (this.elements.holidayCalendarsModal) {
+            if (this.elements.holidayEntriesYear) this.elements.holidayEntriesYear.value = new Date().getFullYear();
+            this.hideFormErrors();
+            this.render();
+            this.elements.holidayCalendarsModal.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Hide holiday calendars modal
+     */
+    hideHolidayCalendarsModal() {
+        if (this.elements.holidayCalendarsModal) {
+            this.elements.holidayCalendarsModal.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Check if the holiday calendars modal is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.elements.holidayCalendarsModal) && !this.elements.holidayCalendarsModal.classList.contains('hidden');
+    }
+
+    /**
+     * Render the calendars, upcoming holidays and the year preview
+     */
+    render() {
+        this.renderCalendars();
+        this.renderUpcoming();
+        this.updateYearPreview();
+    }
+
+    /**
+     * Render a checkbox per calendar, bundled ones grouped by country
+     */
+    renderCalendars() {
+        if (!this.elements.holidayCalendarList) return;
+
+        const selected = new Set(this.dataService.holidays.selected);
+        const groups = new Map();
+        this.dataService.holidays.getCalendars().forEach(calendar => {
+            const group = calendar.uploaded ? 'Uploaded' : calendar.country;
+            groups.set(group, [...(groups.get(group) || []), calendar]);
+        });
+
+        this.elements.holidayCalendarList.innerHTML = [...groups.entries()].map(([group, calendars]) => `
+            <fieldset class="holiday-calendar-group">
+                <legend>${escapeHTML(group)}</legend>
+                ${calendars.map(calendar => `
+                    <div class="holiday-calendar-option">
+                        <label>
+                            <input type="checkbox" value="${escapeHTML(calendar.id)}" ${selected.has(calendar.id) ? 'checked' : ''}>
+                            ${escapeHTML(calendar.label)}
+                        </label>
+                        ${calendar.uploaded ? `
+                            <button type="button" class="btn btn--sm btn--outline" style="color: var(--color-error)"
+                                onclick="window.holidayCalendarController.removeCalendar('${escapeHTML(calendar.id)}')">
+                                Remove
+                            </button>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </fieldset>
+        `).join('');
+    }
+
+    /**
+     * List the next public holidays of the followed calendars
+     */
+    renderUpcoming() {
+        if (!this.elements.holidayUpcoming) return;
+
+        const today = new Date().toISOString().split('T')[0];
+        const year = parseInt(today.slice(0, 4), 10);
+        const upcoming = [year, year + 1]
+            .flatMap(current => [...this.dataService.holidays.getYearHolidays(current).entries()])
+            .filter(([date]) => date >= today)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .slice(0, 8);
+
+        this.elements.holidayUpcoming.innerHTML = upcoming.length > 0
+            ? `<ul>${upcoming.map(([date, names]) => `<li><strong>${date}</strong> ${escapeHTML(names.join(', '))}</li>`).join('')}</ul>`
+            : '<p class="form-hint">Follow a calendar to see upcoming public holidays</p>';
+    }
+
+    /**
+     * Get the year chosen for holiday entries
+     * @returns {number} - Year
+     */
+    getSelectedYear() {
+        return parseInt(this.elements.holidayEntriesYear?.value, 10) || new Date().getFullYear();
+    }
+
+    /**
+     * Show how many holiday entries the chosen year would get
+     */
+    updateYearPreview() {
+        if (!this.elements.holidayEntriesPreview) return;
+
+        const year = this.getSelectedYear();
+        const existing = this.dataService.flattenWorkLog(this.dataService.workLogData)
+            .filter(entry => entry.seriesId === this.dataService.holidays.getSeriesId(year)).length;
+        if (this.elements.clearHolidayEntriesBtn) this.elements.clearHolidayEntriesBtn.disabled = existing === 0;
+
+        let plan;
+        try {
+            plan = this.dataService.holidays.planYear(year);
+        } catch (error) {
+            this.elements.holidayEntriesPreview.textContent = error.message.replace('Validation failed: ', '');
+            if (this.elements.addHolidayEntriesBtn) this.elements.addHolidayEntriesBtn.disabled = true;
+            return;
+        }
+
+        const daysOff = plan.skipped.filter(day => day.reason === 'day off').length;
+        const busy = plan.skipped.filter(day => day.reason === 'has entries');
+        this.elements.holidayEntriesPreview.innerHTML = `
+            <p><strong>${plan.occurrences.length} ${plan.occurrences.length === 1 ? 'holiday' : 'holidays'}</strong> in ${year}${existing ? ` (${existing} already added)` : ''}</p>
+            ${daysOff ? `<p class="form-hint">${daysOff} ${daysOff === 1 ? 'falls' : 'fall'} on a day off and won't be added</p>` : ''}
+            ${busy.length ? `<p class="form-hint">⚠️ Skipping days that already have entries: ${busy.map(day => day.date).join(', ')}</p>` : ''}
+        `;
+        if (this.elements.addHolidayEntriesBtn) this.elements.addHolidayEntriesBtn.disabled = plan.occurrences.length === 0 && existing === 0;
+    }
+
+    /**
+     * Follow the ticked calendars
+     */
+    saveSelection() {
+        try {
+            const ids = [...this.elements.holidayCalendarList.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+            const result = this.dataService.holidays.setSelected(ids);
+            this.hideFormErrors();
+            this.showToast(`✅ ${result.message}`);
+        } catch (error) {
+            console.error('Error saving holiday calendars:', error);
+            this.showFormErrors([error.message]);
+        }
+    }
+
+    /**
+     * Add a calendar from the chosen iCalendar file
+     */
+    uploadCalendar() {
+        const file = this.elements.holidayIcalFile?.files?.[0];
+        if (!file) {
+            this.showFormErrors(['Choose an .ics file to upload']);
+            return;
+        }
+        if (file.size > 1024 * 1024) {
+            this.showFormErrors(['Calendar files must be smaller than 1 MB']);
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const result = this.dataService.holidays.addUploaded(e.target.result, this.elements.holidayIcalLabel?.value?.trim() || '');
+                if (this.elements.holidayIcalFile) this.elements.holidayIcalFile.value = '';
+                if (this.elements.holidayIcalLabel) this.elements.holidayIcalLabel.value = '';
+                this.hideFormErrors();
+                this.showToast(`✅ ${result.message}`);
+            } catch (error) {
+                console.error('Error reading holiday calendar:', error);
+                this.showFormErrors(error.message.replace('Validation failed: ', '').split(', '));
+            }
+        };
+        reader.onerror = () => this.showFormErrors(['Failed to read file']);
+        reader.readAsText(file);
+    }
+
+    /**
+     * Remove an uploaded calendar
+     * @param {string} id - Calendar ID
+     */
+    removeCalendar(id) {
+        const calendar = this.dataService.holidays.getCalendar(id);
+        if (!calendar || !confirm(`Remove the holiday calendar "${calendar.label}"? Holiday entries already added are kept.`)) {
+            return;
+        }
+
+        try {
+            const result = this.dataService.holidays.removeUploaded(id);
+            this.showToast(`🗑️ ${result.message}`);
+        } catch (error) {
+            console.error('Error removing holiday calendar:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Add the chosen year's holidays as holiday entries
+     */
+    async addHolidayEntries() {
+        try {
+            const plan = this.dataService.holidays.planYear(this.getSelectedYear());
+            const result = await this.dataService.holidays.saveYear(plan);
+            this.dataService.dispatchDataEvent('updated');
+            this.showToast(`✅ ${result.message}`, this.getUndoAction());
+        } catch (error) {
+            console.error('Error adding holiday entries:', error);
+            this.showFormErrors([error.message.replace('Validation failed: ', '')]);
+        }
+    }
+
+    /**
+     * Move the chosen year's holiday entries to the trash
+     */
+    async clearHolidayEntries() {
+        const year = this.getSelectedYear();
+        if (!confirm(`Move the public holiday entries of ${year} to the trash?`)) {
+            return;
+        }
+
+        try {
+            const result = await this.dataService.holidays.clearYear(year);
+            this.dataService.dispatchDataEvent('updated');
+            this.showToast(`🗑️ ${result.message}`, this.getUndoAction());
+        } catch (error) {
+            console.error('Error removing holiday entries:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Show form errors
+     * @param {Array} errors - Error messages
+     */
+    showFormErrors(errors) {
+        if (this.elements.holidayCalendarErrors) {
+            this.elements.holidayCalendarErrors.innerHTML = errors.map(error => escapeHTML(error)).join('<br>');
+            this.elements.holidayCalendarErrors.classList.add('show');
+        }
+    }
+
+    /**
+     * Hide form errors
+     */
+    hideFormErrors() {
+        if (this.elements.holidayCalendarErrors) {
+            this.elements.holidayCalendarErrors.innerHTML = '';
+            this.elements.holidayCalendarErrors.classList.remove('show');
+        }
+    }
+
+    /**
+     * Show toast message
+     * @param {string} message - Message to show
+     * @param {Object} action - Optional toast action
+     */
+    showToast(message, action = null) {
+        document.dispatchEvent(new CustomEvent('app:toast', {
+            detail: { message, action }
+        }));
+    }
+
+    /**
+     * Get an Undo toast action for the change just made
+     * @returns {Object|null} - Toast action
+     */
+    getUndoAction() {
+        const command = this.dataService.history.peekUndo();
+        if (!command) return null;
+
+        return {
+            label: 'Undo',
+            handler: () => document.dispatchEvent(new CustomEvent('app:undo', {
+                detail: { commandId: command.id }
+            }))
+        };
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+export default HolidayCalendarController;
@@ -0,0 +1,347 @@
+// controllers/InvoiceController.js
+// Invoice Controller - Build invoices from a client's billable hours, issue them and print them
+
+import RateCard from '../models/RateCard.js';
+import escapeHTML from '../utils/html.js';
+
+class InvoiceController {
+    constructor(dataService, exportService) {
+        this.dataService = dataService;
+        this.exportService = exportService;
+        this.elements = {};
+        this.eventListeners = [];
+        this.draft = null;
+
+        this.cacheElements();
+        this.initialize();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            invoicesBtn: document.getElementById('invoicesBtn'),
+            invoicesModal: document.getElementById('invoicesModal'),
+            closeInvoicesModalBtn: document.getElementById('closeInvoicesModalBtn'),
+            invoiceClient: document.getElementById('invoiceClient'),
+            invoiceStart: document.getElementById('invoiceStart'),
+            invoiceEnd: document.getElementById('invoiceEnd'),
+            invoiceTaxRate: document.getElementById('invoiceTaxRate'),
+            invoiceNotes: document.getElementById('invoiceNotes'),
+            invoicePreview: document.getElementById('invoicePreview'),
+            invoiceFormErrors: document.getElementById('invoiceFormErrors'),
+            issueInvoiceBtn: document.getElementById('issueInvoiceBtn'),
+            invoicesList: document.getElementById('invoicesList')
+        };
+    }
+
+    /**
+     * Initialize invoice controller
+     */
+    initialize() {
+        this.setupEventListeners();
+        console.log('InvoiceController: Initialized successfully');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.invoicesBtn) {
+            this.addEventListenerWithCleanup(this.elements.invoicesBtn, 'click', () => {
+                this.showInvoicesModal();
+            });
+        }
+
+        if (this.elements.closeInvoicesModalBtn) {
+            this.addEventListenerWithCleanup(this.elements.closeInvoicesModalBtn, 'click', () => {
+                this.hideInvoicesModal();
+            });
+        }
+
+        ['invoiceClient', 'invoiceStart', 'invoiceEnd', 'invoiceTaxRate'].forEach(name => {
+            if (this.elements[name]) {
+                this.addEventListenerWithCleanup(this.elements[name], 'change', () => {
+                    this.updatePreview();
+                });
+            }
+        });
+
+        if (this.elements.issueInvoiceBtn) {
+            this.addEventListenerWithCleanup(this.elements.issueInvoiceBtn, 'click', () => {
+                this.issueInvoice();
+            });
+        }
+
+        // Invoices issued in another tab, or hours, rates and projects changed what can be billed
+        ['invoices:changed', 'rateCards:changed', 'projects:updated', 'data:updated'].forEach(eventName => {
+            this.addEventListenerWithCleanup(document, eventName, () => {
+                if (this.isOpen()) {
+                    this.renderClientOptions(this.elements.invoiceClient?.value);
+                    this.renderInvoices();
+                    this.updatePreview();
+                }
+            });
+        });
+
+        console.log('InvoiceController: Event listeners set up');
+    }
+
+    /**
+     * Add event listener with cleanup tracking
+     */
+    addEventListenerWithCleanup(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        }
+    }
+
+    /**
+     * Show invoices modal
+     * The form starts on last month, with the tax rate of the last invoice.
+     */
+    showInvoicesModal() {
+        if (!this.elements.invoicesModal) return;
+
+        const today = new Date();
+        const firstOfLastMonth = new Date(Date.UTC(today.getFullYear(), today.getMonth() - 1, 1));
+        const lastOfLastMonth = new Date(Date.UTC(today.getFullYear(), today.getMonth(), 0));
+        const lastInvoice = this.dataService.invoices.getInvoices()[0];
+
+        this.renderClientOptions(this.elements.invoiceClient?.value);
+        if (this.elements.invoiceStart) this.elements.invoiceStart.value = firstOfLastMonth.toISOString().split('T')[0];
+        if (this.elements.invoiceEnd) this.elements.invoiceEnd.value = lastOfLastMonth.toISOString().split('T')[0];
+        if (this.elements.invoiceTaxRate) this.elements.invoiceTaxRate.value = lastInvoice ? lastInvoice.taxRate : 0;
+        if (this.elements.invoiceNotes) this.elements.invoiceNotes.value = '';
+
+        this.hideFormErrors();
+        this.renderInvoices();
+        this.updatePreview();
+        this.elements.invoicesModal.classList.remove('hidden');
+    }
+
+    /**
+     * Hide invoices modal
+     */
+    hideInvoicesModal() {
+        if (this.elements.invoicesModal) {
+            this.elements.invoicesModal.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Check if the invoices modal is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.elements.invoicesModal) && !this.elements.invoicesModal.classList.contains('hidden');
+    }
+
+    /**
+     * Offer the clients given to projects
+     * @param {string} selected - Client to keep selected
+     */
+    renderClientOptions(selected = '') {
+        if (!this.elements.invoiceClient) return;
+
+        const clients = this.dataService.billing.getClients();
+        this.elements.invoiceClient.innerHTML = `
+            <option value="">${clients.length > 0 ? 'Select client...' : 'Give a project a client first'}</option>
+            ${clients.map(client => `<option value="${escapeHTML(client)}">${escapeHTML(client)}</option>`).join('')}
+        `;
+        this.elements.invoiceClient.value = clients.includes(selected) ? selected : '';
+    }
+
+    /**
+     * Gather form data
+     * @returns {Object} - Invoice options
+     */
+    gatherFormData() {
+        return {
+            client: this.elements.invoiceClient?.value || '',
+            startDate: this.elements.invoiceStart?.value || '',
+            endDate: this.elements.invoiceEnd?.value || '',
+            taxRate: this.elements.invoiceTaxRate?.value || 0,
+            notes: this.elements.invoiceNotes?.value || ''
+        };
+    }
+
+    /**
+     * Show the invoice the form would issue
+     */
+    updatePreview() {
+        if (!this.elements.invoicePreview) return;
+
+        this.draft = null;
+        if (this.elements.issueInvoiceBtn) this.elements.issueInvoiceBtn.disabled = true;
+
+        let draft;
+        try {
+            draft = this.dataService.invoices.planInvoice(this.gatherFormData());
+        } catch (error) {
+            this.elements.invoicePreview.innerHTML = `<p class="form-hint">${escapeHTML(error.message.replace('Validation failed: ', ''))}</p>`;
+            return;
+        }
+
+        const money = amount => RateCard.formatMoney(amount, draft.currency);
+        const unratedHours = draft.unrated.reduce((sum, item) => sum + item.hours, 0);
+        const warnings = [
+            unratedHours > 0 ? `⚠️ ${unratedHours}h billable without a rate on ${[...new Set(draft.unrated.map(item => item.date))].join(', ')} - add a rate before issuing` : '',
+            draft.currencies.length > 1 ? `⚠️ Hours are charged in ${draft.currencies.join(' and ')} - invoice each currency's dates separately` : '',
+            draft.alreadyInvoicedHours > 0 ? `${draft.alreadyInvoicedHours}h in these dates are already on an invoice and are left out` : ''
+        ].filter(Boolean);
+
+        this.elements.invoicePreview.innerHTML = `
+            ${draft.lines.length > 0 ? `
+                <table class="invoice-lines">
+                    <thead>
+                        <tr><th>Charge Code</th><th>Description</th><th>Hours</th><th>Rate</th><th>Amount</th></tr>
+                    </thead>
+                    <tbody>
+                        ${draft.lines.map(line => `
+                            <tr>
+                                <td>${escapeHTML(line.chargeCode)}</td>
+                                <td>${escapeHTML(line.description)}</td>
+                                <td>${line.hours}</td>
+                                <td>${RateCard.formatMoney(line.rate, line.currency)}</td>
+                                <td>${RateCard.formatMoney(line.amount, line.currency)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${draft.currencies.length <= 1 ? `
+                    <p>Subtotal ${money(draft.subtotal)} · Tax (${draft.taxRate}%) ${money(draft.tax)} · <strong>Total ${money(draft.total)}</strong></p>
+                ` : ''}
+            ` : '<p class="form-hint">No billable hours to invoice for this client in these dates</p>'}
+            ${warnings.map(warning => `<p class="form-hint">${escapeHTML(warning)}</p>`).join('')}
+        `;
+
+        this.draft = draft;
+        if (this.elements.issueInvoiceBtn) {
+            this.elements.issueInvoiceBtn.disabled = draft.lines.length === 0 || unratedHours > 0 || draft.currencies.length > 1;
+        }
+    }
+
+    /**
+     * Issue the invoice in the preview
+     */
+    async issueInvoice() {
+        if (!this.draft) return;
+
+        // Notes don't change the lines, so they are read when issuing
+        const draft = { ...this.draft, notes: (this.elements.invoiceNotes?.value || '').trim() };
+        if (!confirm(`Issue an invoice to ${draft.client} for ${RateCard.formatMoney(draft.total, draft.currency)}? Issued invoices can't be changed.`)) {
+            return;
+        }
+
+        try {
+            const result = await this.dataService.invoices.issueInvoice(draft);
+            this.hideFormErrors();
+            if (this.elements.invoiceNotes) this.elements.invoiceNotes.value = '';
+            this.showToast(`🧾 ${result.message}`, {
+                label: 'Print',
+                handler: () => this.exportInvoice(result.invoice.id, 'pdf')
+            });
+            this.renderInvoices();
+            this.updatePreview();
+        } catch (error) {
+            console.error('Error issuing invoice:', error);
+            this.showFormErrors([error.message.replace('Validation failed: ', '')]);
+            this.updatePreview();
+        }
+    }
+
+    /**
+     * Render the list of issued invoices
+     */
+    renderInvoices() {
+        if (!this.elements.invoicesList) return;
+
+        const invoices = this.dataService.invoices.getInvoices();
+        this.elements.invoicesList.innerHTML = invoices.length > 0
+            ? invoices.map(invoice => `
+                <div class="entry-type-item" data-invoice-id="${invoice.id}">
+                    <div class="entry-type-item-details">
+                        <strong>${escapeHTML(invoice.describe())}</strong>
+                        <small>${invoice.startDate} to ${invoice.endDate} · issued ${new Date(invoice.issuedAt).toLocaleDateString()}</small>
+                    </div>
+                    <div class="entry-actions">
+                        <button class="btn btn--sm btn--outline" onclick="window.invoiceController.exportInvoice('${invoice.id}', 'pdf')">
+                            Print / PDF
+                        </button>
+                        <button class="btn btn--sm btn--outline" onclick="window.invoiceController.exportInvoice('${invoice.id}', 'html')">
+                            HTML
+                        </button>
+                    </div>
+                </div>
+            `).join('')
+            : '<div class="no-entries"><p>No invoices issued yet</p></div>';
+    }
+
+    /**
+     * Print or download an issued invoice
+     * @param {string} id - Invoice ID
+     * @param {string} format - 'pdf' or 'html'
+     */
+    async exportInvoice(id, format) {
+        const invoice = this.dataService.invoices.getInvoice(id);
+        if (!invoice) {
+            this.showToast('❌ Invoice not found');
+            return;
+        }
+
+        try {
+            const result = await this.exportService.exportInvoice(invoice, format);
+            this.showToast(`✅ ${result.message}`);
+        } catch (error) {
+            console.error('Error exporting invoice:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Show form errors
+     * @param {Array} errors - Error messages
+     */
+    showFormErrors(errors) {
+        if (this.elements.invoiceFormErrors) {
+            this.elements.invoiceFormErrors.innerHTML = errors.map(error => escapeHTML(error)).join('<br>');
+            this.elements.invoiceFormErrors.classList.add('show');
+        }
+    }
+
+    /**
+     * Hide form errors
+     */
+    hideFormErrors() {
+        if (this.elements.invoiceFormErrors) {
+            this.elements.invoiceFormErrors.innerHTML = '';
+            this.elements.invoiceFormErrors.classList.remove('show');
+        }
+    }
+
+    /**
+     * Show toast message
+     * @param {string} message - Message to show
+     * @param {Object} action - Optional toast action
+     */
+    showToast(message, action = null) {
+        document.dispatchEvent(new CustomEvent('app:toast', {
+            detail: { message, action }
+        }));
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+export default InvoiceController;
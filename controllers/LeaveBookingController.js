@@ -0,0 +1,428 @@
+// controllers/LeaveBookingController.js
+// Leave Booking Controller - Book, edit and cancel leave spanning several days
+
+import EntryType from '../models/EntryType.js';
+import escapeHTML from '../utils/html.js';
+
+class LeaveBookingController {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.elements = {};
+        this.eventListeners = [];
+        this.editingBooking = null; // Booking from LeaveBookingService.getBooking
+        this.selectedDate = null; // Last date picked in the calendar, used as the default first day
+
+        this.cacheElements();
+        this.initialize();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            bookLeaveBtn: document.getElementById('bookLeaveBtn'),
+            leaveBookingModal: document.getElementById('leaveBookingModal'),
+            leaveBookingModalTitle: document.getElementById('leaveBookingModalTitle'),
+            closeLeaveBookingModalBtn: document.getElementById('closeLeaveBookingModalBtn'),
+            leaveBookingStart: document.getElementById('leaveBookingStart'),
+            leaveBookingEnd: document.getElementById('leaveBookingEnd'),
+            leaveBookingType: document.getElementById('leaveBookingType'),
+            leaveBookingPeriodGroup: document.getElementById('leaveBookingPeriodGroup'),
+            leaveBookingPeriod: document.getElementById('leaveBookingPeriod'),
+            leaveBookingSkipWeekends: document.getElementById('leaveBookingSkipWeekends'),
+            leaveBookingSkipHolidays: document.getElementById('leaveBookingSkipHolidays'),
+            leaveBookingComments: document.getElementById('leaveBookingComments'),
+            leaveBookingPreview: document.getElementById('leaveBookingPreview'),
+            leaveBookingErrors: document.getElementById('leaveBookingErrors'),
+            saveLeaveBookingBtn: document.getElementById('saveLeaveBookingBtn'),
+            cancelLeaveBookingBtn: document.getElementById('cancelLeaveBookingBtn')
+        };
+    }
+
+    /**
+     * Initialize leave booking controller
+     */
+    initialize() {
+        this.setupEventListeners();
+        console.log('LeaveBookingController: Initialized successfully');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.bookLeaveBtn) {
+            this.addEventListenerWithCleanup(this.elements.bookLeaveBtn, 'click', () => {
+                this.showLeaveBookingModal();
+            });
+        }
+
+        if (this.elements.closeLeaveBookingModalBtn) {
+            this.addEventListenerWithCleanup(this.elements.closeLeaveBookingModalBtn, 'click', () => {
+                this.hideLeaveBookingModal();
+            });
+        }
+
+        if (this.elements.saveLeaveBookingBtn) {
+            this.addEventListenerWithCleanup(this.elements.saveLeaveBookingBtn, 'click', () => {
+                this.saveBooking();
+            });
+        }
+
+        if (this.elements.cancelLeaveBookingBtn) {
+            this.addEventListenerWithCleanup(this.elements.cancelLeaveBookingBtn, 'click', () => {
+                if (this.editingBooking) {
+                    this.cancelBooking(this.editingBooking.bookingId);
+                }
+            });
+        }
+
+        // Keep the preview in step with the form
+        ['leaveBookingStart', 'leaveBookingEnd', 'leaveBookingType', 'leaveBookingPeriod',
+            'leaveBookingSkipWeekends', 'leaveBookingSkipHolidays'].forEach(name => {
+            this.addEventListenerWithCleanup(this.elements[name], 'change', () => {
+                this.togglePeriodField();
+                this.updatePreview();
+            });
+        });
+
+        this.addEventListenerWithCleanup(document, 'calendar:dateSelected', (e) => {
+            this.selectedDate = e.detail.dateKey;
+        });
+
+        // Types, days off and allowances change what the booking covers
+        ['entryTypes:changed', 'workSchedule:changed', 'leaveEntitlements:changed'].forEach(eventName => {
+            this.addEventListenerWithCleanup(document, eventName, () => {
+                if (this.isOpen()) {
+                    this.updateTypeDropdown();
+                    this.updatePreview();
+                }
+            });
+        });
+
+        console.log('LeaveBookingController: Event listeners set up');
+    }
+
+    /**
+     * Add event listener with cleanup tracking
+     */
+    addEventListenerWithCleanup(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        }
+    }
+
+    /**
+     * Show the dialog for a new booking
+     */
+    showLeaveBookingModal() {
+        if (!this.elements.leaveBookingModal) return;
+
+        const startDate = this.selectedDate || new Date().toISOString().split('T')[0];
+        this.editingBooking = null;
+        this.updateTypeDropdown();
+
+        if (this.elements.leaveBookingStart) this.elements.leaveBookingStart.value = startDate;
+        if (this.elements.leaveBookingEnd) this.elements.leaveBookingEnd.value = startDate;
+        if (this.elements.leaveBookingType) this.elements.leaveBookingType.value = 'fullLeave';
+        if (this.elements.leaveBookingPeriod) this.elements.leaveBookingPeriod.value = 'morning';
+        if (this.elements.leaveBookingSkipWeekends) this.elements.leaveBookingSkipWeekends.checked = true;
+        if (this.elements.leaveBookingSkipHolidays) this.elements.leaveBookingSkipHolidays.checked = true;
+        if (this.elements.leaveBookingComments) this.elements.leaveBookingComments.value = '';
+
+        this.openModal('🏖️ Book Leave', 'Book Leave');
+    }
+
+    /**
+     * Show the dialog for an existing booking
+     * @param {string} bookingId - Booking ID
+     */
+    editBooking(bookingId) {
+        const booking = this.dataService.bookings.getBooking(bookingId);
+        if (!booking) {
+            this.showToast('❌ Booking not found');
+            return;
+        }
+
+        // Days edited on their own don't speak for the booking
+        const template = booking.entries.find(entry => !entry.seriesException) || booking.entries[0];
+        this.editingBooking = { ...booking, template };
+        this.updateTypeDropdown(template.type);
+
+        if (this.elements.leaveBookingStart) this.elements.leaveBookingStart.value = booking.booking.startDate;
+        if (this.elements.leaveBookingEnd) this.elements.leaveBookingEnd.value = booking.booking.endDate;
+        if (this.elements.leaveBookingType) this.elements.leaveBookingType.value = template.type;
+        if (this.elements.leaveBookingPeriod) this.elements.leaveBookingPeriod.value = template.halfDayPeriod || 'morning';
+        if (this.elements.leaveBookingSkipWeekends) this.elements.leaveBookingSkipWeekends.checked = booking.booking.skipWeekends;
+        if (this.elements.leaveBookingSkipHolidays) this.elements.leaveBookingSkipHolidays.checked = booking.booking.skipHolidays;
+        if (this.elements.leaveBookingComments) this.elements.leaveBookingComments.value = template.comments || '';
+
+        this.openModal('🏖️ Edit Leave Booking', 'Update Booking');
+    }
+
+    /**
+     * Open the dialog with the form filled in
+     * @param {string} title - Dialog title
+     * @param {string} saveLabel - Save button label
+     */
+    openModal(title, saveLabel) {
+        if (this.elements.leaveBookingModalTitle) this.elements.leaveBookingModalTitle.textContent = title;
+        if (this.elements.saveLeaveBookingBtn) this.elements.saveLeaveBookingBtn.textContent = saveLabel;
+        if (this.elements.cancelLeaveBookingBtn) {
+            this.elements.cancelLeaveBookingBtn.style.display = this.editingBooking ? 'inline-block' : 'none';
+        }
+
+        this.hideFormErrors();
+        this.togglePeriodField();
+        this.updatePreview();
+        this.elements.leaveBookingModal.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the dialog
+     */
+    hideLeaveBookingModal() {
+        if (this.elements.leaveBookingModal) {
+            this.elements.leaveBookingModal.classList.add('hidden');
+        }
+        this.editingBooking = null;
+    }
+
+    /**
+     * Check if the dialog is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.elements.leaveBookingModal) && !this.elements.leaveBookingModal.classList.contains('hidden');
+    }
+
+    /**
+     * Fill the leave type dropdown with the full and half day types
+     * @param {string} keepType - Type to keep offering even if it is now hourly or removed
+     */
+    updateTypeDropdown(keepType = null) {
+        const select = this.elements.leaveBookingType;
+        if (!select) return;
+
+        const current = keepType || select.value;
+        const types = EntryType.getAll().filter(type => !type.isHourly() || type.id === current);
+
+        select.innerHTML = types
+            .map(type => `<option value="${type.id}">${escapeHTML(type.icon)} ${escapeHTML(type.label)}</option>`)
+            .join('');
+
+        if (types.some(type => type.id === current)) {
+            select.value = current;
+        }
+    }
+
+    /**
+     * Show the period field for half day types
+     */
+    togglePeriodField() {
+        if (!this.elements.leaveBookingPeriodGroup) return;
+
+        const isHalfDay = EntryType.get(this.elements.leaveBookingType?.value)?.isHalfDay();
+        this.elements.leaveBookingPeriodGroup.style.display = isHalfDay ? 'block' : 'none';
+    }
+
+    /**
+     * Gather form data
+     * @returns {Object} - { entryData, bookingData }
+     */
+    gatherFormData() {
+        const type = this.elements.leaveBookingType?.value || '';
+
+        return {
+            entryData: {
+                type,
+                halfDayPeriod: EntryType.get(type)?.isHalfDay() ? (this.elements.leaveBookingPeriod?.value || 'morning') : '',
+                comments: this.elements.leaveBookingComments?.value?.trim() || '',
+                tags: this.editingBooking?.template.tags || []
+            },
+            bookingData: {
+                startDate: this.elements.leaveBookingStart?.value || '',
+                endDate: this.elements.leaveBookingEnd?.value || '',
+                skipWeekends: Boolean(this.elements.leaveBookingSkipWeekends?.checked),
+                skipHolidays: Boolean(this.elements.leaveBookingSkipHolidays?.checked)
+            }
+        };
+    }
+
+    /**
+     * Plan the booking in the form
+     * @returns {Object} - Plan from LeaveBookingService.planBooking
+     */
+    planBooking() {
+        const { entryData, bookingData } = this.gatherFormData();
+        return this.dataService.bookings.planBooking(entryData, bookingData, this.editingBooking?.bookingId || null);
+    }
+
+    /**
+     * Show which days the booking covers, skips and clashes with
+     */
+    updatePreview() {
+        if (!this.elements.leaveBookingPreview) return;
+
+        let plan;
+        try {
+            plan = this.planBooking();
+            this.hideFormErrors();
+        } catch (error) {
+            this.elements.leaveBookingPreview.innerHTML = '';
+            this.showFormErrors([error.message.replace('Validation failed: ', '')]);
+            return;
+        }
+
+        const bookable = plan.occurrences.length - plan.conflicts.length;
+        const weekends = plan.skipped.filter(day => day.reason === 'weekend').length;
+        const holidays = plan.skipped.filter(day => day.reason === 'holiday').length;
+        const skippedParts = [
+            weekends ? `${weekends} ${weekends === 1 ? 'day' : 'days'} off` : '',
+            holidays ? `${holidays} ${holidays === 1 ? 'holiday' : 'holidays'}` : ''
+        ].filter(Boolean);
+
+        // Days kept from the booking being edited are already counted
+        const conflictDates = new Set(plan.conflicts.map(conflict => conflict.date));
+        const newDays = plan.occurrences.filter(occurrence => !occurrence.seriesException && !conflictDates.has(occurrence.date));
+        const replacedIds = (this.editingBooking?.entries || []).filter(entry => !entry.seriesException).map(entry => entry.id);
+        const balance = this.dataService.leaveBalances.previewLeave(
+            this.gatherFormData().entryData.type, newDays.map(occurrence => occurrence.date), replacedIds
+        );
+
+        this.elements.leaveBookingPreview.innerHTML = `
+            <p><strong>📅 ${bookable} ${bookable === 1 ? 'day' : 'days'} of leave</strong> (${escapeHTML(plan.booking.describe())})</p>
+            ${skippedParts.length ? `<p class="form-hint">Skipping ${skippedParts.join(' and ')}</p>` : ''}
+            ${balance ? `
+                <p class="form-hint leave-balance-notice ${balance.available < 0 ? 'leave-balance-notice--over' : ''}">
+                    ${balance.available < 0 ? '⚠️ This takes you over your allowance - ' : ''}${escapeHTML(this.dataService.leaveBalances.describeBalance(balance))}${balance.available < 0 ? '' : ' after this booking'}
+                </p>
+            ` : ''}
+            ${plan.removed.length ? `<p class="form-hint">${plan.removed.length} ${plan.removed.length === 1 ? 'day' : 'days'} no longer covered will move to the trash</p>` : ''}
+            ${plan.conflicts.length ? `
+                <div class="leave-booking-conflicts">
+                    <p>⚠️ ${plan.conflicts.length} ${plan.conflicts.length === 1 ? 'day clashes' : 'days clash'} with existing entries and won't be booked:</p>
+                    <ul>
+                        ${plan.conflicts.map(conflict => `
+                            <li><strong>${conflict.date}</strong>: ${conflict.entries.map(name => escapeHTML(name)).join(', ')}</li>
+                        `).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Book the leave in the form, or save changes to the booking being edited
+     */
+    async saveBooking() {
+        try {
+            const plan = this.planBooking();
+            const isNew = !this.editingBooking;
+
+            if (plan.conflicts.length > 0 && plan.conflicts.length < plan.occurrences.length &&
+                !confirm(`${plan.conflicts.length} of ${plan.occurrences.length} days clash with existing entries and will be skipped.\n\nBook the rest?`)) {
+                return;
+            }
+
+            const result = await this.dataService.bookings.saveBooking(plan, isNew);
+            this.hideLeaveBookingModal();
+            this.dataService.dispatchDataEvent('updated');
+            this.showToast(`✅ ${result.message}`, this.getUndoAction());
+        } catch (error) {
+            console.error('Error saving leave booking:', error);
+            this.showFormErrors([error.message.replace('Validation failed: ', '')]);
+        }
+    }
+
+    /**
+     * Move every day of a booking to the trash
+     * @param {string} bookingId - Booking ID
+     */
+    async cancelBooking(bookingId) {
+        const booking = this.dataService.bookings.getBooking(bookingId);
+        if (!booking) {
+            this.showToast('❌ Booking not found');
+            return;
+        }
+
+        const count = booking.entries.length;
+        if (!confirm(`Cancel this leave booking (${booking.booking.describe()}) and move its ${count} ${count === 1 ? 'day' : 'days'} to the trash?`)) {
+            return;
+        }
+
+        try {
+            const result = await this.dataService.bookings.cancelBooking(bookingId);
+            if (this.editingBooking?.bookingId === bookingId) {
+                this.hideLeaveBookingModal();
+            }
+            this.dataService.dispatchDataEvent('updated');
+            this.showToast(`🗑️ ${result.message}`, this.getUndoAction());
+        } catch (error) {
+            console.error('Error cancelling leave booking:', error);
+            this.showToast('❌ Failed to cancel booking');
+        }
+    }
+
+    /**
+     * Show form errors
+     * @param {Array} errors - Error messages
+     */
+    showFormErrors(errors) {
+        if (this.elements.leaveBookingErrors) {
+            this.elements.leaveBookingErrors.innerHTML = errors.map(error => escapeHTML(error)).join('<br>');
+            this.elements.leaveBookingErrors.classList.add('show');
+        }
+    }
+
+    /**
+     * Hide form errors
+     */
+    hideFormErrors() {
+        if (this.elements.leaveBookingErrors) {
+            this.elements.leaveBookingErrors.innerHTML = '';
+            this.elements.leaveBookingErrors.classList.remove('show');
+        }
+    }
+
+    /**
+     * Show toast message
+     * @param {string} message - Message to show
+     * @param {Object} action - Optional toast button { label, handler }
+     */
+    showToast(message, action = null) {
+        document.dispatchEvent(new CustomEvent('app:toast', {
+            detail: { message, action }
+        }));
+    }
+
+    /**
+     * Get an Undo toast action for the change just made
+     * @returns {Object|null} - Toast action
+     */
+    getUndoAction() {
+        const command = this.dataService.history.peekUndo();
+        if (!command) return null;
+
+        return {
+            label: 'Undo',
+            handler: () => document.dispatchEvent(new CustomEvent('app:undo', {
+                detail: { commandId: command.id }
+            }))
+        };
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+export default LeaveBookingController;
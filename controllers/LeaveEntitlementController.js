@@ -0,0 +1,367 @@
+// controllers/LeaveEntitlementController.js
+// Leave Entitlement Controller - Manage the yearly leave allowances of the signed-in user
+
+import EntryType from '../models/EntryType.js';
+import escapeHTML from '../utils/html.js';
+
+class LeaveEntitlementController {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.elements = {};
+        this.eventListeners = [];
+        this.editingEntitlement = null;
+
+        this.cacheElements();
+        this.initialize();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            leaveEntitlementsBtn: document.getElementById('leaveEntitlementsBtn'),
+            leaveEntitlementsModal: document.getElementById('leaveEntitlementsModal'),
+            closeLeaveEntitlementsModalBtn: document.getElementById('closeLeaveEntitlementsModalBtn'),
+            leaveEntitlementFormTitle: document.getElementById('leaveEntitlementFormTitle'),
+            leaveEntitlementLabel: document.getElementById('leaveEntitlementLabel'),
+            leaveEntitlementDays: document.getElementById('leaveEntitlementDays'),
+            leaveEntitlementAccrual: document.getElementById('leaveEntitlementAccrual'),
+            leaveEntitlementCarryOver: document.getElementById('leaveEntitlementCarryOver'),
+            leaveEntitlementResetMonth: document.getElementById('leaveEntitlementResetMonth'),
+            leaveEntitlementResetDay: document.getElementById('leaveEntitlementResetDay'),
+            leaveEntitlementTypes: document.getElementById('leaveEntitlementTypes'),
+            leaveEntitlementFormErrors: document.getElementById('leaveEntitlementFormErrors'),
+            saveLeaveEntitlementBtn: document.getElementById('saveLeaveEntitlementBtn'),
+            cancelLeaveEntitlementBtn: document.getElementById('cancelLeaveEntitlementBtn'),
+            leaveEntitlementsList: document.getElementById('leaveEntitlementsList')
+        };
+    }
+
+    /**
+     * Initialize leave entitlement controller
+     */
+    initialize() {
+        this.renderMonths();
+        this.setupEventListeners();
+        console.log('LeaveEntitlementController: Initialized successfully');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.leaveEntitlementsBtn) {
+            this.addEventListenerWithCleanup(this.elements.leaveEntitlementsBtn, 'click', () => {
+                this.showLeaveEntitlementsModal();
+            });
+        }
+
+        if (this.elements.closeLeaveEntitlementsModalBtn) {
+            this.addEventListenerWithCleanup(this.elements.closeLeaveEntitlementsModalBtn, 'click', () => {
+                this.hideLeaveEntitlementsModal();
+            });
+        }
+
+        if (this.elements.saveLeaveEntitlementBtn) {
+            this.addEventListenerWithCleanup(this.elements.saveLeaveEntitlementBtn, 'click', () => {
+                this.saveEntitlement();
+            });
+        }
+
+        if (this.elements.cancelLeaveEntitlementBtn) {
+            this.addEventListenerWithCleanup(this.elements.cancelLeaveEntitlementBtn, 'click', () => {
+                this.resetForm();
+            });
+        }
+
+        // Allowances changed in another tab, leave types changed, or leave was logged
+        ['leaveEntitlements:changed', 'entryTypes:changed', 'data:updated'].forEach(eventName => {
+            this.addEventListenerWithCleanup(document, eventName, () => {
+                if (this.isOpen()) {
+                    this.renderEntitlements();
+                    this.renderTypeOptions(this.getCheckedTypes());
+                }
+            });
+        });
+
+        console.log('LeaveEntitlementController: Event listeners set up');
+    }
+
+    /**
+     * Add event listener with cleanup tracking
+     */
+    addEventListenerWithCleanup(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        }
+    }
+
+    /**
+     * Show leave entitlements modal
+     */
+    showLeaveEntitlementsModal() {
+        if (this.elements.leaveEntitlementsModal) {
+            this.resetForm();
+            this.renderEntitlements();
+            this.elements.leaveEntitlementsModal.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Hide leave entitlements modal
+     */
+    hideLeaveEntitlementsModal() {
+        if (this.elements.leaveEntitlementsModal) {
+            this.elements.leaveEntitlementsModal.classList.add('hidden');
+            this.resetForm();
+        }
+    }
+
+    /**
+     * Check if the leave entitlements modal is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.elements.leaveEntitlementsModal) && !this.elements.leaveEntitlementsModal.classList.contains('hidden');
+    }
+
+    /**
+     * Offer the months a leave year can start in
+     */
+    renderMonths() {
+        if (!this.elements.leaveEntitlementResetMonth) return;
+
+        for (let month = 1; month <= 12; month++) {
+            const option = document.createElement('option');
+            option.value = month;
+            option.textContent = new Date(Date.UTC(2023, month - 1, 1)).toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' });
+            this.elements.leaveEntitlementResetMonth.appendChild(option);
+        }
+    }
+
+    /**
+     * Render a checkbox per full or half day leave type
+     * Types already drawing on another allowance can't be picked.
+     * @param {Array} checkedTypes - Type IDs to tick
+     */
+    renderTypeOptions(checkedTypes = []) {
+        if (!this.elements.leaveEntitlementTypes) return;
+
+        const types = EntryType.getAll().filter(type =>
+            type.category === 'leave' && type.granularity !== 'hourly' && !type.usesToil
+        );
+
+        this.elements.leaveEntitlementTypes.innerHTML = types.map(type => {
+            const other = this.dataService.leaveBalances.getEntitlementForType(type.id);
+            const takenElsewhere = other && other.id !== this.editingEntitlement?.id;
+            return `
+                <label ${takenElsewhere ? `title="Draws on ${escapeHTML(other.label)}"` : ''}>
+                    <input type="checkbox" value="${type.id}" ${checkedTypes.includes(type.id) ? 'checked' : ''} ${takenElsewhere ? 'disabled' : ''}>
+                    ${escapeHTML(type.icon)} ${escapeHTML(type.label)}
+                </label>
+            `;
+        }).join('') || '<small class="form-hint">Add a full or half day leave type first</small>';
+    }
+
+    /**
+     * Get the ticked leave types
+     * @returns {Array} - Type IDs
+     */
+    getCheckedTypes() {
+        return [...(this.elements.leaveEntitlementTypes?.querySelectorAll('input:checked') || [])].map(input => input.value);
+    }
+
+    /**
+     * Render the list of allowances with this year's balances
+     */
+    renderEntitlements() {
+        if (!this.elements.leaveEntitlementsList) return;
+
+        const balances = this.dataService.leaveBalances.getBalances();
+        this.elements.leaveEntitlementsList.innerHTML = balances.length > 0
+            ? balances.map(balance => this.createEntitlementHTML(balance)).join('')
+            : '<div class="no-entries"><p>No leave allowances yet</p></div>';
+    }
+
+    /**
+     * Create HTML for an allowance
+     * @param {Object} balance - Balance of the allowance this leave year
+     * @returns {string} - HTML string
+     */
+    createEntitlementHTML(balance) {
+        const { entitlement } = balance;
+        const typeLabels = entitlement.types.map(typeId => EntryType.resolve(typeId).label).join(', ');
+
+        return `
+            <div class="entry-type-item" data-entitlement-id="${entitlement.id}">
+                <div class="entry-type-item-details">
+                    <strong>${escapeHTML(entitlement.label)}</strong>
+                    <small>${escapeHTML(entitlement.describe())}</small>
+                    <small>${escapeHTML(typeLabels)} · ${balance.available} ${balance.available === 1 ? 'day' : 'days'} left this leave year</small>
+                </div>
+                <div class="entry-actions">
+                    <button class="btn btn--sm btn--outline" onclick="window.leaveEntitlementController.editEntitlement('${entitlement.id}')">
+                        Edit
+                    </button>
+                    <button class="btn btn--sm btn--outline" onclick="window.leaveEntitlementController.deleteEntitlement('${entitlement.id}')"
+                        style="color: var(--color-error)">
+                        Delete
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Gather form data
+     * @returns {Object} - Entitlement fields
+     */
+    gatherFormData() {
+        return {
+            label: this.elements.leaveEntitlementLabel?.value?.trim() || '',
+            daysPerYear: this.elements.leaveEntitlementDays?.value || 0,
+            accrual: this.elements.leaveEntitlementAccrual?.value || 'upfront',
+            carryOverMax: this.elements.leaveEntitlementCarryOver?.value || 0,
+            resetMonth: this.elements.leaveEntitlementResetMonth?.value || 1,
+            resetDay: this.elements.leaveEntitlementResetDay?.value || 1,
+            types: this.getCheckedTypes()
+        };
+    }
+
+    /**
+     * Add a new allowance or save the one being edited
+     */
+    saveEntitlement() {
+        try {
+            const entitlementData = this.gatherFormData();
+            if (this.editingEntitlement) {
+                entitlementData.id = this.editingEntitlement.id;
+            }
+
+            const result = this.dataService.leaveBalances.saveEntitlement(entitlementData);
+            this.showToast(`✅ ${result.message}`);
+            this.resetForm();
+            this.renderEntitlements();
+        } catch (error) {
+            console.error('Error saving leave entitlement:', error);
+            this.showFormErrors(error.message.replace('Validation failed: ', '').split(', '));
+        }
+    }
+
+    /**
+     * Load an allowance into the form for editing
+     * @param {string} id - Entitlement ID
+     */
+    editEntitlement(id) {
+        const entitlement = this.dataService.leaveBalances.getEntitlement(id);
+        if (!entitlement) {
+            this.showToast('❌ Leave allowance not found');
+            return;
+        }
+
+        this.editingEntitlement = entitlement;
+        this.hideFormErrors();
+
+        if (this.elements.leaveEntitlementLabel) this.elements.leaveEntitlementLabel.value = entitlement.label;
+        if (this.elements.leaveEntitlementDays) this.elements.leaveEntitlementDays.value = entitlement.daysPerYear;
+        if (this.elements.leaveEntitlementAccrual) this.elements.leaveEntitlementAccrual.value = entitlement.accrual;
+        if (this.elements.leaveEntitlementCarryOver) this.elements.leaveEntitlementCarryOver.value = entitlement.carryOverMax;
+        if (this.elements.leaveEntitlementResetMonth) this.elements.leaveEntitlementResetMonth.value = entitlement.resetMonth;
+        if (this.elements.leaveEntitlementResetDay) this.elements.leaveEntitlementResetDay.value = entitlement.resetDay;
+        this.renderTypeOptions(entitlement.types);
+
+        if (this.elements.leaveEntitlementFormTitle) this.elements.leaveEntitlementFormTitle.textContent = `Edit ${entitlement.label}`;
+        if (this.elements.saveLeaveEntitlementBtn) this.elements.saveLeaveEntitlementBtn.textContent = 'Update Allowance';
+        if (this.elements.cancelLeaveEntitlementBtn) this.elements.cancelLeaveEntitlementBtn.style.display = 'inline-block';
+    }
+
+    /**
+     * Remove an allowance
+     * @param {string} id - Entitlement ID
+     */
+    deleteEntitlement(id) {
+        const entitlement = this.dataService.leaveBalances.getEntitlement(id);
+        if (!entitlement || !confirm(`Remove the leave allowance "${entitlement.label}"? Leave already logged is kept.`)) {
+            return;
+        }
+
+        try {
+            const result = this.dataService.leaveBalances.deleteEntitlement(id);
+            this.showToast(`🗑️ ${result.message}`);
+            if (this.editingEntitlement?.id === id) {
+                this.resetForm();
+            }
+        } catch (error) {
+            console.error('Error removing leave entitlement:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+
+        this.renderEntitlements();
+    }
+
+    /**
+     * Reset the form to adding a new allowance
+     */
+    resetForm() {
+        this.editingEntitlement = null;
+
+        if (this.elements.leaveEntitlementLabel) this.elements.leaveEntitlementLabel.value = '';
+        if (this.elements.leaveEntitlementDays) this.elements.leaveEntitlementDays.value = '';
+        if (this.elements.leaveEntitlementAccrual) this.elements.leaveEntitlementAccrual.value = 'upfront';
+        if (this.elements.leaveEntitlementCarryOver) this.elements.leaveEntitlementCarryOver.value = 0;
+        if (this.elements.leaveEntitlementResetMonth) this.elements.leaveEntitlementResetMonth.value = 1;
+        if (this.elements.leaveEntitlementResetDay) this.elements.leaveEntitlementResetDay.value = 1;
+        this.renderTypeOptions();
+
+        if (this.elements.leaveEntitlementFormTitle) this.elements.leaveEntitlementFormTitle.textContent = 'Add Allowance';
+        if (this.elements.saveLeaveEntitlementBtn) this.elements.saveLeaveEntitlementBtn.textContent = 'Add Allowance';
+        if (this.elements.cancelLeaveEntitlementBtn) this.elements.cancelLeaveEntitlementBtn.style.display = 'none';
+
+        this.hideFormErrors();
+    }
+
+    /**
+     * Show form errors
+     * @param {Array} errors - Error messages
+     */
+    showFormErrors(errors) {
+        if (this.elements.leaveEntitlementFormErrors) {
+            this.elements.leaveEntitlementFormErrors.innerHTML = errors.map(error => escapeHTML(error)).join('<br>');
+            this.elements.leaveEntitlementFormErrors.classList.add('show');
+        }
+    }
+
+    /**
+     * Hide form errors
+     */
+    hideFormErrors() {
+        if (this.elements.leaveEntitlementFormErrors) {
+            this.elements.leaveEntitlementFormErrors.innerHTML = '';
+            this.elements.leaveEntitlementFormErrors.classList.remove('show');
+        }
+    }
+
+    /**
+     * Show toast message
+     * @param {string} message - Message to show
+     */
+    showToast(message) {
+        document.dispatchEvent(new CustomEvent('app:toast', {
+            detail: { message }
+        }));
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+export default LeaveEntitlementController;
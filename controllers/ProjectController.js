@@ -1,6 +1,9 @@
 // controllers/ProjectController.js
 // Project Controller - Manages project creation, editing, and deletion
 
+import Project from '../models/Project.js';
+import escapeHTML from '../utils/html.js';
+
 class ProjectController {
     constructor(dataService) {
         this.dataService = dataService;
@@ -28,6 +31,9 @@ class ProjectController {
             newSubCode: document.getElementById('newSubCode'),
             newProjectTitle: document.getElementById('newProjectTitle'),
             newProjectCategory: document.getElementById('newProjectCategory'),
+            newProjectClient: document.getElementById('newProjectClient'),
+            projectClientOptions: document.getElementById('projectClientOptions'),
+            newProjectBillable: document.getElementById('newProjectBillable'),
             addProjectBtn: document.getElementById('addProjectBtn'),
             cancelProjectBtn: document.getElementById('cancelProjectBtn'),
             
@@ -87,6 +93,15 @@ class ProjectController {
             });
         }
 
+        // New overhead projects start out non-billable
+        if (this.elements.newProjectCategory) {
+            this.addEventListenerWithCleanup(this.elements.newProjectCategory, 'change', () => {
+                if (!this.editingProject && this.elements.newProjectBillable) {
+                    this.elements.newProjectBillable.checked = Project.isBillable({ category: this.elements.newProjectCategory.value });
+                }
+            });
+        }
+
         // Search and filter
         if (this.elements.projectSearch) {
             this.addEventListenerWithCleanup(this.elements.projectSearch, 'input', () => {
@@ -138,6 +153,7 @@ class ProjectController {
      */
     showProjectModal() {
         if (this.elements.projectModal) {
+            this.updateClientOptions();
             this.elements.projectModal.classList.remove('hidden');
             this.renderProjectsList();
             this.clearForm();
@@ -191,7 +207,7 @@ class ProjectController {
      */
     async addProject(projectData) {
         await this.dataService.addProject(projectData);
-        this.showToast('✅ Project added successfully');
+        this.showToast('✅ Project added successfully', this.getUndoAction());
         
         // Dispatch event
         document.dispatchEvent(new CustomEvent('projects:updated'));
@@ -203,7 +219,7 @@ class ProjectController {
      */
     async updateProject(projectData) {
         await this.dataService.updateProject(this.editingProject.id, projectData);
-        this.showToast('✅ Project updated successfully');
+        this.showToast('✅ Project updated successfully', this.getUndoAction());
         this.cancelEdit();
         
         // Dispatch event
@@ -238,6 +254,8 @@ class ProjectController {
         if (this.elements.newSubCode) this.elements.newSubCode.value = project.subCode || '';
         if (this.elements.newProjectTitle) this.elements.newProjectTitle.value = project.projectTitle || '';
         if (this.elements.newProjectCategory) this.elements.newProjectCategory.value = project.category || '';
+        if (this.elements.newProjectClient) this.elements.newProjectClient.value = project.client || '';
+        if (this.elements.newProjectBillable) this.elements.newProjectBillable.checked = Project.isBillable(project);
     }
 
     /**
@@ -274,7 +292,7 @@ class ProjectController {
             return;
         }
 
-        const confirmMessage = `Are you sure you want to delete project "${project.projectTitle}"?\n\nThis action cannot be undone.`;
+        const confirmMessage = `Move project "${project.projectTitle}" to the trash?`;
         if (!confirm(confirmMessage)) {
             return;
         }
@@ -283,7 +301,7 @@ class ProjectController {
             await this.dataService.deleteProject(projectId);
             this.renderProjectsList();
             this.updateProjectDropdown();
-            this.showToast('✅ Project deleted successfully');
+            this.showToast('🗑️ Project moved to trash', this.getUndoAction());
             
             // Dispatch event
             document.dispatchEvent(new CustomEvent('projects:updated'));
@@ -316,7 +334,7 @@ class ProjectController {
             this.updateProjectDropdown();
             
             const status = project.isActive ? 'deactivated' : 'activated';
-            this.showToast(`✅ Project ${status} successfully`);
+            this.showToast(`✅ Project ${status} successfully`, this.getUndoAction());
             
             // Dispatch event
             document.dispatchEvent(new CustomEvent('projects:updated'));
@@ -345,7 +363,9 @@ class ProjectController {
             projectId: this.elements.newProjectId?.value?.trim() || '',
             subCode: this.elements.newSubCode?.value?.trim() || '',
             projectTitle: this.elements.newProjectTitle?.value?.trim() || '',
-            category: this.elements.newProjectCategory?.value || ''
+            category: this.elements.newProjectCategory?.value || '',
+            client: this.elements.newProjectClient?.value?.trim() || '',
+            billable: this.elements.newProjectBillable ? this.elements.newProjectBillable.checked : true
         };
     }
 
@@ -378,6 +398,9 @@ class ProjectController {
         if (projectData.subCode && !/^[A-Z0-9]+$/i.test(projectData.subCode)) {
             errors.push('Sub code can only contain letters and numbers');
         }
+        if (projectData.client.length > 100) {
+            errors.push('Client cannot exceed 100 characters');
+        }
 
         // Check for duplicates (only when adding new project)
         if (!this.editingProject) {
@@ -454,6 +477,9 @@ class ProjectController {
                             <span class="project-status">
                                 ${statusIcon} ${project.isActive ? 'Active' : 'Inactive'}
                             </span>
+                            <span class="project-billing">
+                                ${Project.isBillable(project) ? '💷 Billable' : 'Non-billable'}${project.client ? ` · ${escapeHTML(project.client)}` : ''}
+                            </span>
                         </div>
                     </div>
                     <div class="project-actions">
@@ -493,6 +519,17 @@ class ProjectController {
         return categories[category] || { icon: '📂', color: '#6b7280' };
     }
 
+    /**
+     * Suggest the clients already given to projects
+     */
+    updateClientOptions() {
+        if (!this.elements.projectClientOptions) return;
+
+        this.elements.projectClientOptions.innerHTML = this.dataService.billing.getClients()
+            .map(client => `<option value="${escapeHTML(client)}"></option>`)
+            .join('');
+    }
+
     /**
      * Update projects count display
      * @param {number} count - Number of projects
@@ -579,6 +616,8 @@ class ProjectController {
         if (this.elements.newSubCode) this.elements.newSubCode.value = '';
         if (this.elements.newProjectTitle) this.elements.newProjectTitle.value = '';
         if (this.elements.newProjectCategory) this.elements.newProjectCategory.value = '';
+        if (this.elements.newProjectClient) this.elements.newProjectClient.value = '';
+        if (this.elements.newProjectBillable) this.elements.newProjectBillable.checked = true;
 
         // Reset UI state
         if (this.elements.addProjectBtn) this.elements.addProjectBtn.textContent = 'Add Project';
@@ -611,14 +650,31 @@ class ProjectController {
     /**
      * Show toast message
      * @param {string} message - Message to show
+     * @param {Object} action - Optional toast button { label, handler }
      */
-    showToast(message) {
+    showToast(message, action = null) {
         const event = new CustomEvent('app:toast', {
-            detail: { message }
+            detail: { message, action }
         });
         document.dispatchEvent(event);
     }
 
+    /**
+     * Get an Undo toast action for the change just made
+     * @returns {Object|null} - Toast action
+     */
+    getUndoAction() {
+        const command = this.dataService.history.peekUndo();
+        if (!command) return null;
+
+        return {
+            label: 'Undo',
+            handler: () => document.dispatchEvent(new CustomEvent('app:undo', {
+                detail: { commandId: command.id }
+            }))
+        };
+    }
+
     /**
      * Get all projects
      * @returns {Array} - Array of projects
@@ -641,7 +697,7 @@ class ProjectController {
      */
     exportProjectsToCSV() {
         const projects = this.dataService.getProjects();
-        const headers = ['Project ID', 'Sub Code', 'Project Title', 'Category', 'Usage Count', 'Is Active', 'Created At'];
+        const headers = ['Project ID', 'Sub Code', 'Project Title', 'Category', 'Client', 'Billable', 'Usage Count', 'Is Active', 'Created At'];
         
         const csvRows = [headers.join(',')];
         
@@ -651,6 +707,8 @@ class ProjectController {
                 project.subCode,
                 `"${project.projectTitle.replace(/"/g, '""')}"`,
                 project.category,
+                `"${(project.client || '').replace(/"/g, '""')}"`,
+                Project.isBillable(project) ? 'Yes' : 'No',
                 project.usageCount || 0,
                 project.isActive ? 'Yes' : 'No',
                 project.createdAt ? new Date(project.createdAt).toLocaleDateString() : ''
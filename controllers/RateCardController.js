@@ -0,0 +1,354 @@
+// controllers/RateCardController.js
+// Rate Card Controller - Manage the hourly rates charged for projects and clients
+
+import RateCard from '../models/RateCard.js';
+import escapeHTML from '../utils/html.js';
+
+class RateCardController {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.elements = {};
+        this.eventListeners = [];
+        this.editingRateCard = null;
+
+        this.cacheElements();
+        this.initialize();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            rateCardsBtn: document.getElementById('rateCardsBtn'),
+            rateCardsModal: document.getElementById('rateCardsModal'),
+            closeRateCardsModalBtn: document.getElementById('closeRateCardsModalBtn'),
+            rateCardFormTitle: document.getElementById('rateCardFormTitle'),
+            rateCardScope: document.getElementById('rateCardScope'),
+            rateCardTargetLabel: document.getElementById('rateCardTargetLabel'),
+            rateCardTarget: document.getElementById('rateCardTarget'),
+            rateCardRate: document.getElementById('rateCardRate'),
+            rateCardCurrency: document.getElementById('rateCardCurrency'),
+            rateCardFrom: document.getElementById('rateCardFrom'),
+            rateCardTo: document.getElementById('rateCardTo'),
+            rateCardFormErrors: document.getElementById('rateCardFormErrors'),
+            saveRateCardBtn: document.getElementById('saveRateCardBtn'),
+            cancelRateCardBtn: document.getElementById('cancelRateCardBtn'),
+            rateCardsList: document.getElementById('rateCardsList')
+        };
+    }
+
+    /**
+     * Initialize rate card controller
+     */
+    initialize() {
+        this.setupEventListeners();
+        console.log('RateCardController: Initialized successfully');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.rateCardsBtn) {
+            this.addEventListenerWithCleanup(this.elements.rateCardsBtn, 'click', () => {
+                this.showRateCardsModal();
+            });
+        }
+
+        if (this.elements.closeRateCardsModalBtn) {
+            this.addEventListenerWithCleanup(this.elements.closeRateCardsModalBtn, 'click', () => {
+                this.hideRateCardsModal();
+            });
+        }
+
+        if (this.elements.rateCardScope) {
+            this.addEventListenerWithCleanup(this.elements.rateCardScope, 'change', () => {
+                this.renderTargetOptions();
+            });
+        }
+
+        if (this.elements.saveRateCardBtn) {
+            this.addEventListenerWithCleanup(this.elements.saveRateCardBtn, 'click', () => {
+                this.saveRateCard();
+            });
+        }
+
+        if (this.elements.cancelRateCardBtn) {
+            this.addEventListenerWithCleanup(this.elements.cancelRateCardBtn, 'click', () => {
+                this.resetForm();
+            });
+        }
+
+        // Rates changed in another tab, or projects and their clients changed
+        ['rateCards:changed', 'projects:updated', 'data:updated'].forEach(eventName => {
+            this.addEventListenerWithCleanup(document, eventName, () => {
+                if (this.isOpen()) {
+                    this.renderRateCards();
+                    this.renderTargetOptions(this.elements.rateCardTarget?.value);
+                }
+            });
+        });
+
+        console.log('RateCardController: Event listeners set up');
+    }
+
+    /**
+     * Add event listener with cleanup tracking
+     */
+    addEventListenerWithCleanup(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        }
+    }
+
+    /**
+     * Show rate cards modal
+     */
+    showRateCardsModal() {
+        if (this.elements.rateCardsModal) {
+            this.resetForm();
+            this.renderRateCards();
+            this.elements.rateCardsModal.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Hide rate cards modal
+     */
+    hideRateCardsModal() {
+        if (this.elements.rateCardsModal) {
+            this.elements.rateCardsModal.classList.add('hidden');
+            this.resetForm();
+        }
+    }
+
+    /**
+     * Check if the rate cards modal is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.elements.rateCardsModal) && !this.elements.rateCardsModal.classList.contains('hidden');
+    }
+
+    /**
+     * Offer the projects or clients a rate can be for
+     * @param {string} selected - Value to keep selected
+     */
+    renderTargetOptions(selected = '') {
+        if (!this.elements.rateCardTarget) return;
+
+        const scope = this.elements.rateCardScope?.value || 'project';
+        const options = scope === 'client'
+            ? this.dataService.billing.getClients().map(client => ({ value: client, label: client }))
+            : this.dataService.getProjects().map(project => ({
+                value: `${project.projectId}-${project.subCode}`,
+                label: `${project.projectId} ${project.subCode} - ${project.projectTitle}`
+            }));
+
+        // A rate may outlive its project or client
+        if (selected && !options.some(option => option.value === selected)) {
+            options.unshift({ value: selected, label: selected });
+        }
+
+        this.elements.rateCardTarget.innerHTML = `
+            <option value="">${scope === 'client' ? (options.length > 0 ? 'Select client...' : 'Give a project a client first') : 'Select project...'}</option>
+            ${options.map(option => `<option value="${escapeHTML(option.value)}">${escapeHTML(option.label)}</option>`).join('')}
+        `;
+        this.elements.rateCardTarget.value = selected;
+
+        if (this.elements.rateCardTargetLabel) {
+            this.elements.rateCardTargetLabel.textContent = `${RateCard.scopes[scope]} *`;
+        }
+    }
+
+    /**
+     * Render the list of rate cards
+     */
+    renderRateCards() {
+        if (!this.elements.rateCardsList) return;
+
+        const rateCards = this.dataService.billing.getRateCards();
+        this.elements.rateCardsList.innerHTML = rateCards.length > 0
+            ? rateCards.map(rateCard => this.createRateCardHTML(rateCard)).join('')
+            : '<div class="no-entries"><p>No rates yet</p></div>';
+    }
+
+    /**
+     * Create HTML for a rate card
+     * @param {RateCard} rateCard - Rate card
+     * @returns {string} - HTML string
+     */
+    createRateCardHTML(rateCard) {
+        const today = new Date().toISOString().split('T')[0];
+
+        return `
+            <div class="entry-type-item" data-rate-card-id="${rateCard.id}">
+                <div class="entry-type-item-details">
+                    <strong>${escapeHTML(this.dataService.billing.describeTarget(rateCard))}</strong>
+                    <small>${escapeHTML(rateCard.describe())}${rateCard.coversDate(today) ? ' · current' : ''}</small>
+                </div>
+                <div class="entry-actions">
+                    <button class="btn btn--sm btn--outline" onclick="window.rateCardController.editRateCard('${rateCard.id}')">
+                        Edit
+                    </button>
+                    <button class="btn btn--sm btn--outline" onclick="window.rateCardController.deleteRateCard('${rateCard.id}')"
+                        style="color: var(--color-error)">
+                        Delete
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Gather form data
+     * @returns {Object} - Rate card fields
+     */
+    gatherFormData() {
+        return {
+            scope: this.elements.rateCardScope?.value || 'project',
+            target: this.elements.rateCardTarget?.value || '',
+            rate: this.elements.rateCardRate?.value ?? '',
+            currency: this.elements.rateCardCurrency?.value?.trim() || RateCard.defaultCurrency,
+            effectiveFrom: this.elements.rateCardFrom?.value || '',
+            effectiveTo: this.elements.rateCardTo?.value || ''
+        };
+    }
+
+    /**
+     * Add a new rate card or save the one being edited
+     */
+    saveRateCard() {
+        try {
+            const rateCardData = this.gatherFormData();
+            if (this.editingRateCard) {
+                rateCardData.id = this.editingRateCard.id;
+            }
+
+            const result = this.dataService.billing.saveRateCard(rateCardData);
+            this.showToast(`✅ ${result.message}`);
+            this.resetForm();
+            this.renderRateCards();
+        } catch (error) {
+            console.error('Error saving rate card:', error);
+            this.showFormErrors(error.message.replace('Validation failed: ', '').split(', '));
+        }
+    }
+
+    /**
+     * Load a rate card into the form for editing
+     * @param {string} id - Rate card ID
+     */
+    editRateCard(id) {
+        const rateCard = this.dataService.billing.getRateCard(id);
+        if (!rateCard) {
+            this.showToast('❌ Rate not found');
+            return;
+        }
+
+        this.editingRateCard = rateCard;
+        this.hideFormErrors();
+
+        if (this.elements.rateCardScope) this.elements.rateCardScope.value = rateCard.scope;
+        this.renderTargetOptions(rateCard.target);
+        if (this.elements.rateCardRate) this.elements.rateCardRate.value = rateCard.rate;
+        if (this.elements.rateCardCurrency) this.elements.rateCardCurrency.value = rateCard.currency;
+        if (this.elements.rateCardFrom) this.elements.rateCardFrom.value = rateCard.effectiveFrom;
+        if (this.elements.rateCardTo) this.elements.rateCardTo.value = rateCard.effectiveTo;
+
+        if (this.elements.rateCardFormTitle) this.elements.rateCardFormTitle.textContent = 'Edit Rate';
+        if (this.elements.saveRateCardBtn) this.elements.saveRateCardBtn.textContent = 'Update Rate';
+        if (this.elements.cancelRateCardBtn) this.elements.cancelRateCardBtn.style.display = 'inline-block';
+    }
+
+    /**
+     * Remove a rate card
+     * @param {string} id - Rate card ID
+     */
+    deleteRateCard(id) {
+        const rateCard = this.dataService.billing.getRateCard(id);
+        if (!rateCard || !confirm(`Remove the rate of ${rateCard.describe()} for ${this.dataService.billing.describeTarget(rateCard)}?`)) {
+            return;
+        }
+
+        try {
+            const result = this.dataService.billing.deleteRateCard(id);
+            this.showToast(`🗑️ ${result.message}`);
+            if (this.editingRateCard?.id === id) {
+                this.resetForm();
+            }
+        } catch (error) {
+            console.error('Error removing rate card:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+
+        this.renderRateCards();
+    }
+
+    /**
+     * Reset the form to adding a new rate card
+     * The currency of the last rate added is kept, since most users bill in one.
+     */
+    resetForm() {
+        this.editingRateCard = null;
+        const lastCurrency = this.dataService.billing.rateCards.at(-1)?.currency || RateCard.defaultCurrency;
+
+        if (this.elements.rateCardScope) this.elements.rateCardScope.value = 'project';
+        this.renderTargetOptions();
+        if (this.elements.rateCardRate) this.elements.rateCardRate.value = '';
+        if (this.elements.rateCardCurrency) this.elements.rateCardCurrency.value = lastCurrency;
+        if (this.elements.rateCardFrom) this.elements.rateCardFrom.value = '';
+        if (this.elements.rateCardTo) this.elements.rateCardTo.value = '';
+
+        if (this.elements.rateCardFormTitle) this.elements.rateCardFormTitle.textContent = 'Add Rate';
+        if (this.elements.saveRateCardBtn) this.elements.saveRateCardBtn.textContent = 'Add Rate';
+        if (this.elements.cancelRateCardBtn) this.elements.cancelRateCardBtn.style.display = 'none';
+
+        this.hideFormErrors();
+    }
+
+    /**
+     * Show form errors
+     * @param {Array} errors - Error messages
+     */
+    showFormErrors(errors) {
+        if (this.elements.rateCardFormErrors) {
+            this.elements.rateCardFormErrors.innerHTML = errors.map(error => escapeHTML(error)).join('<br>');
+            this.elements.rateCardFormErrors.classList.add('show');
+        }
+    }
+
+    /**
+     * Hide form errors
+     */
+    hideFormErrors() {
+        if (this.elements.rateCardFormErrors) {
+            this.elements.rateCardFormErrors.innerHTML = '';
+            this.elements.rateCardFormErrors.classList.remove('show');
+        }
+    }
+
+    /**
+     * Show toast message
+     * @param {string} message - Message to show
+     */
+    showToast(message) {
+        document.dispatchEvent(new CustomEvent('app:toast', {
+            detail: { message }
+        }));
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+export default RateCardController;
@@ -0,0 +1,485 @@
+// controllers/RestoreController.js
+// Restore Controller - Backup restore wizard with strategy choice, change preview and rollback
+
+import escapeHTML from '../utils/html.js';
+
+class RestoreController {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.elements = {};
+        this.eventListeners = [];
+        this.pendingBackup = null; // Verified backup waiting for confirmation
+        this.lockedBackup = null; // Encrypted backup file waiting for its passphrase
+        this.fileName = '';
+        this.previewLimit = 20; // Items listed per change group
+
+        this.cacheElements();
+        this.initialize();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            importBackupBtn: document.getElementById('importBackupBtn'),
+            rollbackRestoreBtn: document.getElementById('rollbackRestoreBtn'),
+            backupFileInput: document.getElementById('backupFileInput'),
+            restoreModal: document.getElementById('restoreModal'),
+            restoreFileInfo: document.getElementById('restoreFileInfo'),
+            restoreUnlock: document.getElementById('restoreUnlock'),
+            restorePassphrase: document.getElementById('restorePassphrase'),
+            unlockRestoreBtn: document.getElementById('unlockRestoreBtn'),
+            restoreOptions: document.getElementById('restoreOptions'),
+            restorePreview: document.getElementById('restorePreview'),
+            confirmRestoreBtn: document.getElementById('confirmRestoreBtn'),
+            cancelRestoreBtn: document.getElementById('cancelRestoreBtn'),
+            closeRestoreModalBtn: document.getElementById('closeRestoreModalBtn')
+        };
+    }
+
+    /**
+     * Initialize restore controller
+     */
+    initialize() {
+        this.setupEventListeners();
+        this.updateRollbackButton();
+        console.log('RestoreController: Initialized successfully');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.importBackupBtn && this.elements.backupFileInput) {
+            this.addEventListenerWithCleanup(this.elements.importBackupBtn, 'click', () => {
+                this.elements.backupFileInput.click();
+            });
+        }
+
+        if (this.elements.backupFileInput) {
+            this.addEventListenerWithCleanup(this.elements.backupFileInput, 'change', async (e) => {
+                await this.handleFileSelected(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
+        if (this.elements.rollbackRestoreBtn) {
+            this.addEventListenerWithCleanup(this.elements.rollbackRestoreBtn, 'click', async () => {
+                await this.rollback();
+            });
+        }
+
+        if (this.elements.restoreModal) {
+            this.addEventListenerWithCleanup(this.elements.restoreModal, 'change', (e) => {
+                if (e.target.name === 'restoreStrategy') {
+                    this.renderPreview();
+                }
+            });
+        }
+
+        if (this.elements.unlockRestoreBtn) {
+            this.addEventListenerWithCleanup(this.elements.unlockRestoreBtn, 'click', async () => {
+                await this.unlock();
+            });
+        }
+
+        if (this.elements.restorePassphrase) {
+            this.addEventListenerWithCleanup(this.elements.restorePassphrase, 'keydown', async (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    await this.unlock();
+                }
+            });
+        }
+
+        if (this.elements.confirmRestoreBtn) {
+            this.addEventListenerWithCleanup(this.elements.confirmRestoreBtn, 'click', async () => {
+                await this.confirmRestore();
+            });
+        }
+
+        [this.elements.cancelRestoreBtn, this.elements.closeRestoreModalBtn].forEach(button => {
+            this.addEventListenerWithCleanup(button, 'click', () => {
+                this.hideRestoreModal();
+            });
+        });
+
+        // Data changed underneath an open preview
+        this.addEventListenerWithCleanup(document, 'data:updated', () => {
+            if (this.isOpen()) {
+                this.renderPreview();
+            }
+        });
+
+        ['data:imported', 'data:importRolledBack', 'data:cleared'].forEach(eventName => {
+            this.addEventListenerWithCleanup(document, eventName, () => {
+                this.updateRollbackButton();
+            });
+        });
+
+        console.log('RestoreController: Event listeners set up');
+    }
+
+    /**
+     * Add event listener with cleanup tracking
+     */
+    addEventListenerWithCleanup(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        }
+    }
+
+    /**
+     * Read a backup file and open the wizard
+     * @param {File} file - Selected backup file
+     */
+    async handleFileSelected(file) {
+        if (!file) return;
+
+        if (!file.name.endsWith('.json')) {
+            this.showToast('❌ Please select a valid JSON backup file');
+            return;
+        }
+
+        try {
+            const contents = this.dataService.backups.parse(await this.readFile(file));
+            this.fileName = file.name;
+
+            if (this.dataService.backups.isEncrypted(contents)) {
+                this.lockedBackup = contents;
+                this.showRestoreModal();
+                return;
+            }
+
+            await this.openBackup(contents);
+        } catch (error) {
+            console.error('Error reading backup:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Decrypt the locked backup with the entered passphrase
+     */
+    async unlock() {
+        if (!this.lockedBackup || !this.elements.restorePassphrase) return;
+
+        try {
+            await this.openBackup(this.lockedBackup, this.elements.restorePassphrase.value);
+        } catch (error) {
+            console.error('Error unlocking backup:', error);
+            this.showToast(`❌ ${error.message}`);
+            if (error.code === 'backup/wrong-passphrase') {
+                this.elements.restorePassphrase.select();
+            }
+        }
+    }
+
+    /**
+     * Verify a backup file and show what restoring it would change
+     * @param {Object} contents - Parsed backup file
+     * @param {string|null} passphrase - Passphrase for encrypted backups
+     */
+    async openBackup(contents, passphrase = null) {
+        const backup = await this.dataService.backups.readBackup(contents, passphrase);
+
+        // Rejects too-new files before the preview opens
+        this.dataService.previewImport(backup, 'replace');
+
+        this.lockedBackup = null;
+        this.pendingBackup = backup;
+        this.showRestoreModal();
+    }
+
+    /**
+     * Read a file as text
+     * @param {File} file - File
+     * @returns {Promise<string>} - File contents
+     */
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Show restore wizard, asking for the passphrase first if the file is locked
+     */
+    showRestoreModal() {
+        if (!this.elements.restoreModal) return;
+
+        const locked = Boolean(this.lockedBackup);
+        if (this.elements.restoreUnlock) {
+            this.elements.restoreUnlock.classList.toggle('hidden', !locked);
+        }
+        if (this.elements.restoreOptions) {
+            this.elements.restoreOptions.classList.toggle('hidden', locked);
+        }
+        if (this.elements.restorePassphrase) {
+            this.elements.restorePassphrase.value = '';
+        }
+        if (this.elements.confirmRestoreBtn) {
+            this.elements.confirmRestoreBtn.disabled = locked;
+        }
+
+        this.renderFileInfo();
+        this.elements.restoreModal.classList.remove('hidden');
+
+        if (locked) {
+            this.elements.restorePassphrase?.focus();
+            return;
+        }
+
+        const replace = this.elements.restoreModal.querySelector('input[name="restoreStrategy"][value="replace"]');
+        if (replace) {
+            replace.checked = true;
+        }
+
+        this.renderPreview();
+    }
+
+    /**
+     * Hide restore wizard
+     */
+    hideRestoreModal() {
+        if (this.elements.restoreModal) {
+            this.elements.restoreModal.classList.add('hidden');
+        }
+        if (this.elements.restorePassphrase) {
+            this.elements.restorePassphrase.value = '';
+        }
+        this.pendingBackup = null;
+        this.lockedBackup = null;
+    }
+
+    /**
+     * Check if the restore wizard is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.elements.restoreModal) && !this.elements.restoreModal.classList.contains('hidden');
+    }
+
+    /**
+     * Get the selected restore strategy
+     * @returns {string} - Strategy name
+     */
+    getStrategy() {
+        const selected = this.elements.restoreModal
+            ? this.elements.restoreModal.querySelector('input[name="restoreStrategy"]:checked')
+            : null;
+        return selected ? selected.value : 'replace';
+    }
+
+    /**
+     * Render what the backup file contains
+     */
+    renderFileInfo() {
+        const backup = this.pendingBackup || this.lockedBackup;
+        if (!this.elements.restoreFileInfo || !backup) return;
+
+        const { version, exportDate, counts } = backup;
+        let status = '🔒 Encrypted - enter the passphrase to check and preview it';
+        if (this.pendingBackup) {
+            status = this.pendingBackup.verified
+                ? `✅ Checksum verified${this.pendingBackup.encrypted ? ' · decrypted' : ''}`
+                : '⚠️ Older backup without a checksum - it cannot be checked for damage';
+        }
+
+        this.elements.restoreFileInfo.innerHTML = `
+            <strong>${escapeHTML(this.fileName)}</strong>
+            <small>
+                ${exportDate ? `Created ${new Date(exportDate).toLocaleString()} · ` : ''}
+                Data version ${escapeHTML(version || '1.0')} ·
+                ${counts ? `${counts.entries} entries · ${counts.projects} projects` : 'contents unknown'}
+            </small>
+            <small>${status}</small>
+        `;
+    }
+
+    /**
+     * Render the changes the selected strategy would make
+     */
+    renderPreview() {
+        if (!this.elements.restorePreview || !this.pendingBackup) return;
+
+        try {
+            const { diff } = this.dataService.previewImport(this.pendingBackup, this.getStrategy());
+            const { entries, projects } = this.dataService.summariseImportDiff(diff);
+            const hasChanges = [entries, projects].some(counts => counts.added + counts.changed + counts.removed > 0);
+
+            this.elements.restorePreview.innerHTML = `
+                <table class="restore-summary">
+                    <thead>
+                        <tr><th></th><th>Added</th><th>Changed</th><th>Removed</th><th>Unchanged</th></tr>
+                    </thead>
+                    <tbody>
+                        <tr><th>Entries</th><td>${entries.added}</td><td>${entries.changed}</td><td>${entries.removed}</td><td>${entries.unchanged}</td></tr>
+                        <tr><th>Projects</th><td>${projects.added}</td><td>${projects.changed}</td><td>${projects.removed}</td><td>${projects.unchanged}</td></tr>
+                    </tbody>
+                </table>
+                ${hasChanges ? '' : '<div class="no-entries"><p>This backup matches your current data</p></div>'}
+                ${this.createChangeListHTML('Entries added', diff.entries.added, record => this.describeEntry(record))}
+                ${this.createChangeListHTML('Entries changed', diff.entries.changed, ({ after }) => this.describeEntry(after))}
+                ${this.createChangeListHTML('Entries removed', diff.entries.removed, record => this.describeEntry(record))}
+                ${this.createChangeListHTML('Projects added', diff.projects.added, record => this.describeProject(record))}
+                ${this.createChangeListHTML('Projects changed', diff.projects.changed, ({ after }) => this.describeProject(after))}
+                ${this.createChangeListHTML('Projects removed', diff.projects.removed, record => this.describeProject(record))}
+            `;
+
+            if (this.elements.confirmRestoreBtn) {
+                this.elements.confirmRestoreBtn.disabled = !hasChanges;
+            }
+        } catch (error) {
+            console.error('Error previewing restore:', error);
+            this.elements.restorePreview.innerHTML = `<div class="no-entries"><p>${escapeHTML(error.message)}</p></div>`;
+            if (this.elements.confirmRestoreBtn) {
+                this.elements.confirmRestoreBtn.disabled = true;
+            }
+        }
+    }
+
+    /**
+     * Create HTML for one group of changes
+     * @param {string} title - Group title
+     * @param {Array} items - Changed items
+     * @param {Function} describe - Returns HTML describing an item
+     * @returns {string} - HTML string
+     */
+    createChangeListHTML(title, items, describe) {
+        if (items.length === 0) return '';
+
+        const shown = items.slice(0, this.previewLimit);
+        const more = items.length - shown.length;
+
+        return `
+            <h4>${title} (${items.length})</h4>
+            <ul class="restore-change-list">
+                ${shown.map(item => `<li>${describe(item)}</li>`).join('')}
+                ${more > 0 ? `<li><small>and ${more} more</small></li>` : ''}
+            </ul>
+        `;
+    }
+
+    /**
+     * Describe an entry
+     * @param {Object} entry - Entry carrying its date
+     * @returns {string} - HTML string
+     */
+    describeEntry(entry) {
+        const details = [escapeHTML(entry.type)];
+
+        if (entry.project) {
+            details.push(escapeHTML(entry.project));
+        }
+        if (entry.hours) {
+            details.push(`${entry.hours}h`);
+        }
+
+        return `<strong>${escapeHTML(entry.date)}</strong> <span>${details.join(' · ')}</span>`;
+    }
+
+    /**
+     * Describe a project
+     * @param {Object} project - Project
+     * @returns {string} - HTML string
+     */
+    describeProject(project) {
+        return `<strong>${escapeHTML(project.projectTitle)}</strong> <span>${escapeHTML(project.projectId)} - ${escapeHTML(project.subCode)}</span>`;
+    }
+
+    /**
+     * Restore the pending backup with the selected strategy
+     */
+    async confirmRestore() {
+        if (!this.pendingBackup) return;
+
+        const strategy = this.getStrategy();
+        if (strategy === 'replace' && !confirm('Replace all your current data with this backup?\n\nYou can roll back until you restore another backup.')) {
+            return;
+        }
+
+        const { version, workLogData, projectData, entryTypes, settings, invoices } = this.pendingBackup;
+
+        try {
+            // Entries of types this device hasn't set up would otherwise fail to validate
+            this.dataService.entryTypes.importTypes(entryTypes);
+            const result = await this.dataService.importData(workLogData, projectData, version, strategy);
+            await this.dataService.importSettings(settings, strategy);
+            await this.dataService.invoices.importInvoices(invoices);
+            this.hideRestoreModal();
+
+            this.dataService.dispatchDataEvent('updated');
+            document.dispatchEvent(new CustomEvent('projects:updated'));
+
+            this.showToast(`✅ ${result.message}`, {
+                label: 'Roll back',
+                handler: () => this.rollback()
+            });
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.showToast(`❌ Restore failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Put back the data from before the last restore
+     */
+    async rollback() {
+        if (!this.dataService.canRollbackImport()) {
+            this.showToast('❌ There is no restore to roll back');
+            return;
+        }
+
+        try {
+            const result = await this.dataService.rollbackImport();
+
+            this.dataService.dispatchDataEvent('updated');
+            document.dispatchEvent(new CustomEvent('projects:updated'));
+
+            this.showToast(`↩️ ${result.message}`);
+        } catch (error) {
+            console.error('Error rolling back restore:', error);
+            this.showToast(`❌ Rollback failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the rollback button only while there is a restore to roll back
+     */
+    updateRollbackButton() {
+        if (this.elements.rollbackRestoreBtn) {
+            this.elements.rollbackRestoreBtn.classList.toggle('hidden', !this.dataService.canRollbackImport());
+        }
+    }
+
+    /**
+     * Show toast message
+     * @param {string} message - Message to show
+     * @param {Object|null} action - Optional { label, handler } toast button
+     */
+    showToast(message, action = null) {
+        document.dispatchEvent(new CustomEvent('app:toast', {
+            detail: { message, action }
+        }));
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+        this.pendingBackup = null;
+        this.lockedBackup = null;
+    }
+}
+
+export default RestoreController;
@@ -0,0 +1,345 @@
+// controllers/TimerController.js
+// Timer Controller - Start/pause/stop stopwatch panel that logs tracked time as a work entry
+
+class TimerController {
+    constructor(dataService, timerService) {
+        this.dataService = dataService;
+        this.timerService = timerService;
+        this.elements = {};
+        this.eventListeners = [];
+        this.tickInterval = null;
+
+        this.cacheElements();
+        this.initialize();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            timerPanel: document.getElementById('timerPanel'),
+            timerProject: document.getElementById('timerProject'),
+            timerComments: document.getElementById('timerComments'),
+            timerDisplay: document.getElementById('timerDisplay'),
+            timerStatus: document.getElementById('timerStatus'),
+            timerStartBtn: document.getElementById('timerStartBtn'),
+            timerPauseBtn: document.getElementById('timerPauseBtn'),
+            timerStopBtn: document.getElementById('timerStopBtn'),
+            timerDiscardBtn: document.getElementById('timerDiscardBtn'),
+            timerRounding: document.getElementById('timerRounding')
+        };
+    }
+
+    /**
+     * Initialize timer controller
+     */
+    initialize() {
+        this.setupEventListeners();
+        this.updateProjectDropdown();
+        this.render();
+        console.log('TimerController: Initialized successfully');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.timerStartBtn) {
+            this.addEventListenerWithCleanup(this.elements.timerStartBtn, 'click', () => {
+                this.start();
+            });
+        }
+
+        if (this.elements.timerPauseBtn) {
+            this.addEventListenerWithCleanup(this.elements.timerPauseBtn, 'click', () => {
+                this.togglePause();
+            });
+        }
+
+        if (this.elements.timerStopBtn) {
+            this.addEventListenerWithCleanup(this.elements.timerStopBtn, 'click', async () => {
+                await this.stop();
+            });
+        }
+
+        if (this.elements.timerDiscardBtn) {
+            this.addEventListenerWithCleanup(this.elements.timerDiscardBtn, 'click', () => {
+                this.discard();
+            });
+        }
+
+        if (this.elements.timerProject) {
+            this.addEventListenerWithCleanup(this.elements.timerProject, 'change', (e) => {
+                this.updateTimer({ project: e.target.value });
+            });
+        }
+
+        if (this.elements.timerComments) {
+            this.addEventListenerWithCleanup(this.elements.timerComments, 'change', (e) => {
+                this.updateTimer({ comments: e.target.value.trim() });
+            });
+        }
+
+        if (this.elements.timerRounding) {
+            this.addEventListenerWithCleanup(this.elements.timerRounding, 'change', (e) => {
+                this.setRounding(e.target.value);
+            });
+        }
+
+        // Changes from this tab or another one
+        this.addEventListenerWithCleanup(document, 'timer:changed', () => {
+            this.render();
+        });
+
+        ['data:updated', 'projects:updated'].forEach(eventName => {
+            this.addEventListenerWithCleanup(document, eventName, () => {
+                this.updateProjectDropdown();
+            });
+        });
+
+        console.log('TimerController: Event listeners set up');
+    }
+
+    /**
+     * Add event listener with cleanup tracking
+     */
+    addEventListenerWithCleanup(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        }
+    }
+
+    /**
+     * Start a timer for the selected project
+     */
+    start() {
+        try {
+            this.timerService.start(
+                this.elements.timerProject?.value || '',
+                this.elements.timerComments?.value?.trim() || ''
+            );
+            this.showToast('⏱️ Timer started');
+        } catch (error) {
+            this.showToast(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Pause or resume the timer
+     */
+    togglePause() {
+        try {
+            if (this.timerService.isRunning()) {
+                this.timerService.pause();
+            } else {
+                this.timerService.resume();
+            }
+        } catch (error) {
+            this.showToast(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Stop the timer and log the entry
+     */
+    async stop() {
+        try {
+            const result = await this.timerService.stop();
+            this.dataService.dispatchDataEvent('updated');
+            this.showToast(`✅ ${result.message}`, this.getUndoAction());
+        } catch (error) {
+            console.error('Error stopping timer:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Throw the timer away
+     */
+    discard() {
+        if (!confirm('Discard the timer without logging the tracked time?')) {
+            return;
+        }
+
+        this.timerService.discard();
+        this.showToast('🗑️ Timer discarded');
+    }
+
+    /**
+     * Change the running timer's project or comments
+     * @param {Object} updateData - { project, comments }
+     */
+    updateTimer(updateData) {
+        if (!this.timerService.getState()) return;
+
+        try {
+            this.timerService.update(updateData);
+        } catch (error) {
+            this.showToast(`❌ ${error.message}`);
+            this.render();
+        }
+    }
+
+    /**
+     * Change the rounding rule
+     * @param {string} value - '<mode>-<minutes>', e.g. 'nearest-15'
+     */
+    setRounding(value) {
+        const [mode, increment] = value.split('-');
+
+        try {
+            this.timerService.setRounding(mode, increment);
+        } catch (error) {
+            this.showToast(`❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Update the timer panel
+     */
+    render() {
+        const timer = this.timerService.getState();
+        const isRunning = timer?.status === 'running';
+
+        if (this.elements.timerProject) {
+            this.elements.timerProject.value = timer ? timer.project : this.elements.timerProject.value;
+        }
+        if (this.elements.timerComments && timer && document.activeElement !== this.elements.timerComments) {
+            this.elements.timerComments.value = timer.comments || '';
+        }
+        if (this.elements.timerRounding) {
+            const { mode, increment } = this.timerService.getRounding();
+            this.elements.timerRounding.value = `${mode}-${increment}`;
+        }
+
+        if (this.elements.timerStartBtn) {
+            this.elements.timerStartBtn.classList.toggle('hidden', Boolean(timer));
+        }
+        [this.elements.timerPauseBtn, this.elements.timerStopBtn, this.elements.timerDiscardBtn].forEach(button => {
+            if (button) button.classList.toggle('hidden', !timer);
+        });
+        if (this.elements.timerPauseBtn) {
+            this.elements.timerPauseBtn.textContent = isRunning ? 'Pause' : 'Resume';
+        }
+        if (this.elements.timerPanel) {
+            this.elements.timerPanel.classList.toggle('timer-panel--running', isRunning);
+        }
+        if (this.elements.timerStatus) {
+            this.elements.timerStatus.textContent = timer
+                ? `${isRunning ? 'Running' : 'Paused'} · will log ${this.timerService.roundHours(timer.elapsedMs)}h`
+                : 'Not running';
+        }
+
+        this.updateDisplay();
+
+        // Only tick while counting
+        if (isRunning && !this.tickInterval) {
+            this.tickInterval = setInterval(() => this.tick(), 1000);
+        } else if (!isRunning && this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+    }
+
+    /**
+     * Update the clock and raise any warnings
+     */
+    tick() {
+        this.updateDisplay();
+
+        if (this.elements.timerStatus && this.timerService.isRunning()) {
+            this.elements.timerStatus.textContent = `Running · will log ${this.timerService.roundHours(this.timerService.getElapsedMs())}h`;
+        }
+
+        this.timerService.checkWarnings().forEach(warning => {
+            if (warning === 'midnight') {
+                this.showToast('⚠️ The timer ran past midnight - stopping it now logs all the time to today');
+            } else if (warning === 'dailyLimit') {
+                this.showToast(`⚠️ With this timer you have logged more than ${this.timerService.getDailyLimitHours()} hours today`);
+            }
+        });
+    }
+
+    /**
+     * Show the tracked time as H:MM:SS
+     */
+    updateDisplay() {
+        if (!this.elements.timerDisplay) return;
+
+        const totalSeconds = Math.floor(this.timerService.getElapsedMs() / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        this.elements.timerDisplay.textContent = `${hours}:${minutes}:${seconds}`;
+    }
+
+    /**
+     * Update project dropdown
+     */
+    updateProjectDropdown() {
+        if (!this.elements.timerProject) return;
+
+        const currentValue = this.timerService.getState()?.project || this.elements.timerProject.value;
+        const activeProjects = this.dataService.getProjects().filter(p => p.isActive);
+
+        this.elements.timerProject.innerHTML = '<option value="">Select project...</option>';
+
+        activeProjects
+            .sort((a, b) => (b.usageCount || 0) - (a.usageCount || 0))
+            .forEach(project => {
+                const option = document.createElement('option');
+                option.value = `${project.projectId}-${project.subCode}`;
+                option.textContent = `${project.projectId} ${project.subCode} - ${project.projectTitle}`;
+                this.elements.timerProject.appendChild(option);
+            });
+
+        if (currentValue && activeProjects.find(p => `${p.projectId}-${p.subCode}` === currentValue)) {
+            this.elements.timerProject.value = currentValue;
+        }
+    }
+
+    /**
+     * Get an Undo toast action for the entry just logged
+     * @returns {Object|null} - Toast action
+     */
+    getUndoAction() {
+        const command = this.dataService.history.peekUndo();
+        if (!command) return null;
+
+        return {
+            label: 'Undo',
+            handler: () => document.dispatchEvent(new CustomEvent('app:undo', {
+                detail: { commandId: command.id }
+            }))
+        };
+    }
+
+    /**
+     * Show toast message
+     * @param {string} message - Message to show
+     * @param {Object|null} action - Optional { label, handler } toast button
+     */
+    showToast(message, action = null) {
+        document.dispatchEvent(new CustomEvent('app:toast', {
+            detail: { message, action }
+        }));
+    }
+
+    /**
+     * Cleanup event listeners and the clock
+     */
+    destroy() {
+        if (this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+export default TimerController;
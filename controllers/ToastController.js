@@ -7,7 +7,9 @@ class ToastController {
         this.toastQueue = [];
         this.currentToast = null;
         this.defaultDuration = 3000;
+        this.actionDuration = 6000; // Longer so there's time to click the action
         this.isVisible = false;
+        this.hideTimer = null;
         
         this.cacheElements();
         this.initialize();
@@ -22,6 +24,7 @@ class ToastController {
             toastMessage: document.getElementById('toastMessage'),
             toastIcon: document.getElementById('toastIcon'),
             toastClose: document.getElementById('toastClose'),
+            toastAction: document.getElementById('toastAction'),
             toastContainer: document.getElementById('toastContainer')
         };
 
@@ -91,6 +94,12 @@ class ToastController {
             color: var(--color-text);
         `;
 
+        // Create action button
+        const toastAction = document.createElement('button');
+        toastAction.id = 'toastAction';
+        toastAction.className = 'btn btn--sm btn--outline toast-action hidden';
+        toastAction.type = 'button';
+
         // Create close button
         const toastClose = document.createElement('button');
         toastClose.id = 'toastClose';
@@ -115,6 +124,7 @@ class ToastController {
         // Assemble toast
         toast.appendChild(toastIcon);
         toast.appendChild(toastMessage);
+        toast.appendChild(toastAction);
         toast.appendChild(toastClose);
         
         this.elements.toastContainer.appendChild(toast);
@@ -124,6 +134,7 @@ class ToastController {
         this.elements.toastMessage = toastMessage;
         this.elements.toastIcon = toastIcon;
         this.elements.toastClose = toastClose;
+        this.elements.toastAction = toastAction;
     }
 
     /**
@@ -145,6 +156,18 @@ class ToastController {
             });
         }
 
+        // Action button click
+        if (this.elements.toastAction) {
+            this.elements.toastAction.addEventListener('click', (event) => {
+                event.stopPropagation();
+                const action = this.currentToast?.action;
+                this.hide();
+                if (action && typeof action.handler === 'function') {
+                    action.handler();
+                }
+            });
+        }
+
         // Toast click to dismiss
         if (this.elements.toast) {
             this.elements.toast.addEventListener('click', () => {
@@ -154,8 +177,9 @@ class ToastController {
 
         // Listen for app toast events
         document.addEventListener('app:toast', (event) => {
-            const { message, type = 'info', duration = this.defaultDuration } = event.detail;
-            this.show(message, type, duration);
+            const { message, type = 'info', action = null } = event.detail;
+            const duration = event.detail.duration ?? (action ? this.actionDuration : this.defaultDuration);
+            this.show(message, type, duration, action);
         });
 
         // Listen for keyboard events (ESC to close)
@@ -173,15 +197,16 @@ class ToastController {
      * @param {string} message - Message to display
      * @param {string} type - Toast type (success, error, warning, info)
      * @param {number} duration - Display duration in milliseconds
+     * @param {Object} action - Optional button { label, handler }
      */
-    show(message, type = 'info', duration = this.defaultDuration) {
+    show(message, type = 'info', duration = this.defaultDuration, action = null) {
         // Queue the toast if one is already visible
         if (this.isVisible) {
-            this.toastQueue.push({ message, type, duration });
+            this.toastQueue.push({ message, type, duration, action });
             return;
         }
 
-        this.currentToast = { message, type, duration };
+        this.currentToast = { message, type, duration, action };
         this.displayToast();
     }
 
@@ -191,13 +216,19 @@ class ToastController {
     displayToast() {
         if (!this.currentToast || !this.elements.toast) return;
 
-        const { message, type, duration } = this.currentToast;
+        const { message, type, duration, action } = this.currentToast;
 
         // Set message content
         if (this.elements.toastMessage) {
             this.elements.toastMessage.textContent = message;
         }
 
+        // Show the action button only when the toast has an action
+        if (this.elements.toastAction) {
+            this.elements.toastAction.textContent = action ? action.label : '';
+            this.elements.toastAction.classList.toggle('hidden', !action);
+        }
+
         // Set icon and styling based on type
         this.setToastTypeStyles(type);
 
@@ -214,7 +245,7 @@ class ToastController {
 
         // Auto-hide after duration
         if (duration > 0) {
-            setTimeout(() => {
+            this.hideTimer = setTimeout(() => {
                 this.hide();
             }, duration);
         }
@@ -267,6 +298,9 @@ class ToastController {
     hide() {
         if (!this.isVisible || !this.elements.toast) return;
 
+        clearTimeout(this.hideTimer);
+        this.hideTimer = null;
+
         // Animate out
         this.elements.toast.style.opacity = '0';
         this.elements.toast.style.transform = 'translateX(100%)';
@@ -291,7 +325,7 @@ class ToastController {
         if (this.toastQueue.length > 0) {
             const nextToast = this.toastQueue.shift();
             setTimeout(() => {
-                this.show(nextToast.message, nextToast.type, nextToast.duration);
+                this.show(nextToast.message, nextToast.type, nextToast.duration, nextToast.action);
             }, 100);
         }
     }
@@ -0,0 +1,313 @@
+// controllers/TrashController.js
+// Trash Controller - Lists deleted entries and projects for restore or permanent deletion
+
+import EntryType from '../models/EntryType.js';
+import escapeHTML from '../utils/html.js';
+
+class TrashController {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.elements = {};
+        this.eventListeners = [];
+
+        this.cacheElements();
+        this.initialize();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            trashBtn: document.getElementById('trashBtn'),
+            trashModal: document.getElementById('trashModal'),
+            trashList: document.getElementById('trashList'),
+            trashRetention: document.getElementById('trashRetention'),
+            closeTrashModalBtn: document.getElementById('closeTrashModalBtn'),
+            emptyTrashBtn: document.getElementById('emptyTrashBtn')
+        };
+    }
+
+    /**
+     * Initialize trash controller
+     */
+    initialize() {
+        this.setupEventListeners();
+        console.log('TrashController: Initialized successfully');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.trashBtn) {
+            this.addEventListenerWithCleanup(this.elements.trashBtn, 'click', () => {
+                this.showTrashModal();
+            });
+        }
+
+        if (this.elements.closeTrashModalBtn) {
+            this.addEventListenerWithCleanup(this.elements.closeTrashModalBtn, 'click', () => {
+                this.hideTrashModal();
+            });
+        }
+
+        if (this.elements.emptyTrashBtn) {
+            this.addEventListenerWithCleanup(this.elements.emptyTrashBtn, 'click', async () => {
+                await this.emptyTrash();
+            });
+        }
+
+        if (this.elements.trashRetention) {
+            this.addEventListenerWithCleanup(this.elements.trashRetention, 'change', async (e) => {
+                await this.setRetention(e.target.value);
+            });
+        }
+
+        // Deletions from this or another device
+        ['data:updated', 'data:entryDeleted', 'data:projectDeleted', 'data:trashUpdated'].forEach(eventName => {
+            this.addEventListenerWithCleanup(document, eventName, () => {
+                if (this.isOpen()) {
+                    this.renderTrash();
+                }
+            });
+        });
+
+        console.log('TrashController: Event listeners set up');
+    }
+
+    /**
+     * Add event listener with cleanup tracking
+     */
+    addEventListenerWithCleanup(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        }
+    }
+
+    /**
+     * Show trash modal
+     */
+    showTrashModal() {
+        if (this.elements.trashModal) {
+            if (this.elements.trashRetention) {
+                this.elements.trashRetention.value = String(this.dataService.getTrashRetentionDays());
+            }
+            this.renderTrash();
+            this.elements.trashModal.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Hide trash modal
+     */
+    hideTrashModal() {
+        if (this.elements.trashModal) {
+            this.elements.trashModal.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Check if the trash modal is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.elements.trashModal) && !this.elements.trashModal.classList.contains('hidden');
+    }
+
+    /**
+     * Render trashed entries and projects
+     */
+    renderTrash() {
+        if (!this.elements.trashList) return;
+
+        const { entries, projects } = this.dataService.getTrash();
+
+        if (this.elements.emptyTrashBtn) {
+            this.elements.emptyTrashBtn.disabled = entries.length + projects.length === 0;
+        }
+
+        if (entries.length + projects.length === 0) {
+            this.elements.trashList.innerHTML = `
+                <div class="no-entries">
+                    <p>Trash is empty</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.trashList.innerHTML = `
+            ${entries.length > 0 ? `<h4>Entries (${entries.length})</h4>` : ''}
+            ${entries.map(entry => this.createTrashItemHTML('entries', entry, this.describeEntry(entry))).join('')}
+            ${projects.length > 0 ? `<h4>Projects (${projects.length})</h4>` : ''}
+            ${projects.map(project => this.createTrashItemHTML('projects', project, this.describeProject(project))).join('')}
+        `;
+    }
+
+    /**
+     * Create HTML for a trashed item
+     * @param {string} collection - 'entries' or 'projects'
+     * @param {Object} record - Trashed record
+     * @param {string} description - Item description (HTML)
+     * @returns {string} - HTML string
+     */
+    createTrashItemHTML(collection, record, description) {
+        return `
+            <div class="trash-item" data-trash-id="${record.id}">
+                <div class="trash-item-details">
+                    ${description}
+                    <small>Deleted ${new Date(record.deletedAt).toLocaleString()}${this.getExpiryText(record)}</small>
+                </div>
+                <div class="entry-actions">
+                    <button class="btn btn--sm btn--outline" onclick="window.trashController.restoreItem('${collection}', '${record.id}')">
+                        Restore
+                    </button>
+                    <button class="btn btn--sm btn--outline" onclick="window.trashController.deleteItem('${collection}', '${record.id}')">
+                        Delete forever
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Describe a trashed entry
+     * @param {Object} entry - Entry carrying its date
+     * @returns {string} - HTML string
+     */
+    describeEntry(entry) {
+        const entryType = EntryType.resolve(entry.type);
+        const details = [`${entryType.icon} ${escapeHTML(entryType.label)}`];
+
+        if (entry.project) {
+            details.push(escapeHTML(entry.project));
+        }
+        if (entry.hours) {
+            details.push(`${entry.hours}h`);
+        }
+
+        return `<strong>${entry.date}</strong> <span>${details.join(' · ')}</span>`;
+    }
+
+    /**
+     * Describe a trashed project
+     * @param {Object} project - Project
+     * @returns {string} - HTML string
+     */
+    describeProject(project) {
+        return `<strong>${escapeHTML(project.projectTitle)}</strong> <span>${escapeHTML(project.projectId)} - ${escapeHTML(project.subCode)}</span>`;
+    }
+
+    /**
+     * Get when a trashed item will be purged
+     * @param {Object} record - Trashed record
+     * @returns {string} - Text to append, or empty if kept indefinitely
+     */
+    getExpiryText(record) {
+        const days = this.dataService.getTrashRetentionDays();
+        if (!days) return '';
+
+        const purgeAt = new Date(new Date(record.deletedAt).getTime() + days * 24 * 60 * 60 * 1000);
+        return ` · removed after ${purgeAt.toLocaleDateString()}`;
+    }
+
+    /**
+     * Restore an item from the trash
+     * @param {string} collection - 'entries' or 'projects'
+     * @param {string} id - Record ID
+     */
+    async restoreItem(collection, id) {
+        try {
+            await this.dataService.restoreFromTrash(collection, id);
+            this.dataService.dispatchDataEvent('updated');
+            if (collection === 'projects') {
+                document.dispatchEvent(new CustomEvent('projects:updated'));
+            }
+            this.showToast(collection === 'entries' ? '✅ Entry restored' : '✅ Project restored');
+        } catch (error) {
+            console.error('Error restoring item:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+
+        this.renderTrash();
+    }
+
+    /**
+     * Permanently delete an item from the trash
+     * @param {string} collection - 'entries' or 'projects'
+     * @param {string} id - Record ID
+     */
+    async deleteItem(collection, id) {
+        if (!confirm('Delete this item permanently?\n\nThis action cannot be undone.')) {
+            return;
+        }
+
+        try {
+            await this.dataService.deleteFromTrash(collection, id);
+            this.showToast('🗑️ Deleted permanently');
+        } catch (error) {
+            console.error('Error deleting item:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+
+        this.renderTrash();
+    }
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    async emptyTrash() {
+        if (!confirm('Permanently delete everything in the trash?\n\nThis action cannot be undone.')) {
+            return;
+        }
+
+        try {
+            await this.dataService.emptyTrash();
+            this.showToast('🗑️ Trash emptied');
+        } catch (error) {
+            console.error('Error emptying trash:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+
+        this.renderTrash();
+    }
+
+    /**
+     * Change how long deleted items are kept
+     * @param {string} days - Days (0 = forever)
+     */
+    async setRetention(days) {
+        try {
+            const purged = await this.dataService.setTrashRetentionDays(days);
+            this.showToast(purged > 0 ? `✅ Retention updated, ${purged} old items removed` : '✅ Retention updated');
+        } catch (error) {
+            console.error('Error updating trash retention:', error);
+            this.showToast(`❌ ${error.message}`);
+        }
+
+        this.renderTrash();
+    }
+
+    /**
+     * Show toast message
+     * @param {string} message - Message to show
+     */
+    showToast(message) {
+        document.dispatchEvent(new CustomEvent('app:toast', {
+            detail: { message }
+        }));
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+export default TrashController;
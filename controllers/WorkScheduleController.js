@@ -0,0 +1,313 @@
+// controllers/WorkScheduleController.js
+// Work Schedule Controller - Edit the working days, expected hours and daily limits of the signed-in user
+
+import WorkSchedule from '../models/WorkSchedule.js';
+import escapeHTML from '../utils/html.js';
+
+class WorkScheduleController {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.elements = {};
+        this.eventListeners = [];
+
+        this.cacheElements();
+        this.initialize();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            workScheduleBtn: document.getElementById('workScheduleBtn'),
+            workScheduleModal: document.getElementById('workScheduleModal'),
+            closeWorkScheduleModalBtn: document.getElementById('closeWorkScheduleModalBtn'),
+            workSchedulePreset: document.getElementById('workSchedulePreset'),
+            workScheduleDays: document.getElementById('workScheduleDays'),
+            workScheduleMaxHours: document.getElementById('workScheduleMaxHours'),
+            workScheduleOvertime: document.getElementById('workScheduleOvertime'),
+            workScheduleSummary: document.getElementById('workScheduleSummary'),
+            workScheduleErrors: document.getElementById('workScheduleErrors'),
+            saveWorkScheduleBtn: document.getElementById('saveWorkScheduleBtn')
+        };
+    }
+
+    /**
+     * Initialize work schedule controller
+     */
+    initialize() {
+        this.renderPresets();
+        this.setupEventListeners();
+        console.log('WorkScheduleController: Initialized successfully');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.workScheduleBtn) {
+            this.addEventListenerWithCleanup(this.elements.workScheduleBtn, 'click', () => {
+                this.showWorkScheduleModal();
+            });
+        }
+
+        if (this.elements.closeWorkScheduleModalBtn) {
+            this.addEventListenerWithCleanup(this.elements.closeWorkScheduleModalBtn, 'click', () => {
+                this.hideWorkScheduleModal();
+            });
+        }
+
+        if (this.elements.saveWorkScheduleBtn) {
+            this.addEventListenerWithCleanup(this.elements.saveWorkScheduleBtn, 'click', () => {
+                this.saveSchedule();
+            });
+        }
+
+        if (this.elements.workSchedulePreset) {
+            this.addEventListenerWithCleanup(this.elements.workSchedulePreset, 'change', (e) => {
+                this.applyPreset(e.target.value);
+            });
+        }
+
+        if (this.elements.workScheduleDays) {
+            this.addEventListenerWithCleanup(this.elements.workScheduleDays, 'change', (e) => {
+                // Hours only apply to working days
+                if (e.target.matches('input[type="checkbox"]')) {
+                    const hours = this.elements.workScheduleDays.querySelector(`input[data-hours-day="${e.target.dataset.day}"]`);
+                    if (hours) hours.disabled = !e.target.checked;
+                }
+                this.updatePresetSelection();
+                this.updateSummary();
+            });
+        }
+
+        [this.elements.workScheduleMaxHours, this.elements.workScheduleOvertime].forEach(element => {
+            this.addEventListenerWithCleanup(element, 'change', () => {
+                this.updateSummary();
+            });
+        });
+
+        // Schedule changed in another tab or on another device
+        this.addEventListenerWithCleanup(document, 'workSchedule:changed', (e) => {
+            if (e.detail?.fromSync && this.isOpen()) {
+                this.populateForm(this.dataService.workSchedule.getSchedule());
+            }
+        });
+
+        console.log('WorkScheduleController: Event listeners set up');
+    }
+
+    /**
+     * Add event listener with cleanup tracking
+     */
+    addEventListenerWithCleanup(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+            this.eventListeners.push({ element, event, handler });
+        }
+    }
+
+    /**
+     * Show work schedule modal
+     */
+    showWorkScheduleModal() {
+        if (this.elements.workScheduleModal) {
+            this.populateForm(this.dataService.workSchedule.getSchedule());
+            this.elements.workScheduleModal.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Hide work schedule modal
+     */
+    hideWorkScheduleModal() {
+        if (this.elements.workScheduleModal) {
+            this.elements.workScheduleModal.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Check if the work schedule modal is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.elements.workScheduleModal) && !this.elements.workScheduleModal.classList.contains('hidden');
+    }
+
+    /**
+     * Offer the preset working weeks
+     */
+    renderPresets() {
+        if (!this.elements.workSchedulePreset) return;
+
+        Object.entries(WorkSchedule.presets).forEach(([key, preset]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = preset.label;
+            this.elements.workSchedulePreset.appendChild(option);
+        });
+    }
+
+    /**
+     * Fill the form from a schedule
+     * @param {WorkSchedule} schedule - Schedule
+     */
+    populateForm(schedule) {
+        this.renderDays(schedule.workingDays, schedule.expectedHours);
+        if (this.elements.workScheduleMaxHours) this.elements.workScheduleMaxHours.value = schedule.maxDailyHours ?? '';
+        if (this.elements.workScheduleOvertime) this.elements.workScheduleOvertime.value = schedule.overtimeAllowance;
+
+        this.hideFormErrors();
+        this.updatePresetSelection();
+        this.updateSummary();
+    }
+
+    /**
+     * Render a row per weekday, Monday first
+     * @param {Array} workingDays - Working weekdays, 0 = Sunday
+     * @param {Array} expectedHours - Hours per weekday, Sunday first
+     */
+    renderDays(workingDays, expectedHours) {
+        if (!this.elements.workScheduleDays) return;
+
+        this.elements.workScheduleDays.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => {
+            const isWorking = workingDays.includes(day);
+            return `
+                <div class="work-schedule-day">
+                    <label>
+                        <input type="checkbox" data-day="${day}" ${isWorking ? 'checked' : ''}>
+                        ${WorkSchedule.dayNames[day]}
+                    </label>
+                    <input type="number" data-hours-day="${day}" min="0.5" max="24" step="0.5"
+                        value="${expectedHours[day] || 8}" ${isWorking ? '' : 'disabled'}
+                        aria-label="Expected hours on ${WorkSchedule.dayNames[day]}">
+                    <span class="form-hint">hours</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Put a preset working week into the form
+     * @param {string} key - Preset key
+     */
+    applyPreset(key) {
+        const preset = WorkSchedule.presets[key];
+        if (!preset) return;
+
+        this.renderDays(preset.workingDays, preset.expectedHours);
+        this.updateSummary();
+    }
+
+    /**
+     * Select the preset the form matches, or Custom
+     */
+    updatePresetSelection() {
+        if (!this.elements.workSchedulePreset) return;
+
+        const { workingDays, expectedHours } = this.gatherFormData();
+        const match = Object.entries(WorkSchedule.presets).find(([, preset]) =>
+            preset.workingDays.join() === workingDays.join() &&
+            preset.workingDays.every(day => preset.expectedHours[day] === expectedHours[day])
+        );
+        this.elements.workSchedulePreset.value = match ? match[0] : '';
+    }
+
+    /**
+     * Gather form data
+     * @returns {Object} - Schedule fields
+     */
+    gatherFormData() {
+        const workingDays = [];
+        const expectedHours = [0, 0, 0, 0, 0, 0, 0];
+
+        this.elements.workScheduleDays?.querySelectorAll('input[data-day]').forEach(checkbox => {
+            const day = parseInt(checkbox.dataset.day, 10);
+            const hours = this.elements.workScheduleDays.querySelector(`input[data-hours-day="${day}"]`);
+            if (checkbox.checked) {
+                workingDays.push(day);
+                expectedHours[day] = parseFloat(hours?.value) || 0;
+            }
+        });
+
+        return {
+            workingDays: workingDays.sort((a, b) => a - b),
+            expectedHours,
+            maxDailyHours: this.elements.workScheduleMaxHours?.value ? parseFloat(this.elements.workScheduleMaxHours.value) : null,
+            overtimeAllowance: parseFloat(this.elements.workScheduleOvertime?.value) || 0
+        };
+    }
+
+    /**
+     * Show what the schedule in the form adds up to
+     */
+    updateSummary() {
+        if (!this.elements.workScheduleSummary) return;
+
+        try {
+            const schedule = new WorkSchedule(this.gatherFormData());
+            this.elements.workScheduleSummary.textContent =
+                `${schedule.describe()}. Up to ${schedule.getDailyLimit()} hours can be logged on one day.`;
+            this.hideFormErrors();
+        } catch (error) {
+            this.elements.workScheduleSummary.textContent = '';
+        }
+    }
+
+    /**
+     * Save the schedule in the form
+     */
+    saveSchedule() {
+        try {
+            const result = this.dataService.workSchedule.saveSchedule(this.gatherFormData());
+            this.hideWorkScheduleModal();
+            this.showToast(`✅ ${result.message}`);
+        } catch (error) {
+            console.error('Error saving work schedule:', error);
+            this.showFormErrors(error.message.replace('Validation failed: ', '').split(', '));
+        }
+    }
+
+    /**
+     * Show form errors
+     * @param {Array} errors - Error messages
+     */
+    showFormErrors(errors) {
+        if (this.elements.workScheduleErrors) {
+            this.elements.workScheduleErrors.innerHTML = errors.map(error => escapeHTML(error)).join('<br>');
+            this.elements.workScheduleErrors.classList.add('show');
+        }
+    }
+
+    /**
+     * Hide form errors
+     */
+    hideFormErrors() {
+        if (this.elements.workScheduleErrors) {
+            this.elements.workScheduleErrors.innerHTML = '';
+            this.elements.workScheduleErrors.classList.remove('show');
+        }
+    }
+
+    /**
+     * Show toast message
+     * @param {string} message - Message to show
+     */
+    showToast(message) {
+        document.dispatchEvent(new CustomEvent('app:toast', {
+            detail: { message }
+        }));
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        this.eventListeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.eventListeners = [];
+    }
+}
+
+export default WorkScheduleController;
@@ -4,9 +4,11 @@
 
 // Import Firebase configuration
 import { firebaseApp, auth, db, isInitialized as firebaseIsInitialized } from '/config/firebase.js';
+import RestConfig from '/config/rest.js';
 
 // Import Models
 import User from '/models/User.js';
+import RestUser from '/models/RestUser.js';
 import WorkEntry from '/models/WorkEntry.js';
 import Project from '/models/Project.js';
 
@@ -14,6 +16,14 @@ import Project from '/models/Project.js';
 import DataService from '/services/DataService.js';
 import ExportService from '/services/ExportService.js';
 import AnalyticsService from '/services/AnalyticsService.js';
+import TimerService from '/services/TimerService.js';
+
+// Import Storage Adapters
+import IndexedDBAdapter from '/services/storage/IndexedDBAdapter.js';
+import LocalStorageAdapter from '/services/storage/LocalStorageAdapter.js';
+import FirestoreAdapter from '/services/storage/FirestoreAdapter.js';
+import RestAdapter from '/services/storage/RestAdapter.js';
+import InMemoryAdapter from '/services/storage/InMemoryAdapter.js';
 
 // Import Controllers
 import AuthController from '/controllers/AuthController.js';
@@ -21,6 +31,18 @@ import DashboardController from '/controllers/DashboardController.js';
 import EntryController from '/controllers/EntryController.js';
 import ProjectController from '/controllers/ProjectController.js';
 import ToastController from '/controllers/ToastController.js';
+import ConflictController from '/controllers/ConflictController.js';
+import TrashController from '/controllers/TrashController.js';
+import RestoreController from '/controllers/RestoreController.js';
+import HealthController from '/controllers/HealthController.js';
+import TimerController from '/controllers/TimerController.js';
+import EntryTypeController from '/controllers/EntryTypeController.js';
+import LeaveBookingController from '/controllers/LeaveBookingController.js';
+import WorkScheduleController from '/controllers/WorkScheduleController.js';
+import LeaveEntitlementController from '/controllers/LeaveEntitlementController.js';
+import HolidayCalendarController from '/controllers/HolidayCalendarController.js';
+import RateCardController from '/controllers/RateCardController.js';
+import InvoiceController from '/controllers/InvoiceController.js';
 
 // Import Views
 import CalendarView from '/views/CalendarView.js';
@@ -33,12 +55,14 @@ class DailyWorkLogApp {
     constructor() {
         this.isInitialized = false;
         this.firebaseConfig = null;
+        this.restConfig = null;
         this.user = null;
         this.dataService = null;
         this.exportService = null;
         this.analyticsService = null;
         this.controllers = {};
         this.views = {};
+        this.hadAuthenticatedUser = false;
         
         console.log('🚀 Daily Work Log Tracker - Initializing...');
     }
@@ -90,6 +114,12 @@ class DailyWorkLogApp {
         };
         
         console.log('🔥 Firebase configuration initialized');
+
+        // Self-hosted sync server, enabled with ?backend=rest
+        this.restConfig = new RestConfig();
+        if (this.restConfig.isEnabled()) {
+            console.log(`🏢 Syncing with REST server at ${this.restConfig.baseUrl}`);
+        }
     }
 
     /**
@@ -97,12 +127,15 @@ class DailyWorkLogApp {
      */
     async initCoreServices() {
         // Initialize User service
-        this.user = new User(this.firebaseConfig);
+        this.user = this.restConfig.isEnabled()
+            ? new RestUser(this.restConfig)
+            : new User(this.firebaseConfig);
         console.log('👤 User service initialized');
         
-        // Initialize DataService
-        this.dataService = new DataService(this.firebaseConfig, this.user);
-        console.log('💾 Data service initialized');
+        // Initialize DataService with the selected storage backends
+        const storage = this.createStorageAdapters();
+        this.dataService = new DataService(this.user, storage);
+        console.log(`💾 Data service initialized (${storage.local.name}${storage.remote ? ` + ${storage.remote.name}` : ''})`);
         
         // Initialize ExportService
         this.exportService = new ExportService(this.dataService);
@@ -112,11 +145,45 @@ class DailyWorkLogApp {
         this.analyticsService = new AnalyticsService(this.dataService);
         console.log('📊 Analytics service initialized');
         
+        // Initialize TimerService
+        this.timerService = new TimerService(this.dataService);
+        console.log('⏱️ Timer service initialized');
+        
+        // A tab still running an older version keeps the local database from upgrading
+        document.addEventListener('storage:blocked', () => {
+            this.showLoadingState('Please close the other tabs of Daily Work Log Tracker to finish updating your data...');
+        }, { once: true });
+
         // Load initial data
         await this.dataService.loadData();
         console.log('📋 Initial data loaded');
     }
 
+    /**
+     * Select storage adapters for the data service
+     * `?storage=memory` runs without persistence (demos, headless runs);
+     * `?storage=localStorage` skips IndexedDB. `?backend=rest` syncs with a
+     * self-hosted server instead of Firestore (see server/README.md).
+     * @returns {Object} - { local, remote }
+     */
+    createStorageAdapters() {
+        const requested = new URLSearchParams(window.location.search).get('storage');
+
+        if (requested === 'memory') {
+            return { local: new InMemoryAdapter(), remote: null };
+        }
+
+        const local = requested !== 'localStorage' && IndexedDBAdapter.isSupported()
+            ? new IndexedDBAdapter()
+            : new LocalStorageAdapter();
+
+        const remote = this.restConfig.isEnabled()
+            ? new RestAdapter(this.restConfig, this.user)
+            : new FirestoreAdapter(this.firebaseConfig, this.user);
+
+        return { local, remote };
+    }
+
     /**
      * Initialize UI controllers and views
      */
@@ -134,6 +201,18 @@ class DailyWorkLogApp {
         this.controllers.dashboard = new DashboardController(this.dataService, this.analyticsService);
         this.controllers.entry = new EntryController(this.dataService, this.views.calendar);
         this.controllers.project = new ProjectController(this.dataService);
+        this.controllers.conflict = new ConflictController(this.dataService);
+        this.controllers.trash = new TrashController(this.dataService);
+        this.controllers.restore = new RestoreController(this.dataService);
+        this.controllers.health = new HealthController(this.dataService);
+        this.controllers.timer = new TimerController(this.dataService, this.timerService);
+        this.controllers.entryType = new EntryTypeController(this.dataService);
+        this.controllers.leaveBooking = new LeaveBookingController(this.dataService);
+        this.controllers.workSchedule = new WorkScheduleController(this.dataService);
+        this.controllers.leaveEntitlement = new LeaveEntitlementController(this.dataService);
+        this.controllers.holidayCalendar = new HolidayCalendarController(this.dataService);
+        this.controllers.rateCard = new RateCardController(this.dataService);
+        this.controllers.invoice = new InvoiceController(this.dataService, this.exportService);
         
         console.log('🎮 Controllers initialized');
         
@@ -162,6 +241,8 @@ class DailyWorkLogApp {
      * @param {Object} user - Authenticated user object
      */
     async handleUserAuthenticated(user) {
+        this.hadAuthenticatedUser = true;
+
         try {
             // Load user-specific data
             await this.dataService.loadData();
@@ -181,7 +262,11 @@ class DailyWorkLogApp {
             
         } catch (error) {
             console.error('Error handling user authentication:', error);
-            this.controllers.toast.error('Failed to load user data');
+            if (error.code === 'schema/newer-version') {
+                this.controllers.toast.error(error.message, 0);
+            } else {
+                this.controllers.toast.error('Failed to load user data');
+            }
         }
     }
 
@@ -189,8 +274,12 @@ class DailyWorkLogApp {
      * Handle user not authenticated
      */
     handleUserNotAuthenticated() {
-        // Clear sensitive data
-        this.dataService.clearData();
+        // Clear sensitive data when a session ends, but keep unsynced
+        // local edits across reloads until the auth state is known
+        if (this.hadAuthenticatedUser) {
+            this.dataService.clearData();
+            this.hadAuthenticatedUser = false;
+        }
         
         // Show authentication screen
         this.showAuthenticationScreen();
@@ -238,6 +327,19 @@ class DailyWorkLogApp {
                 e.preventDefault();
                 this.quickExport();
             }
+
+            // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z or Ctrl + Y: Redo
+            // Text fields keep their own undo
+            if ((e.ctrlKey || e.metaKey) && !this.isTextInput(e.target)) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.undo();
+                } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                    e.preventDefault();
+                    this.redo();
+                }
+            }
         });
 
         // Custom application events
@@ -249,6 +351,14 @@ class DailyWorkLogApp {
             this.handleExportRequest(e.detail);
         });
 
+        document.addEventListener('app:undo', (e) => {
+            this.undo(e.detail?.commandId ?? null);
+        });
+
+        document.addEventListener('app:redo', () => {
+            this.redo();
+        });
+
         console.log('🎯 Global event listeners setup complete');
     }
 
@@ -262,6 +372,18 @@ class DailyWorkLogApp {
         window.entryController = this.controllers.entry;
         window.projectController = this.controllers.project;
         window.toastController = this.controllers.toast;
+        window.conflictController = this.controllers.conflict;
+        window.trashController = this.controllers.trash;
+        window.restoreController = this.controllers.restore;
+        window.healthController = this.controllers.health;
+        window.timerController = this.controllers.timer;
+        window.entryTypeController = this.controllers.entryType;
+        window.leaveBookingController = this.controllers.leaveBooking;
+        window.workScheduleController = this.controllers.workSchedule;
+        window.leaveEntitlementController = this.controllers.leaveEntitlement;
+        window.holidayCalendarController = this.controllers.holidayCalendar;
+        window.rateCardController = this.controllers.rateCard;
+        window.invoiceController = this.controllers.invoice;
         
         // Expose views globally
         window.calendarView = this.views.calendar;
@@ -270,6 +392,7 @@ class DailyWorkLogApp {
         window.dataService = this.dataService;
         window.exportService = this.exportService;
         window.analyticsService = this.analyticsService;
+        window.timerService = this.timerService;
         
         // Expose main app
         window.dailyWorkLogApp = this;
@@ -379,6 +502,58 @@ class DailyWorkLogApp {
         }
     }
 
+    /**
+     * Undo the most recent entry or project change
+     * @param {number|null} commandId - Only undo this change (from a toast's Undo button)
+     */
+    async undo(commandId = null) {
+        if (!this.dataService) return;
+
+        try {
+            const result = await this.dataService.history.undo(commandId);
+            if (result.success) {
+                this.controllers.toast.show(`↩️ ${result.message}`, 'success', 4000, {
+                    label: 'Redo',
+                    handler: () => this.redo()
+                });
+            } else {
+                this.controllers.toast.info(result.message);
+            }
+        } catch (error) {
+            console.error('Undo failed:', error);
+            this.controllers.toast.error('Undo failed: ' + error.message);
+        }
+    }
+
+    /**
+     * Redo the most recently undone change
+     */
+    async redo() {
+        if (!this.dataService) return;
+
+        try {
+            const result = await this.dataService.history.redo();
+            if (result.success) {
+                this.controllers.toast.brief(`↪️ ${result.message}`);
+            } else {
+                this.controllers.toast.info(result.message);
+            }
+        } catch (error) {
+            console.error('Redo failed:', error);
+            this.controllers.toast.error('Redo failed: ' + error.message);
+        }
+    }
+
+    /**
+     * Check if an element handles its own undo (text fields)
+     * @param {Element} element - Event target
+     * @returns {boolean}
+     */
+    isTextInput(element) {
+        if (!element) return false;
+        return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+    }
+
     /**
      * Refresh all components
      */
@@ -457,6 +632,22 @@ class DailyWorkLogApp {
                 view.destroy();
             }
         });
+
+        // Stop listening to other tabs
+        if (this.dataService) {
+            this.dataService.tabSync.close();
+            this.dataService.entryTypes.destroy();
+            this.dataService.workSchedule.destroy();
+            this.dataService.leaveBalances.destroy();
+            this.dataService.holidays.destroy();
+            this.dataService.billing.destroy();
+            this.dataService.invoices.destroy();
+        }
+
+        // Stop listening for timer changes
+        if (this.timerService) {
+            this.timerService.destroy();
+        }
         
         // Clear global references
         delete window.authController;
@@ -464,10 +655,23 @@ class DailyWorkLogApp {
         delete window.entryController;
         delete window.projectController;
         delete window.toastController;
+        delete window.conflictController;
+        delete window.trashController;
+        delete window.restoreController;
+        delete window.healthController;
+        delete window.timerController;
+        delete window.entryTypeController;
+        delete window.leaveBookingController;
+        delete window.workScheduleController;
+        delete window.leaveEntitlementController;
+        delete window.holidayCalendarController;
+        delete window.rateCardController;
+        delete window.invoiceController;
         delete window.calendarView;
         delete window.dataService;
         delete window.exportService;
         delete window.analyticsService;
+        delete window.timerService;
         delete window.dailyWorkLogApp;
         
         console.log('✅ Application cleanup complete');
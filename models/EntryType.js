@@ -0,0 +1,228 @@
+// models/EntryType.js
+// Entry Type Model Class - A kind of entry (work, leave, holiday...) and how it is counted
+
+import WorkSchedule from './WorkSchedule.js';
+
+class EntryType {
+    constructor(data = {}) {
+        this.id = data.id || ''; // Stored on entries as entry.type
+        this.label = (data.label || '').trim();
+        this.color = data.color || '#6b7280';
+        this.icon = (data.icon || '').trim() || '📝';
+        this.category = data.category || 'leave'; // work, leave, holiday - used for attendance
+        this.granularity = data.granularity || 'full'; // hourly, full, half
+        this.countsAsHours = data.countsAsHours !== undefined ? Boolean(data.countsAsHours) : true; // Towards daily and monthly totals
+        this.paid = data.paid !== undefined ? Boolean(data.paid) : true;
+        this.usesToil = Boolean(data.usesToil); // Taken from the overtime (TOIL) balance, like comp-off
+        this.builtIn = Boolean(data.builtIn); // Shipped types can be relabelled but not removed
+
+        this.validate();
+    }
+
+    /**
+     * Validate type data
+     */
+    validate() {
+        const errors = [];
+
+        if (!/^[a-zA-Z][a-zA-Z0-9]{0,29}$/.test(this.id)) {
+            errors.push('Type ID must start with a letter and contain only letters and numbers');
+        }
+
+        if (!this.label) {
+            errors.push('Label is required');
+        } else if (this.label.length > 40) {
+            errors.push('Label cannot exceed 40 characters');
+        }
+
+        if (!/^#[0-9a-fA-F]{6}$/.test(this.color)) {
+            errors.push('Colour must be a hex colour such as #2563eb');
+        }
+
+        if ([...this.icon].length > 4) {
+            errors.push('Icon must be a single emoji');
+        }
+
+        if (!EntryType.categories[this.category]) {
+            errors.push(`Invalid category: ${this.category}`);
+        }
+
+        if (!EntryType.granularities[this.granularity]) {
+            errors.push(`Invalid granularity: ${this.granularity}`);
+        }
+
+        if (this.usesToil && this.granularity === 'hourly') {
+            errors.push('Only full and half day types can be taken from the overtime balance');
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Validation failed: ${errors.join(', ')}`);
+        }
+    }
+
+    /**
+     * Get the hours an entry of this type counts for
+     * Full and half days stand for the hours the work schedule expects that day.
+     * @param {Object} entry - Entry data or WorkEntry
+     * @param {string} dateKey - Date of the entry (YYYY-MM-DD), for entries that don't carry one
+     * @returns {number} - Hours
+     */
+    getHours(entry, dateKey = entry.date) {
+        if (!this.countsAsHours) return 0;
+
+        switch (this.granularity) {
+            case 'hourly':
+                return entry.hours || 0;
+            case 'half':
+                return EntryType.getDayHours(dateKey) / 2;
+            default:
+                return EntryType.getDayHours(dateKey);
+        }
+    }
+
+    /**
+     * Check if entries of this type take the whole day
+     * @returns {boolean}
+     */
+    isFullDay() {
+        return this.granularity === 'full';
+    }
+
+    /**
+     * Check if entries of this type take a morning or afternoon
+     * @returns {boolean}
+     */
+    isHalfDay() {
+        return this.granularity === 'half';
+    }
+
+    /**
+     * Check if entries of this type log hours
+     * @returns {boolean}
+     */
+    isHourly() {
+        return this.granularity === 'hourly';
+    }
+
+    /**
+     * Convert type to JSON
+     * @returns {Object} - JSON representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            label: this.label,
+            color: this.color,
+            icon: this.icon,
+            category: this.category,
+            granularity: this.granularity,
+            countsAsHours: this.countsAsHours,
+            paid: this.paid,
+            usesToil: this.usesToil,
+            builtIn: this.builtIn
+        };
+    }
+
+    /**
+     * Replace the registry of known types
+     * @param {Array} types - EntryType instances, in display order
+     */
+    static setRegistry(types) {
+        EntryType.registry = new Map(types.map(type => [type.id, type]));
+    }
+
+    /**
+     * Get a registered type
+     * @param {string} id - Type ID
+     * @returns {EntryType|null} - Type, or null if unknown
+     */
+    static get(id) {
+        return EntryType.registry.get(id) || null;
+    }
+
+    /**
+     * Get a registered type, or a stand-in for types this device doesn't know
+     * @param {string} id - Type ID
+     * @returns {EntryType} - Type
+     */
+    static resolve(id) {
+        return EntryType.get(id) || new EntryType({
+            id: /^[a-zA-Z][a-zA-Z0-9]{0,29}$/.test(id) ? id : 'unknown',
+            label: id || 'Unknown',
+            granularity: 'hourly',
+            countsAsHours: false
+        });
+    }
+
+    /**
+     * Get all registered types
+     * @returns {Array} - EntryType instances, in display order
+     */
+    static getAll() {
+        return Array.from(EntryType.registry.values());
+    }
+
+    /**
+     * Find a registered type by ID or label, ignoring case and spaces
+     * @param {string} value - Type ID or label, e.g. from a CSV file
+     * @returns {EntryType|null} - Type, or null if none matches
+     */
+    static find(value) {
+        const key = String(value || '').toLowerCase().replace(/\s+/g, '');
+        return EntryType.getAll().find(type =>
+            type.id.toLowerCase() === key || type.label.toLowerCase().replace(/\s+/g, '') === key
+        ) || null;
+    }
+
+    /**
+     * Get the hours an entry counts for under its type
+     * @param {Object} entry - Entry data or WorkEntry
+     * @param {string} dateKey - Date of the entry (YYYY-MM-DD), for entries that don't carry one
+     * @returns {number} - Hours
+     */
+    static getEntryHours(entry, dateKey = entry.date) {
+        const type = EntryType.get(entry.type);
+        return type ? type.getHours(entry, dateKey) : 0;
+    }
+
+    /**
+     * Get the hours a full day of leave stands for
+     * @param {Date|string} date - Date, or date key (YYYY-MM-DD)
+     * @returns {number} - The day's expected hours, or the longest working day without a date
+     */
+    static getDayHours(date) {
+        const schedule = WorkSchedule.current;
+        return date
+            ? schedule.getExpectedHours(date)
+            : Math.max(...schedule.workingDays.map(day => schedule.expectedHours[day]));
+    }
+}
+
+EntryType.categories = {
+    work: 'Work',
+    leave: 'Leave',
+    holiday: 'Holiday'
+};
+
+EntryType.granularities = {
+    hourly: 'Hours',
+    full: 'Full day',
+    half: 'Half day'
+};
+
+// Types every user starts with; the first four can't be removed
+EntryType.defaults = [
+    { id: 'work', label: 'Work Entry', color: '#2563eb', icon: '💼', category: 'work', granularity: 'hourly', builtIn: true },
+    { id: 'fullLeave', label: 'Full Day Leave', color: '#dc2626', icon: '🏖️', category: 'leave', granularity: 'full', builtIn: true },
+    { id: 'halfLeave', label: 'Half Day Leave', color: '#ea580c', icon: '🌅', category: 'leave', granularity: 'half', builtIn: true },
+    { id: 'holiday', label: 'Holiday', color: '#16a34a', icon: '🎉', category: 'holiday', granularity: 'full', builtIn: true },
+    { id: 'sickLeave', label: 'Sick Leave', color: '#9333ea', icon: '🤒', category: 'leave', granularity: 'full' },
+    { id: 'compOff', label: 'Comp-off', color: '#0891b2', icon: '🔁', category: 'leave', granularity: 'full', usesToil: true },
+    { id: 'unpaidLeave', label: 'Unpaid Leave', color: '#64748b', icon: '💤', category: 'leave', granularity: 'full', countsAsHours: false, paid: false },
+    { id: 'training', label: 'Training', color: '#ca8a04', icon: '🎓', category: 'work', granularity: 'hourly' },
+    { id: 'businessTravel', label: 'Business Travel', color: '#0d9488', icon: '✈️', category: 'work', granularity: 'hourly' }
+];
+
+EntryType.registry = new Map(EntryType.defaults.map(data => [data.id, new EntryType(data)]));
+
+export default EntryType;
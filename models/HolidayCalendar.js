@@ -0,0 +1,442 @@
+// models/HolidayCalendar.js
+// Holiday Calendar Model Class - Public holidays of a country or region, worked out for any year from rules
+
+class HolidayCalendar {
+    constructor(data = {}) {
+        this.id = data.id || '';
+        this.label = (data.label || '').trim();
+        this.country = (data.country || '').trim(); // Groups regions of one country in the picker
+        this.rules = Array.isArray(data.rules) ? data.rules.map(rule => ({ ...rule })) : [];
+        this.observed = data.observed || 'none'; // none, nextWeekday, nearestWeekday - where weekend holidays are made up
+        this.uploaded = Boolean(data.uploaded); // Imported from an iCalendar file rather than bundled
+
+        this.validate();
+    }
+
+    /**
+     * Validate calendar data
+     */
+    validate() {
+        const errors = [];
+
+        if (!/^[a-zA-Z][a-zA-Z0-9-]{0,39}$/.test(this.id)) {
+            errors.push('Calendar ID must start with a letter and contain only letters, numbers and dashes');
+        }
+
+        if (!this.label) {
+            errors.push('Label is required');
+        } else if (this.label.length > 60) {
+            errors.push('Label cannot exceed 60 characters');
+        }
+
+        if (this.rules.length === 0) {
+            errors.push('A holiday calendar needs at least one holiday');
+        } else if (this.rules.length > HolidayCalendar.maxRules) {
+            errors.push(`A holiday calendar cannot have more than ${HolidayCalendar.maxRules} holidays`);
+        }
+
+        this.rules.forEach(rule => {
+            if (!HolidayCalendar.isValidRule(rule)) {
+                errors.push(`Invalid holiday: ${rule?.name || 'unnamed'}`);
+            }
+        });
+
+        if (!HolidayCalendar.observedRules[this.observed]) {
+            errors.push(`Invalid observance rule: ${this.observed}`);
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Validation failed: ${errors.join(', ')}`);
+        }
+    }
+
+    /**
+     * Get the holidays in a year
+     * Holidays falling on a weekend are kept, with a made-up day added after them
+     * when the calendar observes one.
+     * @param {number} year - Calendar year
+     * @returns {Array} - [{ date, name }] sorted by date; a made-up day can fall in the next or previous year
+     */
+    getHolidays(year) {
+        const holidays = this.rules
+            .filter(rule => !rule.since || year >= rule.since)
+            .map(rule => ({ date: HolidayCalendar.resolveRule(rule, year), name: rule.name }))
+            .filter(holiday => holiday.date && holiday.date.startsWith(`${year}-`))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        if (this.observed === 'none') return holidays;
+
+        const taken = new Set(holidays.map(holiday => holiday.date));
+        const substitutes = [];
+        holidays.forEach(holiday => {
+            const dayOfWeek = HolidayCalendar.getDayOfWeek(holiday.date);
+            if (dayOfWeek !== 0 && dayOfWeek !== 6) return;
+
+            let date;
+            if (this.observed === 'nearestWeekday') {
+                date = HolidayCalendar.shiftDate(holiday.date, dayOfWeek === 6 ? -1 : 1);
+            } else {
+                // Boxing Day on a Sunday after Christmas on a Saturday moves to Tuesday
+                date = HolidayCalendar.shiftDate(holiday.date, 1);
+                while ([0, 6].includes(HolidayCalendar.getDayOfWeek(date)) || taken.has(date)) {
+                    date = HolidayCalendar.shiftDate(date, 1);
+                }
+            }
+
+            taken.add(date);
+            substitutes.push({ date, name: `${holiday.name} (${this.observed === 'nearestWeekday' ? 'observed' : 'substitute day'})` });
+        });
+
+        return [...holidays, ...substitutes].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Convert calendar to JSON
+     * @returns {Object} - JSON representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            label: this.label,
+            country: this.country,
+            rules: this.rules.map(rule => ({ ...rule })),
+            observed: this.observed,
+            uploaded: this.uploaded
+        };
+    }
+
+    /**
+     * Check a holiday rule
+     * @param {Object} rule - Rule
+     * @returns {boolean}
+     */
+    static isValidRule(rule) {
+        if (!rule || typeof rule.name !== 'string' || !rule.name.trim() || rule.name.length > 100) return false;
+
+        if (rule.date !== undefined) return /^\d{4}-\d{2}-\d{2}$/.test(rule.date);
+        if (rule.easter !== undefined) return Number.isInteger(rule.easter) && Math.abs(rule.easter) <= 100;
+        if (!(rule.month >= 1 && rule.month <= 12)) return false;
+        if (rule.weekday !== undefined) {
+            return rule.weekday >= 0 && rule.weekday <= 6 &&
+                ([-1, 1, 2, 3, 4, 5].includes(rule.nth) || (rule.before >= 2 && rule.before <= 31));
+        }
+        return rule.day >= 1 && rule.day <= 31;
+    }
+
+    /**
+     * Work out the date of a rule in a year
+     * Rules are a fixed date ({ month, day }), a one-off date ({ date }), days from
+     * Easter Sunday ({ easter }), the nth weekday of a month ({ month, weekday, nth },
+     * -1 for the last) or the last weekday before a day ({ month, weekday, before }).
+     * @param {Object} rule - Rule
+     * @param {number} year - Calendar year
+     * @returns {string|null} - Date key, or null if the rule has no date that year
+     */
+    static resolveRule(rule, year) {
+        if (rule.date) return rule.date;
+
+        if (rule.easter !== undefined) {
+            return HolidayCalendar.shiftDate(HolidayCalendar.getEaster(year), rule.easter);
+        }
+
+        if (rule.weekday !== undefined) {
+            if (rule.before) {
+                const before = HolidayCalendar.toDateKey(year, rule.month, rule.before);
+                const offset = (HolidayCalendar.getDayOfWeek(before) - rule.weekday + 7) % 7 || 7;
+                return HolidayCalendar.shiftDate(before, -offset);
+            }
+
+            if (rule.nth === -1) {
+                const last = HolidayCalendar.toDateKey(year, rule.month, new Date(Date.UTC(year, rule.month, 0)).getUTCDate());
+                return HolidayCalendar.shiftDate(last, -((HolidayCalendar.getDayOfWeek(last) - rule.weekday + 7) % 7));
+            }
+
+            const first = HolidayCalendar.toDateKey(year, rule.month, 1);
+            const date = HolidayCalendar.shiftDate(first, (rule.weekday - HolidayCalendar.getDayOfWeek(first) + 7) % 7 + (rule.nth - 1) * 7);
+            return date.slice(5, 7) === String(rule.month).padStart(2, '0') ? date : null;
+        }
+
+        // 29 February only exists in leap years
+        const date = HolidayCalendar.toDateKey(year, rule.month, rule.day);
+        return HolidayCalendar.shiftDate(date, 0) === date ? date : null;
+    }
+
+    /**
+     * Get Easter Sunday (Gregorian calendar)
+     * @param {number} year - Calendar year
+     * @returns {string} - Date key
+     */
+    static getEaster(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return HolidayCalendar.toDateKey(year, month, day);
+    }
+
+    /**
+     * Read the all-day events of an iCalendar (.ics) file as a holiday calendar
+     * Events repeating yearly become fixed-date holidays; other events cover the
+     * days from DTSTART up to DTEND.
+     * @param {string} text - File contents
+     * @param {Object} options - { id, label } for the calendar; the file's X-WR-CALNAME is used when no label is given
+     * @returns {HolidayCalendar} - Uploaded calendar
+     */
+    static fromICal(text, { id, label = '' } = {}) {
+        // Long lines are folded onto lines starting with a space or tab
+        const lines = String(text || '').replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const rules = [];
+        let calendarName = '';
+        let event = null;
+
+        lines.forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+
+            const property = line.slice(0, separator).split(';')[0].toUpperCase();
+            const value = line.slice(separator + 1).trim();
+
+            if (property === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+                event = {};
+            } else if (property === 'END' && value.toUpperCase() === 'VEVENT') {
+                if (event) rules.push(...HolidayCalendar.eventToRules(event));
+                event = null;
+            } else if (event) {
+                if (property === 'DTSTART') event.start = value;
+                if (property === 'DTEND') event.end = value;
+                if (property === 'SUMMARY') event.name = HolidayCalendar.unescapeICalText(value);
+                if (property === 'RRULE') event.yearly = /FREQ=YEARLY/i.test(value);
+            } else if (property === 'X-WR-CALNAME') {
+                calendarName = HolidayCalendar.unescapeICalText(value);
+            }
+        });
+
+        if (rules.length === 0) {
+            throw new Error('Validation failed: No dated events found in the calendar file');
+        }
+
+        return new HolidayCalendar({
+            id,
+            label: (label || calendarName || 'Uploaded holidays').slice(0, 60),
+            rules,
+            observed: 'none',
+            uploaded: true
+        });
+    }
+
+    /**
+     * Turn an iCalendar event into holiday rules
+     * @param {Object} event - { start, end, name, yearly } as read from the file
+     * @returns {Array} - Rules, none if the event has no usable date
+     */
+    static eventToRules(event) {
+        const start = HolidayCalendar.parseICalDate(event.start);
+        if (!start) return [];
+
+        const name = (event.name || 'Holiday').slice(0, 100);
+        if (event.yearly) {
+            return [{ name, month: parseInt(start.slice(5, 7), 10), day: parseInt(start.slice(8, 10), 10) }];
+        }
+
+        // DTEND is the day after an all-day event; long events are capped at a month
+        const end = HolidayCalendar.parseICalDate(event.end);
+        const rules = [{ name, date: start }];
+        for (let date = HolidayCalendar.shiftDate(start, 1); end && date < end && rules.length < 31; date = HolidayCalendar.shiftDate(date, 1)) {
+            rules.push({ name, date });
+        }
+        return rules;
+    }
+
+    /**
+     * Read the date of an iCalendar DATE or DATE-TIME value
+     * @param {string} value - e.g. '20261225' or '20261225T000000Z'
+     * @returns {string|null} - Date key
+     */
+    static parseICalDate(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+        if (!match) return null;
+
+        const date = `${match[1]}-${match[2]}-${match[3]}`;
+        return HolidayCalendar.shiftDate(date, 0) === date ? date : null;
+    }
+
+    /**
+     * Undo iCalendar text escaping
+     * @param {string} value - Escaped text
+     * @returns {string} - Text
+     */
+    static unescapeICalText(value) {
+        return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? ' ' : char).trim();
+    }
+
+    /**
+     * Build a date key
+     * @param {number} year - Year
+     * @param {number} month - Month (1-12)
+     * @param {number} day - Day of month
+     * @returns {string} - Date key (YYYY-MM-DD)
+     */
+    static toDateKey(year, month, day) {
+        return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Move a date key by a number of days
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {number} days - Days to add, negative to go back
+     * @returns {string} - Date key
+     */
+    static shiftDate(dateKey, days) {
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Get the weekday of a date key
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {number} - 0 (Sunday) to 6 (Saturday)
+     */
+    static getDayOfWeek(dateKey) {
+        return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    }
+}
+
+HolidayCalendar.maxRules = 1000;
+
+HolidayCalendar.observedRules = {
+    none: 'Not made up',
+    nextWeekday: 'Next working weekday',
+    nearestWeekday: 'Friday before or Monday after'
+};
+
+// Holidays shared by every German state
+const germany = [
+    { name: "New Year's Day", month: 1, day: 1 },
+    { name: 'Good Friday', easter: -2 },
+    { name: 'Easter Monday', easter: 1 },
+    { name: 'Labour Day', month: 5, day: 1 },
+    { name: 'Ascension Day', easter: 39 },
+    { name: 'Whit Monday', easter: 50 },
+    { name: 'German Unity Day', month: 10, day: 3 },
+    { name: 'Christmas Day', month: 12, day: 25 },
+    { name: 'St Stephen\'s Day', month: 12, day: 26 }
+];
+
+// Bank holidays shared by the UK nations
+const britain = [
+    { name: "New Year's Day", month: 1, day: 1 },
+    { name: 'Good Friday', easter: -2 },
+    { name: 'Early May bank holiday', month: 5, weekday: 1, nth: 1 },
+    { name: 'Spring bank holiday', month: 5, weekday: 1, nth: -1 },
+    { name: 'Christmas Day', month: 12, day: 25 },
+    { name: 'Boxing Day', month: 12, day: 26 }
+];
+
+// Public holidays shipped with the app, so they work offline
+HolidayCalendar.datasets = [
+    {
+        id: 'us', label: 'United States (federal)', country: 'United States', observed: 'nearestWeekday',
+        rules: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Martin Luther King Jr. Day', month: 1, weekday: 1, nth: 3 },
+            { name: "Washington's Birthday", month: 2, weekday: 1, nth: 3 },
+            { name: 'Memorial Day', month: 5, weekday: 1, nth: -1 },
+            { name: 'Juneteenth', month: 6, day: 19, since: 2021 },
+            { name: 'Independence Day', month: 7, day: 4 },
+            { name: 'Labor Day', month: 9, weekday: 1, nth: 1 },
+            { name: 'Columbus Day', month: 10, weekday: 1, nth: 2 },
+            { name: 'Veterans Day', month: 11, day: 11 },
+            { name: 'Thanksgiving Day', month: 11, weekday: 4, nth: 4 },
+            { name: 'Christmas Day', month: 12, day: 25 }
+        ]
+    },
+    {
+        id: 'gb-eng', label: 'England and Wales', country: 'United Kingdom', observed: 'nextWeekday',
+        rules: [
+            ...britain,
+            { name: 'Easter Monday', easter: 1 },
+            { name: 'Summer bank holiday', month: 8, weekday: 1, nth: -1 }
+        ]
+    },
+    {
+        id: 'gb-sct', label: 'Scotland', country: 'United Kingdom', observed: 'nextWeekday',
+        rules: [
+            ...britain,
+            { name: '2nd January', month: 1, day: 2 },
+            { name: 'Summer bank holiday', month: 8, weekday: 1, nth: 1 },
+            { name: "St Andrew's Day", month: 11, day: 30 }
+        ]
+    },
+    {
+        id: 'gb-nir', label: 'Northern Ireland', country: 'United Kingdom', observed: 'nextWeekday',
+        rules: [
+            ...britain,
+            { name: "St Patrick's Day", month: 3, day: 17 },
+            { name: 'Easter Monday', easter: 1 },
+            { name: 'Battle of the Boyne', month: 7, day: 12 },
+            { name: 'Summer bank holiday', month: 8, weekday: 1, nth: -1 }
+        ]
+    },
+    { id: 'de', label: 'Germany (nationwide)', country: 'Germany', observed: 'none', rules: germany },
+    {
+        id: 'de-by', label: 'Bavaria', country: 'Germany', observed: 'none',
+        rules: [
+            ...germany,
+            { name: 'Epiphany', month: 1, day: 6 },
+            { name: 'Corpus Christi', easter: 60 },
+            { name: "All Saints' Day", month: 11, day: 1 }
+        ]
+    },
+    {
+        id: 'fr', label: 'France', country: 'France', observed: 'none',
+        rules: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Easter Monday', easter: 1 },
+            { name: 'Labour Day', month: 5, day: 1 },
+            { name: 'Victory in Europe Day', month: 5, day: 8 },
+            { name: 'Ascension Day', easter: 39 },
+            { name: 'Whit Monday', easter: 50 },
+            { name: 'Bastille Day', month: 7, day: 14 },
+            { name: 'Assumption Day', month: 8, day: 15 },
+            { name: "All Saints' Day", month: 11, day: 1 },
+            { name: 'Armistice Day', month: 11, day: 11 },
+            { name: 'Christmas Day', month: 12, day: 25 }
+        ]
+    },
+    {
+        id: 'ca', label: 'Canada (federal)', country: 'Canada', observed: 'nextWeekday',
+        rules: [
+            { name: "New Year's Day", month: 1, day: 1 },
+            { name: 'Good Friday', easter: -2 },
+            { name: 'Victoria Day', month: 5, weekday: 1, before: 25 },
+            { name: 'Canada Day', month: 7, day: 1 },
+            { name: 'Labour Day', month: 9, weekday: 1, nth: 1 },
+            { name: 'National Day for Truth and Reconciliation', month: 9, day: 30, since: 2021 },
+            { name: 'Thanksgiving', month: 10, weekday: 1, nth: 2 },
+            { name: 'Remembrance Day', month: 11, day: 11 },
+            { name: 'Christmas Day', month: 12, day: 25 },
+            { name: 'Boxing Day', month: 12, day: 26 }
+        ]
+    },
+    {
+        id: 'in', label: 'India (national)', country: 'India', observed: 'none',
+        rules: [
+            { name: 'Republic Day', month: 1, day: 26 },
+            { name: 'Independence Day', month: 8, day: 15 },
+            { name: 'Gandhi Jayanti', month: 10, day: 2 }
+        ]
+    }
+].map(data => new HolidayCalendar(data));
+
+export default HolidayCalendar;
@@ -0,0 +1,165 @@
+// models/Invoice.js
+// Invoice Model Class - Issued invoice for a client's billable hours; never changed once issued
+
+import RateCard from './RateCard.js';
+
+class Invoice {
+    constructor(data = {}) {
+        this.id = data.id || '';
+        this.number = data.number || ''; // Sequential, e.g. INV-0001
+        this.client = (data.client || '').trim();
+        this.startDate = data.startDate || ''; // YYYY-MM-DD, inclusive
+        this.endDate = data.endDate || ''; // YYYY-MM-DD, inclusive
+        this.issuedAt = data.issuedAt || new Date().toISOString();
+        this.issuedBy = data.issuedBy || '';
+        this.currency = (data.currency || RateCard.defaultCurrency).toUpperCase();
+        this.taxRate = parseFloat(data.taxRate) || 0; // Percent
+        this.lines = (Array.isArray(data.lines) ? data.lines : []).map(line => Object.freeze({
+            chargeCode: line.chargeCode || '',
+            description: line.description || '',
+            hours: parseFloat(line.hours) || 0,
+            rate: parseFloat(line.rate) || 0,
+            amount: parseFloat(line.amount) || 0
+        }));
+        this.subtotal = parseFloat(data.subtotal) || 0;
+        this.tax = parseFloat(data.tax) || 0;
+        this.total = parseFloat(data.total) || 0;
+        this.entryIds = Array.isArray(data.entryIds) ? [...data.entryIds] : []; // Entries billed, so they aren't billed twice
+        this.notes = (data.notes || '').trim();
+
+        this.validate();
+
+        // Issued invoices are records, not drafts
+        Object.freeze(this.lines);
+        Object.freeze(this.entryIds);
+        Object.freeze(this);
+    }
+
+    /**
+     * Validate invoice data
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.id) {
+            errors.push('Invoice ID is required');
+        }
+
+        if (!this.number) {
+            errors.push('Invoice number is required');
+        }
+
+        if (!this.client) {
+            errors.push('Client is required');
+        }
+
+        const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+        if (!dateFormat.test(this.startDate) || !dateFormat.test(this.endDate)) {
+            errors.push('Invoice period needs a start and end date');
+        } else if (this.endDate < this.startDate) {
+            errors.push('Invoice period cannot end before it starts');
+        }
+
+        if (!/^[A-Z]{3}$/.test(this.currency)) {
+            errors.push('Currency must be a three-letter code, such as GBP');
+        }
+
+        if (!(this.taxRate >= 0 && this.taxRate <= 100)) {
+            errors.push('Tax rate must be between 0 and 100%');
+        }
+
+        if (this.lines.length === 0) {
+            errors.push('An invoice needs at least one line');
+        }
+
+        if (this.lines.some(line => !line.chargeCode || !(line.hours > 0) || !(line.rate >= 0))) {
+            errors.push('Every line needs a charge code, hours and a rate');
+        }
+
+        if (this.notes.length > 500) {
+            errors.push('Notes cannot exceed 500 characters');
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Validation failed: ${errors.join(', ')}`);
+        }
+    }
+
+    /**
+     * Describe the invoice
+     * @returns {string} - e.g. "INV-0001 · Mercia Motors · £1,200.00"
+     */
+    describe() {
+        return `${this.number} · ${this.client} · ${RateCard.formatMoney(this.total, this.currency)}`;
+    }
+
+    /**
+     * Convert invoice to JSON
+     * @returns {Object} - JSON representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            number: this.number,
+            client: this.client,
+            startDate: this.startDate,
+            endDate: this.endDate,
+            issuedAt: this.issuedAt,
+            issuedBy: this.issuedBy,
+            currency: this.currency,
+            taxRate: this.taxRate,
+            lines: this.lines.map(line => ({ ...line })),
+            subtotal: this.subtotal,
+            tax: this.tax,
+            total: this.total,
+            entryIds: [...this.entryIds],
+            notes: this.notes
+        };
+    }
+
+    /**
+     * Work out the totals of some lines
+     * @param {Array} lines - Lines with amounts
+     * @param {number} taxRate - Tax rate in percent
+     * @returns {Object} - { subtotal, tax, total }
+     */
+    static calculateTotals(lines, taxRate) {
+        const subtotal = Invoice.round(lines.reduce((sum, line) => sum + line.amount, 0));
+        const tax = Invoice.round(subtotal * taxRate / 100);
+        return { subtotal, tax, total: Invoice.round(subtotal + tax) };
+    }
+
+    /**
+     * Round an invoice amount or hours to two decimals
+     * Every figure on an invoice goes through here, so lines and totals always agree.
+     * @param {number} value - Value
+     * @returns {number} - Rounded value
+     */
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Format an invoice number
+     * @param {number} sequence - Position in the sequence, from 1
+     * @returns {string} - e.g. "INV-0001"
+     */
+    static formatNumber(sequence) {
+        return `${Invoice.numberPrefix}${String(sequence).padStart(4, '0')}`;
+    }
+
+    /**
+     * Read the position in the sequence from an invoice number
+     * @param {string} number - e.g. "INV-0001"
+     * @returns {number} - e.g. 1, or 0 if it isn't an invoice number
+     */
+    static parseNumber(number) {
+        const value = String(number || '');
+        if (!value.startsWith(Invoice.numberPrefix)) return 0;
+        return parseInt(value.slice(Invoice.numberPrefix.length), 10) || 0;
+    }
+}
+
+Invoice.numberPrefix = 'INV-';
+
+export default Invoice;
@@ -0,0 +1,90 @@
+// models/LeaveBooking.js
+// Leave Booking Model Class - A range of leave days entered and edited as one booking
+
+import RecurrenceRule from './RecurrenceRule.js';
+import WorkSchedule from './WorkSchedule.js';
+
+class LeaveBooking {
+    constructor(data = {}) {
+        this.startDate = data.startDate || '';
+        this.endDate = data.endDate || data.startDate || ''; // Inclusive
+        this.skipWeekends = data.skipWeekends !== undefined ? Boolean(data.skipWeekends) : true; // Days off in the work schedule
+        this.skipHolidays = data.skipHolidays !== undefined ? Boolean(data.skipHolidays) : true;
+
+        this.validate();
+    }
+
+    /**
+     * Validate booking data
+     */
+    validate() {
+        const errors = [];
+        const start = RecurrenceRule.parseDate(this.startDate);
+        const end = RecurrenceRule.parseDate(this.endDate);
+
+        if (!start) {
+            errors.push('Start date is required');
+        }
+        if (!end) {
+            errors.push('End date is required');
+        } else if (start && end < start) {
+            errors.push('End date must be on or after the start date');
+        } else if (start && (end - start) / RecurrenceRule.dayMs + 1 > LeaveBooking.maxDays) {
+            errors.push(`A booking can cover at most ${LeaveBooking.maxDays} days`);
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Validation failed: ${errors.join(', ')}`);
+        }
+    }
+
+    /**
+     * Get the days the booking covers
+     * @param {Function} isHoliday - (dateKey) => boolean, for days already off
+     * @returns {Object} - { dates, skipped: [{ date, reason: 'weekend' | 'holiday' }] }
+     */
+    getDates(isHoliday = () => false) {
+        const dates = [];
+        const skipped = [];
+        const end = RecurrenceRule.parseDate(this.endDate);
+
+        for (let date = RecurrenceRule.parseDate(this.startDate); date <= end; date = new Date(date.getTime() + RecurrenceRule.dayMs)) {
+            const dateKey = RecurrenceRule.formatDate(date);
+
+            if (this.skipWeekends && !WorkSchedule.current.isWorkingDay(dateKey)) {
+                skipped.push({ date: dateKey, reason: 'weekend' });
+            } else if (this.skipHolidays && isHoliday(dateKey)) {
+                skipped.push({ date: dateKey, reason: 'holiday' });
+            } else {
+                dates.push(dateKey);
+            }
+        }
+
+        return { dates, skipped };
+    }
+
+    /**
+     * Get a readable description of the booking
+     * @returns {string} - e.g. "2026-08-03 to 2026-08-14"
+     */
+    describe() {
+        return this.startDate === this.endDate ? this.startDate : `${this.startDate} to ${this.endDate}`;
+    }
+
+    /**
+     * Convert booking to JSON
+     * @returns {Object} - JSON representation
+     */
+    toJSON() {
+        return {
+            startDate: this.startDate,
+            endDate: this.endDate,
+            skipWeekends: this.skipWeekends,
+            skipHolidays: this.skipHolidays
+        };
+    }
+}
+
+LeaveBooking.maxDays = 366;
+
+export default LeaveBooking;
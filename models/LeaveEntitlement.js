@@ -0,0 +1,181 @@
+// models/LeaveEntitlement.js
+// Leave Entitlement Model Class - Yearly allowance of leave days, how it accrues and what carries over
+
+import EntryType from './EntryType.js';
+
+class LeaveEntitlement {
+    constructor(data = {}) {
+        this.id = data.id || '';
+        this.label = (data.label || '').trim();
+        this.types = Array.isArray(data.types) ? [...new Set(data.types)] : []; // Entry types that draw on the allowance
+        this.daysPerYear = parseFloat(data.daysPerYear) || 0;
+        this.accrual = data.accrual || 'upfront'; // upfront, monthly
+        this.carryOverMax = parseFloat(data.carryOverMax) || 0; // Unused days taken into the next leave year
+        this.resetMonth = parseInt(data.resetMonth, 10) || 1; // Leave year starts on resetMonth/resetDay
+        this.resetDay = parseInt(data.resetDay, 10) || 1;
+
+        this.validate();
+    }
+
+    /**
+     * Validate entitlement data
+     */
+    validate() {
+        const errors = [];
+
+        if (!/^[a-zA-Z][a-zA-Z0-9]{0,29}$/.test(this.id)) {
+            errors.push('Entitlement ID must start with a letter and contain only letters and numbers');
+        }
+
+        if (!this.label) {
+            errors.push('Label is required');
+        } else if (this.label.length > 40) {
+            errors.push('Label cannot exceed 40 characters');
+        }
+
+        if (this.types.length === 0) {
+            errors.push('Choose at least one leave type');
+        }
+
+        this.types.forEach(typeId => {
+            const type = EntryType.get(typeId);
+            if (type && type.granularity === 'hourly') {
+                errors.push(`${type.label} is logged in hours, so it can't draw on a leave allowance`);
+            }
+        });
+
+        if (!(this.daysPerYear >= 0 && this.daysPerYear <= 366)) {
+            errors.push('Days per year must be between 0 and 366');
+        }
+
+        if (!LeaveEntitlement.accruals[this.accrual]) {
+            errors.push(`Invalid accrual: ${this.accrual}`);
+        }
+
+        if (!(this.carryOverMax >= 0) || this.carryOverMax > 366) {
+            errors.push('Carry-over must be between 0 and 366 days');
+        }
+
+        // A year without 29 February still needs a reset date
+        if (!(this.resetMonth >= 1 && this.resetMonth <= 12) ||
+            !(this.resetDay >= 1 && this.resetDay <= new Date(Date.UTC(2023, this.resetMonth, 0)).getUTCDate())) {
+            errors.push('Reset date must be a day that exists every year');
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Validation failed: ${errors.join(', ')}`);
+        }
+    }
+
+    /**
+     * Check if entries of a type draw on this allowance
+     * @param {string} typeId - Entry type ID
+     * @returns {boolean}
+     */
+    coversType(typeId) {
+        return this.types.includes(typeId);
+    }
+
+    /**
+     * Get the first day of the leave year a date falls in
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {string} - Date key
+     */
+    getYearStart(dateKey) {
+        const year = parseInt(dateKey.slice(0, 4), 10);
+        const start = this.getResetDate(year);
+        return dateKey >= start ? start : this.getResetDate(year - 1);
+    }
+
+    /**
+     * Get the last day of the leave year starting on a date
+     * @param {string} yearStart - First day of the leave year (YYYY-MM-DD)
+     * @returns {string} - Date key
+     */
+    getYearEnd(yearStart) {
+        return LeaveEntitlement.shiftDate(this.getResetDate(parseInt(yearStart.slice(0, 4), 10) + 1), -1);
+    }
+
+    /**
+     * Get the reset date in a calendar year
+     * @param {number} year - Calendar year
+     * @returns {string} - Date key
+     */
+    getResetDate(year) {
+        return `${String(year).padStart(4, '0')}-${String(this.resetMonth).padStart(2, '0')}-${String(this.resetDay).padStart(2, '0')}`;
+    }
+
+    /**
+     * Get the days accrued so far in a leave year
+     * Monthly accrual adds a twelfth at the start of each month of the leave year.
+     * @param {string} yearStart - First day of the leave year (YYYY-MM-DD)
+     * @param {string} asOf - Date to accrue up to (YYYY-MM-DD)
+     * @returns {number} - Days
+     */
+    getAccrued(yearStart, asOf) {
+        if (this.accrual === 'upfront') return this.daysPerYear;
+        if (asOf < yearStart) return 0;
+
+        const [startYear, startMonth, startDay] = yearStart.split('-').map(Number);
+        const [year, month, day] = asOf.split('-').map(Number);
+        const months = (year - startYear) * 12 + (month - startMonth) + (day >= startDay ? 1 : 0);
+
+        return parseFloat((this.daysPerYear * Math.min(12, Math.max(0, months)) / 12).toFixed(2));
+    }
+
+    /**
+     * Get a readable description of the allowance
+     * @returns {string} - e.g. "20 days a year, all at once, up to 5 carried over, resets 1 January"
+     */
+    describe() {
+        const monthName = new Date(Date.UTC(2023, this.resetMonth - 1, 1)).toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' });
+        return [
+            `${this.daysPerYear} ${this.daysPerYear === 1 ? 'day' : 'days'} a year`,
+            this.accrual === 'monthly' ? 'accrued monthly' : 'all at once',
+            this.carryOverMax > 0 ? `up to ${this.carryOverMax} carried over` : 'no carry-over',
+            `resets ${this.resetDay} ${monthName}`
+        ].join(', ');
+    }
+
+    /**
+     * Convert entitlement to JSON
+     * @returns {Object} - JSON representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            label: this.label,
+            types: [...this.types],
+            daysPerYear: this.daysPerYear,
+            accrual: this.accrual,
+            carryOverMax: this.carryOverMax,
+            resetMonth: this.resetMonth,
+            resetDay: this.resetDay
+        };
+    }
+
+    /**
+     * Move a date key by a number of days
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {number} days - Days to add, negative to go back
+     * @returns {string} - Date key
+     */
+    static shiftDate(dateKey, days) {
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+}
+
+LeaveEntitlement.accruals = {
+    upfront: 'All at the start of the leave year',
+    monthly: 'A twelfth each month'
+};
+
+// Allowances a new user starts with
+LeaveEntitlement.defaults = [
+    { id: 'annualLeave', label: 'Annual Leave', types: ['fullLeave', 'halfLeave'], daysPerYear: 20, accrual: 'upfront', carryOverMax: 5, resetMonth: 1, resetDay: 1 },
+    { id: 'sickLeave', label: 'Sick Leave', types: ['sickLeave'], daysPerYear: 10, accrual: 'upfront', carryOverMax: 0, resetMonth: 1, resetDay: 1 }
+];
+
+export default LeaveEntitlement;
@@ -9,6 +9,8 @@ class Project {
         this.projectTitle = data.projectTitle || '';
         this.category = data.category || '';
         this.description = data.description || '';
+        this.client = (data.client || '').trim(); // Who the hours are charged to, for client rate cards and invoices
+        this.billable = Project.isBillable(data); // Entries may override it
         this.isActive = data.isActive !== undefined ? data.isActive : true;
         this.color = data.color || this.getRandomColor();
         this.usageCount = data.usageCount || 0;
@@ -65,6 +67,10 @@ class Project {
             errors.push('Description cannot exceed 500 characters');
         }
 
+        if (this.client.length > 100) {
+            errors.push('Client cannot exceed 100 characters');
+        }
+
         // Validate project ID format (alphanumeric with hyphens)
         const projectIdRegex = /^[A-Z0-9\-]+$/i;
         if (!projectIdRegex.test(this.projectId)) {
@@ -254,7 +260,7 @@ class Project {
     update(updateData) {
         const allowedFields = [
             'projectId', 'subCode', 'projectTitle', 'category', 
-            'description', 'isActive', 'color'
+            'description', 'client', 'billable', 'isActive', 'color'
         ];
         
         allowedFields.forEach(field => {
@@ -284,6 +290,8 @@ class Project {
             projectTitle: this.projectTitle,
             category: this.category,
             description: this.description,
+            client: this.client,
+            billable: this.billable,
             isActive: this.isActive,
             color: this.color,
             usageCount: this.usageCount,
@@ -321,6 +329,7 @@ class Project {
             this.projectTitle,
             this.category,
             this.description,
+            this.client,
             this.getDisplayName(),
             this.getChargeCode()
         ];
@@ -359,6 +368,8 @@ class Project {
             title: this.projectTitle,
             category: this.category,
             chargeCode: this.getChargeCode(),
+            client: this.client,
+            billable: this.billable,
             displayName: this.getDisplayName(),
             isActive: this.isActive,
             usageCount: this.usageCount,
@@ -438,6 +449,12 @@ class Project {
                 case 'description':
                     data.description = value;
                     break;
+                case 'client':
+                    data.client = value;
+                    break;
+                case 'billable':
+                    data.billable = value.toLowerCase() === 'true';
+                    break;
                 case 'active':
                 case 'is active':
                     data.isActive = value.toLowerCase() === 'true';
@@ -451,6 +468,16 @@ class Project {
         return new Project(data);
     }
 
+    /**
+     * Check if a project's hours are billable
+     * Projects saved before the flag existed are billable unless they are overhead.
+     * @param {Object} project - Project data
+     * @returns {boolean}
+     */
+    static isBillable(project) {
+        return typeof project?.billable === 'boolean' ? project.billable : project?.category !== 'Overhead';
+    }
+
     /**
      * Static method to get default projects
      * @returns {Array} - Array of default projects
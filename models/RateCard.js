@@ -0,0 +1,162 @@
+// models/RateCard.js
+// Rate Card Model Class - Hourly rate charged for a project or client over a range of dates
+
+class RateCard {
+    constructor(data = {}) {
+        this.id = data.id || '';
+        this.scope = data.scope || 'project'; // project, client
+        this.target = (data.target || '').trim(); // Project value (projectId-subCode) or client name
+        this.rate = parseFloat(data.rate); // Per hour
+        this.currency = (data.currency || RateCard.defaultCurrency).trim().toUpperCase(); // ISO 4217 code
+        this.effectiveFrom = data.effectiveFrom || ''; // YYYY-MM-DD, inclusive; empty for no start
+        this.effectiveTo = data.effectiveTo || ''; // YYYY-MM-DD, inclusive; empty while the rate is current
+
+        this.validate();
+    }
+
+    /**
+     * Validate rate card data
+     */
+    validate() {
+        const errors = [];
+
+        if (!this.id) {
+            errors.push('Rate card ID is required');
+        }
+
+        if (!RateCard.scopes[this.scope]) {
+            errors.push(`Invalid scope: ${this.scope}`);
+        }
+
+        if (!this.target) {
+            errors.push(this.scope === 'client' ? 'Client is required' : 'Project is required');
+        } else if (this.target.length > 100) {
+            errors.push('Project or client cannot exceed 100 characters');
+        }
+
+        if (!(this.rate >= 0 && this.rate <= 100000)) {
+            errors.push('Rate must be between 0 and 100000 per hour');
+        }
+
+        if (!/^[A-Z]{3}$/.test(this.currency)) {
+            errors.push('Currency must be a three-letter code, such as GBP');
+        }
+
+        const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+        if (this.effectiveFrom && !dateFormat.test(this.effectiveFrom)) {
+            errors.push('Effective from must be a date');
+        }
+        if (this.effectiveTo && !dateFormat.test(this.effectiveTo)) {
+            errors.push('Effective to must be a date');
+        }
+        if (this.effectiveFrom && this.effectiveTo && this.effectiveTo < this.effectiveFrom) {
+            errors.push('Effective to cannot be before effective from');
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Validation failed: ${errors.join(', ')}`);
+        }
+    }
+
+    /**
+     * Check if the rate applies on a date
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {boolean}
+     */
+    coversDate(dateKey) {
+        return (!this.effectiveFrom || dateKey >= this.effectiveFrom) &&
+            (!this.effectiveTo || dateKey <= this.effectiveTo);
+    }
+
+    /**
+     * Check if the rate is for a project or client
+     * Client names match regardless of case.
+     * @param {string} scope - 'project' or 'client'
+     * @param {string} target - Project value or client name
+     * @returns {boolean}
+     */
+    appliesTo(scope, target) {
+        if (this.scope !== scope || !target) return false;
+        return scope === 'client'
+            ? this.target.toLowerCase() === target.trim().toLowerCase()
+            : this.target === target;
+    }
+
+    /**
+     * Check if another card charges the same project or client on any of the same dates
+     * @param {RateCard} other - Other rate card
+     * @returns {boolean}
+     */
+    overlaps(other) {
+        if (other.id === this.id || !this.appliesTo(other.scope, other.target)) return false;
+
+        return (!this.effectiveFrom || !other.effectiveTo || this.effectiveFrom <= other.effectiveTo) &&
+            (!other.effectiveFrom || !this.effectiveTo || other.effectiveFrom <= this.effectiveTo);
+    }
+
+    /**
+     * Describe the rate and when it applies
+     * @returns {string} - e.g. "£85.00/h from 2025-01-01 to 2025-12-31"
+     */
+    describe() {
+        const range = this.effectiveFrom && this.effectiveTo
+            ? `from ${this.effectiveFrom} to ${this.effectiveTo}`
+            : this.effectiveFrom
+                ? `from ${this.effectiveFrom}`
+                : this.effectiveTo
+                    ? `until ${this.effectiveTo}`
+                    : 'at any date';
+        return `${RateCard.formatMoney(this.rate, this.currency)}/h ${range}`;
+    }
+
+    /**
+     * Convert rate card to JSON
+     * @returns {Object} - JSON representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            scope: this.scope,
+            target: this.target,
+            rate: this.rate,
+            currency: this.currency,
+            effectiveFrom: this.effectiveFrom,
+            effectiveTo: this.effectiveTo
+        };
+    }
+
+    /**
+     * Format an amount of money
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code
+     * @returns {string} - e.g. "£1,250.00"
+     */
+    static formatMoney(amount, currency = RateCard.defaultCurrency) {
+        try {
+            return new Intl.NumberFormat('en-GB', { style: 'currency', currency }).format(amount);
+        } catch (error) {
+            return `${amount.toFixed(2)} ${currency}`;
+        }
+    }
+
+    /**
+     * Format totals kept per currency
+     * @param {Object} amounts - Currency code -> amount
+     * @returns {string} - e.g. "£1,250.00 + €300.00", or a zero amount when there are none
+     */
+    static formatAmounts(amounts = {}) {
+        const totals = Object.entries(amounts);
+        return totals.length > 0
+            ? totals.map(([currency, amount]) => RateCard.formatMoney(amount, currency)).join(' + ')
+            : RateCard.formatMoney(0);
+    }
+}
+
+RateCard.scopes = {
+    project: 'Project',
+    client: 'Client'
+};
+
+RateCard.defaultCurrency = 'GBP';
+
+export default RateCard;
@@ -0,0 +1,240 @@
+// models/RecurrenceRule.js
+// Recurrence Rule Model Class - Schedule for a series of repeating entries
+
+import WorkSchedule from './WorkSchedule.js';
+
+class RecurrenceRule {
+    constructor(data = {}) {
+        const start = RecurrenceRule.parseDate(data.startDate);
+
+        this.frequency = data.frequency || 'weekly'; // daily, weekdays (working days of the work schedule), weekly, monthly
+        this.interval = parseInt(data.interval, 10) || 1; // Every N days/weeks/months
+        this.startDate = data.startDate || '';
+        this.endDate = data.endDate || ''; // Inclusive, or '' when the series ends after a count
+        this.count = parseInt(data.count, 10) || 0; // Number of occurrences, or 0 when the series ends on a date
+
+        // Weekly: days of the week (0 = Sunday), defaulting to the start date's day
+        this.daysOfWeek = Array.isArray(data.daysOfWeek) && data.daysOfWeek.length > 0
+            ? [...new Set(data.daysOfWeek.map(day => parseInt(day, 10)))].sort((a, b) => a - b)
+            : (start ? [start.getUTCDay()] : []);
+
+        // Monthly: nth weekday of the month (-1 = last), defaulting to the start date's position
+        this.weekOfMonth = parseInt(data.weekOfMonth, 10) || (start ? RecurrenceRule.getWeekOfMonth(start) : 1);
+        this.dayOfWeek = data.dayOfWeek !== undefined && data.dayOfWeek !== ''
+            ? parseInt(data.dayOfWeek, 10)
+            : (start ? start.getUTCDay() : 1);
+
+        this.validate();
+    }
+
+    /**
+     * Parse a date key as a UTC date, so stepping through days ignores daylight saving
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {Date|null} - Date, or null if invalid
+     */
+    static parseDate(dateKey) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(dateKey || ''))) return null;
+
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        return isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== dateKey ? null : date;
+    }
+
+    /**
+     * Format a UTC date as a date key
+     * @param {Date} date - Date
+     * @returns {string} - Date key (YYYY-MM-DD)
+     */
+    static formatDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Get which occurrence of its weekday a date is within its month
+     * The fifth occurrence counts as the last, so a rule started on one keeps firing in shorter months.
+     * @param {Date} date - UTC date
+     * @returns {number} - 1-4, or -1 for the last
+     */
+    static getWeekOfMonth(date) {
+        const week = Math.ceil(date.getUTCDate() / 7);
+        return week > 4 ? -1 : week;
+    }
+
+    /**
+     * Validate rule data
+     */
+    validate() {
+        const errors = [];
+        const start = RecurrenceRule.parseDate(this.startDate);
+
+        if (!RecurrenceRule.frequencies[this.frequency]) {
+            errors.push(`Invalid repeat frequency: ${this.frequency}`);
+        }
+
+        if (this.interval < 1 || this.interval > 12) {
+            errors.push('Repeat interval must be between 1 and 12');
+        }
+
+        if (!start) {
+            errors.push('Start date is required');
+        }
+
+        if (!this.endDate && !this.count) {
+            errors.push('Choose an end date or a number of occurrences');
+        } else if (this.endDate && this.count) {
+            errors.push('Choose either an end date or a number of occurrences, not both');
+        } else if (this.endDate) {
+            const end = RecurrenceRule.parseDate(this.endDate);
+            if (!end) {
+                errors.push('Invalid end date');
+            } else if (start && end < start) {
+                errors.push('End date must be on or after the start date');
+            }
+        } else if (this.count < 1 || this.count > RecurrenceRule.maxOccurrences) {
+            errors.push(`Number of occurrences must be between 1 and ${RecurrenceRule.maxOccurrences}`);
+        }
+
+        if (this.frequency === 'weekly' && (this.daysOfWeek.length === 0 || this.daysOfWeek.some(day => !(day >= 0 && day <= 6)))) {
+            errors.push('Pick at least one day of the week');
+        }
+
+        if (this.frequency === 'monthly') {
+            if (![1, 2, 3, 4, -1].includes(this.weekOfMonth)) {
+                errors.push('Week of month must be 1-4 or last');
+            }
+            if (!(this.dayOfWeek >= 0 && this.dayOfWeek <= 6)) {
+                errors.push('Invalid day of week');
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Validation failed: ${errors.join(', ')}`);
+        }
+    }
+
+    /**
+     * Check if the rule fires on a date
+     * @param {Date} date - UTC date on or after the start date
+     * @returns {boolean}
+     */
+    matches(date) {
+        const start = RecurrenceRule.parseDate(this.startDate);
+        const dayOfWeek = date.getUTCDay();
+
+        switch (this.frequency) {
+            case 'daily':
+                return Math.round((date - start) / RecurrenceRule.dayMs) % this.interval === 0;
+            case 'weekdays':
+                return WorkSchedule.current.isWorkingDay(RecurrenceRule.formatDate(date));
+            case 'weekly': {
+                // Count weeks from the Sunday that starts the first week
+                const firstSunday = start.getTime() - start.getUTCDay() * RecurrenceRule.dayMs;
+                const week = Math.floor((date.getTime() - firstSunday) / (7 * RecurrenceRule.dayMs));
+                return week % this.interval === 0 && this.daysOfWeek.includes(dayOfWeek);
+            }
+            case 'monthly': {
+                const months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+                if (months % this.interval !== 0 || dayOfWeek !== this.dayOfWeek) return false;
+
+                if (this.weekOfMonth === -1) {
+                    // Last one if a week later is already next month
+                    const nextWeek = new Date(date.getTime() + 7 * RecurrenceRule.dayMs);
+                    return nextWeek.getUTCMonth() !== date.getUTCMonth();
+                }
+                return Math.ceil(date.getUTCDate() / 7) === this.weekOfMonth;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Get the dates the rule fires on
+     * @returns {Array} - Date keys (YYYY-MM-DD), in order
+     */
+    getOccurrences() {
+        const occurrences = [];
+        const end = this.endDate ? RecurrenceRule.parseDate(this.endDate) : null;
+        const limit = this.count || RecurrenceRule.maxOccurrences;
+        let date = RecurrenceRule.parseDate(this.startDate);
+
+        while ((!end || date <= end) && occurrences.length < limit) {
+            if (this.matches(date)) {
+                occurrences.push(RecurrenceRule.formatDate(date));
+            }
+            date = new Date(date.getTime() + RecurrenceRule.dayMs);
+
+            // A monthly rule counted in hundreds would otherwise step through decades
+            if (date.getUTCFullYear() > RecurrenceRule.parseDate(this.startDate).getUTCFullYear() + RecurrenceRule.maxYears) {
+                break;
+            }
+        }
+
+        if (end && occurrences.length === limit && date <= end) {
+            throw new Error(`A series can have at most ${RecurrenceRule.maxOccurrences} entries - pick an earlier end date`);
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * Get a readable description of the rule
+     * @returns {string} - e.g. "Every 2 weeks on Mon, Wed until 2026-12-31"
+     */
+    describe() {
+        const dayNames = RecurrenceRule.dayNames;
+        let schedule;
+
+        switch (this.frequency) {
+            case 'daily':
+                schedule = this.interval === 1 ? 'Every day' : `Every ${this.interval} days`;
+                break;
+            case 'weekdays':
+                schedule = 'Every working day';
+                break;
+            case 'weekly':
+                schedule = `${this.interval === 1 ? 'Every week' : `Every ${this.interval} weeks`} on ${this.daysOfWeek.map(day => dayNames[day]).join(', ')}`;
+                break;
+            case 'monthly': {
+                const position = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', '-1': 'last' }[this.weekOfMonth];
+                schedule = `${this.interval === 1 ? 'Monthly' : `Every ${this.interval} months`} on the ${position} ${dayNames[this.dayOfWeek]}`;
+                break;
+            }
+            default:
+                schedule = this.frequency;
+        }
+
+        return this.endDate
+            ? `${schedule} until ${this.endDate}`
+            : `${schedule}, ${this.count} ${this.count === 1 ? 'time' : 'times'}`;
+    }
+
+    /**
+     * Convert rule to JSON
+     * @returns {Object} - JSON representation
+     */
+    toJSON() {
+        return {
+            frequency: this.frequency,
+            interval: this.interval,
+            startDate: this.startDate,
+            endDate: this.endDate,
+            count: this.count,
+            daysOfWeek: this.daysOfWeek,
+            weekOfMonth: this.weekOfMonth,
+            dayOfWeek: this.dayOfWeek
+        };
+    }
+}
+
+RecurrenceRule.frequencies = {
+    daily: 'Daily',
+    weekdays: 'Every working day',
+    weekly: 'Weekly',
+    monthly: 'Monthly'
+};
+RecurrenceRule.dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+RecurrenceRule.maxOccurrences = 366;
+RecurrenceRule.maxYears = 10;
+RecurrenceRule.dayMs = 24 * 60 * 60 * 1000;
+
+export default RecurrenceRule;
@@ -0,0 +1,164 @@
+// models/RestUser.js
+// REST User Model Class - Authentication against a self-hosted sync server
+
+import User from './User.js';
+
+class RestUser extends User {
+    constructor(restConfig) {
+        super(null);
+        this.restConfig = restConfig;
+    }
+
+    /**
+     * Set up authentication state listener
+     * A stored session is restored before the callback fires, so the login screen doesn't flash.
+     * @param {Function} callback - Callback function when auth state changes
+     */
+    onAuthStateChanged(callback) {
+        this.onAuthStateChangedCallbacks.push(callback);
+
+        if (this.currentUser || !this.restConfig.hasSession()) {
+            callback(this.currentUser);
+            return;
+        }
+
+        this.loadUserProfile()
+            .then(() => callback(this.currentUser))
+            .catch(() => callback(null));
+    }
+
+    /**
+     * Login with email and password
+     * @param {string} email - User email
+     * @param {string} password - User password
+     * @returns {Promise} - Login result
+     */
+    async login(email, password) {
+        const session = await this.restConfig.request('POST', '/auth/login', { email, password });
+        this.startSession(session);
+        return session;
+    }
+
+    /**
+     * Register new user with email and password
+     * @param {Object} userData - User registration data
+     * @returns {Promise} - Registration result
+     */
+    async register(userData) {
+        const session = await this.restConfig.request('POST', '/auth/register', {
+            name: userData.name,
+            email: userData.email,
+            password: userData.password
+        });
+        this.startSession(session);
+        return session;
+    }
+
+    /**
+     * Logout current user
+     * @returns {Promise} - Logout result
+     */
+    async logout() {
+        if (this.isGuestUser) {
+            return super.logout();
+        }
+
+        try {
+            await this.restConfig.request('POST', '/auth/logout');
+        } catch (error) {
+            // The session is dropped locally either way
+            console.warn('Server logout failed:', error);
+        }
+
+        this.restConfig.setToken(null);
+        this.currentUser = null;
+        this.isGuestUser = false;
+        this.profile = {};
+        this.notifyAuthStateChanged();
+        return true;
+    }
+
+    /**
+     * Load user profile from the server (also restores a stored session)
+     */
+    async loadUserProfile() {
+        try {
+            const { user, profile } = await this.restConfig.request('GET', '/profile');
+            this.currentUser = user;
+            this.isGuestUser = false;
+            this.profile = profile || {};
+        } catch (error) {
+            if (error.status === 401) {
+                this.restConfig.setToken(null);
+                this.currentUser = null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Update user profile
+     * @param {Object} profileData - Profile data to update
+     * @returns {Promise} - Update result
+     */
+    async updateUserProfile(profileData) {
+        if (!this.currentUser || this.isGuestUser) {
+            throw new Error('User not authenticated');
+        }
+
+        const { user, profile } = await this.restConfig.request('PUT', '/profile', profileData);
+        this.currentUser = user;
+        this.profile = profile;
+        return true;
+    }
+
+    /**
+     * Reset password
+     * @returns {Promise} - Reset result
+     */
+    async resetPassword() {
+        throw new Error('Password resets are handled by your server administrator');
+    }
+
+    /**
+     * Delete user account
+     * @returns {Promise} - Deletion result
+     */
+    async deleteAccount() {
+        if (!this.currentUser || this.isGuestUser) {
+            throw new Error('No authenticated user to delete');
+        }
+
+        await this.restConfig.request('DELETE', '/profile');
+
+        this.restConfig.setToken(null);
+        this.currentUser = null;
+        this.isGuestUser = false;
+        this.profile = {};
+        this.notifyAuthStateChanged();
+        return true;
+    }
+
+    /**
+     * Store a session returned by login or registration
+     * @param {Object} session - { token, user, profile }
+     */
+    startSession({ token, user, profile }) {
+        this.restConfig.setToken(token);
+        this.currentUser = user;
+        this.isGuestUser = false;
+        this.profile = profile || {};
+        this.notifyAuthStateChanged();
+    }
+
+    /**
+     * Notify auth state change callbacks
+     */
+    notifyAuthStateChanged() {
+        this.onAuthStateChangedCallbacks.forEach(callback => {
+            callback(this.currentUser);
+        });
+    }
+}
+
+export default RestUser;
@@ -1,22 +1,155 @@
 // models/WorkEntry.js
 // Work Entry Model Class - Individual work entry data structure and operations
 
+import EntryType from './EntryType.js';
+import WorkSchedule from './WorkSchedule.js';
+
 class WorkEntry {
     constructor(data = {}) {
         this.id = data.id || this.generateId();
-        this.type = data.type || 'work'; // work, fullLeave, halfLeave, holiday
+        this.type = data.type || 'work'; // ID of a registered EntryType (work, fullLeave, sickLeave...)
         this.date = data.date || new Date().toISOString().split('T')[0];
         this.project = data.project || '';
+        this.billable = typeof data.billable === 'boolean' ? data.billable : null; // Overrides the project's billable flag; null follows the project
         this.hours = parseFloat(data.hours) || 0;
         this.halfDayPeriod = data.halfDayPeriod || ''; // morning, afternoon
+        this.startTime = data.startTime || ''; // HH:MM, optional
+        this.endTime = data.endTime || ''; // HH:MM, optional
+        this.breakMinutes = parseInt(data.breakMinutes, 10) || 0; // Unpaid time within the start/end range
         this.comments = data.comments || '';
+        this.overtimeReason = data.overtimeReason || ''; // Why the day ran past the work schedule's expected hours
+        this.tags = WorkEntry.normalizeTags(data.tags); // Lowercase labels such as 'meeting' or 'oncall'
+        this.seriesId = data.seriesId || ''; // Set on entries generated by a recurrence rule, leave booking or holiday calendar
+        this.recurrence = data.recurrence || null; // The series' rule (see RecurrenceRule.toJSON)
+        this.booking = data.booking || null; // The leave booking's date range (see LeaveBooking.toJSON)
+        this.publicHoliday = data.publicHoliday || ''; // Holiday name, on entries made from a followed holiday calendar
+        this.seriesException = Boolean(data.seriesException); // Edited on its own, so series edits leave it alone
         this.timestamp = data.timestamp || new Date().toISOString();
+        this.revision = parseInt(data.revision, 10) || 0; // Incremented on every edit, used to detect concurrent changes
         this.userId = data.userId || '';
         
+        // Hours follow from the time range when one is given
+        if (this.startTime && this.endTime) {
+            this.hours = WorkEntry.calculateHours(this.startTime, this.endTime, this.breakMinutes);
+        }
+        
         // Validate data
         this.validate();
     }
 
+    /**
+     * Parse a HH:MM time into minutes after midnight
+     * @param {string} time - Time string (HH:MM)
+     * @returns {number|null} - Minutes, or null if not a valid time
+     */
+    static parseTime(time) {
+        const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(time || ''));
+        return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+    }
+
+    /**
+     * Calculate worked hours from a time range
+     * @param {string} startTime - Start time (HH:MM)
+     * @param {string} endTime - End time (HH:MM)
+     * @param {number} breakMinutes - Break length in minutes
+     * @returns {number} - Hours, rounded to two decimals (0 if the range is invalid)
+     */
+    static calculateHours(startTime, endTime, breakMinutes = 0) {
+        const start = WorkEntry.parseTime(startTime);
+        const end = WorkEntry.parseTime(endTime);
+        if (start === null || end === null || end <= start) return 0;
+
+        const minutes = end - start - (parseInt(breakMinutes, 10) || 0);
+        return Math.max(0, Math.round((minutes / 60) * 100) / 100);
+    }
+
+    /**
+     * Turn user input into a clean tag list
+     * Tags are lowercased, spaces become dashes, a leading # is dropped and duplicates are removed.
+     * @param {Array|string} tags - Tags, or a comma-separated string
+     * @returns {Array} - Tags
+     */
+    static normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+
+        return [...new Set(list
+            .map(tag => String(tag).trim().toLowerCase().replace(/^#+/, '').replace(/\s+/g, '-'))
+            .filter(Boolean))];
+    }
+
+    /**
+     * Validate a normalized tag list
+     * @param {Array} tags - Tags from normalizeTags
+     * @returns {Array} - Error messages
+     */
+    static validateTags(tags) {
+        const errors = [];
+
+        if (tags.length > WorkEntry.maxTags) {
+            errors.push(`An entry can have at most ${WorkEntry.maxTags} tags`);
+        }
+        const invalidTag = tags.find(tag => !/^[a-z0-9][a-z0-9_-]{0,29}$/.test(tag));
+        if (invalidTag) {
+            errors.push(`Invalid tag "${invalidTag}" - use up to 30 letters, numbers, dashes or underscores`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check if an entry has any (or all) of the given tags
+     * @param {Object} entry - Entry data or WorkEntry
+     * @param {Array} tags - Tags to look for
+     * @param {string} match - 'any' or 'all'
+     * @returns {boolean} - Whether it matches (always true when no tags are given)
+     */
+    static hasTags(entry, tags, match = 'any') {
+        const wanted = WorkEntry.normalizeTags(tags);
+        if (wanted.length === 0) return true;
+
+        const entryTags = entry.tags || [];
+        return match === 'all'
+            ? wanted.every(tag => entryTags.includes(tag))
+            : wanted.some(tag => entryTags.includes(tag));
+    }
+
+    /**
+     * Get the part of the day an entry occupies
+     * Half-day types occupy their period; other entries only if they have start/end times.
+     * @param {Object} entry - Entry data or WorkEntry
+     * @returns {Object|null} - { start, end } in minutes after midnight, or null if untimed
+     */
+    static getTimeRange(entry) {
+        if (EntryType.get(entry.type)?.isHalfDay() && WorkEntry.halfDayPeriods[entry.halfDayPeriod]) {
+            return WorkEntry.halfDayPeriods[entry.halfDayPeriod];
+        }
+
+        const start = WorkEntry.parseTime(entry.startTime);
+        const end = WorkEntry.parseTime(entry.endTime);
+        return start !== null && end !== null && end > start ? { start, end } : null;
+    }
+
+    /**
+     * Check if two entries' time ranges overlap
+     * Ranges that only touch (one ends when the other starts) don't overlap.
+     * @param {Object} a - Entry data or WorkEntry
+     * @param {Object} b - Entry data or WorkEntry
+     * @returns {boolean} - Whether both are timed and overlap
+     */
+    static timesOverlap(a, b) {
+        const rangeA = WorkEntry.getTimeRange(a);
+        const rangeB = WorkEntry.getTimeRange(b);
+        return Boolean(rangeA && rangeB) && rangeA.start < rangeB.end && rangeB.start < rangeA.end;
+    }
+
+    /**
+     * Check if the entry has start and end times
+     * @returns {boolean}
+     */
+    hasTimeRange() {
+        return Boolean(this.startTime || this.endTime);
+    }
+
     /**
      * Generate unique ID for entry
      * @returns {string} - Unique ID
@@ -31,10 +164,10 @@ class WorkEntry {
      */
     validate() {
         const errors = [];
+        const entryType = EntryType.get(this.type);
 
         // Validate entry type
-        const validTypes = ['work', 'fullLeave', 'halfLeave', 'holiday'];
-        if (!validTypes.includes(this.type)) {
+        if (!entryType) {
             errors.push(`Invalid entry type: ${this.type}`);
         }
 
@@ -43,18 +176,34 @@ class WorkEntry {
             errors.push('Invalid date format');
         }
 
-        // Validate hours for work entries
-        if (this.type === 'work') {
-            if (!this.project) {
-                errors.push('Project is required for work entries');
-            }
-            if (this.hours <= 0 || this.hours > 24) {
-                errors.push('Work hours must be between 0 and 24');
+        // Validate project for work entries
+        if (this.type === 'work' && !this.project) {
+            errors.push('Project is required for work entries');
+        }
+
+        // Validate hours for hourly types
+        if (entryType?.isHourly() && (this.hours <= 0 || this.hours > 24)) {
+            errors.push(`${entryType.label} hours must be between 0 and 24`);
+        }
+
+        // Validate time range
+        if (this.hasTimeRange()) {
+            const start = WorkEntry.parseTime(this.startTime);
+            const end = WorkEntry.parseTime(this.endTime);
+
+            if (!entryType?.isHourly()) {
+                errors.push('Start and end times can only be set on entries logged in hours');
+            } else if (start === null || end === null) {
+                errors.push('Start and end times must both be set as HH:MM');
+            } else if (end <= start) {
+                errors.push('End time must be after start time');
+            } else if (this.breakMinutes < 0 || this.breakMinutes >= end - start) {
+                errors.push('Break must be shorter than the time between start and end');
             }
         }
 
-        // Validate half day period for half leave
-        if (this.type === 'halfLeave') {
+        // Validate half day period for half-day types
+        if (entryType?.isHalfDay()) {
             const validPeriods = ['morning', 'afternoon'];
             if (!validPeriods.includes(this.halfDayPeriod)) {
                 errors.push('Half day period must be morning or afternoon');
@@ -66,6 +215,17 @@ class WorkEntry {
             errors.push('Comments cannot exceed 500 characters');
         }
 
+        if (this.overtimeReason && this.overtimeReason.length > 200) {
+            errors.push('Overtime reason cannot exceed 200 characters');
+        }
+
+        if (this.publicHoliday && this.publicHoliday.length > 200) {
+            errors.push('Public holiday name cannot exceed 200 characters');
+        }
+
+        // Validate tags
+        errors.push(...WorkEntry.validateTags(this.tags));
+
         if (errors.length > 0) {
             throw new Error(`Validation failed: ${errors.join(', ')}`);
         }
@@ -92,41 +252,16 @@ class WorkEntry {
 
     /**
      * Get entry type information
-     * @returns {Object} - Entry type details
+     * @returns {Object} - Entry type details from the type registry
      */
     getTypeInfo() {
-        const typeInfo = {
-            work: {
-                label: 'Work Entry',
-                color: '#2563eb',
-                icon: '💼',
-                description: 'Regular work hours'
-            },
-            fullLeave: {
-                label: 'Full Day Leave',
-                color: '#dc2626',
-                icon: '🏖️',
-                description: 'Full day absence'
-            },
-            halfLeave: {
-                label: 'Half Day Leave',
-                color: '#ea580c',
-                icon: '🌅',
-                description: 'Half day absence'
-            },
-            holiday: {
-                label: 'Holiday',
-                color: '#16a34a',
-                icon: '🎉',
-                description: 'Public holiday or company holiday'
-            }
-        };
+        const entryType = EntryType.resolve(this.type);
 
-        return typeInfo[this.type] || {
-            label: this.type,
-            color: '#6b7280',
-            icon: '📝',
-            description: 'Custom entry type'
+        return {
+            ...entryType.toJSON(),
+            description: EntryType.get(this.type)
+                ? `${EntryType.granularities[entryType.granularity]}, ${entryType.paid ? 'paid' : 'unpaid'}`
+                : 'Entry type not set up on this device'
         };
     }
 
@@ -135,17 +270,7 @@ class WorkEntry {
      * @returns {number} - Hours for this entry
      */
     getHours() {
-        switch (this.type) {
-            case 'work':
-                return this.hours;
-            case 'fullLeave':
-            case 'holiday':
-                return 8; // Standard full day
-            case 'halfLeave':
-                return 4; // Standard half day
-            default:
-                return 0;
-        }
+        return EntryType.getEntryHours(this);
     }
 
     /**
@@ -156,10 +281,11 @@ class WorkEntry {
         const typeInfo = this.getTypeInfo();
         
         if (this.type === 'work' && this.project) {
-            return `${typeInfo.label} - ${this.project}`;
+            const times = this.hasTimeRange() ? ` (${this.startTime}-${this.endTime})` : '';
+            return `${typeInfo.label} - ${this.project}${times}`;
         }
         
-        if (this.type === 'halfLeave' && this.halfDayPeriod) {
+        if (EntryType.get(this.type)?.isHalfDay() && this.halfDayPeriod) {
             const period = this.halfDayPeriod === 'morning' ? 'Morning' : 'Afternoon';
             return `${typeInfo.label} (${period})`;
         }
@@ -215,13 +341,11 @@ class WorkEntry {
     }
 
     /**
-     * Check if entry is on weekend
+     * Check if entry is on a day off in the work schedule
      * @returns {boolean} - Whether entry is on weekend
      */
     isWeekend() {
-        const date = new Date(this.date);
-        const dayOfWeek = date.getDay();
-        return dayOfWeek === 0 || dayOfWeek === 6; // Sunday = 0, Saturday = 6
+        return !WorkSchedule.current.isWorkingDay(this.date);
     }
 
     /**
@@ -238,10 +362,16 @@ class WorkEntry {
             dayOfWeek: this.getDayOfWeek(),
             isWeekend: this.isWeekend(),
             project: this.project,
+            billable: this.billable,
             hours: this.getHours(),
             actualHours: this.hours,
             halfDayPeriod: this.halfDayPeriod,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            breakMinutes: this.breakMinutes,
             comments: this.comments,
+            overtimeReason: this.overtimeReason,
+            tags: this.tags,
             displayName: this.getDisplayName(),
             timestamp: this.timestamp,
             userId: this.userId
@@ -258,10 +388,22 @@ class WorkEntry {
             type: this.type,
             date: this.date,
             project: this.project,
+            billable: this.billable,
             hours: this.hours,
             halfDayPeriod: this.halfDayPeriod,
+            startTime: this.startTime,
+            endTime: this.endTime,
+            breakMinutes: this.breakMinutes,
             comments: this.comments,
+            overtimeReason: this.overtimeReason,
+            tags: this.tags,
+            seriesId: this.seriesId,
+            recurrence: this.recurrence,
+            booking: this.booking,
+            publicHoliday: this.publicHoliday,
+            seriesException: this.seriesException,
             timestamp: this.timestamp,
+            revision: this.revision,
             userId: this.userId
         };
     }
@@ -272,7 +414,7 @@ class WorkEntry {
      * @returns {WorkEntry} - Updated entry instance
      */
     update(updateData) {
-        const allowedFields = ['type', 'date', 'project', 'hours', 'halfDayPeriod', 'comments'];
+        const allowedFields = ['type', 'date', 'project', 'billable', 'hours', 'halfDayPeriod', 'startTime', 'endTime', 'breakMinutes', 'comments', 'overtimeReason', 'tags'];
         
         allowedFields.forEach(field => {
             if (updateData.hasOwnProperty(field)) {
@@ -280,8 +422,14 @@ class WorkEntry {
             }
         });
 
-        // Update timestamp
+        if (this.startTime && this.endTime) {
+            this.hours = WorkEntry.calculateHours(this.startTime, this.endTime, this.breakMinutes);
+        }
+        this.tags = WorkEntry.normalizeTags(this.tags);
+
+        // Update timestamp and revision
         this.timestamp = new Date().toISOString();
+        this.revision++;
         
         // Re-validate
         this.validate();
@@ -297,6 +445,12 @@ class WorkEntry {
     clone(overrides = {}) {
         const data = { ...this.toJSON(), ...overrides };
         delete data.id; // Generate new ID
+        delete data.revision;
+        delete data.seriesId; // A copy isn't part of the series
+        delete data.recurrence;
+        delete data.booking;
+        delete data.publicHoliday;
+        delete data.seriesException;
         return new WorkEntry(data);
     }
 
@@ -309,18 +463,21 @@ class WorkEntry {
         if (this.date !== otherEntry.date) return false;
         if (this.id === otherEntry.id) return false;
 
+        const type = EntryType.get(this.type);
+        const otherType = EntryType.get(otherEntry.type);
+
         // Full day entries conflict with everything
-        if (this.type === 'fullLeave' || this.type === 'holiday' || 
-            otherEntry.type === 'fullLeave' || otherEntry.type === 'holiday') {
+        if (type?.isFullDay() || otherType?.isFullDay()) {
             return true;
         }
 
         // Half day conflicts with same period
-        if (this.type === 'halfLeave' && otherEntry.type === 'halfLeave') {
+        if (type?.isHalfDay() && otherType?.isHalfDay()) {
             return this.halfDayPeriod === otherEntry.halfDayPeriod;
         }
 
-        return false;
+        // Timed entries conflict when their times overlap
+        return WorkEntry.timesOverlap(this, otherEntry);
     }
 
     /**
@@ -329,7 +486,7 @@ class WorkEntry {
      * @returns {number} - Remaining hours available
      */
     getRemainingDailyHours(otherEntriesForDate = []) {
-        const maxDailyHours = 8;
+        const maxDailyHours = WorkSchedule.current.getDailyLimit();
         let usedHours = 0;
 
         otherEntriesForDate.forEach(entry => {
@@ -375,7 +532,7 @@ class WorkEntry {
                     break;
                 case 'type':
                 case 'entry type':
-                    data.type = value.toLowerCase().replace(/\s+/g, '');
+                    data.type = EntryType.find(value)?.id || value;
                     break;
                 case 'project':
                     data.project = value;
@@ -387,9 +544,24 @@ class WorkEntry {
                 case 'half day period':
                     data.halfDayPeriod = value.toLowerCase();
                     break;
+                case 'start':
+                case 'start time':
+                    data.startTime = value;
+                    break;
+                case 'end':
+                case 'end time':
+                    data.endTime = value;
+                    break;
+                case 'break':
+                case 'break (min)':
+                    data.breakMinutes = parseInt(value, 10) || 0;
+                    break;
                 case 'comments':
                     data.comments = value;
                     break;
+                case 'tags':
+                    data.tags = value;
+                    break;
             }
         });
 
@@ -424,6 +596,7 @@ class WorkEntry {
                             date: date,
                             entry1: dateEntries[i].getDisplayName(),
                             entry2: dateEntries[j].getDisplayName(),
+                            entryIds: [dateEntries[i].id, dateEntries[j].id],
                             reason: 'Time period conflict'
                         });
                     }
@@ -432,11 +605,14 @@ class WorkEntry {
 
             // Check daily hours limit
             const totalHours = dateEntries.reduce((sum, entry) => sum + entry.getHours(), 0);
-            if (totalHours > 8) {
+            const dailyLimit = WorkSchedule.current.getDailyLimit();
+            if (totalHours > dailyLimit) {
                 conflicts.push({
                     date: date,
-                    reason: `Exceeds 8-hour daily limit (${totalHours} hours)`,
-                    entries: dateEntries.map(e => e.getDisplayName())
+                    reason: `Exceeds ${dailyLimit}-hour daily limit (${totalHours} hours)`,
+                    entries: dateEntries.map(e => e.getDisplayName()),
+                    entryIds: dateEntries.map(e => e.id),
+                    totalHours
                 });
             }
         });
@@ -445,4 +621,12 @@ class WorkEntry {
     }
 }
 
+WorkEntry.maxTags = 10;
+
+// Times covered by half-day leave, in minutes after midnight
+WorkEntry.halfDayPeriods = {
+    morning: { start: 8 * 60, end: 12 * 60 },
+    afternoon: { start: 13 * 60, end: 17 * 60 }
+};
+
 export default WorkEntry;
@@ -0,0 +1,145 @@
+// models/WorkSchedule.js
+// Work Schedule Model Class - A user's working weekdays, expected hours and daily limits
+
+class WorkSchedule {
+    constructor(data = {}) {
+        this.workingDays = Array.isArray(data.workingDays)
+            ? [...new Set(data.workingDays.map(day => parseInt(day, 10)))].sort((a, b) => a - b)
+            : [1, 2, 3, 4, 5]; // 0 = Sunday ... 6 = Saturday
+        this.expectedHours = Array.isArray(data.expectedHours) && data.expectedHours.length === 7
+            ? data.expectedHours.map(hours => parseFloat(hours) || 0)
+            : [0, 8, 8, 8, 8, 8, 0]; // Contracted hours per weekday, Sunday first
+        this.maxDailyHours = data.maxDailyHours !== undefined && data.maxDailyHours !== null && data.maxDailyHours !== ''
+            ? parseFloat(data.maxDailyHours)
+            : null; // Hard limit the user set; without one, hours past the expected ones are overtime
+        this.overtimeAllowance = parseFloat(data.overtimeAllowance) || 0; // Hours a day may run over maxDailyHours; off until the user opts in
+
+        this.validate();
+    }
+
+    /**
+     * Validate schedule data
+     */
+    validate() {
+        const errors = [];
+
+        if (this.workingDays.length === 0) {
+            errors.push('Choose at least one working day');
+        } else if (this.workingDays.some(day => !(day >= 0 && day <= 6))) {
+            errors.push('Working days must be weekdays 0 (Sunday) to 6 (Saturday)');
+        }
+
+        if (this.maxDailyHours !== null && !(this.maxDailyHours > 0 && this.maxDailyHours <= WorkSchedule.hoursPerDay)) {
+            errors.push(`Maximum hours per day must be between 0 and ${WorkSchedule.hoursPerDay}`);
+        }
+
+        if (!(this.overtimeAllowance >= 0) || (this.maxDailyHours || 0) + this.overtimeAllowance > WorkSchedule.hoursPerDay) {
+            errors.push(`Overtime allowance cannot take a day past ${WorkSchedule.hoursPerDay} hours`);
+        }
+
+        this.workingDays.forEach(day => {
+            const hours = this.expectedHours[day];
+            if (!(hours > 0)) {
+                errors.push(`Expected hours for ${WorkSchedule.dayNames[day]} must be greater than 0`);
+            } else if (hours > (this.maxDailyHours ?? WorkSchedule.hoursPerDay)) {
+                errors.push(`Expected hours for ${WorkSchedule.dayNames[day]} cannot exceed the maximum of ${this.maxDailyHours ?? WorkSchedule.hoursPerDay} hours`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new Error(`Validation failed: ${errors.join(', ')}`);
+        }
+    }
+
+    /**
+     * Check if a date is a working day
+     * @param {Date|string} date - Date, or date key (YYYY-MM-DD)
+     * @returns {boolean}
+     */
+    isWorkingDay(date) {
+        return this.workingDays.includes(WorkSchedule.getDayOfWeek(date));
+    }
+
+    /**
+     * Get the hours expected on a date
+     * @param {Date|string} date - Date, or date key (YYYY-MM-DD)
+     * @returns {number} - Hours, 0 on days off
+     */
+    getExpectedHours(date) {
+        return this.isWorkingDay(date) ? this.expectedHours[WorkSchedule.getDayOfWeek(date)] : 0;
+    }
+
+    /**
+     * Get the most hours that may be logged on one day
+     * @returns {number} - Maximum hours plus the overtime allowance, or a whole day if the user set no maximum
+     */
+    getDailyLimit() {
+        return this.maxDailyHours === null
+            ? WorkSchedule.hoursPerDay
+            : this.maxDailyHours + this.overtimeAllowance;
+    }
+
+    /**
+     * Get the hours expected in a full week
+     * @returns {number} - Hours
+     */
+    getWeeklyHours() {
+        return this.workingDays.reduce((sum, day) => sum + this.expectedHours[day], 0);
+    }
+
+    /**
+     * Get a readable description of the schedule
+     * @returns {string} - e.g. "Sun, Mon, Tue, Wed, Thu - 40 hours a week"
+     */
+    describe() {
+        const days = this.workingDays.map(day => WorkSchedule.dayNames[day].slice(0, 3)).join(', ');
+        return `${days} - ${this.getWeeklyHours()} hours a week`;
+    }
+
+    /**
+     * Convert schedule to JSON
+     * @returns {Object} - JSON representation
+     */
+    toJSON() {
+        return {
+            workingDays: [...this.workingDays],
+            expectedHours: [...this.expectedHours],
+            maxDailyHours: this.maxDailyHours,
+            overtimeAllowance: this.overtimeAllowance
+        };
+    }
+
+    /**
+     * Get the weekday of a date
+     * Date keys are read as calendar dates, Date objects in local time.
+     * @param {Date|string} date - Date, or date key (YYYY-MM-DD)
+     * @returns {number} - 0 (Sunday) to 6 (Saturday)
+     */
+    static getDayOfWeek(date) {
+        return typeof date === 'string'
+            ? new Date(`${date}T00:00:00Z`).getUTCDay()
+            : date.getDay();
+    }
+
+    /**
+     * Replace the schedule validation and analytics use
+     * @param {WorkSchedule} schedule - Schedule of the signed-in user
+     */
+    static setCurrent(schedule) {
+        WorkSchedule.current = schedule;
+    }
+}
+
+WorkSchedule.hoursPerDay = 24;
+
+WorkSchedule.dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Common working weeks offered in the schedule dialog
+WorkSchedule.presets = {
+    mondayToFriday: { label: 'Monday - Friday', workingDays: [1, 2, 3, 4, 5], expectedHours: [0, 8, 8, 8, 8, 8, 0] },
+    sundayToThursday: { label: 'Sunday - Thursday', workingDays: [0, 1, 2, 3, 4], expectedHours: [8, 8, 8, 8, 8, 0, 0] }
+};
+
+WorkSchedule.current = new WorkSchedule();
+
+export default WorkSchedule;
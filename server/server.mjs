@@ -0,0 +1,621 @@
+// server/server.mjs
+// Reference Sync Server - Serves the app and the REST API, storing data in a local JSON file
+//
+// Run with `node server/server.mjs` (Node 18+, no dependencies). See server/README.md.
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const CONFIG = {
+    port: parseInt(process.env.PORT, 10) || 8787,
+    host: process.env.HOST || '127.0.0.1',
+    dataFile: process.env.DATA_FILE || path.join(SERVER_DIR, 'data', 'worklog.json'),
+    staticRoot: process.env.STATIC_ROOT || path.resolve(SERVER_DIR, '..'),
+    corsOrigin: process.env.CORS_ORIGIN || '',
+    maxChanges: parseInt(process.env.MAX_CHANGES, 10) || 5000, // Change log entries kept per user
+    sessionDays: parseInt(process.env.SESSION_DAYS, 10) || 30,
+    maxBodyBytes: 10 * 1024 * 1024
+};
+
+const COLLECTIONS = ['entries', 'projects', 'settings', 'invoices'];
+const COLLECTION_PATTERN = COLLECTIONS.join('|');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Error with an HTTP status and a machine-readable code
+ */
+class ApiError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * JSON file store - the whole database is kept in memory and rewritten atomically on change
+ */
+class JsonStore {
+    constructor(file) {
+        this.file = file;
+        this.data = {
+            seq: 0,
+            users: {},      // uid -> { uid, email, displayName, passwordHash, salt, profile, createdAt }
+            sessions: {},   // sha256(token) -> { uid, expiresAt }
+            entries: {},    // uid -> { id -> entry }
+            projects: {},   // uid -> { id -> project }
+            settings: {},   // uid -> { id -> setting }
+            invoices: {},   // uid -> { id -> invoice }
+            changes: {}     // uid -> [{ seq, collection, op, id, clientId, at }]
+        };
+    }
+
+    /**
+     * Load the data file if it exists
+     */
+    load() {
+        if (fs.existsSync(this.file)) {
+            this.data = { ...this.data, ...JSON.parse(fs.readFileSync(this.file, 'utf8')) };
+        }
+
+        // Record IDs come from clients, so no ID may reach Object.prototype
+        COLLECTIONS.forEach(collection => {
+            Object.keys(this.data[collection]).forEach(uid => {
+                this.data[collection][uid] = Object.assign(Object.create(null), this.data[collection][uid]);
+            });
+        });
+    }
+
+    /**
+     * Write the data file via a temporary file so a crash never leaves it half-written
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.data));
+        fs.renameSync(tempFile, this.file);
+    }
+
+    /**
+     * Get a user's records in a collection
+     * @param {string} uid - User ID
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @returns {Object} - Records keyed by ID, without a prototype
+     */
+    getRecords(uid, collection) {
+        if (!this.data[collection][uid]) {
+            this.data[collection][uid] = Object.create(null);
+        }
+        return this.data[collection][uid];
+    }
+
+    /**
+     * Append to a user's change log, trimming the oldest entries
+     * @param {string} uid - User ID
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {string} op - 'upsert' or 'delete'
+     * @param {string} id - Record ID
+     * @param {string} clientId - Client that made the change
+     */
+    recordChange(uid, collection, op, id, clientId) {
+        if (!this.data.changes[uid]) {
+            this.data.changes[uid] = [];
+        }
+
+        const log = this.data.changes[uid];
+        log.push({ seq: ++this.data.seq, collection, op, id, clientId: clientId || null, at: new Date().toISOString() });
+
+        if (log.length > CONFIG.maxChanges) {
+            log.splice(0, log.length - CONFIG.maxChanges);
+        }
+    }
+}
+
+const store = new JsonStore(CONFIG.dataFile);
+
+// ===== AUTH =====
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plain password
+ * @param {string} salt - Hex salt
+ * @returns {string} - Hex hash
+ */
+function hashPassword(password, salt) {
+    return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+/**
+ * Hash a session token for storage
+ * @param {string} token - Session token
+ * @returns {string} - Hex hash
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a session for a user
+ * @param {Object} user - Stored user
+ * @returns {Object} - { token, user, profile }
+ */
+function createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    store.data.sessions[hashToken(token)] = {
+        uid: user.uid,
+        expiresAt: new Date(Date.now() + CONFIG.sessionDays * 24 * 60 * 60 * 1000).toISOString()
+    };
+    store.save();
+    return { token, ...publicUser(user) };
+}
+
+/**
+ * Get the user and profile fields safe to return to clients
+ * @param {Object} user - Stored user
+ * @returns {Object} - { user, profile }
+ */
+function publicUser(user) {
+    return {
+        user: { uid: user.uid, email: user.email, displayName: user.displayName },
+        profile: { ...user.profile, name: user.displayName, email: user.email, createdAt: user.createdAt }
+    };
+}
+
+/**
+ * Resolve the signed-in user from the Authorization header
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object} - Stored user
+ */
+function authenticate(req) {
+    const match = /^Bearer (\w+)$/.exec(req.headers.authorization || '');
+    const session = match && store.data.sessions[hashToken(match[1])];
+
+    if (!session || session.expiresAt < new Date().toISOString()) {
+        throw new ApiError(401, 'auth/user-token-expired', 'Your session has expired. Please login again.');
+    }
+
+    const user = store.data.users[session.uid];
+    if (!user) {
+        throw new ApiError(401, 'auth/user-not-found', 'No account found for this session.');
+    }
+    return user;
+}
+
+/**
+ * Find a user by email
+ * @param {string} email - Email address
+ * @returns {Object|undefined} - Stored user
+ */
+function findUserByEmail(email) {
+    const normalised = String(email || '').trim().toLowerCase();
+    return Object.values(store.data.users).find(user => user.email === normalised);
+}
+
+// ===== HANDLERS =====
+
+/**
+ * POST /api/auth/register
+ */
+function register(req, body) {
+    const email = String(body.email || '').trim().toLowerCase();
+    const password = String(body.password || '');
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw new ApiError(400, 'auth/invalid-email', 'Invalid email address.');
+    }
+    if (password.length < 6) {
+        throw new ApiError(400, 'auth/weak-password', 'Password should be at least 6 characters.');
+    }
+    if (findUserByEmail(email)) {
+        throw new ApiError(409, 'auth/email-already-in-use', 'An account with this email already exists.');
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const user = {
+        uid: crypto.randomUUID(),
+        email,
+        displayName: String(body.name || '').trim() || email,
+        salt,
+        passwordHash: hashPassword(password, salt),
+        profile: {},
+        createdAt: new Date().toISOString()
+    };
+
+    store.data.users[user.uid] = user;
+    return { status: 201, body: createSession(user) };
+}
+
+/**
+ * POST /api/auth/login
+ */
+function login(req, body) {
+    const user = findUserByEmail(body.email);
+    const password = String(body.password || '');
+
+    const isValid = user && crypto.timingSafeEqual(
+        Buffer.from(hashPassword(password, user.salt), 'hex'),
+        Buffer.from(user.passwordHash, 'hex')
+    );
+
+    if (!isValid) {
+        throw new ApiError(401, 'auth/invalid-credential', 'Invalid credentials provided.');
+    }
+
+    return { body: createSession(user) };
+}
+
+/**
+ * POST /api/auth/logout
+ */
+function logout(req) {
+    const match = /^Bearer (\w+)$/.exec(req.headers.authorization || '');
+    if (match) {
+        delete store.data.sessions[hashToken(match[1])];
+        store.save();
+    }
+    return { status: 204 };
+}
+
+/**
+ * GET /api/profile
+ */
+function getProfile(req) {
+    return { body: publicUser(authenticate(req)) };
+}
+
+/**
+ * PUT /api/profile
+ */
+function updateProfile(req, body) {
+    const user = authenticate(req);
+    const { name, displayName, email, password, passwordHash, salt, uid, createdAt, ...profile } = body;
+
+    if (name || displayName) {
+        user.displayName = String(displayName || name).trim();
+    }
+    user.profile = { ...user.profile, ...profile, updatedAt: new Date().toISOString() };
+
+    store.save();
+    return { body: publicUser(user) };
+}
+
+/**
+ * DELETE /api/profile - removes the account and all its data
+ */
+function deleteProfile(req) {
+    const user = authenticate(req);
+
+    delete store.data.users[user.uid];
+    COLLECTIONS.forEach(collection => delete store.data[collection][user.uid]);
+    delete store.data.changes[user.uid];
+    Object.keys(store.data.sessions).forEach(key => {
+        if (store.data.sessions[key].uid === user.uid) {
+            delete store.data.sessions[key];
+        }
+    });
+
+    store.save();
+    return { status: 204 };
+}
+
+/**
+ * GET /api/entries?from=YYYY-MM-DD&to=YYYY-MM-DD, GET /api/projects, GET /api/settings and GET /api/invoices
+ */
+function listRecords(req, body, { collection, query }) {
+    const user = authenticate(req);
+    let records = Object.values(store.getRecords(user.uid, collection));
+
+    if (collection === 'entries') {
+        const from = query.get('from');
+        const to = query.get('to');
+        if (from) records = records.filter(entry => entry.date >= from);
+        if (to) records = records.filter(entry => entry.date <= to);
+        records.sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    return { body: { [collection]: records, cursor: store.data.seq } };
+}
+
+/**
+ * GET /api/{collection}/{id}
+ */
+function getRecord(req, body, { collection, id }) {
+    const user = authenticate(req);
+    const record = store.getRecords(user.uid, collection)[id];
+
+    if (!record) {
+        throw new ApiError(404, 'not-found', 'Record not found');
+    }
+    return { body: record };
+}
+
+/**
+ * PUT /api/{collection}/{id}
+ */
+function putRecord(req, body, { collection, id }) {
+    return batchRecords(req, { upsert: [{ ...body, id }] }, { collection });
+}
+
+/**
+ * DELETE /api/{collection}/{id}
+ */
+function deleteRecord(req, body, { collection, id }) {
+    return batchRecords(req, { delete: [id] }, { collection });
+}
+
+/**
+ * POST /api/{collection}/batch - { upsert: [records], delete: [ids] }
+ */
+function batchRecords(req, body, { collection }) {
+    const user = authenticate(req);
+    const records = store.getRecords(user.uid, collection);
+    const clientId = req.headers['x-client-id'];
+    const upsert = Array.isArray(body.upsert) ? body.upsert : [];
+    const remove = Array.isArray(body.delete) ? body.delete : [];
+
+    upsert.forEach(record => validateRecord(collection, record));
+
+    upsert.forEach(record => {
+        const { userId, syncedAt, ...data } = record;
+        records[record.id] = { ...data, updatedOnServerAt: new Date().toISOString() };
+        store.recordChange(user.uid, collection, 'upsert', record.id, clientId);
+    });
+
+    remove.forEach(id => {
+        if (!records[id]) return;
+        delete records[id];
+        store.recordChange(user.uid, collection, 'delete', id, clientId);
+    });
+
+    store.save();
+    return { body: { upserted: upsert.length, deleted: remove.length, cursor: store.data.seq } };
+}
+
+/**
+ * GET /api/changes?since=<cursor>&exclude=<clientId>
+ */
+function listChanges(req, body, { query }) {
+    const user = authenticate(req);
+    const since = parseInt(query.get('since'), 10);
+    const exclude = query.get('exclude');
+    const log = store.data.changes[user.uid] || [];
+
+    // The cursor predates the trimmed log, or comes from another database
+    const oldestAvailable = log.length > 0 ? log[0].seq - 1 : store.data.seq;
+    if (Number.isNaN(since) || since < oldestAvailable || since > store.data.seq) {
+        return { body: { changes: [], cursor: store.data.seq, reset: true } };
+    }
+
+    // Latest change per record, in order
+    const latest = new Map();
+    log.filter(change => change.seq > since).forEach(change => {
+        const key = `${change.collection}:${change.id}`;
+        latest.delete(key);
+        latest.set(key, change);
+    });
+
+    const changes = Array.from(latest.values())
+        .filter(change => !exclude || change.clientId !== exclude)
+        .map(change => {
+            const record = store.getRecords(user.uid, change.collection)[change.id];
+            return record
+                ? { seq: change.seq, collection: change.collection, op: 'upsert', id: change.id, record }
+                : { seq: change.seq, collection: change.collection, op: 'delete', id: change.id };
+        });
+
+    return { body: { changes, cursor: store.data.seq, reset: false } };
+}
+
+/**
+ * Check a record before storing it
+ * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+ * @param {Object} record - Record
+ */
+function validateRecord(collection, record) {
+    if (!record || typeof record !== 'object' || typeof record.id !== 'string' || !record.id) {
+        throw new ApiError(400, 'invalid-record', 'Every record needs a string id');
+    }
+    if (collection === 'entries' && !/^\d{4}-\d{2}-\d{2}$/.test(record.date || '')) {
+        throw new ApiError(400, 'invalid-record', `Entry ${record.id} needs a date in YYYY-MM-DD format`);
+    }
+}
+
+// ===== ROUTING =====
+
+const ROUTES = [
+    ['GET', /^\/api\/health$/, () => ({ body: { status: 'ok', cursor: store.data.seq } })],
+    ['POST', /^\/api\/auth\/register$/, register],
+    ['POST', /^\/api\/auth\/login$/, login],
+    ['POST', /^\/api\/auth\/logout$/, logout],
+    ['GET', /^\/api\/profile$/, getProfile],
+    ['PUT', /^\/api\/profile$/, updateProfile],
+    ['DELETE', /^\/api\/profile$/, deleteProfile],
+    ['GET', /^\/api\/changes$/, listChanges],
+    ['GET', new RegExp(`^/api/(${COLLECTION_PATTERN})$`), listRecords],
+    ['POST', new RegExp(`^/api/(${COLLECTION_PATTERN})/batch$`), batchRecords],
+    ['GET', new RegExp(`^/api/(${COLLECTION_PATTERN})/([^/]+)$`), getRecord],
+    ['PUT', new RegExp(`^/api/(${COLLECTION_PATTERN})/([^/]+)$`), putRecord],
+    ['DELETE', new RegExp(`^/api/(${COLLECTION_PATTERN})/([^/]+)$`), deleteRecord]
+];
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} - Parsed body, always a plain object
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > CONFIG.maxBodyBytes) {
+                reject(new ApiError(413, 'too-large', 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks.length === 0) return resolve({});
+
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (error) {
+                reject(new ApiError(400, 'invalid-json', 'Request body is not valid JSON'));
+                return;
+            }
+
+            // Every route reads fields from the body, so `null`, numbers and arrays are refused here
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                reject(new ApiError(400, 'invalid-body', 'Request body must be a JSON object'));
+                return;
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    if (status === 204) {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Handle an /api request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed URL
+ */
+async function handleApi(req, res, url) {
+    try {
+        const route = ROUTES.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+        if (!route) {
+            throw new ApiError(404, 'not-found', `No route for ${req.method} ${url.pathname}`);
+        }
+
+        const [, pattern, handler] = route;
+        const [, collection, encodedId] = pattern.exec(url.pathname);
+        let id;
+        try {
+            id = encodedId && decodeURIComponent(encodedId);
+        } catch (error) {
+            throw new ApiError(400, 'invalid-id', 'Record ID is not valid percent-encoding');
+        }
+        const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : {};
+
+        const result = handler(req, body, {
+            collection,
+            id,
+            query: url.searchParams
+        });
+        sendJson(res, result.status || 200, result.body);
+    } catch (error) {
+        if (!(error instanceof ApiError)) {
+            console.error('Request failed:', error);
+        }
+        const status = error.status || 500;
+        sendJson(res, status, {
+            error: { code: error.code || 'internal', message: status === 500 ? 'Internal server error' : error.message }
+        });
+    }
+}
+
+/**
+ * Serve a file from the app directory
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed URL
+ */
+function handleStatic(req, res, url) {
+    let relativePath;
+    try {
+        relativePath = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    } catch (error) {
+        // Malformed percent-encoding, e.g. /%E0%A4%A
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+    const segments = relativePath.split('/').filter(Boolean);
+
+    // Never serve the server itself (its data file lives here) or dotfiles
+    const isHidden = segments[0] === 'server' || segments.some(segment => segment.startsWith('.'));
+    const filePath = path.join(CONFIG.staticRoot, ...segments);
+
+    if (isHidden || !filePath.startsWith(CONFIG.staticRoot) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    fs.createReadStream(filePath).pipe(res);
+}
+
+const server = http.createServer((req, res) => {
+    let url;
+    try {
+        url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    } catch (error) {
+        // A malformed Host header must not take the server down
+        sendJson(res, 400, { error: { code: 'bad-request', message: 'Malformed request URL' } });
+        return;
+    }
+
+    if (CONFIG.corsOrigin) {
+        res.setHeader('Access-Control-Allow-Origin', CONFIG.corsOrigin);
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Client-Id');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    }
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (url.pathname.startsWith('/api/')) {
+        handleApi(req, res, url);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+        handleStatic(req, res, url);
+    } else {
+        sendJson(res, 405, { error: { code: 'method-not-allowed', message: 'Method not allowed' } });
+    }
+});
+
+store.load();
+server.listen(CONFIG.port, CONFIG.host, () => {
+    console.log(`Daily Work Log server on http://${CONFIG.host}:${CONFIG.port}/?backend=rest`);
+    console.log(`Data file: ${CONFIG.dataFile}`);
+});
@@ -1,6 +1,10 @@
 // services/AnalyticsService.js
 // Analytics and Reporting Service
 
+import WorkEntry from '../models/WorkEntry.js';
+import EntryType from '../models/EntryType.js';
+import WorkSchedule from '../models/WorkSchedule.js';
+
 class AnalyticsService {
     constructor(dataService) {
         this.dataService = dataService;
@@ -9,14 +13,15 @@ class AnalyticsService {
     /**
      * Calculate monthly summary statistics
      * @param {Date} month - Month to analyze (defaults to current month)
+     * @param {Object} filters - Optional { tags, tagMatch: 'any' | 'all' }
      * @returns {Object} - Monthly summary data
      */
-    calculateMonthlySummary(month = new Date()) {
+    calculateMonthlySummary(month = new Date(), filters = {}) {
         const year = month.getFullYear();
         const monthIndex = month.getMonth();
         
         // Get all entries for the specified month
-        const monthEntries = this.getMonthEntries(year, monthIndex);
+        const monthEntries = this.filterEntries(this.getMonthEntries(year, monthIndex), filters);
         
         // Calculate basic metrics
         const workDays = this.calculateWorkDays(monthEntries);
@@ -34,7 +39,8 @@ class AnalyticsService {
             totalEntries: totalEntries,
             uniqueProjects: uniqueProjects,
             monthProgress: parseFloat(monthProgress.toFixed(1)),
-            breakdown: this.calculateEntryTypeBreakdown(monthEntries)
+            breakdown: this.calculateEntryTypeBreakdown(monthEntries),
+            tagBreakdown: this.calculateTagBreakdown(monthEntries)
         };
     }
 
@@ -86,30 +92,46 @@ class AnalyticsService {
 
     /**
      * Get project productivity analytics
+     * Billable hours are priced with the rate card in effect on each entry's date;
+     * amounts are kept per currency.
+     * @param {Object} filters - Optional { tags, tagMatch: 'any' | 'all' }
      * @returns {Array} - Project analytics data
      */
-    getProjectAnalytics() {
+    getProjectAnalytics(filters = {}) {
         const workLogData = this.dataService.getWorkLogData();
         const projectStats = new Map();
         
         // Collect project statistics
         Object.keys(workLogData).forEach(dateKey => {
-            workLogData[dateKey].forEach(entry => {
-                if (entry.type === 'work' && entry.project) {
+            this.filterEntries(workLogData[dateKey], filters).forEach(entry => {
+                if (this.isWorkEntry(entry) && entry.project) {
                     if (!projectStats.has(entry.project)) {
                         projectStats.set(entry.project, {
                             project: entry.project,
                             totalHours: 0,
                             entryCount: 0,
                             avgHours: 0,
+                            billableHours: 0,
+                            unratedHours: 0,
+                            amounts: {},
                             lastUsed: dateKey
                         });
                     }
                     
                     const stats = projectStats.get(entry.project);
-                    stats.totalHours += entry.hours || 0;
+                    stats.totalHours += EntryType.getEntryHours(entry, dateKey);
                     stats.entryCount += 1;
                     stats.avgHours = stats.totalHours / stats.entryCount;
+
+                    const billing = this.dataService.billing.getEntryBilling(entry, dateKey);
+                    if (billing.billable) {
+                        stats.billableHours += billing.hours;
+                        if (billing.rateCard) {
+                            stats.amounts[billing.currency] = parseFloat(((stats.amounts[billing.currency] || 0) + billing.amount).toFixed(2));
+                        } else {
+                            stats.unratedHours += billing.hours;
+                        }
+                    }
                     
                     if (dateKey > stats.lastUsed) {
                         stats.lastUsed = dateKey;
@@ -122,6 +144,77 @@ class AnalyticsService {
             .sort((a, b) => b.totalHours - a.totalHours);
     }
 
+    /**
+     * Get hours and entry counts per tag
+     * @param {Object} filters - Optional { startDate, endDate } (YYYY-MM-DD, inclusive)
+     * @returns {Array} - Tag analytics data, most hours first
+     */
+    getTagAnalytics(filters = {}) {
+        const { startDate = null, endDate = null } = filters;
+        const entries = this.dataService.flattenWorkLog(this.dataService.getWorkLogData())
+            .filter(entry => (!startDate || entry.date >= startDate) && (!endDate || entry.date <= endDate));
+
+        return this.calculateTagBreakdown(entries);
+    }
+
+    /**
+     * Keep only entries matching the filters
+     * @param {Array} entries - Entries
+     * @param {Object} filters - { tags, tagMatch: 'any' | 'all' }
+     * @returns {Array} - Matching entries
+     */
+    filterEntries(entries, filters = {}) {
+        const { tags = [], tagMatch = 'any' } = filters;
+        return entries.filter(entry => WorkEntry.hasTags(entry, tags, tagMatch));
+    }
+
+    /**
+     * Calculate work hours and entry counts per tag
+     * Only work entries are counted, tagged or not, so every bucket is on the same basis.
+     * An entry with several tags counts towards each of them, so shares can add up to more than 100%.
+     * @param {Array} entries - Entries
+     * @returns {Array} - [{ tag, totalHours, entryCount, share }], most hours first, untagged work last
+     */
+    calculateTagBreakdown(entries) {
+        const tagStats = new Map();
+        const totalHours = this.calculateTotalHours(entries);
+        let untaggedHours = 0;
+        let untaggedCount = 0;
+
+        entries.forEach(entry => {
+            if (!this.isWorkEntry(entry)) return;
+
+            const hours = EntryType.getEntryHours(entry);
+            const tags = entry.tags || [];
+
+            if (tags.length === 0) {
+                untaggedHours += hours;
+                untaggedCount += 1;
+                return;
+            }
+
+            tags.forEach(tag => {
+                const stats = tagStats.get(tag) || { tag, totalHours: 0, entryCount: 0 };
+                stats.totalHours += hours;
+                stats.entryCount += 1;
+                tagStats.set(tag, stats);
+            });
+        });
+
+        const breakdown = Array.from(tagStats.values())
+            .sort((a, b) => b.totalHours - a.totalHours || b.entryCount - a.entryCount);
+
+        if (untaggedCount > 0) {
+            breakdown.push({ tag: null, totalHours: untaggedHours, entryCount: untaggedCount });
+        }
+
+        return breakdown.map(stats => ({
+            ...stats,
+            totalHours: parseFloat(stats.totalHours.toFixed(2)),
+            share: totalHours > 0 ? parseFloat(((stats.totalHours / totalHours) * 100).toFixed(1)) : 0
+        }));
+    }
+
     /**
      * Get productivity trends over time
      * @param {number} months - Number of months to analyze
@@ -179,7 +272,7 @@ class AnalyticsService {
         const workDates = new Set();
         
         entries.forEach(entry => {
-            if (entry.type === 'work') {
+            if (this.isWorkEntry(entry)) {
                 workDates.add(entry.date);
             }
         });
@@ -187,6 +280,15 @@ class AnalyticsService {
         return workDates.size;
     }
 
+    /**
+     * Check if an entry is work, under any type in the work category (work, training, travel...)
+     * @param {Object} entry - Entry
+     * @returns {boolean}
+     */
+    isWorkEntry(entry) {
+        return EntryType.get(entry.type)?.category === 'work';
+    }
+
     /**
      * Calculate total hours worked
      * @param {Array} entries - Month entries
@@ -194,8 +296,8 @@ class AnalyticsService {
      */
     calculateTotalHours(entries) {
         return entries.reduce((total, entry) => {
-            if (entry.type === 'work') {
-                return total + (entry.hours || 0);
+            if (this.isWorkEntry(entry)) {
+                return total + EntryType.getEntryHours(entry);
             }
             return total;
         }, 0);
@@ -210,7 +312,7 @@ class AnalyticsService {
         const projects = new Set();
         
         entries.forEach(entry => {
-            if (entry.type === 'work' && entry.project) {
+            if (this.isWorkEntry(entry) && entry.project) {
                 projects.add(entry.project);
             }
         });
@@ -245,15 +347,10 @@ class AnalyticsService {
     /**
      * Calculate entry type breakdown
      * @param {Array} entries - Month entries
-     * @returns {Object} - Entry type breakdown
+     * @returns {Object} - Entry counts keyed by type ID, one key per registered type
      */
     calculateEntryTypeBreakdown(entries) {
-        const breakdown = {
-            work: 0,
-            fullLeave: 0,
-            halfLeave: 0,
-            holiday: 0
-        };
+        const breakdown = Object.fromEntries(EntryType.getAll().map(type => [type.id, 0]));
         
         entries.forEach(entry => {
             if (breakdown.hasOwnProperty(entry.type)) {
@@ -289,10 +386,10 @@ class AnalyticsService {
                 const dateKey = d.toISOString().split('T')[0];
                 const dayEntries = workLogData[dateKey] || [];
                 
-                const workEntries = dayEntries.filter(e => e.type === 'work');
+                const workEntries = dayEntries.filter(e => this.isWorkEntry(e));
                 if (workEntries.length > 0) {
                     weekDays++;
-                    weekHours += workEntries.reduce((sum, e) => sum + (e.hours || 0), 0);
+                    weekHours += workEntries.reduce((sum, e) => sum + EntryType.getEntryHours(e, dateKey), 0);
                 }
             }
             
@@ -321,11 +418,13 @@ class AnalyticsService {
         const holidayDates = new Set();
         
         entries.forEach(entry => {
-            if (entry.type === 'work') {
+            const category = EntryType.get(entry.type)?.category;
+
+            if (category === 'work') {
                 attendanceDates.add(entry.date);
-            } else if (entry.type === 'fullLeave' || entry.type === 'halfLeave') {
+            } else if (category === 'leave') {
                 leaveDates.add(entry.date);
-            } else if (entry.type === 'holiday') {
+            } else if (category === 'holiday') {
                 holidayDates.add(entry.date);
             }
         });
@@ -335,6 +434,7 @@ class AnalyticsService {
         
         return {
             workingDays: workingDays,
+            expectedHours: this.getExpectedHoursInMonth(month),
             presentDays: attendanceDates.size,
             leaveDays: leaveDates.size,
             holidayDays: holidayDates.size,
@@ -343,7 +443,8 @@ class AnalyticsService {
     }
 
     /**
-     * Get working days in month (excluding weekends)
+     * Get working days in month, following the work schedule
+     * Public holidays of the followed holiday calendars are not working days.
      * @param {Date} month - Month to calculate
      * @returns {number} - Working days count
      */
@@ -355,16 +456,32 @@ class AnalyticsService {
         let workingDays = 0;
         for (let day = 1; day <= daysInMonth; day++) {
             const date = new Date(year, monthIndex, day);
-            const dayOfWeek = date.getDay();
-            
-            // Count Monday to Friday as working days
-            if (dayOfWeek >= 1 && dayOfWeek <= 5) {
+            if (WorkSchedule.current.isWorkingDay(date) && !this.dataService.holidays.isHoliday(date)) {
                 workingDays++;
             }
         }
         
         return workingDays;
     }
+
+    /**
+     * Get the hours the work schedule expects in a month
+     * Nothing is expected on public holidays.
+     * @param {Date} month - Month to calculate
+     * @returns {number} - Expected hours
+     */
+    getExpectedHoursInMonth(month) {
+        const year = month.getFullYear();
+        const monthIndex = month.getMonth();
+        const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+
+        let expectedHours = 0;
+        for (let day = 1; day <= daysInMonth; day++) {
+            expectedHours += this.dataService.holidays.getExpectedHours(new Date(year, monthIndex, day));
+        }
+
+        return expectedHours;
+    }
 }
 
 export default AnalyticsService;
@@ -0,0 +1,308 @@
+// services/BackupService.js
+// Backup Service Class - Builds and verifies backup files, with optional passphrase encryption
+
+class BackupService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.format = 'daily-work-log-backup';
+        this.encryption = {
+            algorithm: 'AES-GCM',
+            kdf: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: 250000
+        };
+    }
+
+    /**
+     * Check if this browser can hash and encrypt backups
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    }
+
+    /**
+     * Build a backup file of all current data
+     * @param {string|null} passphrase - Encrypt the data with this passphrase
+     * @returns {Promise<Object>} - Backup envelope ready to save as JSON
+     */
+    async createBackup(passphrase = null) {
+        this.assertSupported();
+
+        const data = {
+            workLogData: this.dataService.getWorkLogData(),
+            projectData: this.dataService.getProjects(),
+            entryTypes: this.dataService.entryTypes.getTypes().map(type => type.toJSON()),
+            settings: this.dataService.getUserRecords('settings'),
+            invoices: this.dataService.getUserRecords('invoices')
+        };
+        const payload = JSON.stringify(data);
+
+        const envelope = {
+            format: this.format,
+            version: this.dataService.schema.getCurrentVersion(),
+            exportDate: new Date().toISOString(),
+            exportedBy: 'Daily Work Log Tracker',
+            counts: this.countRecords(data),
+            hash: await this.computeHash(payload),
+            encrypted: Boolean(passphrase)
+        };
+
+        if (passphrase) {
+            const { encryption, ciphertext } = await this.encrypt(payload, passphrase);
+            return { ...envelope, encryption, ciphertext };
+        }
+
+        return { ...envelope, data };
+    }
+
+    /**
+     * Check and unpack a backup file
+     * Files from before backups had an envelope are accepted unverified.
+     * @param {string|Object} contents - File text or parsed JSON
+     * @param {string|null} passphrase - Passphrase for encrypted backups
+     * @returns {Promise<Object>} - { version, exportDate, workLogData, projectData, counts, verified, encrypted }
+     */
+    async readBackup(contents, passphrase = null) {
+        const backup = typeof contents === 'string' ? this.parse(contents) : contents;
+
+        if (!backup || typeof backup !== 'object') {
+            throw this.createError('backup/invalid', 'Invalid backup file format');
+        }
+
+        if (backup.format !== this.format) {
+            if (!backup.workLogData || !Array.isArray(backup.projectData)) {
+                throw this.createError('backup/invalid', 'Invalid backup file format');
+            }
+            return {
+                version: backup.version || null,
+                exportDate: backup.exportDate || null,
+                workLogData: backup.workLogData,
+                projectData: backup.projectData,
+                counts: this.countRecords(backup),
+                verified: false,
+                encrypted: false
+            };
+        }
+
+        this.assertSupported();
+
+        let payload;
+        if (backup.encrypted) {
+            if (!passphrase) {
+                throw this.createError('backup/passphrase-required', 'This backup is encrypted. Enter its passphrase to restore it.');
+            }
+            payload = await this.decrypt(backup, passphrase);
+        } else {
+            if (!backup.data) {
+                throw this.createError('backup/corrupt', 'Backup file is damaged: its data is missing');
+            }
+            payload = JSON.stringify(backup.data);
+        }
+
+        if (await this.computeHash(payload) !== backup.hash) {
+            throw this.createError('backup/corrupt', 'Backup file is damaged or was edited: its checksum does not match');
+        }
+
+        const data = this.parse(payload);
+        if (!data.workLogData || !Array.isArray(data.projectData)) {
+            throw this.createError('backup/invalid', 'Invalid backup file format');
+        }
+
+        const counts = this.countRecords(data);
+        if (!backup.counts || counts.entries !== backup.counts.entries || counts.projects !== backup.counts.projects) {
+            throw this.createError('backup/corrupt',
+                `Backup file is incomplete: expected ${backup.counts?.entries} entries and ${backup.counts?.projects} projects, ` +
+                `found ${counts.entries} and ${counts.projects}`);
+        }
+
+        return {
+            version: backup.version,
+            exportDate: backup.exportDate || null,
+            workLogData: data.workLogData,
+            projectData: data.projectData,
+            entryTypes: Array.isArray(data.entryTypes) ? data.entryTypes : [],
+            settings: Array.isArray(data.settings) ? data.settings : [],
+            invoices: Array.isArray(data.invoices) ? data.invoices : [],
+            counts,
+            verified: true,
+            encrypted: Boolean(backup.encrypted)
+        };
+    }
+
+    /**
+     * Check if a parsed backup file needs a passphrase
+     * @param {Object} backup - Parsed backup file
+     * @returns {boolean}
+     */
+    isEncrypted(backup) {
+        return Boolean(backup && backup.format === this.format && backup.encrypted);
+    }
+
+    /**
+     * Count entries and projects in backup data
+     * @param {Object} data - { workLogData, projectData }
+     * @returns {Object} - { entries, projects }
+     */
+    countRecords({ workLogData, projectData }) {
+        return {
+            entries: Object.values(workLogData || {}).reduce((sum, entries) => sum + (entries || []).length, 0),
+            projects: (projectData || []).length
+        };
+    }
+
+    /**
+     * Hash backup contents
+     * @param {string} text - Serialised data
+     * @returns {Promise<string>} - 'sha256-' followed by the hex digest
+     */
+    async computeHash(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return `sha256-${this.toHex(new Uint8Array(digest))}`;
+    }
+
+    /**
+     * Encrypt backup contents with a passphrase
+     * @param {string} text - Serialised data
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<Object>} - { encryption: parameters needed to decrypt, ciphertext: base64 }
+     */
+    async encrypt(text, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await this.deriveKey(passphrase, salt, this.encryption.iterations);
+
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: this.encryption.algorithm, iv },
+            key,
+            new TextEncoder().encode(text)
+        );
+
+        return {
+            encryption: {
+                ...this.encryption,
+                salt: this.toBase64(salt),
+                iv: this.toBase64(iv)
+            },
+            ciphertext: this.toBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    /**
+     * Decrypt an encrypted backup
+     * @param {Object} backup - Parsed backup file
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<string>} - Serialised data
+     */
+    async decrypt(backup, passphrase) {
+        const { encryption, ciphertext } = backup;
+        if (!encryption || encryption.algorithm !== this.encryption.algorithm || encryption.kdf !== this.encryption.kdf || !ciphertext) {
+            throw this.createError('backup/invalid', 'Backup file uses an unsupported encryption format');
+        }
+
+        try {
+            const key = await this.deriveKey(passphrase, this.fromBase64(encryption.salt), encryption.iterations);
+            const plaintext = await crypto.subtle.decrypt(
+                { name: encryption.algorithm, iv: this.fromBase64(encryption.iv) },
+                key,
+                this.fromBase64(ciphertext)
+            );
+            return new TextDecoder().decode(plaintext);
+        } catch (error) {
+            // AES-GCM can't tell a wrong passphrase from tampered data
+            throw this.createError('backup/wrong-passphrase', 'Wrong passphrase, or the backup file is damaged');
+        }
+    }
+
+    /**
+     * Derive an encryption key from a passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} - AES key
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            this.encryption.kdf,
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: this.encryption.kdf, salt, iterations, hash: this.encryption.hash },
+            baseKey,
+            { name: this.encryption.algorithm, length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Parse JSON from a backup file
+     * @param {string} text - File text
+     * @returns {Object} - Parsed JSON
+     */
+    parse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw this.createError('backup/invalid', 'Backup file is not valid JSON - it may be truncated');
+        }
+    }
+
+    /**
+     * Throw if Web Crypto is missing
+     */
+    assertSupported() {
+        if (!BackupService.isSupported()) {
+            throw this.createError('backup/unsupported', 'This browser cannot create or verify backups (Web Crypto unavailable)');
+        }
+    }
+
+    /**
+     * Create an error with a code
+     * @param {string} code - Error code
+     * @param {string} message - Error message
+     * @returns {Error}
+     */
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Encode bytes as hex
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} - Hex string
+     */
+    toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} - Base64 string
+     */
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 to bytes
+     * @param {string} text - Base64 string
+     * @returns {Uint8Array} - Bytes
+     */
+    fromBase64(text) {
+        return Uint8Array.from(atob(String(text || '')), char => char.charCodeAt(0));
+    }
+}
+
+export default BackupService;
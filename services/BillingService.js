@@ -0,0 +1,270 @@
+// services/BillingService.js
+// Billing Service Class - Each user's rate cards, synced with the rest of their data, and what logged hours are worth
+
+import EntryType from '../models/EntryType.js';
+import Project from '../models/Project.js';
+import RateCard from '../models/RateCard.js';
+
+class BillingService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.handleSettingsChanged = this.handleSettingsChanged.bind(this);
+        this.load();
+
+        // Another tab or device changed the rate cards, or a backup was restored
+        document.addEventListener('data:settingsChanged', this.handleSettingsChanged);
+    }
+
+    /**
+     * Load the signed-in user's rate cards from their settings
+     * @returns {Array} - RateCard instances
+     */
+    load() {
+        const saved = this.dataService.getSetting('rateCards');
+
+        const rateCards = [];
+        (Array.isArray(saved) ? saved : []).forEach(data => {
+            try {
+                rateCards.push(new RateCard(data));
+            } catch (error) {
+                console.warn(`Skipping invalid rate card ${data?.id}:`, error.message);
+            }
+        });
+
+        this.rateCards = rateCards;
+        return rateCards;
+    }
+
+    /**
+     * Save the rate cards with the user's data and tell listeners
+     */
+    persist() {
+        this.dataService.saveSetting('rateCards', this.rateCards.map(rateCard => rateCard.toJSON()));
+        this.dispatchRateCardsChanged();
+    }
+
+    /**
+     * Pick up rate card changes that didn't come from this page
+     * @param {CustomEvent} event - data:settingsChanged event
+     */
+    handleSettingsChanged(event) {
+        if (!event.detail?.ids?.includes('rateCards')) return;
+
+        this.load();
+        this.dispatchRateCardsChanged({ fromSync: true });
+    }
+
+    /**
+     * Get all rate cards
+     * @returns {Array} - RateCard instances, grouped by project or client, earliest first
+     */
+    getRateCards() {
+        return [...this.rateCards].sort((a, b) =>
+            a.scope.localeCompare(b.scope) ||
+            a.target.localeCompare(b.target) ||
+            (a.effectiveFrom || '').localeCompare(b.effectiveFrom || '')
+        );
+    }
+
+    /**
+     * Get a rate card by ID
+     * @param {string} id - Rate card ID
+     * @returns {RateCard|null}
+     */
+    getRateCard(id) {
+        return this.rateCards.find(rateCard => rateCard.id === id) || null;
+    }
+
+    /**
+     * Add a rate card or change an existing one
+     * @param {Object} rateCardData - Rate card fields; without an id a new card is created
+     * @returns {Object} - { success, message, rateCard }
+     */
+    saveRateCard(rateCardData) {
+        const existing = rateCardData.id ? this.getRateCard(rateCardData.id) : null;
+        if (rateCardData.id && !existing) {
+            throw new Error('Rate card not found');
+        }
+
+        const rateCard = new RateCard({
+            ...(existing ? existing.toJSON() : {}),
+            ...rateCardData,
+            id: existing ? existing.id : `rate_${this.dataService.generateId()}`
+        });
+
+        // One rate per project or client on any date
+        const overlapping = this.rateCards.find(other => other !== existing && other.overlaps(rateCard));
+        if (overlapping) {
+            throw new Error(`${this.describeTarget(rateCard)} already has a rate of ${overlapping.describe()}`);
+        }
+
+        this.rateCards = existing
+            ? this.rateCards.map(current => current === existing ? rateCard : current)
+            : [...this.rateCards, rateCard];
+        this.persist();
+
+        return { success: true, message: `${existing ? 'Updated' : 'Added'} rate for ${this.describeTarget(rateCard)}`, rateCard };
+    }
+
+    /**
+     * Remove a rate card
+     * @param {string} id - Rate card ID
+     * @returns {Object} - { success, message }
+     */
+    deleteRateCard(id) {
+        const rateCard = this.getRateCard(id);
+        if (!rateCard) {
+            throw new Error('Rate card not found');
+        }
+
+        this.rateCards = this.rateCards.filter(current => current !== rateCard);
+        this.persist();
+
+        return { success: true, message: `Removed rate for ${this.describeTarget(rateCard)}` };
+    }
+
+    /**
+     * Name the project or client a rate card charges
+     * @param {RateCard} rateCard - Rate card
+     * @returns {string} - e.g. "WV-1112-4152 0210 - ASStrategy" or "client Mercia Motors"
+     */
+    describeTarget(rateCard) {
+        if (rateCard.scope === 'client') {
+            return `client ${rateCard.target}`;
+        }
+
+        const project = this.dataService.findProjectByValue(rateCard.target);
+        return project ? `${project.projectId} ${project.subCode} - ${project.projectTitle}` : rateCard.target;
+    }
+
+    /**
+     * Get the clients given to projects
+     * @returns {Array} - Client names, sorted
+     */
+    getClients() {
+        const clients = new Map();
+        [...this.dataService.getProjects(), ...this.rateCards.filter(rateCard => rateCard.scope === 'client').map(rateCard => ({ client: rateCard.target }))]
+            .forEach(({ client }) => {
+                const name = (client || '').trim();
+                if (name && !clients.has(name.toLowerCase())) {
+                    clients.set(name.toLowerCase(), name);
+                }
+            });
+
+        return [...clients.values()].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Check if an entry's hours are billable
+     * Only work logged against a project can be; the entry's own flag beats the project's.
+     * @param {Object} entry - Entry data
+     * @returns {boolean}
+     */
+    isBillable(entry) {
+        if (EntryType.get(entry.type)?.category !== 'work' || !entry.project) return false;
+        if (typeof entry.billable === 'boolean') return entry.billable;
+
+        const project = this.dataService.findProjectByValue(entry.project);
+        return project ? Project.isBillable(project) : false;
+    }
+
+    /**
+     * Get the rate card charging a project on a date
+     * A card for the project beats one for its client.
+     * @param {string} projectValue - Project value (projectId-subCode)
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {RateCard|null}
+     */
+    getRateFor(projectValue, dateKey) {
+        if (!projectValue) return null;
+
+        const covering = this.rateCards.filter(rateCard => rateCard.coversDate(dateKey));
+        const client = this.dataService.findProjectByValue(projectValue)?.client;
+
+        return covering.find(rateCard => rateCard.appliesTo('project', projectValue)) ||
+            covering.find(rateCard => rateCard.appliesTo('client', client)) ||
+            null;
+    }
+
+    /**
+     * Work out what an entry is worth
+     * @param {Object} entry - Entry data
+     * @param {string} dateKey - Date key, for entries that don't carry their date
+     * @returns {Object} - { billable, hours, rateCard, rate, currency, amount }
+     */
+    getEntryBilling(entry, dateKey = entry.date) {
+        const billable = this.isBillable(entry);
+        const hours = EntryType.getEntryHours(entry, dateKey);
+        const rateCard = billable ? this.getRateFor(entry.project, dateKey) : null;
+
+        return {
+            billable,
+            hours,
+            rateCard,
+            rate: rateCard ? rateCard.rate : null,
+            currency: rateCard ? rateCard.currency : '',
+            amount: rateCard ? this.round(hours * rateCard.rate) : 0
+        };
+    }
+
+    /**
+     * Total the billable hours and money of some entries
+     * Amounts are kept per currency, since rate cards may differ.
+     * @param {Array} entries - Entries, each with a date
+     * @returns {Object} - { billableHours, nonBillableHours, unratedHours, amounts }
+     */
+    summarise(entries) {
+        const summary = { billableHours: 0, nonBillableHours: 0, unratedHours: 0, amounts: {} };
+
+        entries.forEach(entry => {
+            if (EntryType.get(entry.type)?.category !== 'work') return;
+
+            const billing = this.getEntryBilling(entry);
+            if (!billing.billable) {
+                summary.nonBillableHours += billing.hours;
+            } else {
+                summary.billableHours += billing.hours;
+                if (billing.rateCard) {
+                    summary.amounts[billing.currency] = this.round((summary.amounts[billing.currency] || 0) + billing.amount);
+                } else {
+                    summary.unratedHours += billing.hours;
+                }
+            }
+        });
+
+        return {
+            ...summary,
+            billableHours: this.round(summary.billableHours),
+            nonBillableHours: this.round(summary.nonBillableHours),
+            unratedHours: this.round(summary.unratedHours)
+        };
+    }
+
+    /**
+     * Round money or hours to two decimals
+     * @param {number} value - Value
+     * @returns {number} - Rounded value
+     */
+    round(value) {
+        return parseFloat(value.toFixed(2));
+    }
+
+    /**
+     * Tell the UI the rate cards changed
+     * @param {Object} detail - Event detail
+     */
+    dispatchRateCardsChanged(detail = {}) {
+        document.dispatchEvent(new CustomEvent('rateCards:changed', {
+            detail: { ...detail, rateCards: this.rateCards.map(rateCard => rateCard.toJSON()) }
+        }));
+    }
+
+    /**
+     * Stop listening for synced changes
+     */
+    destroy() {
+        document.removeEventListener('data:settingsChanged', this.handleSettingsChanged);
+    }
+}
+
+export default BillingService;
@@ -1,19 +1,81 @@
 // services/DataService.js
 // Data Service Class - Handles all data operations, storage, and synchronization
 
+import MergeService from './MergeService.js';
+import SyncJournal from './SyncJournal.js';
+import HistoryService from './HistoryService.js';
+import SchemaService from './SchemaService.js';
+import TabSyncService from './TabSyncService.js';
+import BackupService from './BackupService.js';
+import HealthService from './HealthService.js';
+import RecurrenceService from './RecurrenceService.js';
+import EntryTypeService from './EntryTypeService.js';
+import LeaveBookingService from './LeaveBookingService.js';
+import WorkScheduleService from './WorkScheduleService.js';
+import OvertimeService from './OvertimeService.js';
+import LeaveBalanceService from './LeaveBalanceService.js';
+import HolidayService from './HolidayService.js';
+import BillingService from './BillingService.js';
+import InvoiceService from './InvoiceService.js';
+import LocalStorageAdapter from './storage/LocalStorageAdapter.js';
+import WorkEntry from '../models/WorkEntry.js';
+import EntryType from '../models/EntryType.js';
+
 class DataService {
-    constructor(firebaseConfig, user) {
-        this.firebaseConfig = firebaseConfig;
+    /**
+     * @param {User} user - User model
+     * @param {Object} storage - Storage adapters (see services/storage/StorageAdapter.js)
+     * @param {StorageAdapter} storage.local - Device storage, defaults to localStorage
+     * @param {StorageAdapter|null} storage.remote - Cloud storage used when signed in
+     */
+    constructor(user, storage = {}) {
         this.user = user;
+        this.local = storage.local || new LocalStorageAdapter();
+        this.remote = storage.remote || null;
         this.workLogData = {}; // Format: { 'YYYY-MM-DD': [entries] }
         this.projects = [];
+        this.trash = { entries: [], projects: [] }; // Soft-deleted records, kept as tombstones until purged
+        this.userRecords = { settings: [], invoices: [] }; // Synced like projects, without a trash: settings { id, value, updatedAt } and issued invoices
+        this.trashRetentionDays = this.loadTrashRetentionDays();
         this.syncStatus = 'idle'; // idle, syncing, synced, error
         this.lastSyncTime = null;
-        this.pendingChanges = false;
+        this.lastSyncCursor = localStorage.getItem('lastCloudSync'); // ISO time of last successful upload
+        this.journal = new SyncJournal(); // Ordered local changes not yet in the cloud
+        this.migratePendingDeletions();
+        this.mergeService = new MergeService();
+        this.schema = new SchemaService();
+        this.syncBase = this.loadSyncBase(); // Last synced copy of each record { entries: {}, projects: {}, settings: {}, invoices: {} }
+        this.conflicts = this.loadConflicts(); // Unresolved concurrent edits
+        this.history = new HistoryService(this); // Undo/redo for local edits
+        this.backups = new BackupService(this); // Checked, optionally encrypted backup files
+        this.health = new HealthService(this); // Data consistency checks and repairs
+        this.recurrence = new RecurrenceService(this); // Repeating entry series
+        this.bookings = new LeaveBookingService(this); // Multi-day leave booked as one
+        this.workSchedule = new WorkScheduleService(this); // Working days and daily limits of the signed-in user
+        this.overtime = new OvertimeService(this); // Overtime and time off in lieu balance
+        this.entryTypes = new EntryTypeService(this); // Work, leave and holiday types the user can configure
+        this.leaveBalances = new LeaveBalanceService(this); // Yearly leave allowances of the signed-in user
+        this.holidays = new HolidayService(this); // Public holiday calendars the signed-in user follows
+        this.billing = new BillingService(this); // Rate cards of the signed-in user, and what hours are worth
+        this.invoices = new InvoiceService(this); // Invoices the signed-in user has issued
+        this.pendingChanges = this.journal.getLength() > 0;
+        this.localSnapshot = { entries: new Map(), projects: new Map(), settings: new Map(), invoices: new Map() }; // Serialised records last written locally
+        this.localWriteQueue = Promise.resolve();
+        this.remoteUnsubscribe = null;
+        this.remoteRefreshTimer = null;
         this.isOnline = navigator.onLine;
+
+        // Other open tabs share the same device storage
+        this.tabSync = storage.tabSync || new TabSyncService();
+        this.tabEvents = ['entryAdded', 'entryUpdated', 'entryDeleted', 'projectAdded', 'projectUpdated', 'projectDeleted',
+            'trashUpdated', 'conflictResolved', 'imported', 'cleared', 'repaired', 'seriesUpdated'];
+        this.pendingTabEvents = []; // Mutation events waiting for their local write
+        this.isApplyingTabChange = false;
+        this.lastImportBackup = null; // Data as it was before the last restore
         
         // Set up network listeners
         this.setupNetworkListeners();
+        this.tabSync.subscribe(message => this.handleTabMessage(message));
     }
 
     /**
@@ -36,9 +98,17 @@ class DataService {
      * @param {boolean} isOnline - Whether device is online
      */
     async handleNetworkChange(isOnline) {
-        if (isOnline && this.pendingChanges && this.user.isAuthenticated()) {
+        if (this.syncStatus === 'syncing') return;
+
+        const hasQueuedChanges = this.pendingChanges || this.journal.getLength() > 0;
+
+        if (isOnline && hasQueuedChanges && this.canUseCloud()) {
             try {
+                // Pull and merge edits made on other devices, then replay ours in order
+                await this.loadFromCloud();
+                await this.replayJournal();
                 await this.syncToCloud();
+                this.dispatchDataEvent('updated');
             } catch (error) {
                 console.error('Auto-sync after network reconnection failed:', error);
             }
@@ -46,80 +116,103 @@ class DataService {
     }
 
     /**
-     * Load all data (from cloud if authenticated, otherwise local)
+     * Check if data should be synced with cloud storage
+     * @returns {boolean} - Whether a signed-in, non-guest user has cloud storage
+     */
+    canUseCloud() {
+        return Boolean(this.remote) && this.user.isAuthenticated() && !this.user.isGuest();
+    }
+
+    /**
+     * Throw if cloud storage can't be used right now
+     */
+    assertCloudReady() {
+        if (!this.remote || !this.remote.isReady()) {
+            throw new Error('Cloud storage not available or user not authenticated');
+        }
+    }
+
+    /**
+     * Load all data (local first, then merged with cloud if authenticated)
      * @returns {Promise} - Load result
      */
     async loadData() {
+        // Local data is the base that cloud changes are merged into
+        await this.loadFromLocal();
+        await this.adoptDeviceRecords();
+
         try {
-            if (this.user.isAuthenticated() && !this.user.isGuest()) {
+            if (this.canUseCloud()) {
                 await this.loadFromCloud();
-            } else {
-                this.loadFromLocal();
             }
+
+            await this.purgeTrash();
             
             this.dispatchDataEvent('loaded');
             return { success: true, message: 'Data loaded successfully' };
         } catch (error) {
             console.error('Error loading data:', error);
-            // Fallback to local data
-            this.loadFromLocal();
+            // Keep the local data already loaded
             this.dispatchDataEvent('loaded');
-            return { success: false, message: 'Loaded local data after cloud error' };
+            const message = error.code === 'schema/newer-version'
+                ? `Loaded local data only. ${error.message}`
+                : 'Loaded local data after cloud error';
+            return { success: false, message };
         }
     }
 
     /**
-     * Load data from cloud (Firestore)
+     * Load data from cloud storage and merge it with local data
      * @returns {Promise} - Load result
      */
     async loadFromCloud() {
-        if (!this.firebaseConfig || !this.firebaseConfig.isInitialized() || !this.user.isAuthenticated()) {
-            throw new Error('Firebase not initialized or user not authenticated');
-        }
+        this.assertCloudReady();
 
         this.setSyncStatus('syncing');
 
         try {
-            const db = this.firebaseConfig.getDatabase();
-            const { collection, query, where, orderBy, getDocs } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-
-            // Load work log data
-            const workLogQuery = query(
-                collection(db, 'workLogs'),
-                where('userId', '==', this.user.getCurrentUser().uid),
-                orderBy('date', 'desc')
+            const remoteData = await this.remote.load();
+            const migrationContext = { userId: this.user.getUserId() };
+
+            // Skip items deleted locally but not yet removed from the cloud
+            const deletedEntryIds = this.journal.getPendingDeletions('entries');
+            const deletedProjectIds = this.journal.getPendingDeletions('projects');
+            const remoteEntries = this.schema.migrateRecords('entries', remoteData.entries, migrationContext).records
+                .filter(entry => !deletedEntryIds.includes(entry.id));
+            const remoteProjects = this.schema.migrateRecords('projects', remoteData.projects, migrationContext).records
+                .filter(project => !deletedProjectIds.includes(project.id));
+            const remoteUserRecords = Object.fromEntries(
+                Object.keys(this.userRecords).map(collection => [collection, remoteData[collection] || []])
             );
-            
-            const workLogSnapshot = await getDocs(workLogQuery);
-            this.workLogData = {};
-            
-            workLogSnapshot.forEach(doc => {
-                const data = doc.data();
-                if (!this.workLogData[data.date]) {
-                    this.workLogData[data.date] = [];
-                }
-                this.workLogData[data.date].push({
-                    ...data,
-                    id: doc.id
-                });
-            });
 
-            // Load projects
-            const projectsQuery = query(
-                collection(db, 'projects'),
-                where('userId', '==', this.user.getCurrentUser().uid),
-                orderBy('usageCount', 'desc')
+            // Merge with local data instead of overwriting offline edits
+            const entryMerge = this.mergeService.mergeRecords(
+                this.getAllEntries(),
+                remoteEntries,
+                this.syncBase.entries
             );
-            
-            const projectsSnapshot = await getDocs(projectsQuery);
-            this.projects = [];
-            
-            projectsSnapshot.forEach(doc => {
-                this.projects.push({
-                    ...doc.data(),
-                    id: doc.id
-                });
-            });
+            const projectMerge = this.mergeService.mergeRecords(
+                this.getAllProjects(),
+                remoteProjects,
+                this.syncBase.projects,
+                { changedAtField: 'updatedAt', reportConflicts: false }
+            );
+            const userRecordMerges = Object.keys(this.userRecords).map(collection => ({
+                collection,
+                ...this.mergeService.mergeRecords(
+                    this.userRecords[collection],
+                    remoteUserRecords[collection],
+                    this.syncBase[collection],
+                    { changedAtField: 'updatedAt', reportConflicts: false }
+                )
+            }));
+
+            this.setRecords(entryMerge.records, projectMerge.records);
+            userRecordMerges.forEach(merge => this.setUserRecords(merge.collection, merge.records));
+            this.setSyncBase(remoteEntries, remoteProjects, remoteUserRecords);
+            this.addConflicts(entryMerge.conflicts);
+
+            const needsUpload = [entryMerge, projectMerge, ...userRecordMerges].some(merge => merge.needsUpload.length > 0);
 
             // If no projects exist, load defaults
             if (this.projects.length === 0) {
@@ -127,9 +220,20 @@ class DataService {
                 await this.saveProjects(); // Save default projects to cloud
             }
 
+            await this.saveToLocal();
             this.setSyncStatus('synced');
             this.lastSyncTime = new Date();
-            this.pendingChanges = false;
+            this.pendingChanges = needsUpload;
+
+            // Replace legacy duplicates with stable-ID documents
+            if (remoteData.legacyDocuments > 0) {
+                await this.replaceLegacyDocuments();
+            } else if (needsUpload) {
+                await this.replayJournal();
+                await this.syncToCloud();
+            }
+
+            this.watchRemoteChanges();
             
             return { success: true, message: 'Data loaded from cloud' };
         } catch (error) {
@@ -139,33 +243,50 @@ class DataService {
     }
 
     /**
-     * Load data from local storage
+     * Load data from device storage
+     * @returns {Promise} - Resolves when loaded
      */
-    loadFromLocal() {
+    async loadFromLocal() {
         try {
-            // Load work log data
-            const savedWorkLog = localStorage.getItem('workLogData');
-            if (savedWorkLog) {
-                this.workLogData = JSON.parse(savedWorkLog);
-            } else {
-                this.workLogData = {};
-            }
-
-            // Load projects
-            const savedProjects = localStorage.getItem('projectData');
-            if (savedProjects) {
-                this.projects = JSON.parse(savedProjects);
-            } else {
+            await this.localWriteQueue; // Don't read back a half-written save
+
+            const saved = await this.local.load();
+            const migrationContext = { userId: this.user.getUserId() };
+            const entryResult = this.schema.migrateRecords('entries', saved.entries, migrationContext);
+            const projectResult = this.schema.migrateRecords('projects', saved.projects, migrationContext);
+
+            this.setRecords(entryResult.records, projectResult.records);
+            this.localSnapshot = {
+                entries: this.serialiseRecords(saved.entries),
+                projects: this.serialiseRecords(saved.projects)
+            };
+            Object.keys(this.userRecords).forEach(collection => {
+                this.setUserRecords(collection, saved[collection] || []);
+                this.localSnapshot[collection] = this.serialiseRecords(saved[collection] || []);
+            });
+
+            // First run on this device
+            if (!saved.hasData) {
                 this.projects = this.getDefaultProjects();
-                this.saveToLocal(); // Save default projects locally
+                await this.saveToLocal(); // Save default projects locally
+            } else if (entryResult.migrated + projectResult.migrated > 0) {
+                console.log(`Upgraded ${entryResult.migrated + projectResult.migrated} stored records to data version ${this.schema.getCurrentVersion()}`);
+                await this.saveToLocal();
             }
 
             this.setSyncStatus('local');
-            console.log('Data loaded from local storage');
+            console.log(`Data loaded from local storage (${this.local.name})`);
         } catch (error) {
+            // Don't start over on top of data from a newer app version
+            if (error.code && error.code.startsWith('schema/')) {
+                throw error;
+            }
+
             console.error('Error loading local data:', error);
             this.workLogData = {};
             this.projects = this.getDefaultProjects();
+            this.trash = { entries: [], projects: [] };
+            Object.keys(this.userRecords).forEach(collection => this.setUserRecords(collection, []));
         }
     }
 
@@ -174,9 +295,9 @@ class DataService {
      * @returns {Promise} - Save result
      */
     async saveData() {
-        this.saveToLocal(); // Always save locally first
+        await this.saveToLocal(); // Always save locally first
         
-        if (this.user.isAuthenticated() && !this.user.isGuest() && this.isOnline) {
+        if (this.canUseCloud() && this.isOnline) {
             try {
                 await this.syncToCloud();
                 return { success: true, message: 'Data saved and synced to cloud' };
@@ -192,74 +313,751 @@ class DataService {
     }
 
     /**
-     * Save data to local storage
+     * Save data to device storage
+     * Writes are queued so they land in the order they were made.
+     * @returns {Promise} - Resolves when written
      */
     saveToLocal() {
+        this.localWriteQueue = this.localWriteQueue
+            .then(() => this.writeLocalChanges())
+            .catch(error => console.error('Error saving to local storage:', error));
+
+        return this.localWriteQueue;
+    }
+
+    /**
+     * Write records changed since the last local save
+     * @returns {Promise} - Resolves when written
+     */
+    async writeLocalChanges() {
+        const current = {
+            entries: this.getAllEntries(),
+            projects: this.getAllProjects(),
+            ...this.userRecords
+        };
+        const changes = {};
+
+        for (const collection of Object.keys(current)) {
+            const saved = this.localSnapshot[collection];
+            const serialised = this.serialiseRecords(current[collection]);
+
+            const changed = current[collection].filter(record => saved.get(record.id) !== serialised.get(record.id));
+            const removed = Array.from(saved.keys()).filter(id => !serialised.has(id));
+
+            if (changed.length > 0) {
+                await this.local.save(collection, changed);
+            }
+            if (removed.length > 0) {
+                await this.local.delete(collection, removed);
+            }
+
+            this.localSnapshot[collection] = serialised;
+            changes[collection] = { upserted: changed, deleted: removed };
+        }
+
+        this.broadcastLocalChanges(changes);
+    }
+
+    /**
+     * Tell other tabs what was just written, along with the events that caused it
+     * @param {Object} changes - { upserted, deleted } of each collection, e.g. { entries: { upserted, deleted }, ... }
+     */
+    broadcastLocalChanges(changes) {
+        const events = this.pendingTabEvents.splice(0);
+        const hasChanges = Object.values(changes).some(({ upserted, deleted }) => upserted.length + deleted.length > 0);
+
+        if (!hasChanges && events.length === 0) return;
+
+        this.tabSync.broadcast({
+            type: 'changes',
+            userId: this.user.getUserId(),
+            changes,
+            events
+        });
+    }
+
+    /**
+     * Apply changes another tab wrote to the shared device storage
+     * @param {Object} message - { type, userId, changes, events }
+     */
+    async handleTabMessage(message) {
+        if (message.type !== 'changes' || message.userId !== this.user.getUserId()) return;
+
+        // Let our own write finish so the other tab's records land on top of it
+        await this.localWriteQueue;
+
+        this.local.invalidate();
+        this.reloadSharedState();
+
+        const entries = new Map(this.getAllEntries().map(entry => [entry.id, entry]));
+        const projects = new Map(this.getAllProjects().map(project => [project.id, project]));
+        const records = { entries, projects, ...this.mapUserRecordsById() };
+
+        Object.keys(records).forEach(collection => {
+            const { upserted = [], deleted = [] } = message.changes[collection] || {};
+
+            upserted.forEach(record => {
+                records[collection].set(record.id, record);
+                this.localSnapshot[collection].set(record.id, JSON.stringify(record));
+            });
+            deleted.forEach(id => {
+                records[collection].delete(id);
+                this.localSnapshot[collection].delete(id);
+            });
+        });
+
+        this.setRecords(Array.from(entries.values()), Array.from(projects.values()));
+        Object.keys(this.userRecords).forEach(collection => {
+            this.setUserRecords(collection, Array.from(records[collection].values()));
+        });
+        this.pendingChanges = this.journal.getLength() > 0;
+
+        this.isApplyingTabChange = true;
         try {
-            localStorage.setItem('workLogData', JSON.stringify(this.workLogData));
-            localStorage.setItem('projectData', JSON.stringify(this.projects));
-            localStorage.setItem('lastLocalSave', new Date().toISOString());
-        } catch (error) {
-            console.error('Error saving to local storage:', error);
+            message.events.forEach(({ name, detail }) => {
+                this.dispatchDataEvent(name, { ...detail, fromOtherTab: true });
+            });
+            this.dispatchDataEvent('updated', { fromOtherTab: true });
+        } finally {
+            this.isApplyingTabChange = false;
         }
     }
 
     /**
-     * Sync data to cloud (Firestore)
+     * Re-read sync bookkeeping another tab may have changed
+     */
+    reloadSharedState() {
+        this.journal.load();
+        this.syncBase = this.loadSyncBase();
+        this.conflicts = this.loadConflicts();
+        this.lastSyncCursor = localStorage.getItem('lastCloudSync');
+    }
+
+    /**
+     * Serialise records for change detection
+     * @param {Array} records - Records
+     * @returns {Map} - JSON keyed by record ID
+     */
+    serialiseRecords(records) {
+        return new Map(records.map(record => [record.id, JSON.stringify(record)]));
+    }
+
+    /**
+     * Query entries in a date range from device storage
+     * @param {string} startDate - First date (YYYY-MM-DD)
+     * @param {string} endDate - Last date (YYYY-MM-DD)
+     * @returns {Promise<Array>} - Entries carrying their date
+     */
+    async queryEntries(startDate, endDate) {
+        await this.localWriteQueue;
+        const entries = await this.local.queryByDateRange(startDate, endDate);
+        return entries.filter(entry => !entry.deletedAt);
+    }
+
+    /**
+     * Sync data to cloud storage
+     * Uploads only records changed since the last successful sync,
+     * keyed by their own IDs, and removes locally deleted items.
      * @returns {Promise} - Sync result
      */
     async syncToCloud() {
-        if (!this.firebaseConfig || !this.firebaseConfig.isInitialized() || !this.user.isAuthenticated()) {
-            throw new Error('Cannot sync - Firebase not initialized or user not authenticated');
-        }
+        this.assertCloudReady();
 
         this.setSyncStatus('syncing');
 
         try {
-            const db = this.firebaseConfig.getDatabase();
-            const { doc, setDoc, collection, writeBatch, serverTimestamp } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
+            const syncStartedAt = new Date().toISOString();
+            const journalSequence = this.journal.getLastSequence();
+
+            // Conflicted entries are held back until the user resolves them
+            // Trashed records go up as tombstones so other devices move them to the trash too
+            const uploadedEntries = this.getAllEntries().filter(entry =>
+                this.hasChangedSinceLastSync(entry.timestamp) && !this.hasConflict(entry.id)
+            );
+            const uploadedProjects = this.getAllProjects()
+                .filter(project => this.hasChangedSinceLastSync(project.updatedAt))
+                .map(project => ({ ...project }));
+            // Records adopted from device storage have no change time, so they go up while journaled
+            const uploadedUserRecords = Object.entries(this.userRecords).map(([collection, records]) => {
+                const pending = new Set(this.journal.getPendingSaves(collection));
+                return {
+                    collection,
+                    records: records.filter(record => this.hasChangedSinceLastSync(record.updatedAt) || pending.has(record.id))
+                };
+            });
+
+            // Permanently deleted items
+            const deletedEntries = this.journal.getPendingDeletions('entries');
+            const deletedProjects = this.journal.getPendingDeletions('projects');
+
+            if (uploadedEntries.length > 0) {
+                await this.remote.save('entries', uploadedEntries);
+            }
+            if (uploadedProjects.length > 0) {
+                await this.remote.save('projects', uploadedProjects);
+            }
+            for (const { collection, records } of uploadedUserRecords) {
+                if (records.length > 0) {
+                    await this.remote.save(collection, records);
+                }
+            }
+            if (deletedEntries.length > 0) {
+                await this.remote.delete('entries', deletedEntries);
+            }
+            if (deletedProjects.length > 0) {
+                await this.remote.delete('projects', deletedProjects);
+            }
+
+            const changeCount = uploadedEntries.length + uploadedProjects.length + deletedEntries.length + deletedProjects.length +
+                uploadedUserRecords.reduce((sum, { records }) => sum + records.length, 0);
+
+            // Everything journaled so far is covered by this upload
+            this.journal.acknowledge(journalSequence);
+            this.setLastSyncCursor(syncStartedAt);
+            this.updateSyncBase('entries', uploadedEntries, deletedEntries);
+            this.updateSyncBase('projects', uploadedProjects, deletedProjects);
+            uploadedUserRecords.forEach(({ collection, records }) => this.updateSyncBase(collection, records));
+
+            this.setSyncStatus('synced');
+            this.lastSyncTime = new Date();
+            this.pendingChanges = false;
             
-            const batch = writeBatch(db);
-            const userId = this.user.getCurrentUser().uid;
-
-            // Sync work log data
-            Object.keys(this.workLogData).forEach(dateKey => {
-                const entries = this.workLogData[dateKey];
-                entries.forEach(entry => {
-                    const docRef = doc(collection(db, 'workLogs'));
-                    batch.set(docRef, {
-                        ...entry,
-                        userId: userId,
-                        date: dateKey,
-                        updatedAt: serverTimestamp()
-                    });
-                });
+            this.dispatchDataEvent('synced', { uploaded: changeCount });
+            return { success: true, message: `Data synced to cloud (${changeCount} changes)` };
+        } catch (error) {
+            this.setSyncStatus('error');
+            throw error;
+        }
+    }
+
+    /**
+     * Upload all data under stable IDs, then let the cloud adapter remove legacy duplicates
+     */
+    async replaceLegacyDocuments() {
+        this.setLastSyncCursor(null);
+        await this.syncToCloud();
+        await this.remote.cleanup();
+    }
+
+    /**
+     * Check if a record changed after the last successful sync
+     * Records without a change time only go up with a full upload; once uploaded they count as synced.
+     * @param {string} changedAt - ISO timestamp of the last change
+     * @returns {boolean} - Whether the record needs uploading
+     */
+    hasChangedSinceLastSync(changedAt) {
+        if (!this.lastSyncCursor) return true;
+        return Boolean(changedAt) && changedAt >= this.lastSyncCursor;
+    }
+
+    /**
+     * Persist the time of the last successful sync
+     * @param {string|null} cursor - ISO timestamp, or null to force a full upload
+     */
+    setLastSyncCursor(cursor) {
+        this.lastSyncCursor = cursor;
+        if (cursor) {
+            localStorage.setItem('lastCloudSync', cursor);
+        } else {
+            localStorage.removeItem('lastCloudSync');
+        }
+    }
+
+    /**
+     * Replay queued offline changes in the order they were made
+     * Each operation uploads the record's current state, or deletes it.
+     * @returns {Promise} - Replay result
+     */
+    async replayJournal() {
+        const queued = this.journal.getOperations();
+        if (queued.length === 0) {
+            return { success: true, message: 'No queued changes to replay' };
+        }
+
+        this.assertCloudReady();
+
+        this.setSyncStatus('syncing');
+
+        try {
+            const recordsById = {
+                entries: new Map(this.getAllEntries().map(entry => [entry.id, entry])),
+                projects: new Map(this.getAllProjects().map(project => [project.id, project])),
+                ...this.mapUserRecordsById()
+            };
+
+            // Consecutive operations of the same kind go out as one write
+            const runs = [];
+            queued.forEach(operation => {
+                const kind = operation.op === 'delete' ? 'delete' : 'save';
+                const lastRun = runs[runs.length - 1];
+
+                if (lastRun && lastRun.collection === operation.collection && lastRun.kind === kind) {
+                    lastRun.operations.push(operation);
+                } else {
+                    runs.push({ collection: operation.collection, kind, operations: [operation] });
+                }
             });
 
-            // Sync projects
-            this.projects.forEach(project => {
-                const docRef = doc(collection(db, 'projects'));
-                batch.set(docRef, {
-                    ...project,
-                    userId: userId,
-                    updatedAt: serverTimestamp()
+            for (const run of runs) {
+                const isEntries = run.collection === 'entries';
+                const ids = run.operations.map(operation => operation.id);
+
+                if (run.kind === 'delete') {
+                    await this.remote.delete(run.collection, ids);
+                    this.updateSyncBase(run.collection, [], ids);
+                } else {
+                    const records = ids
+                        .map(id => recordsById[run.collection].get(id))
+                        // Removed by a cloud merge, or held back until a conflict is resolved
+                        .filter(record => record && !(isEntries && this.hasConflict(record.id)))
+                        .map(record => ({ ...record }));
+
+                    if (records.length > 0) {
+                        await this.remote.save(run.collection, records);
+                    }
+                    this.updateSyncBase(run.collection, records);
+                }
+
+                this.journal.acknowledge(run.operations[run.operations.length - 1].seq);
+            }
+
+            this.setSyncStatus('synced');
+            this.lastSyncTime = new Date();
+            this.pendingChanges = this.journal.getLength() > 0;
+
+            this.dispatchDataEvent('journalReplayed', { replayed: queued.length });
+            return { success: true, message: `Replayed ${queued.length} offline changes` };
+        } catch (error) {
+            this.setSyncStatus('error');
+            throw error;
+        }
+    }
+
+    /**
+     * Subscribe to changes other devices make in cloud storage
+     */
+    watchRemoteChanges() {
+        if (this.remoteUnsubscribe || !this.remote) return;
+        this.remoteUnsubscribe = this.remote.subscribe(change => this.handleRemoteChange(change));
+    }
+
+    /**
+     * Stop listening for cloud changes
+     */
+    stopWatchingRemoteChanges() {
+        if (this.remoteUnsubscribe) {
+            this.remoteUnsubscribe();
+            this.remoteUnsubscribe = null;
+        }
+        clearTimeout(this.remoteRefreshTimer);
+    }
+
+    /**
+     * Reload from the cloud when another device changed something
+     * @param {Object} change - { collection, upserted, deleted }
+     */
+    handleRemoteChange({ collection, upserted = [], deleted = [] }) {
+        const base = this.syncBase[collection] || {};
+
+        // Our own uploads echo back - they already match the sync base
+        const isOutsideChange = upserted.some(record => !base[record.id] || this.mergeService.hasChanged(record, base[record.id]))
+            || deleted.some(id => base[id]);
+
+        if (isOutsideChange) {
+            this.scheduleRemoteRefresh();
+        }
+    }
+
+    /**
+     * Debounce cloud reloads triggered by outside changes
+     */
+    scheduleRemoteRefresh() {
+        clearTimeout(this.remoteRefreshTimer);
+        this.remoteRefreshTimer = setTimeout(async () => {
+            if (this.syncStatus === 'syncing') {
+                this.scheduleRemoteRefresh();
+                return;
+            }
+
+            try {
+                await this.loadFromCloud();
+                this.dispatchDataEvent('updated');
+            } catch (error) {
+                console.error('Refreshing cloud changes failed:', error);
+            }
+        }, 1000);
+    }
+
+    /**
+     * Move deletions tracked before the journal existed into the journal
+     */
+    migratePendingDeletions() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('pendingDeletions'));
+            if (!saved) return;
+
+            this.journal.recordAll('entries', 'delete', saved.entries || []);
+            this.journal.recordAll('projects', 'delete', saved.projects || []);
+            localStorage.removeItem('pendingDeletions');
+        } catch (error) {
+            console.error('Error migrating pending deletions:', error);
+        }
+    }
+
+    /**
+     * Load the last synced copy of each record
+     * @returns {Object} - Sync base { entries, projects, settings, invoices }
+     */
+    loadSyncBase() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('syncBase'));
+            return {
+                entries: saved?.entries || {},
+                projects: saved?.projects || {},
+                settings: saved?.settings || {},
+                invoices: saved?.invoices || {}
+            };
+        } catch (error) {
+            console.error('Error loading sync base:', error);
+            return { entries: {}, projects: {}, settings: {}, invoices: {} };
+        }
+    }
+
+    /**
+     * Replace the sync base with the state just loaded from the cloud
+     * @param {Array} entries - Cloud entries
+     * @param {Array} projects - Cloud projects
+     * @param {Object} userRecords - Cloud settings and invoices { settings, invoices }
+     */
+    setSyncBase(entries, projects, userRecords = {}) {
+        this.syncBase = {
+            entries: Object.fromEntries(entries.map(entry => [entry.id, entry])),
+            projects: Object.fromEntries(projects.map(project => [project.id, project]))
+        };
+        Object.keys(this.userRecords).forEach(collection => {
+            this.syncBase[collection] = Object.fromEntries((userRecords[collection] || []).map(record => [record.id, record]));
+        });
+        this.saveSyncBase();
+    }
+
+    /**
+     * Record uploaded and deleted records of a collection in the sync base
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Array} records - Uploaded records
+     * @param {Array} deletedIds - Deleted record IDs
+     */
+    updateSyncBase(collection, records, deletedIds = []) {
+        records.forEach(record => { this.syncBase[collection][record.id] = record; });
+        deletedIds.forEach(id => { delete this.syncBase[collection][id]; });
+        this.saveSyncBase();
+    }
+
+    /**
+     * Persist the sync base
+     */
+    saveSyncBase() {
+        try {
+            localStorage.setItem('syncBase', JSON.stringify(this.syncBase));
+        } catch (error) {
+            console.error('Error saving sync base:', error);
+        }
+    }
+
+    /**
+     * Load unresolved sync conflicts
+     * @returns {Array} - Conflicts
+     */
+    loadConflicts() {
+        try {
+            return JSON.parse(localStorage.getItem('syncConflicts')) || [];
+        } catch (error) {
+            console.error('Error loading sync conflicts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist unresolved sync conflicts
+     */
+    saveConflicts() {
+        localStorage.setItem('syncConflicts', JSON.stringify(this.conflicts));
+    }
+
+    /**
+     * Add newly detected conflicts, replacing older ones for the same entry
+     * @param {Array} conflicts - Conflicts from the merge step
+     */
+    addConflicts(conflicts) {
+        if (conflicts.length === 0) return;
+
+        const newIds = conflicts.map(conflict => conflict.id);
+        this.conflicts = [
+            ...this.conflicts.filter(conflict => !newIds.includes(conflict.id)),
+            ...conflicts
+        ];
+        this.saveConflicts();
+        this.dispatchDataEvent('conflictsDetected', { conflicts: this.conflicts });
+    }
+
+    /**
+     * Get unresolved conflicts
+     * @returns {Array} - Conflicts
+     */
+    getConflicts() {
+        return this.conflicts;
+    }
+
+    /**
+     * Check if an entry has an unresolved conflict
+     * @param {string} entryId - Entry ID
+     * @returns {boolean} - Whether a conflict is pending
+     */
+    hasConflict(entryId) {
+        return this.conflicts.some(conflict => conflict.id === entryId);
+    }
+
+    /**
+     * Resolve a conflict by picking a side for each conflicting field
+     * @param {string} entryId - Entry ID
+     * @param {Object} choices - Map of field name to 'local' or 'remote'
+     * @returns {Promise} - Save result
+     */
+    async resolveConflict(entryId, choices = {}) {
+        const conflict = this.conflicts.find(c => c.id === entryId);
+        if (!conflict) {
+            throw new Error('Conflict not found');
+        }
+
+        const current = this.getAllEntries().find(entry => entry.id === entryId);
+        if (!current) {
+            throw new Error('Entry not found');
+        }
+
+        const resolved = { ...current };
+        conflict.fields.forEach(field => {
+            const source = choices[field] === 'remote' ? conflict.remote : conflict.local;
+            resolved[field] = source[field];
+        });
+        resolved.revision = (current.revision || 0) + 1;
+        resolved.timestamp = new Date().toISOString();
+
+        this.setRecords(
+            [...this.getAllEntries().filter(entry => entry.id !== entryId), resolved],
+            this.getAllProjects()
+        );
+        this.journal.record('entries', 'update', entryId);
+
+        this.conflicts = this.conflicts.filter(c => c.id !== entryId);
+        this.saveConflicts();
+
+        this.dispatchDataEvent('conflictResolved', { entryId, entry: resolved });
+        this.dispatchDataEvent('updated');
+        return await this.saveData();
+    }
+
+    /**
+     * Flatten work log data into a list of entries carrying their date
+     * @param {Object} workLogData - Work log data keyed by date
+     * @returns {Array} - Entries
+     */
+    flattenWorkLog(workLogData) {
+        return Object.keys(workLogData).flatMap(dateKey =>
+            workLogData[dateKey].map(entry => ({ ...entry, date: dateKey }))
+        );
+    }
+
+    /**
+     * Group a list of entries by date
+     * @param {Array} entries - Entries carrying a date
+     * @returns {Object} - Work log data keyed by date
+     */
+    groupByDate(entries) {
+        return entries.reduce((workLogData, { date, ...entry }) => {
+            if (!workLogData[date]) {
+                workLogData[date] = [];
+            }
+            workLogData[date].push(entry);
+            return workLogData;
+        }, {});
+    }
+
+    /**
+     * Get every entry, including those in the trash
+     * @returns {Array} - Entries carrying their date
+     */
+    getAllEntries() {
+        return [...this.flattenWorkLog(this.workLogData), ...this.trash.entries];
+    }
+
+    /**
+     * Get every project, including those in the trash
+     * @returns {Array} - Projects
+     */
+    getAllProjects() {
+        return [...this.projects, ...this.trash.projects];
+    }
+
+    /**
+     * Replace all records, sorting tombstones into the trash
+     * @param {Array} entries - Entries carrying their date
+     * @param {Array} projects - Projects
+     */
+    setRecords(entries, projects) {
+        this.workLogData = this.groupByDate(entries.filter(entry => !entry.deletedAt));
+        this.projects = projects.filter(project => !project.deletedAt);
+        this.trash = {
+            entries: entries.filter(entry => entry.deletedAt),
+            projects: projects.filter(project => project.deletedAt)
+        };
+    }
+
+    /**
+     * Replace the settings or invoices
+     * Services holding records that changed reload them on data:settingsChanged or data:invoicesChanged.
+     * @param {string} collection - 'settings' or 'invoices'
+     * @param {Array} records - Records
+     */
+    setUserRecords(collection, records) {
+        const before = this.serialiseRecords(this.userRecords[collection]);
+        const after = this.serialiseRecords(records);
+        const changedIds = Array.from(new Set([...before.keys(), ...after.keys()]))
+            .filter(id => before.get(id) !== after.get(id));
+
+        this.userRecords[collection] = records;
+
+        if (changedIds.length > 0) {
+            this.dispatchDataEvent(`${collection}Changed`, { ids: changedIds });
+        }
+    }
+
+    /**
+     * Get the settings or invoices of the signed-in user
+     * @param {string} collection - 'settings' or 'invoices'
+     * @returns {Array} - Records
+     */
+    getUserRecords(collection) {
+        return [...this.userRecords[collection]];
+    }
+
+    /**
+     * Map each collection of settings and invoices by record ID
+     * @returns {Object} - { settings: Map, invoices: Map }
+     */
+    mapUserRecordsById() {
+        return Object.fromEntries(Object.entries(this.userRecords).map(([collection, records]) => [
+            collection,
+            new Map(records.map(record => [record.id, record]))
+        ]));
+    }
+
+    /**
+     * Save settings or invoices of the signed-in user with the rest of their data
+     * @param {string} collection - 'settings' or 'invoices'
+     * @param {Array} records - Records to add or replace
+     * @returns {Promise} - Save result
+     */
+    saveUserRecords(collection, records) {
+        const current = this.mapUserRecordsById()[collection];
+        const updatedAt = new Date().toISOString();
+
+        records.forEach(record => {
+            const existing = current.get(record.id);
+            current.set(record.id, { ...record, revision: (existing?.revision || 0) + 1, updatedAt });
+            this.journal.record(collection, existing ? 'update' : 'add', record.id);
+        });
+
+        this.userRecords[collection] = Array.from(current.values());
+        return this.saveData();
+    }
+
+    /**
+     * Get a setting of the signed-in user
+     * @param {string} id - Setting ID, e.g. 'workSchedule'
+     * @returns {*} - Saved value, or undefined if it was never saved
+     */
+    getSetting(id) {
+        return this.userRecords.settings.find(setting => setting.id === id)?.value;
+    }
+
+    /**
+     * Save a setting of the signed-in user with the rest of their data
+     * @param {string} id - Setting ID, e.g. 'workSchedule'
+     * @param {*} value - JSON value
+     * @returns {Promise} - Save result
+     */
+    saveSetting(id, value) {
+        return this.saveUserRecords('settings', [{ id, value }]);
+    }
+
+    /**
+     * Move settings and invoices earlier versions kept only on this device into the synced collections
+     * @returns {Promise} - Resolves when saved locally
+     */
+    async adoptDeviceRecords() {
+        const userId = this.user.getUserId() || 'guest';
+        const records = this.mapUserRecordsById();
+        const adopted = new Set();
+
+        // Settings get no change time, so a copy another device already synced wins the merge
+        const legacyKeys = [
+            ...['workSchedule', 'leaveEntitlements', 'holidayCalendars', 'rateCards'].map(id => ({
+                storageKey: `${id}:${userId}`,
+                collection: 'settings',
+                toRecords: value => [{ id, value, revision: 1 }]
+            })),
+            {
+                // Entry types were shared by everyone on this device, so each user takes a copy
+                storageKey: 'entryTypes',
+                collection: 'settings',
+                toRecords: value => [{ id: 'entryTypes', value, revision: 1 }],
+                shared: true
+            },
+            {
+                storageKey: `invoices:${userId}`,
+                collection: 'invoices',
+                toRecords: saved => (saved?.invoices || []).map(invoice => ({ ...invoice, revision: 1, updatedAt: invoice.issuedAt }))
+            }
+        ];
+
+        legacyKeys.forEach(({ storageKey, collection, toRecords, shared = false }) => {
+            const saved = localStorage.getItem(storageKey);
+            if (saved === null) return;
+
+            try {
+                toRecords(JSON.parse(saved)).forEach(record => {
+                    if (!record?.id || records[collection].has(record.id)) return;
+                    records[collection].set(record.id, record);
+                    this.journal.record(collection, 'add', record.id);
+                    adopted.add(collection);
                 });
-            });
+                if (!shared) {
+                    localStorage.removeItem(storageKey);
+                }
+            } catch (error) {
+                console.error(`Error moving ${storageKey} into synced data:`, error);
+            }
+        });
 
-            await batch.commit();
-            
-            this.setSyncStatus('synced');
-            this.lastSyncTime = new Date();
-            this.pendingChanges = false;
-            
-            this.dispatchDataEvent('synced');
-            return { success: true, message: 'Data synced to cloud' };
-        } catch (error) {
-            this.setSyncStatus('error');
-            throw error;
+        if (adopted.size > 0) {
+            adopted.forEach(collection => this.setUserRecords(collection, Array.from(records[collection].values())));
+            this.pendingChanges = true;
+            await this.saveToLocal();
         }
     }
 
+    /**
+     * Remove an entry wherever it is stored
+     * @param {string} entryId - Entry ID
+     */
+    removeEntryById(entryId) {
+        Object.keys(this.workLogData).forEach(dateKey => {
+            this.workLogData[dateKey] = this.workLogData[dateKey].filter(entry => entry.id !== entryId);
+            if (this.workLogData[dateKey].length === 0) {
+                delete this.workLogData[dateKey];
+            }
+        });
+    }
+
     /**
      * Get work log data
      * @returns {Object} - Work log data
@@ -288,13 +1086,17 @@ class DataService {
             this.workLogData[dateKey] = [];
         }
 
-        const entry = {
+        const entry = this.applyTimeRange({
             id: this.generateId(),
             ...entryData,
-            timestamp: new Date().toISOString()
-        };
+            revision: 1,
+            timestamp: new Date().toISOString(),
+            schemaVersion: this.schema.getCurrentVersion()
+        });
 
         this.workLogData[dateKey].push(entry);
+        this.journal.record('entries', 'add', entry.id);
+        this.history.record({ type: 'entry', action: 'add', dateKey, before: null, after: { ...entry } });
         
         // Update project usage if it's a work entry
         if (entry.type === 'work' && entry.project) {
@@ -305,6 +1107,32 @@ class DataService {
         return await this.saveData();
     }
 
+    /**
+     * Get every tag used on live entries, most used first
+     * @returns {Array} - [{ tag, count }]
+     */
+    getTags() {
+        const counts = new Map();
+        this.flattenWorkLog(this.workLogData).forEach(entry => {
+            (entry.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+
+        return Array.from(counts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Set an entry's hours from its start/end times, if it has them
+     * @param {Object} entry - Entry
+     * @returns {Object} - The same entry
+     */
+    applyTimeRange(entry) {
+        if (entry.startTime && entry.endTime) {
+            entry.hours = WorkEntry.calculateHours(entry.startTime, entry.endTime, entry.breakMinutes);
+        }
+        return entry;
+    }
+
     /**
      * Update entry
      * @param {string} dateKey - Date key (YYYY-MM-DD)
@@ -323,13 +1151,16 @@ class DataService {
         }
 
         const oldEntry = this.workLogData[dateKey][entryIndex];
-        const updatedEntry = {
+        const updatedEntry = this.applyTimeRange({
             ...oldEntry,
             ...updateData,
+            revision: (oldEntry.revision || 0) + 1,
             timestamp: new Date().toISOString()
-        };
+        });
 
         this.workLogData[dateKey][entryIndex] = updatedEntry;
+        this.journal.record('entries', 'update', entryId);
+        this.history.record({ type: 'entry', action: 'update', dateKey, before: { ...oldEntry }, after: { ...updatedEntry } });
 
         // Update project usage counts
         if (oldEntry.type === 'work' && oldEntry.project && oldEntry.project !== updatedEntry.project) {
@@ -339,12 +1170,12 @@ class DataService {
             this.incrementProjectUsage(updatedEntry.project);
         }
 
-        this.dispatchDataEvent('entryUpdated', { dateKey, entryId, entry: updatedEntry });
+        this.dispatchDataEvent('entryUpdated', { dateKey, entryId, entry: updatedEntry, previousEntry: oldEntry });
         return await this.saveData();
     }
 
     /**
-     * Delete entry
+     * Delete entry (moves it to the trash)
      * @param {string} dateKey - Date key (YYYY-MM-DD)
      * @param {string} entryId - Entry ID
      * @returns {Promise} - Delete result
@@ -372,10 +1203,152 @@ class DataService {
             this.decrementProjectUsage(deletedEntry.project);
         }
 
+        // Move to the trash; the tombstone syncs like any other change
+        const now = new Date().toISOString();
+        this.trash.entries.push({
+            ...deletedEntry,
+            date: dateKey,
+            deletedAt: now,
+            revision: (deletedEntry.revision || 0) + 1,
+            timestamp: now
+        });
+        this.journal.record('entries', 'update', entryId);
+        this.history.record({ type: 'entry', action: 'delete', dateKey, before: { ...deletedEntry }, after: null });
+
         this.dispatchDataEvent('entryDeleted', { dateKey, entryId, entry: deletedEntry });
         return await this.saveData();
     }
 
+    /**
+     * Put an entry back exactly as it was (used by undo/redo)
+     * Keeps the entry's ID, so it replaces any current version wherever it is stored.
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {Object} entryData - Entry as it was
+     * @returns {Promise} - Save result
+     */
+    async restoreEntry(dateKey, entryData) {
+        const current = this.flattenWorkLog(this.workLogData).find(entry => entry.id === entryData.id);
+        const trashed = this.trash.entries.find(entry => entry.id === entryData.id);
+
+        if (current) {
+            this.removeEntryById(current.id);
+            if (current.type === 'work' && current.project) {
+                this.decrementProjectUsage(current.project);
+            }
+        }
+        if (trashed) {
+            this.removeFromTrash('entries', trashed.id);
+        }
+
+        const { date, deletedAt, ...restored } = entryData;
+        const entry = {
+            ...restored,
+            revision: Math.max(current?.revision || 0, trashed?.revision || 0, entryData.revision || 0) + 1,
+            timestamp: new Date().toISOString()
+        };
+
+        if (!this.workLogData[dateKey]) {
+            this.workLogData[dateKey] = [];
+        }
+        this.workLogData[dateKey].push(entry);
+        this.journal.record('entries', current || trashed ? 'update' : 'add', entry.id);
+
+        if (entry.type === 'work' && entry.project) {
+            this.incrementProjectUsage(entry.project);
+        }
+
+        if (current) {
+            const { date, ...previousEntry } = current;
+            this.dispatchDataEvent('entryUpdated', { dateKey, entryId: entry.id, entry, previousEntry });
+        } else {
+            this.dispatchDataEvent('entryAdded', { dateKey, entry });
+        }
+        return await this.saveData();
+    }
+
+    /**
+     * Make a recurring series or leave booking consist of exactly the given occurrences, saving once
+     * Occurrences no longer listed go to the trash; listed ones are added, updated or
+     * brought back from the trash. Unchanged occurrences keep their revision.
+     * @param {string} seriesId - Series ID
+     * @param {Array} entries - Occurrences carrying their date
+     * @param {string} action - 'add', 'update' or 'delete', for undo history
+     * @returns {Promise} - Save result
+     */
+    async setSeriesEntries(seriesId, entries, action = 'update') {
+        const now = new Date().toISOString();
+        const current = this.flattenWorkLog(this.workLogData).filter(entry => entry.seriesId === seriesId);
+        const wanted = new Set(entries.map(entry => entry.id));
+        const before = current.map(entry => ({ ...entry }));
+
+        current.filter(entry => !wanted.has(entry.id)).forEach(entry => {
+            this.removeEntryById(entry.id);
+            if (entry.type === 'work' && entry.project) {
+                this.decrementProjectUsage(entry.project);
+            }
+            this.trash.entries.push({
+                ...entry,
+                deletedAt: now,
+                revision: (entry.revision || 0) + 1,
+                timestamp: now
+            });
+            this.journal.record('entries', 'update', entry.id);
+        });
+
+        entries.forEach(({ date, deletedAt, ...entryData }) => {
+            const existing = current.find(entry => entry.id === entryData.id);
+            const trashed = this.trash.entries.find(entry => entry.id === entryData.id);
+
+            if (existing && existing.date === date && this.isSameEntry(existing, entryData)) return;
+
+            if (existing) {
+                this.removeEntryById(existing.id);
+                if (existing.type === 'work' && existing.project) {
+                    this.decrementProjectUsage(existing.project);
+                }
+            }
+            if (trashed) {
+                this.removeFromTrash('entries', trashed.id);
+            }
+
+            const entry = this.applyTimeRange({
+                ...entryData,
+                seriesId,
+                revision: Math.max(existing?.revision || 0, trashed?.revision || 0, entryData.revision || 0) + 1,
+                timestamp: now,
+                schemaVersion: entryData.schemaVersion || this.schema.getCurrentVersion()
+            });
+
+            if (!this.workLogData[date]) {
+                this.workLogData[date] = [];
+            }
+            this.workLogData[date].push(entry);
+            this.journal.record('entries', existing || trashed ? 'update' : 'add', entry.id);
+
+            if (entry.type === 'work' && entry.project) {
+                this.incrementProjectUsage(entry.project);
+            }
+        });
+
+        const after = this.flattenWorkLog(this.workLogData).filter(entry => entry.seriesId === seriesId);
+        this.history.record({ type: 'series', action, seriesId, before, after: after.map(entry => ({ ...entry })) });
+
+        this.dispatchDataEvent('seriesUpdated', { seriesId, action, count: after.length });
+        return await this.saveData();
+    }
+
+    /**
+     * Check if two versions of an entry hold the same data, ignoring bookkeeping fields
+     * @param {Object} a - Entry
+     * @param {Object} b - Entry
+     * @returns {boolean}
+     */
+    isSameEntry(a, b) {
+        const strip = ({ date, revision, timestamp, deletedAt, ...data }) =>
+            JSON.stringify(Object.keys(data).sort().map(key => [key, data[key]]));
+        return strip(a) === strip(b);
+    }
+
     /**
      * Get all projects
      * @returns {Array} - Array of projects
@@ -399,13 +1372,17 @@ class DataService {
         const project = {
             id: this.generateId(),
             ...projectData,
+            color: projectData.color || this.schema.getDefaultColor(projectData.projectId),
             usageCount: 0,
             isActive: true,
             createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
+            updatedAt: new Date().toISOString(),
+            schemaVersion: this.schema.getCurrentVersion()
         };
 
         this.projects.push(project);
+        this.journal.record('projects', 'add', project.id);
+        this.history.record({ type: 'project', action: 'add', before: null, after: { ...project } });
         this.dispatchDataEvent('projectAdded', { project });
         return await this.saveData();
     }
@@ -428,13 +1405,15 @@ class DataService {
             updatedAt: new Date().toISOString()
         };
 
+        this.history.record({ type: 'project', action: 'update', before: { ...this.projects[projectIndex] }, after: { ...updatedProject } });
         this.projects[projectIndex] = updatedProject;
+        this.journal.record('projects', 'update', projectId);
         this.dispatchDataEvent('projectUpdated', { projectId, project: updatedProject });
         return await this.saveData();
     }
 
     /**
-     * Delete project
+     * Delete project (moves it to the trash)
      * @param {string} projectId - Project ID
      * @returns {Promise} - Delete result
      */
@@ -456,10 +1435,190 @@ class DataService {
         }
 
         this.projects.splice(projectIndex, 1);
+        this.trash.projects.push({ ...project, deletedAt: new Date().toISOString(), updatedAt: new Date().toISOString() });
+        this.journal.record('projects', 'update', projectId);
+        this.history.record({ type: 'project', action: 'delete', before: { ...project }, after: null });
         this.dispatchDataEvent('projectDeleted', { projectId, project });
         return await this.saveData();
     }
 
+    /**
+     * Put a project back exactly as it was (used by undo/redo)
+     * The usage count is kept current, since entries may have changed since.
+     * @param {Object} projectData - Project as it was
+     * @returns {Promise} - Save result
+     */
+    async restoreProject(projectData) {
+        const projectIndex = this.projects.findIndex(p => p.id === projectData.id);
+        const current = projectIndex !== -1 ? this.projects[projectIndex] : null;
+        const trashed = this.trash.projects.find(p => p.id === projectData.id);
+
+        const duplicate = this.findProjectByValue(`${projectData.projectId}-${projectData.subCode}`);
+        if (duplicate && duplicate.id !== projectData.id) {
+            throw new Error('Project with this ID and sub code already exists');
+        }
+
+        const { deletedAt, ...restored } = projectData;
+        const project = {
+            ...restored,
+            usageCount: current ? current.usageCount : projectData.usageCount,
+            updatedAt: new Date().toISOString()
+        };
+
+        if (trashed) {
+            this.removeFromTrash('projects', trashed.id);
+        }
+
+        if (current) {
+            this.projects[projectIndex] = project;
+            this.journal.record('projects', 'update', project.id);
+            this.dispatchDataEvent('projectUpdated', { projectId: project.id, project });
+        } else {
+            this.projects.push(project);
+            this.journal.record('projects', trashed ? 'update' : 'add', project.id);
+            this.dispatchDataEvent('projectAdded', { project });
+        }
+        return await this.saveData();
+    }
+
+    /**
+     * Get deleted entries and projects, most recently deleted first
+     * @returns {Object} - { entries, projects }
+     */
+    getTrash() {
+        const byDeletedAt = (a, b) => b.deletedAt.localeCompare(a.deletedAt);
+        return {
+            entries: [...this.trash.entries].sort(byDeletedAt),
+            projects: [...this.trash.projects].sort(byDeletedAt)
+        };
+    }
+
+    /**
+     * Move a deleted entry or project back out of the trash
+     * @param {string} collection - 'entries' or 'projects'
+     * @param {string} id - Record ID
+     * @returns {Promise} - Save result
+     */
+    async restoreFromTrash(collection, id) {
+        const record = this.findInTrash(collection, id);
+
+        if (collection === 'entries') {
+            return await this.restoreEntry(record.date, record);
+        }
+        return await this.restoreProject(record);
+    }
+
+    /**
+     * Permanently delete an entry or project from the trash
+     * @param {string} collection - 'entries' or 'projects'
+     * @param {string} id - Record ID
+     * @returns {Promise} - Save result
+     */
+    async deleteFromTrash(collection, id) {
+        this.findInTrash(collection, id);
+        this.removeFromTrash(collection, id);
+        this.journal.record(collection, 'delete', id);
+
+        this.dispatchDataEvent('trashUpdated', { collection, deleted: [id] });
+        return await this.saveData();
+    }
+
+    /**
+     * Permanently delete everything in the trash
+     * @returns {Promise} - Save result
+     */
+    async emptyTrash() {
+        const entryIds = this.trash.entries.map(entry => entry.id);
+        const projectIds = this.trash.projects.map(project => project.id);
+
+        this.trash = { entries: [], projects: [] };
+        this.journal.recordAll('entries', 'delete', entryIds);
+        this.journal.recordAll('projects', 'delete', projectIds);
+
+        this.dispatchDataEvent('trashUpdated', { emptied: entryIds.length + projectIds.length });
+        return await this.saveData();
+    }
+
+    /**
+     * Permanently delete items that have been in the trash longer than the retention period
+     * @returns {Promise<number>} - Number of items purged
+     */
+    async purgeTrash() {
+        if (!this.trashRetentionDays) return 0;
+
+        const cutoff = new Date(Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+        const expiredEntries = this.trash.entries.filter(entry => entry.deletedAt < cutoff).map(entry => entry.id);
+        const expiredProjects = this.trash.projects.filter(project => project.deletedAt < cutoff).map(project => project.id);
+        const purged = expiredEntries.length + expiredProjects.length;
+
+        if (purged === 0) return 0;
+
+        expiredEntries.forEach(id => this.removeFromTrash('entries', id));
+        expiredProjects.forEach(id => this.removeFromTrash('projects', id));
+        this.journal.recordAll('entries', 'delete', expiredEntries);
+        this.journal.recordAll('projects', 'delete', expiredProjects);
+
+        this.dispatchDataEvent('trashUpdated', { purged });
+        await this.saveData();
+        return purged;
+    }
+
+    /**
+     * Find a record in the trash
+     * @param {string} collection - 'entries' or 'projects'
+     * @param {string} id - Record ID
+     * @returns {Object} - Trashed record
+     */
+    findInTrash(collection, id) {
+        const record = (this.trash[collection] || []).find(item => item.id === id);
+        if (!record) {
+            throw new Error('Item not found in trash');
+        }
+        return record;
+    }
+
+    /**
+     * Remove a record from the trash without recording anything
+     * @param {string} collection - 'entries' or 'projects'
+     * @param {string} id - Record ID
+     */
+    removeFromTrash(collection, id) {
+        this.trash[collection] = this.trash[collection].filter(item => item.id !== id);
+    }
+
+    /**
+     * Get how many days deleted items are kept
+     * @returns {number} - Days (0 = keep until deleted by hand)
+     */
+    getTrashRetentionDays() {
+        return this.trashRetentionDays;
+    }
+
+    /**
+     * Set how many days deleted items are kept, purging anything older
+     * @param {number} days - Days (0 = keep until deleted by hand)
+     * @returns {Promise<number>} - Number of items purged
+     */
+    async setTrashRetentionDays(days) {
+        const value = parseInt(days, 10);
+        if (isNaN(value) || value < 0) {
+            throw new Error('Retention period must be zero or more days');
+        }
+
+        this.trashRetentionDays = value;
+        localStorage.setItem('trashRetentionDays', String(value));
+        return await this.purgeTrash();
+    }
+
+    /**
+     * Load the trash retention period
+     * @returns {number} - Days
+     */
+    loadTrashRetentionDays() {
+        const saved = parseInt(localStorage.getItem('trashRetentionDays'), 10);
+        return isNaN(saved) ? 30 : saved;
+    }
+
     /**
      * Find project by value (projectId-subCode)
      * @param {string} projectValue - Project value
@@ -482,6 +1641,7 @@ class DataService {
         if (project) {
             project.usageCount = (project.usageCount || 0) + 1;
             project.updatedAt = new Date().toISOString();
+            this.journal.record('projects', 'update', project.id);
         }
     }
 
@@ -494,6 +1654,7 @@ class DataService {
         if (project && project.usageCount > 0) {
             project.usageCount--;
             project.updatedAt = new Date().toISOString();
+            this.journal.record('projects', 'update', project.id);
         }
     }
 
@@ -502,7 +1663,7 @@ class DataService {
      * @returns {Array} - Default projects array
      */
     getDefaultProjects() {
-        return [
+        const defaults = [
             {
                 id: 'default_1',
                 projectId: 'IN-1100-NA',
@@ -559,36 +1720,78 @@ class DataService {
                 updatedAt: new Date().toISOString()
             }
         ];
+
+        return this.schema.migrateRecords('projects', defaults, { fromVersion: '2.0' }).records;
     }
 
     /**
      * Import data from backup
+     * Older backups are upgraded to the current data version first.
      * @param {Object} workLogData - Work log data
      * @param {Object} projectData - Project data
+     * @param {string} version - Data version the backup was written in (missing = original format)
+     * @param {string} strategy - 'replace', 'merge-keep-newer' or 'merge-keep-both'
      * @returns {Promise} - Import result
      */
-    async importData(workLogData, projectData) {
+    async importData(workLogData, projectData, version = null, strategy = 'replace') {
         try {
-            // Backup current data
-            const currentWorkLog = { ...this.workLogData };
-            const currentProjects = [...this.projects];
+            // Fails before anything is replaced if the backup is from a newer version
+            const plan = this.previewImport({ version, workLogData: workLogData || {}, projectData: projectData || [] }, strategy);
+
+            // Backup current data (deep copy - project usage counts change in place)
+            const currentWorkLog = JSON.parse(JSON.stringify(this.workLogData));
+            const currentProjects = JSON.parse(JSON.stringify(this.projects));
 
             // Import new data
-            this.workLogData = workLogData || {};
-            this.projects = projectData || [];
+            this.workLogData = plan.workLogData;
+            this.projects = plan.projects;
+
+            // Imported records replace any trashed copies with the same ID
+            const importedIds = new Set([
+                ...Object.values(this.workLogData).flat().map(entry => entry.id),
+                ...this.projects.map(project => project.id)
+            ]);
+            this.trash = {
+                entries: this.trash.entries.filter(entry => !importedIds.has(entry.id)),
+                projects: this.trash.projects.filter(project => !importedIds.has(project.id))
+            };
+
+            // Remove replaced items from the cloud and re-upload everything imported
+            this.trackReplacedItems(currentWorkLog, currentProjects);
+            this.journal.recordAll('entries', 'update', Object.values(this.workLogData).flat().map(entry => entry.id));
+            this.journal.recordAll('projects', 'update', this.projects.map(project => project.id));
+            this.setLastSyncCursor(null);
+            this.history.clear();
+
+            // Kept for rollbackImport()
+            this.lastImportBackup = {
+                workLogData: currentWorkLog,
+                projectData: currentProjects,
+                strategy,
+                importedAt: new Date().toISOString()
+            };
 
             // Save imported data
             const result = await this.saveData();
             
             this.dispatchDataEvent('imported', { 
                 workLogEntries: Object.keys(this.workLogData).length,
-                projects: this.projects.length 
+                projects: this.projects.length,
+                strategy,
+                diff: this.summariseImportDiff(plan.diff)
             });
 
+            const upgradeNote = plan.fromVersion !== this.schema.getCurrentVersion()
+                ? ` (upgraded from data version ${plan.fromVersion})`
+                : '';
+            const { entries, projects } = this.summariseImportDiff(plan.diff);
+
             return {
                 success: true,
-                message: `Imported ${Object.keys(this.workLogData).length} work log entries and ${this.projects.length} projects`,
-                backup: { workLogData: currentWorkLog, projectData: currentProjects }
+                message: `Restored backup: ${entries.added} entries added, ${entries.changed} changed, ${entries.removed} removed; ` +
+                    `${projects.added} projects added, ${projects.changed} changed, ${projects.removed} removed${upgradeNote}`,
+                backup: { workLogData: currentWorkLog, projectData: currentProjects },
+                diff: plan.diff
             };
         } catch (error) {
             console.error('Import failed:', error);
@@ -596,6 +1799,237 @@ class DataService {
         }
     }
 
+    /**
+     * Import settings from a backup
+     * Call after importData() so rolling the restore back puts the replaced settings back too.
+     * @param {Array} settings - Settings { id, value, updatedAt } from the backup
+     * @param {string} strategy - 'replace' takes the backup's settings, the merge strategies keep whichever changed last
+     * @returns {Promise<number>} - Settings changed
+     */
+    async importSettings(settings = [], strategy = 'replace') {
+        const current = this.mapUserRecordsById().settings;
+        const importedAt = new Date().toISOString();
+
+        const imported = settings.filter(setting => {
+            if (!setting?.id || setting.value === undefined) return false;
+
+            const existing = current.get(setting.id);
+            if (!existing) return true;
+            if (this.mergeService.sameValue(existing.value, setting.value)) return false;
+            return strategy === 'replace' || (setting.updatedAt || '') > (existing.updatedAt || '');
+        });
+
+        if (imported.length === 0) return 0;
+
+        if (this.lastImportBackup) {
+            this.lastImportBackup.settings = imported.map(setting => current.get(setting.id)).filter(Boolean);
+        }
+
+        imported.forEach(({ id, value }) => {
+            const existing = current.get(id);
+            current.set(id, { id, value, revision: (existing?.revision || 0) + 1, updatedAt: importedAt });
+            this.journal.record('settings', existing ? 'update' : 'add', id);
+        });
+
+        this.setUserRecords('settings', Array.from(current.values()));
+        await this.saveData();
+        return imported.length;
+    }
+
+    /**
+     * Work out what importing a backup would change, without changing anything
+     * @param {Object} backup - Parsed backup ({ version, workLogData, projectData })
+     * @param {string} strategy - 'replace', 'merge-keep-newer' or 'merge-keep-both'
+     * @returns {Object} - { workLogData, projects, fromVersion, strategy, diff: { entries, projects } }
+     */
+    previewImport(backup, strategy = 'replace') {
+        const upgraded = this.schema.migrateBackup(backup, { userId: this.user.getUserId() });
+
+        const currentEntries = this.flattenWorkLog(this.workLogData);
+        const incomingEntries = this.flattenWorkLog(upgraded.workLogData);
+        let entries;
+        let projects;
+
+        switch (strategy) {
+            case 'replace':
+                entries = incomingEntries;
+                projects = upgraded.projectData;
+                break;
+            case 'merge-keep-newer':
+                entries = this.mergeImportedEntries(currentEntries, incomingEntries, false);
+                projects = this.mergeImportedProjects(this.projects, upgraded.projectData, true);
+                break;
+            case 'merge-keep-both':
+                entries = this.mergeImportedEntries(currentEntries, incomingEntries, true);
+                projects = this.mergeImportedProjects(this.projects, upgraded.projectData, false);
+                break;
+            default:
+                throw new Error(`Unknown import strategy: ${strategy}`);
+        }
+
+        return {
+            workLogData: this.groupByDate(entries),
+            projects,
+            fromVersion: upgraded.fromVersion,
+            strategy,
+            diff: {
+                entries: this.diffRecords(currentEntries, entries),
+                projects: this.diffRecords(this.projects, projects)
+            }
+        };
+    }
+
+    /**
+     * Merge imported entries into the current ones
+     * @param {Array} current - Current entries carrying their date
+     * @param {Array} incoming - Imported entries carrying their date
+     * @param {boolean} keepBoth - Keep both versions of an entry changed on each side (the imported one as a copy)
+     * @returns {Array} - Merged entries
+     */
+    mergeImportedEntries(current, incoming, keepBoth) {
+        const merged = new Map(current.map(entry => [entry.id, entry]));
+
+        incoming.forEach(entry => {
+            const existing = merged.get(entry.id);
+
+            if (!existing) {
+                merged.set(entry.id, entry);
+            } else if (this.mergeService.sameContent(existing, entry)) {
+                return;
+            } else if (keepBoth) {
+                const copy = { ...entry, id: this.generateId(), revision: 1, timestamp: new Date().toISOString() };
+                merged.set(copy.id, copy);
+            } else if ((entry.timestamp || '') > (existing.timestamp || '')) {
+                merged.set(entry.id, entry);
+            }
+        });
+
+        return Array.from(merged.values());
+    }
+
+    /**
+     * Merge imported projects into the current ones
+     * Project codes must stay unique, so a project is never duplicated.
+     * @param {Array} current - Current projects
+     * @param {Array} incoming - Imported projects
+     * @param {boolean} preferNewer - Take the imported version if it was updated more recently
+     * @returns {Array} - Merged projects
+     */
+    mergeImportedProjects(current, incoming, preferNewer) {
+        const merged = new Map(current.map(project => [project.id, project]));
+        const codeOf = project => `${project.projectId}-${project.subCode}`;
+
+        incoming.forEach(project => {
+            const existing = merged.get(project.id);
+
+            if (existing) {
+                const isNewer = (project.updatedAt || '') > (existing.updatedAt || '');
+                if (preferNewer && isNewer && !this.mergeService.sameContent(existing, project)) {
+                    // Usage reflects the entries here, not in the backup
+                    merged.set(project.id, { ...project, usageCount: existing.usageCount });
+                }
+                return;
+            }
+
+            // Same project code under another ID - keep ours
+            const code = codeOf(project);
+            if (Array.from(merged.values()).some(other => codeOf(other) === code)) return;
+
+            merged.set(project.id, project);
+        });
+
+        return Array.from(merged.values());
+    }
+
+    /**
+     * Compare two versions of a collection
+     * @param {Array} before - Records before
+     * @param {Array} after - Records after
+     * @returns {Object} - { added, changed: [{ before, after }], removed, unchanged }
+     */
+    diffRecords(before, after) {
+        const beforeById = new Map(before.map(record => [record.id, record]));
+        const afterIds = new Set(after.map(record => record.id));
+
+        const added = after.filter(record => !beforeById.has(record.id));
+        const changed = after
+            .filter(record => beforeById.has(record.id) && !this.mergeService.sameContent(beforeById.get(record.id), record))
+            .map(record => ({ before: beforeById.get(record.id), after: record }));
+        const removed = before.filter(record => !afterIds.has(record.id));
+
+        return {
+            added,
+            changed,
+            removed,
+            unchanged: after.length - added.length - changed.length
+        };
+    }
+
+    /**
+     * Count the changes in an import diff
+     * @param {Object} diff - { entries, projects } from previewImport
+     * @returns {Object} - Counts per collection
+     */
+    summariseImportDiff(diff) {
+        const count = ({ added, changed, removed, unchanged }) => ({
+            added: added.length,
+            changed: changed.length,
+            removed: removed.length,
+            unchanged
+        });
+        return { entries: count(diff.entries), projects: count(diff.projects) };
+    }
+
+    /**
+     * Check if the last restore can be rolled back
+     * @returns {boolean}
+     */
+    canRollbackImport() {
+        return Boolean(this.lastImportBackup);
+    }
+
+    /**
+     * Put back the data as it was before the last restore
+     * @returns {Promise<Object>} - { success, message }
+     */
+    async rollbackImport() {
+        if (!this.lastImportBackup) {
+            throw new Error('There is no restore to roll back');
+        }
+
+        const { workLogData, projectData, settings = [] } = this.lastImportBackup;
+        await this.importData(workLogData, projectData, this.schema.getCurrentVersion(), 'replace');
+        await this.importSettings(settings, 'replace');
+        this.lastImportBackup = null;
+
+        this.dispatchDataEvent('importRolledBack');
+        return { success: true, message: 'Restore rolled back' };
+    }
+
+    /**
+     * Track deletions for items that an import replaced
+     * @param {Object} previousWorkLog - Work log data before import
+     * @param {Array} previousProjects - Projects before import
+     */
+    trackReplacedItems(previousWorkLog, previousProjects) {
+        const importedEntryIds = new Set(
+            Object.values(this.workLogData).flat().map(entry => entry.id)
+        );
+        const importedProjectIds = new Set(this.projects.map(project => project.id));
+
+        Object.values(previousWorkLog).flat().forEach(entry => {
+            if (!importedEntryIds.has(entry.id)) {
+                this.journal.record('entries', 'delete', entry.id);
+            }
+        });
+
+        previousProjects.forEach(project => {
+            if (!importedProjectIds.has(project.id)) {
+                this.journal.record('projects', 'delete', project.id);
+            }
+        });
+    }
+
     /**
      * Export all data
      * @returns {Object} - Exported data
@@ -605,7 +2039,7 @@ class DataService {
             workLogData: this.workLogData,
             projectData: this.projects,
             exportDate: new Date().toISOString(),
-            version: '2.1',
+            version: this.schema.getCurrentVersion(),
             userInfo: {
                 userId: this.user.getUserId(),
                 email: this.user.getUserEmail(),
@@ -618,8 +2052,19 @@ class DataService {
      * Clear all data
      */
     clearData() {
+        this.stopWatchingRemoteChanges();
         this.workLogData = {};
         this.projects = [];
+        this.trash = { entries: [], projects: [] };
+        Object.keys(this.userRecords).forEach(collection => this.setUserRecords(collection, []));
+        this.lastImportBackup = null;
+        this.conflicts = [];
+        this.saveConflicts();
+        this.setSyncBase([], []);
+        this.journal.clear();
+        this.history.clear();
+        this.pendingChanges = false;
+        this.setLastSyncCursor(null);
         this.saveToLocal();
         this.dispatchDataEvent('cleared');
     }
@@ -633,7 +2078,12 @@ class DataService {
             status: this.syncStatus,
             lastSyncTime: this.lastSyncTime,
             pendingChanges: this.pendingChanges,
+            queuedChanges: this.journal.getLength(),
+            conflicts: this.conflicts.length,
+            trashedItems: this.trash.entries.length + this.trash.projects.length,
             isOnline: this.isOnline,
+            storage: this.local.name,
+            cloudStorage: this.remote ? this.remote.name : null,
             isAuthenticated: this.user.isAuthenticated(),
             isGuest: this.user.isGuest()
         };
@@ -662,6 +2112,11 @@ class DataService {
      * @param {*} data - Event data
      */
     dispatchDataEvent(eventName, data) {
+        // Mutations reach other tabs once they are written locally
+        if (this.tabEvents.includes(eventName) && !this.isApplyingTabChange) {
+            this.pendingTabEvents.push({ name: eventName, detail: data });
+        }
+
         const event = new CustomEvent(`data:${eventName}`, {
             detail: data,
             bubbles: true
@@ -675,13 +2130,14 @@ class DataService {
      */
     getDataStats() {
         const totalEntries = Object.values(this.workLogData).reduce((sum, entries) => sum + entries.length, 0);
+        const isWork = entry => EntryType.get(entry.type)?.category === 'work';
         const totalWorkDays = Object.keys(this.workLogData).filter(dateKey => 
-            this.workLogData[dateKey].some(entry => entry.type === 'work')
+            this.workLogData[dateKey].some(isWork)
         ).length;
         
-        const totalHours = Object.values(this.workLogData).reduce((sum, entries) => {
-            return sum + entries.reduce((daySum, entry) => {
-                if (entry.type === 'work') return daySum + (entry.hours || 0);
+        const totalHours = Object.keys(this.workLogData).reduce((sum, dateKey) => {
+            return sum + this.workLogData[dateKey].reduce((daySum, entry) => {
+                if (isWork(entry)) return daySum + EntryType.getEntryHours(entry, dateKey);
                 return daySum;
             }, 0);
         }, 0);
@@ -0,0 +1,227 @@
+// services/EntryTypeService.js
+// Entry Type Service Class - User-configurable registry of entry types, synced with the rest of the user's data
+
+import EntryType from '../models/EntryType.js';
+
+class EntryTypeService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.handleSettingsChanged = this.handleSettingsChanged.bind(this);
+        this.types = this.load();
+
+        EntryType.setRegistry(this.types);
+
+        // Another tab or device changed the types, or a backup was restored
+        document.addEventListener('data:settingsChanged', this.handleSettingsChanged);
+    }
+
+    /**
+     * Load the signed-in user's types from their settings
+     * Built-in types are always present, even if the saved list lost them.
+     * @returns {Array} - EntryType instances, in display order
+     */
+    load() {
+        const saved = this.dataService.getSetting('entryTypes');
+
+        const types = [];
+        (Array.isArray(saved) ? saved : EntryType.defaults).forEach(data => {
+            try {
+                // Settings saved before a type gained a field take the shipped value
+                const shipped = EntryType.defaults.find(type => type.id === data.id) || {};
+                // Built-in types keep their shipped granularity
+                types.push(new EntryType(shipped.builtIn
+                    ? { ...shipped, ...data, granularity: shipped.granularity, builtIn: true }
+                    : { ...shipped, ...data, builtIn: false }));
+            } catch (error) {
+                console.warn(`Skipping invalid entry type ${data?.id}:`, error.message);
+            }
+        });
+
+        EntryType.defaults.filter(data => data.builtIn).forEach(data => {
+            if (!types.some(type => type.id === data.id)) {
+                types.push(new EntryType(data));
+            }
+        });
+
+        return types;
+    }
+
+    /**
+     * Save the types with the user's data and tell listeners
+     */
+    persist() {
+        this.dataService.saveSetting('entryTypes', this.types.map(type => type.toJSON()));
+        EntryType.setRegistry(this.types);
+        this.dispatchTypesChanged();
+    }
+
+    /**
+     * Pick up type changes that didn't come from this page
+     * @param {CustomEvent} event - data:settingsChanged event
+     */
+    handleSettingsChanged(event) {
+        if (!event.detail?.ids?.includes('entryTypes')) return;
+
+        this.types = this.load();
+        EntryType.setRegistry(this.types);
+        this.dispatchTypesChanged({ fromSync: true });
+    }
+
+    /**
+     * Get all types
+     * @returns {Array} - EntryType instances, in display order
+     */
+    getTypes() {
+        return [...this.types];
+    }
+
+    /**
+     * Get a type
+     * @param {string} id - Type ID
+     * @returns {EntryType|null} - Type, or null if unknown
+     */
+    getType(id) {
+        return this.types.find(type => type.id === id) || null;
+    }
+
+    /**
+     * Add a new type or change an existing one
+     * @param {Object} typeData - Type fields; without an id a new type is created
+     * @returns {Object} - { success, message, type }
+     */
+    saveType(typeData) {
+        const existing = typeData.id ? this.getType(typeData.id) : null;
+        if (typeData.id && !existing) {
+            throw new Error('Entry type not found');
+        }
+
+        const label = (typeData.label || '').trim();
+        if (this.types.some(type => type !== existing && type.label.toLowerCase() === label.toLowerCase())) {
+            throw new Error(`An entry type called "${label}" already exists`);
+        }
+
+        if (existing?.builtIn && typeData.granularity && typeData.granularity !== existing.granularity) {
+            throw new Error(`${existing.label} is built in, so it can't switch between hours, full days and half days`);
+        }
+
+        if (existing && typeData.granularity && typeData.granularity !== existing.granularity && this.getUsageCount(existing.id) > 0) {
+            throw new Error(`${existing.label} is used by existing entries, so it can't switch between hours, full days and half days`);
+        }
+
+        const type = new EntryType({
+            ...(existing ? existing.toJSON() : {}),
+            ...typeData,
+            id: existing ? existing.id : this.generateId(label),
+            builtIn: existing ? existing.builtIn : false
+        });
+
+        this.types = existing
+            ? this.types.map(current => current === existing ? type : current)
+            : [...this.types, type];
+        this.persist();
+
+        return { success: true, message: `${existing ? 'Updated' : 'Added'} entry type ${type.label}`, type };
+    }
+
+    /**
+     * Remove a type nobody uses
+     * @param {string} id - Type ID
+     * @returns {Object} - { success, message }
+     */
+    deleteType(id) {
+        const type = this.getType(id);
+        if (!type) {
+            throw new Error('Entry type not found');
+        }
+        if (type.builtIn) {
+            throw new Error(`${type.label} is built in and can't be removed`);
+        }
+
+        const count = this.getUsageCount(id);
+        if (count > 0) {
+            throw new Error(`${type.label} is used by ${count} ${count === 1 ? 'entry' : 'entries'} - change or delete them first`);
+        }
+
+        this.types = this.types.filter(current => current !== type);
+        this.persist();
+
+        return { success: true, message: `Removed entry type ${type.label}` };
+    }
+
+    /**
+     * Add types a backup uses that this user doesn't have yet
+     * @param {Array} typeList - Type data from a backup
+     * @returns {number} - Number of types added
+     */
+    importTypes(typeList = []) {
+        const added = [];
+
+        typeList.forEach(data => {
+            if (!data?.id || this.getType(data.id)) return;
+            try {
+                added.push(new EntryType({ ...data, builtIn: false }));
+            } catch (error) {
+                console.warn(`Skipping invalid entry type ${data.id}:`, error.message);
+            }
+        });
+
+        if (added.length > 0) {
+            this.types = [...this.types, ...added];
+            this.persist();
+        }
+        return added.length;
+    }
+
+    /**
+     * Count live and trashed entries of a type
+     * Trashed entries count too, so restoring them still works.
+     * @param {string} id - Type ID
+     * @returns {number} - Entries
+     */
+    getUsageCount(id) {
+        const live = this.dataService.flattenWorkLog(this.dataService.workLogData);
+        return [...live, ...this.dataService.trash.entries].filter(entry => entry.type === id).length;
+    }
+
+    /**
+     * Make a type ID from a label
+     * @param {string} label - Type label
+     * @returns {string} - Unused ID, e.g. 'parentalLeave'
+     */
+    generateId(label) {
+        const words = label.replace(/[^a-zA-Z0-9 ]/g, ' ').trim().split(/\s+/).filter(Boolean);
+        let base = words.map((word, index) => index === 0
+            ? word.toLowerCase()
+            : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
+        ).join('').slice(0, 24);
+
+        if (!/^[a-zA-Z]/.test(base)) {
+            base = `type${base}`;
+        }
+
+        let id = base;
+        for (let suffix = 2; this.getType(id); suffix++) {
+            id = `${base}${suffix}`;
+        }
+        return id;
+    }
+
+    /**
+     * Tell the UI the types changed
+     * @param {Object} detail - Event detail
+     */
+    dispatchTypesChanged(detail = {}) {
+        document.dispatchEvent(new CustomEvent('entryTypes:changed', {
+            detail: { ...detail, types: this.types.map(type => type.toJSON()) }
+        }));
+    }
+
+    /**
+     * Stop listening for synced changes
+     */
+    destroy() {
+        document.removeEventListener('data:settingsChanged', this.handleSettingsChanged);
+    }
+}
+
+export default EntryTypeService;
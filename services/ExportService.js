@@ -1,6 +1,11 @@
 // services/ExportService.js
 // Export Service Class - Handles data export operations in various formats
 
+import WorkEntry from '../models/WorkEntry.js';
+import EntryType from '../models/EntryType.js';
+import RateCard from '../models/RateCard.js';
+import escapeHTML from '../utils/html.js';
+
 class ExportService {
     constructor(dataService) {
         this.dataService = dataService;
@@ -20,6 +25,8 @@ class ExportService {
             endDate = null,
             includeProjects = true,
             includeComments = true,
+            tags = [],
+            tagMatch = 'any',
             filename = null
         } = options;
 
@@ -28,7 +35,7 @@ class ExportService {
         }
 
         try {
-            const data = this.prepareExportData(dateRange, startDate, endDate);
+            const data = this.prepareExportData(dateRange, startDate, endDate, { tags, tagMatch });
             const exportFilename = filename || this.generateFilename(format, dateRange);
 
             switch (format) {
@@ -54,12 +61,15 @@ class ExportService {
      * @param {string} dateRange - Date range type
      * @param {string} startDate - Start date (YYYY-MM-DD)
      * @param {string} endDate - End date (YYYY-MM-DD)
+     * @param {Object} filters - Optional { tags, tagMatch: 'any' | 'all' }
      * @returns {Object} - Prepared export data
      */
-    prepareExportData(dateRange, startDate = null, endDate = null) {
+    prepareExportData(dateRange, startDate = null, endDate = null, filters = {}) {
+        const { tags = [], tagMatch = 'any' } = filters;
         const workLogData = this.dataService.getWorkLogData();
         const projects = this.dataService.getProjects();
         const entries = [];
+        const dateKeys = [];
 
         let filterStartDate, filterEndDate;
 
@@ -98,22 +108,38 @@ class ExportService {
             // Apply date filter
             if (filterStartDate && entryDate < filterStartDate) return;
             if (filterEndDate && entryDate > filterEndDate) return;
+            dateKeys.push(dateKey);
 
             workLogData[dateKey].forEach(entry => {
+                if (!WorkEntry.hasTags(entry, tags, tagMatch)) return;
+
                 const project = this.dataService.findProjectByValue(entry.project);
+                const billing = this.dataService.billing.getEntryBilling(entry, dateKey);
                 
                 entries.push({
                     date: dateKey,
                     dayOfWeek: entryDate.toLocaleDateString('en-US', { weekday: 'long' }),
                     type: this.getEntryTypeLabel(entry.type),
+                    typeId: entry.type,
+                    paid: EntryType.resolve(entry.type).paid,
                     project: project ? project.projectTitle : entry.project || 'N/A',
                     projectId: project ? project.projectId : '',
                     subCode: project ? project.subCode : '',
                     category: project ? project.category : 'N/A',
-                    hours: this.getEntryHours(entry),
+                    client: project ? project.client || '' : '',
+                    hours: this.getEntryHours(entry, dateKey),
+                    billable: billing.billable,
+                    rate: billing.rate,
+                    currency: billing.currency,
+                    amount: billing.amount,
                     actualHours: entry.hours || 0,
+                    startTime: entry.startTime || '',
+                    endTime: entry.endTime || '',
+                    breakMinutes: entry.breakMinutes || 0,
                     halfDayPeriod: entry.halfDayPeriod || 'N/A',
                     comments: entry.comments || '',
+                    overtimeReason: entry.overtimeReason || '',
+                    tags: entry.tags || [],
                     timestamp: entry.timestamp || '',
                     createdDate: entry.timestamp ? new Date(entry.timestamp).toLocaleDateString() : 'N/A'
                 });
@@ -123,6 +149,12 @@ class ExportService {
         // Sort by date
         entries.sort((a, b) => new Date(a.date) - new Date(b.date));
 
+        // Overtime is per user, so tag filters do not apply to it
+        dateKeys.sort();
+        const overtime = dateKeys.length > 0
+            ? this.dataService.overtime.getSummary({ startDate: dateKeys[0], endDate: dateKeys[dateKeys.length - 1] })
+            : null;
+
         return {
             entries,
             projects,
@@ -131,10 +163,13 @@ class ExportService {
                 dateRange,
                 startDate: filterStartDate?.toISOString() || null,
                 endDate: filterEndDate?.toISOString() || null,
+                tags: WorkEntry.normalizeTags(tags),
+                tagMatch,
+                entryTypes: EntryType.getAll().map(type => type.toJSON()),
                 totalEntries: entries.length,
                 exportedBy: 'Daily Work Log Tracker v2.1'
             },
-            summary: this.generateSummary(entries)
+            summary: this.generateSummary(entries, overtime)
         };
     }
 
@@ -154,11 +189,21 @@ class ExportService {
             'Day of Week',
             'Entry Type',
             'Project',
-            'Hours'
+            'Hours',
+            'Start Time',
+            'End Time',
+            'Break (min)',
+            'Tags',
+            'Paid',
+            'Overtime Reason',
+            'Billable',
+            'Rate',
+            'Currency',
+            'Amount'
         ];
 
         if (includeProjects) {
-            headers.push('Project ID', 'Sub Code', 'Category');
+            headers.push('Project ID', 'Sub Code', 'Category', 'Client');
         }
 
         if (includeComments) {
@@ -176,14 +221,25 @@ class ExportService {
                 `"${entry.dayOfWeek}"`,
                 `"${entry.type}"`,
                 `"${entry.project.replace(/"/g, '""')}"`,
-                entry.hours
+                entry.hours,
+                entry.startTime,
+                entry.endTime,
+                entry.startTime ? entry.breakMinutes : '',
+                `"${entry.tags.join(', ')}"`,
+                entry.paid ? 'Yes' : 'No',
+                `"${entry.overtimeReason.replace(/"/g, '""')}"`,
+                entry.billable ? 'Yes' : 'No',
+                entry.rate ?? '',
+                entry.currency,
+                entry.rate !== null ? entry.amount : ''
             ];
 
             if (includeProjects) {
                 row.push(
                     `"${entry.projectId}"`,
                     `"${entry.subCode}"`,
-                    `"${entry.category}"`
+                    `"${entry.category}"`,
+                    `"${entry.client.replace(/"/g, '""')}"`
                 );
             }
 
@@ -199,6 +255,25 @@ class ExportService {
             csvRows.push(row.join(','));
         });
 
+        if (data.summary.overtimeBalance !== undefined) {
+            csvRows.push('');
+            csvRows.push(`"Overtime accrued",${data.summary.overtimeAccrued}`);
+            csvRows.push(`"Time off in lieu taken",${data.summary.overtimeUsed}`);
+            csvRows.push(`"Overtime balance",${data.summary.overtimeBalance}`);
+        }
+
+        if (data.summary.billableHours > 0) {
+            csvRows.push('');
+            csvRows.push(`"Billable hours",${data.summary.billableHours}`);
+            csvRows.push(`"Non-billable hours",${data.summary.nonBillableHours}`);
+            Object.entries(data.summary.amounts).forEach(([currency, amount]) => {
+                csvRows.push(`"Billable amount (${currency})",${amount}`);
+            });
+            if (data.summary.unratedHours > 0) {
+                csvRows.push(`"Billable hours without a rate",${data.summary.unratedHours}`);
+            }
+        }
+
         const csvContent = csvRows.join('\n');
         this.downloadFile(csvContent, filename, 'text/csv');
         
@@ -268,7 +343,7 @@ class ExportService {
             Sheets: {
                 'Work Log': this.createExcelSheet(data.entries, [
                     'Date', 'Day of Week', 'Entry Type', 'Project', 'Hours', 
-                    'Project ID', 'Sub Code', 'Category', 'Comments', 'Created Date'
+                    'Project ID', 'Sub Code', 'Category', 'Tags', 'Comments', 'Created Date'
                 ]),
                 'Projects': this.createExcelSheet(data.projects, [
                     'Project ID', 'Sub Code', 'Project Title', 'Category', 
@@ -361,6 +436,7 @@ class ExportService {
                     <p>Generated on: ${new Date(data.metadata.exportDate).toLocaleString()}</p>
                     <p>Date Range: ${data.metadata.dateRange}</p>
                     <p>Total Entries: ${data.metadata.totalEntries}</p>
+                    ${data.metadata.tags.length > 0 ? `<p>Tags: ${data.metadata.tags.map(tag => `#${tag}`).join(data.metadata.tagMatch === 'all' ? ' and ' : ' or ')}</p>` : ''}
                 </div>
 
                 <div class="summary">
@@ -369,6 +445,15 @@ class ExportService {
                     <p>Total Hours: ${data.summary.totalHours}</p>
                     <p>Average Hours per Day: ${data.summary.averageHours}</p>
                     <p>Unique Projects: ${data.summary.uniqueProjects}</p>
+                    ${data.summary.overtimeBalance !== undefined ? `
+                        <p>Overtime: ${data.summary.overtimeAccrued}h accrued, ${data.summary.overtimeUsed}h taken as time off in lieu, balance ${data.summary.overtimeBalance}h</p>
+                    ` : ''}
+                    ${data.summary.billableHours > 0 ? `
+                        <p>Billable: ${data.summary.billableHours}h worth ${RateCard.formatAmounts(data.summary.amounts)}, non-billable: ${data.summary.nonBillableHours}h${data.summary.unratedHours > 0 ? ` (${data.summary.unratedHours}h billable without a rate)` : ''}</p>
+                    ` : ''}
+                    ${Object.keys(data.summary.tagBreakdown).length > 0 ? `
+                        <p>Hours by Tag: ${Object.entries(data.summary.tagBreakdown).map(([tag, hours]) => `#${tag} ${hours}h`).join(', ')}</p>
+                    ` : ''}
                 </div>
 
                 <h2>Work Log Entries</h2>
@@ -380,6 +465,7 @@ class ExportService {
                             <th>Type</th>
                             <th>Project</th>
                             <th>Hours</th>
+                            <th>Tags</th>
                             <th>Comments</th>
                         </tr>
                     </thead>
@@ -391,6 +477,7 @@ class ExportService {
                                 <td>${entry.type}</td>
                                 <td>${entry.project}</td>
                                 <td>${entry.hours}</td>
+                                <td>${entry.tags.map(tag => `#${tag}`).join(' ')}</td>
                                 <td>${entry.comments}</td>
                             </tr>
                         `).join('')}
@@ -444,44 +531,56 @@ class ExportService {
      * @returns {string} - Human readable label
      */
     getEntryTypeLabel(type) {
-        const types = {
-            work: 'Work Entry',
-            fullLeave: 'Full Day Leave',
-            halfLeave: 'Half Day Leave',
-            holiday: 'Holiday'
-        };
-        return types[type] || type;
+        return EntryType.resolve(type).label;
     }
 
     /**
      * Get entry hours based on type
      * @param {Object} entry - Entry object
+     * @param {string} dateKey - Date of the entry, for entries that don't carry it
      * @returns {number} - Hours for entry
      */
-    getEntryHours(entry) {
-        switch (entry.type) {
-            case 'work':
-                return entry.hours || 0;
-            case 'fullLeave':
-            case 'holiday':
-                return 8;
-            case 'halfLeave':
-                return 4;
-            default:
-                return 0;
-        }
+    getEntryHours(entry, dateKey = entry.date) {
+        return EntryType.getEntryHours(entry, dateKey);
     }
 
     /**
      * Generate summary statistics
+     * Billable amounts are totalled per currency.
      * @param {Array} entries - Entries array
+     * @param {Object} overtime - Optional overtime summary for the exported dates
      * @returns {Object} - Summary statistics
      */
-    generateSummary(entries) {
-        const workEntries = entries.filter(entry => entry.type === 'Work Entry');
+    generateSummary(entries, overtime = null) {
+        const workEntries = entries.filter(entry => entry.typeId === 'work');
         const totalHours = entries.reduce((sum, entry) => sum + entry.hours, 0);
         const totalDaysWorked = new Set(workEntries.map(entry => entry.date)).size;
         const uniqueProjects = new Set(workEntries.map(entry => entry.project)).size;
+
+        // Hours per tag; an entry with several tags counts towards each
+        const tagBreakdown = {};
+        entries.forEach(entry => {
+            entry.tags.forEach(tag => {
+                tagBreakdown[tag] = parseFloat(((tagBreakdown[tag] || 0) + entry.hours).toFixed(2));
+            });
+        });
+
+        // Only time logged as work is billable or non-billable
+        let billableHours = 0;
+        let nonBillableHours = 0;
+        let unratedHours = 0;
+        const amounts = {};
+        entries.filter(entry => EntryType.get(entry.typeId)?.category === 'work').forEach(entry => {
+            if (!entry.billable) {
+                nonBillableHours += entry.hours;
+            } else if (entry.rate === null) {
+                billableHours += entry.hours;
+                unratedHours += entry.hours;
+            } else {
+                billableHours += entry.hours;
+                amounts[entry.currency] = parseFloat(((amounts[entry.currency] || 0) + entry.amount).toFixed(2));
+            }
+        });
         
         return {
             totalEntries: entries.length,
@@ -490,6 +589,16 @@ class ExportService {
             totalHours: parseFloat(totalHours.toFixed(2)),
             averageHours: totalDaysWorked > 0 ? parseFloat((totalHours / totalDaysWorked).toFixed(2)) : 0,
             uniqueProjects,
+            tagBreakdown,
+            billableHours: parseFloat(billableHours.toFixed(2)),
+            nonBillableHours: parseFloat(nonBillableHours.toFixed(2)),
+            unratedHours: parseFloat(unratedHours.toFixed(2)),
+            amounts,
+            ...(overtime ? {
+                overtimeAccrued: overtime.accrued,
+                overtimeUsed: overtime.used,
+                overtimeBalance: overtime.balance
+            } : {}),
             dateRange: {
                 earliest: entries.length > 0 ? entries[0].date : null,
                 latest: entries.length > 0 ? entries[entries.length - 1].date : null
@@ -564,6 +673,125 @@ class ExportService {
         });
     }
 
+    /**
+     * Export an issued invoice
+     * @param {Invoice} invoice - Invoice
+     * @param {string} format - 'pdf' to print or save as PDF, 'html' to download
+     * @returns {Promise} - Export result
+     */
+    async exportInvoice(invoice, format = 'pdf') {
+        const filename = `invoice-${invoice.number}.${format}`;
+        const htmlContent = this.generateInvoiceHTML(invoice);
+
+        switch (format) {
+            case 'pdf': {
+                // Same print route as the PDF report
+                const printWindow = window.open('', '_blank');
+                printWindow.document.write(htmlContent);
+                printWindow.document.close();
+                printWindow.focus();
+
+                setTimeout(() => {
+                    printWindow.print();
+                }, 100);
+
+                return { success: true, message: `Invoice ${invoice.number} opened for printing`, filename };
+            }
+            case 'html':
+                this.downloadFile(htmlContent, filename, 'text/html');
+                return { success: true, message: `Invoice ${invoice.number} downloaded`, filename };
+            default:
+                throw new Error(`Unsupported invoice format: ${format}`);
+        }
+    }
+
+    /**
+     * Generate printable HTML for an invoice
+     * @param {Invoice} invoice - Invoice
+     * @returns {string} - HTML content
+     */
+    generateInvoiceHTML(invoice) {
+        const money = amount => RateCard.formatMoney(amount, invoice.currency);
+
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>Invoice ${escapeHTML(invoice.number)}</title>
+                <style>
+                    body { font-family: Arial, sans-serif; margin: 20px; }
+                    h1, h2 { color: #333; }
+                    table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+                    th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+                    th { background-color: #f2f2f2; }
+                    td.number, th.number { text-align: right; }
+                    tfoot td { font-weight: bold; }
+                    .metadata { color: #666; font-size: 12px; }
+                    .notes { background-color: #f9f9f9; padding: 15px; margin: 20px 0; white-space: pre-wrap; }
+                    @media print {
+                        body { margin: 0; }
+                        .no-print { display: none; }
+                    }
+                </style>
+            </head>
+            <body>
+                <h1>Invoice ${escapeHTML(invoice.number)}</h1>
+
+                <div class="metadata">
+                    <p>Issued: ${new Date(invoice.issuedAt).toLocaleDateString()}</p>
+                    ${invoice.issuedBy ? `<p>From: ${escapeHTML(invoice.issuedBy)}</p>` : ''}
+                    <p>Bill to: ${escapeHTML(invoice.client)}</p>
+                    <p>Period: ${invoice.startDate} to ${invoice.endDate}</p>
+                </div>
+
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Charge Code</th>
+                            <th>Description</th>
+                            <th class="number">Hours</th>
+                            <th class="number">Rate</th>
+                            <th class="number">Amount</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${invoice.lines.map(line => `
+                            <tr>
+                                <td>${escapeHTML(line.chargeCode)}</td>
+                                <td>${escapeHTML(line.description)}</td>
+                                <td class="number">${line.hours}</td>
+                                <td class="number">${money(line.rate)}</td>
+                                <td class="number">${money(line.amount)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <td colspan="4" class="number">Subtotal</td>
+                            <td class="number">${money(invoice.subtotal)}</td>
+                        </tr>
+                        <tr>
+                            <td colspan="4" class="number">Tax (${invoice.taxRate}%)</td>
+                            <td class="number">${money(invoice.tax)}</td>
+                        </tr>
+                        <tr>
+                            <td colspan="4" class="number">Total</td>
+                            <td class="number">${money(invoice.total)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+
+                ${invoice.notes ? `<div class="notes">${escapeHTML(invoice.notes)}</div>` : ''}
+
+                <div class="no-print" style="margin-top: 30px;">
+                    <button onclick="window.print()">Print/Save as PDF</button>
+                    <button onclick="window.close()">Close</button>
+                </div>
+            </body>
+            </html>
+        `;
+    }
+
     /**
      * Get supported export formats
      * @returns {Array} - Array of supported formats
@@ -0,0 +1,376 @@
+// services/HealthService.js
+// Health Service Class - Scans the work log for inconsistent data and repairs what it safely can
+
+import WorkEntry from '../models/WorkEntry.js';
+import WorkSchedule from '../models/WorkSchedule.js';
+
+class HealthService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.severities = ['error', 'warning', 'info'];
+    }
+
+    /**
+     * Check all live entries and projects
+     * @returns {Object} - { issues, counts: { error, warning, info }, scannedAt, entries, projects }
+     */
+    scan() {
+        const entries = this.dataService.flattenWorkLog(this.dataService.workLogData);
+        const projects = this.dataService.getProjects();
+
+        const issues = [
+            ...this.checkDuplicateIds('entries', entries),
+            ...this.checkDuplicateIds('projects', projects),
+            ...this.checkEntries(entries),
+            ...this.checkOrphanedEntries(entries),
+            ...this.checkUsageCounts(entries, projects)
+        ].sort((a, b) => this.severities.indexOf(a.severity) - this.severities.indexOf(b.severity));
+
+        const counts = { error: 0, warning: 0, info: 0 };
+        issues.forEach(issue => {
+            counts[issue.severity]++;
+        });
+
+        return {
+            issues,
+            counts,
+            scannedAt: new Date().toISOString(),
+            entries: entries.length,
+            projects: projects.length
+        };
+    }
+
+    /**
+     * Find records sharing an ID
+     * @param {string} collection - 'entries' or 'projects'
+     * @param {Array} records - Records to check
+     * @returns {Array} - Issues
+     */
+    checkDuplicateIds(collection, records) {
+        const byId = new Map();
+        records.forEach(record => {
+            byId.set(record.id, [...(byId.get(record.id) || []), record]);
+        });
+
+        return Array.from(byId.entries())
+            .filter(([, copies]) => copies.length > 1)
+            .map(([id, copies]) => ({
+                id: `duplicate-id:${collection}:${id}`,
+                check: 'duplicate-id',
+                severity: 'error',
+                title: `${copies.length} ${collection === 'entries' ? 'entries' : 'projects'} share the ID ${id}`,
+                description: collection === 'entries'
+                    ? `On ${Array.from(new Set(copies.map(entry => entry.date))).join(', ')}. Only one of them can be saved or synced.`
+                    : `${copies.map(project => project.projectTitle).join(', ')}. Only one of them can be saved or synced.`,
+                collection,
+                recordId: id,
+                fix: { label: 'Separate copies', description: 'Drop identical copies and give the others new IDs' }
+            }));
+    }
+
+    /**
+     * Validate entries and look for clashing entries on the same day
+     * @param {Array} entries - Entries carrying their date
+     * @returns {Array} - Issues
+     */
+    checkEntries(entries) {
+        const issues = [];
+        const workEntries = [];
+
+        entries.forEach(entry => {
+            try {
+                workEntries.push(new WorkEntry(entry));
+            } catch (error) {
+                issues.push({
+                    id: `invalid-entry:${entry.id}`,
+                    check: 'invalid-entry',
+                    severity: 'error',
+                    title: `Invalid entry on ${entry.date}`,
+                    description: error.message.replace('Validation failed: ', ''),
+                    date: entry.date,
+                    entryIds: [entry.id],
+                    fix: { label: 'Move to trash', description: 'Move the entry to the trash so it can be re-entered' }
+                });
+            }
+        });
+
+        const byId = new Map(workEntries.map(entry => [entry.id, entry]));
+
+        WorkEntry.findConflicts(workEntries).forEach(conflict => {
+            if (conflict.entry1) {
+                const [first, second] = conflict.entryIds.map(id => byId.get(id));
+                const isDuplicate = first.type === second.type && first.type !== 'work' && first.halfDayPeriod === second.halfDayPeriod;
+
+                issues.push({
+                    id: `overlap:${conflict.entryIds.join(':')}`,
+                    check: 'overlap',
+                    severity: 'error',
+                    title: `Overlapping entries on ${conflict.date}`,
+                    description: `${conflict.entry1} and ${conflict.entry2} cover the same time`,
+                    date: conflict.date,
+                    entryIds: conflict.entryIds,
+                    // Only an exact duplicate leave is safe to remove without asking which one is right
+                    fix: isDuplicate
+                        ? { label: 'Remove duplicate', description: 'Move the second copy to the trash' }
+                        : null
+                });
+            } else {
+                issues.push({
+                    id: `daily-limit:${conflict.date}`,
+                    check: 'daily-limit',
+                    severity: 'warning',
+                    title: `${conflict.totalHours} hours logged on ${conflict.date}`,
+                    description: `More than the ${WorkSchedule.current.getDailyLimit()}-hour daily limit: ${conflict.entries.join(', ')}`,
+                    date: conflict.date,
+                    entryIds: conflict.entryIds,
+                    fix: null
+                });
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Find work entries whose project no longer exists
+     * @param {Array} entries - Entries carrying their date
+     * @returns {Array} - Issues
+     */
+    checkOrphanedEntries(entries) {
+        const byProject = new Map();
+        entries
+            .filter(entry => entry.type === 'work' && entry.project && !this.dataService.findProjectByValue(entry.project))
+            .forEach(entry => {
+                byProject.set(entry.project, [...(byProject.get(entry.project) || []), entry]);
+            });
+
+        return Array.from(byProject.entries()).map(([projectValue, orphans]) => {
+            const trashed = this.dataService.getTrash().projects
+                .find(project => `${project.projectId}-${project.subCode}` === projectValue);
+
+            return {
+                id: `orphan:${projectValue}`,
+                check: 'orphan',
+                severity: 'warning',
+                title: `${orphans.length} ${orphans.length === 1 ? 'entry uses' : 'entries use'} missing project ${projectValue}`,
+                description: trashed
+                    ? `The project "${trashed.projectTitle}" is in the trash`
+                    : 'No project has this code. Edit the entries to pick an existing project.',
+                entryIds: orphans.map(entry => entry.id),
+                projectId: trashed ? trashed.id : null,
+                fix: trashed ? { label: 'Restore project', description: 'Restore the project from the trash' } : null
+            };
+        });
+    }
+
+    /**
+     * Compare stored project usage counts with the entries that use them
+     * @param {Array} entries - Entries carrying their date
+     * @param {Array} projects - Projects
+     * @returns {Array} - Issues
+     */
+    checkUsageCounts(entries, projects) {
+        const actual = this.countUsage(entries);
+
+        return projects
+            .filter(project => (project.usageCount || 0) !== (actual.get(this.getProjectValue(project)) || 0))
+            .map(project => ({
+                id: `usage:${project.id}`,
+                check: 'usage',
+                severity: 'info',
+                title: `Usage count for ${project.projectTitle} is out of date`,
+                description: `Recorded ${project.usageCount || 0}, actually used by ${actual.get(this.getProjectValue(project)) || 0} entries`,
+                projectId: project.id,
+                fix: { label: 'Recount', description: 'Recompute the usage count from the entries' }
+            }));
+    }
+
+    /**
+     * Apply the automatic fix for one issue
+     * The data is scanned again first, so a stale report can't apply the wrong fix.
+     * @param {string} issueId - Issue ID from scan()
+     * @returns {Promise<Object>} - { success, message }
+     */
+    async fix(issueId) {
+        const issue = this.scan().issues.find(candidate => candidate.id === issueId);
+
+        if (!issue) {
+            throw new Error('This issue no longer exists - run the check again');
+        }
+        if (!issue.fix) {
+            throw new Error('This issue has to be fixed by hand');
+        }
+
+        await this.applyFix(issue);
+        await this.dataService.saveData();
+        this.dataService.dispatchDataEvent('repaired', { issues: [issue.id] });
+
+        return { success: true, message: `${issue.fix.label}: done` };
+    }
+
+    /**
+     * Apply every automatic fix
+     * Usage counts are fixed last because other fixes change them.
+     * @returns {Promise<Object>} - { success, message, fixed }
+     */
+    async fixAll() {
+        const fixed = [];
+        const isUsage = issue => issue.check === 'usage';
+
+        for (const pass of [issue => !isUsage(issue), isUsage]) {
+            const issues = this.scan().issues.filter(issue => issue.fix && pass(issue));
+            for (const issue of issues) {
+                await this.applyFix(issue);
+                fixed.push(issue.id);
+            }
+        }
+
+        if (fixed.length > 0) {
+            await this.dataService.saveData();
+            this.dataService.dispatchDataEvent('repaired', { issues: fixed });
+        }
+
+        return {
+            success: true,
+            message: fixed.length > 0 ? `Fixed ${fixed.length} ${fixed.length === 1 ? 'issue' : 'issues'}` : 'Nothing to fix',
+            fixed
+        };
+    }
+
+    /**
+     * Change the data to resolve an issue
+     * @param {Object} issue - Issue from scan()
+     */
+    async applyFix(issue) {
+        switch (issue.check) {
+            case 'duplicate-id':
+                this.separateDuplicates(issue.collection, issue.recordId);
+                break;
+            case 'invalid-entry':
+                await this.dataService.deleteEntry(this.findEntryDate(issue.entryIds[0]), issue.entryIds[0]);
+                break;
+            case 'overlap': {
+                const duplicateId = issue.entryIds[1];
+                await this.dataService.deleteEntry(this.findEntryDate(duplicateId), duplicateId);
+                break;
+            }
+            case 'orphan':
+                await this.dataService.restoreFromTrash('projects', issue.projectId);
+                break;
+            case 'usage':
+                this.recountUsage(issue.projectId);
+                break;
+            default:
+                throw new Error(`No automatic fix for ${issue.check}`);
+        }
+    }
+
+    /**
+     * Drop identical copies of a record and give differing copies new IDs
+     * @param {string} collection - 'entries' or 'projects'
+     * @param {string} id - Shared ID
+     */
+    separateDuplicates(collection, id) {
+        const mergeService = this.dataService.mergeService;
+        const now = new Date().toISOString();
+        const kept = [];
+
+        // Entries on different days are never identical, so compare them with their date
+        const separate = (record, remove, dateKey = null) => {
+            if (record.id !== id) return;
+
+            const comparable = dateKey ? { ...record, date: dateKey } : record;
+            if (kept.some(other => mergeService.sameContent(other, comparable))) {
+                remove();
+                return;
+            }
+            if (kept.length > 0) {
+                record.id = collection === 'projects' ? `proj_${this.dataService.generateId()}` : this.dataService.generateId();
+                record.revision = 1;
+                record[collection === 'projects' ? 'updatedAt' : 'timestamp'] = now;
+                this.dataService.journal.record(collection, 'add', record.id);
+            }
+            kept.push(comparable);
+        };
+
+        if (collection === 'entries') {
+            Object.keys(this.dataService.workLogData).forEach(dateKey => {
+                const dayEntries = this.dataService.workLogData[dateKey];
+                for (let i = 0; i < dayEntries.length; i++) {
+                    separate(dayEntries[i], () => {
+                        dayEntries.splice(i, 1);
+                        i--;
+                    }, dateKey);
+                }
+                if (dayEntries.length === 0) {
+                    delete this.dataService.workLogData[dateKey];
+                }
+            });
+        } else {
+            const projects = this.dataService.projects;
+            for (let i = 0; i < projects.length; i++) {
+                separate(projects[i], () => {
+                    projects.splice(i, 1);
+                    i--;
+                });
+            }
+        }
+
+        this.dataService.journal.record(collection, 'update', id);
+    }
+
+    /**
+     * Set a project's usage count from the entries that use it
+     * @param {string} projectId - Project record ID
+     */
+    recountUsage(projectId) {
+        const project = this.dataService.projects.find(candidate => candidate.id === projectId);
+        if (!project) return;
+
+        const entries = this.dataService.flattenWorkLog(this.dataService.workLogData);
+        project.usageCount = this.countUsage(entries).get(this.getProjectValue(project)) || 0;
+        project.updatedAt = new Date().toISOString();
+        this.dataService.journal.record('projects', 'update', project.id);
+    }
+
+    /**
+     * Count work entries per project
+     * @param {Array} entries - Entries
+     * @returns {Map} - Count keyed by project value
+     */
+    countUsage(entries) {
+        const counts = new Map();
+        entries
+            .filter(entry => entry.type === 'work' && entry.project)
+            .forEach(entry => {
+                counts.set(entry.project, (counts.get(entry.project) || 0) + 1);
+            });
+        return counts;
+    }
+
+    /**
+     * Get the date an entry is stored under
+     * @param {string} entryId - Entry ID
+     * @returns {string} - Date key
+     */
+    findEntryDate(entryId) {
+        const dateKey = Object.keys(this.dataService.workLogData)
+            .find(key => this.dataService.workLogData[key].some(entry => entry.id === entryId));
+
+        if (!dateKey) {
+            throw new Error('Entry not found');
+        }
+        return dateKey;
+    }
+
+    /**
+     * Get a project's value as stored on entries
+     * @param {Object} project - Project
+     * @returns {string} - projectId-subCode
+     */
+    getProjectValue(project) {
+        return `${project.projectId}-${project.subCode}`;
+    }
+}
+
+export default HealthService;
@@ -0,0 +1,167 @@
+// services/HistoryService.js
+// History Service Class - Undo/redo stack for entry, series and project changes
+
+class HistoryService {
+    constructor(dataService, limit = 50) {
+        this.dataService = dataService;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false; // Changes made while undoing/redoing aren't recorded
+        this.nextId = 1;
+    }
+
+    /**
+     * Record a change
+     * @param {Object} command - { type: 'entry'|'series'|'project', action: 'add'|'update'|'delete', dateKey, before, after }
+     * Series commands carry a seriesId and lists of occurrences as before/after.
+     * @returns {Object|null} - Recorded command
+     */
+    record(command) {
+        if (this.isApplying) return null;
+
+        const recorded = {
+            ...command,
+            id: this.nextId++,
+            label: this.getLabel(command),
+            recordedAt: new Date().toISOString()
+        };
+
+        this.undoStack.push(recorded);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this.dispatchHistoryChanged();
+        return recorded;
+    }
+
+    /**
+     * Undo the most recent change
+     * @param {number} commandId - Only undo if this is still the most recent change
+     * @returns {Promise<Object>} - { success, message }
+     */
+    async undo(commandId = null) {
+        const command = this.peekUndo();
+        if (!command) {
+            return { success: false, message: 'Nothing to undo' };
+        }
+        if (commandId !== null && command.id !== commandId) {
+            return { success: false, message: 'Only the most recent change can be undone' };
+        }
+
+        await this.apply(command, 'undo');
+        this.undoStack.pop();
+        this.redoStack.push(command);
+
+        this.dispatchHistoryChanged();
+        return { success: true, message: `Undone: ${command.label}` };
+    }
+
+    /**
+     * Redo the most recently undone change
+     * @returns {Promise<Object>} - { success, message }
+     */
+    async redo() {
+        const command = this.redoStack[this.redoStack.length - 1];
+        if (!command) {
+            return { success: false, message: 'Nothing to redo' };
+        }
+
+        await this.apply(command, 'redo');
+        this.redoStack.pop();
+        this.undoStack.push(command);
+
+        this.dispatchHistoryChanged();
+        return { success: true, message: `Redone: ${command.label}` };
+    }
+
+    /**
+     * Apply a command in either direction
+     * @param {Object} command - Recorded command
+     * @param {string} direction - 'undo' or 'redo'
+     */
+    async apply(command, direction) {
+        const state = direction === 'undo' ? command.before : command.after;
+
+        this.isApplying = true;
+        try {
+            if (command.type === 'series') {
+                await this.dataService.setSeriesEntries(command.seriesId, state || []);
+            } else if (command.type === 'entry') {
+                if (state) {
+                    await this.dataService.restoreEntry(command.dateKey, state);
+                } else {
+                    const current = direction === 'undo' ? command.after : command.before;
+                    await this.dataService.deleteEntry(command.dateKey, current.id);
+                }
+            } else if (state) {
+                await this.dataService.restoreProject(state);
+            } else {
+                const current = direction === 'undo' ? command.after : command.before;
+                await this.dataService.deleteProject(current.id);
+            }
+        } finally {
+            this.isApplying = false;
+        }
+
+        this.dataService.dispatchDataEvent('updated');
+    }
+
+    /**
+     * Get the change that undo would revert
+     * @returns {Object|null} - Command
+     */
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    /**
+     * Check if there is anything to undo
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check if there is anything to redo
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all history (e.g. after import or logout)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.dispatchHistoryChanged();
+    }
+
+    /**
+     * Get a readable label for a command
+     * @param {Object} command - Command
+     * @returns {string} - Label
+     */
+    getLabel(command) {
+        const actions = { add: 'Add', update: 'Edit', delete: 'Delete' };
+        return `${actions[command.action] || command.action} ${command.type}`;
+    }
+
+    /**
+     * Notify listeners that undo/redo availability changed
+     */
+    dispatchHistoryChanged() {
+        this.dataService.dispatchDataEvent('historyChanged', {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: this.peekUndo()?.label || null
+        });
+    }
+}
+
+export default HistoryService;
@@ -0,0 +1,305 @@
+// services/HolidayService.js
+// Holiday Service Class - Public holiday calendars the signed-in user follows, synced with the rest of their data
+
+import HolidayCalendar from '../models/HolidayCalendar.js';
+import WorkEntry from '../models/WorkEntry.js';
+import WorkSchedule from '../models/WorkSchedule.js';
+
+class HolidayService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.handleSettingsChanged = this.handleSettingsChanged.bind(this);
+        this.load();
+
+        // Another tab or device changed the calendars, or a backup was restored
+        document.addEventListener('data:settingsChanged', this.handleSettingsChanged);
+    }
+
+    /**
+     * Load the signed-in user's holiday calendars from their settings
+     */
+    load() {
+        const saved = this.dataService.getSetting('holidayCalendars');
+
+        this.uploaded = [];
+        (Array.isArray(saved?.uploaded) ? saved.uploaded : []).forEach(data => {
+            try {
+                this.uploaded.push(new HolidayCalendar({ ...data, uploaded: true }));
+            } catch (error) {
+                console.warn(`Skipping invalid holiday calendar ${data?.id}:`, error.message);
+            }
+        });
+
+        this.selected = (Array.isArray(saved?.selected) ? saved.selected : [])
+            .filter(id => this.getCalendar(id));
+        this.cache = new Map(); // Year -> Map of date key -> holiday names
+    }
+
+    /**
+     * Save the calendars with the user's data and tell listeners
+     */
+    persist() {
+        this.dataService.saveSetting('holidayCalendars', {
+            selected: this.selected,
+            uploaded: this.uploaded.map(calendar => calendar.toJSON())
+        });
+        this.cache = new Map();
+        this.dispatchCalendarsChanged();
+    }
+
+    /**
+     * Pick up calendar changes that didn't come from this page
+     * @param {CustomEvent} event - data:settingsChanged event
+     */
+    handleSettingsChanged(event) {
+        if (!event.detail?.ids?.includes('holidayCalendars')) return;
+
+        this.load();
+        this.dispatchCalendarsChanged({ fromSync: true });
+    }
+
+    /**
+     * Get every calendar that can be followed
+     * @returns {Array} - Bundled calendars, then uploaded ones
+     */
+    getCalendars() {
+        return [...HolidayCalendar.datasets, ...this.uploaded];
+    }
+
+    /**
+     * Get a calendar by ID
+     * @param {string} id - Calendar ID
+     * @returns {HolidayCalendar|null}
+     */
+    getCalendar(id) {
+        return this.getCalendars().find(calendar => calendar.id === id) || null;
+    }
+
+    /**
+     * Get the calendars the user follows
+     * @returns {Array} - HolidayCalendar instances
+     */
+    getSelectedCalendars() {
+        return this.selected.map(id => this.getCalendar(id)).filter(Boolean);
+    }
+
+    /**
+     * Choose the calendars to follow
+     * @param {Array} ids - Calendar IDs
+     * @returns {Object} - { success, message }
+     */
+    setSelected(ids) {
+        const unknown = ids.find(id => !this.getCalendar(id));
+        if (unknown) {
+            throw new Error(`Holiday calendar not found: ${unknown}`);
+        }
+
+        this.selected = [...new Set(ids)];
+        this.persist();
+
+        const count = this.selected.length;
+        return { success: true, message: count > 0 ? `Following ${count} holiday ${count === 1 ? 'calendar' : 'calendars'}` : 'No holiday calendars followed' };
+    }
+
+    /**
+     * Add a calendar from an iCalendar (.ics) file and follow it
+     * @param {string} text - File contents
+     * @param {string} label - Optional name; the file's own name is used otherwise
+     * @returns {Object} - { success, message, calendar }
+     */
+    addUploaded(text, label = '') {
+        const calendar = HolidayCalendar.fromICal(text, { id: `ical-${this.dataService.generateId().replace('_', '-')}`.slice(0, 40), label });
+
+        this.uploaded = [...this.uploaded, calendar];
+        this.selected = [...this.selected, calendar.id];
+        this.persist();
+
+        return { success: true, message: `Added ${calendar.label} (${calendar.rules.length} ${calendar.rules.length === 1 ? 'holiday' : 'holidays'})`, calendar };
+    }
+
+    /**
+     * Remove an uploaded calendar
+     * Holiday entries already made from it are kept.
+     * @param {string} id - Calendar ID
+     * @returns {Object} - { success, message }
+     */
+    removeUploaded(id) {
+        const calendar = this.uploaded.find(current => current.id === id);
+        if (!calendar) {
+            throw new Error('Uploaded holiday calendar not found');
+        }
+
+        this.uploaded = this.uploaded.filter(current => current !== calendar);
+        this.selected = this.selected.filter(selectedId => selectedId !== id);
+        this.persist();
+
+        return { success: true, message: `Removed ${calendar.label}` };
+    }
+
+    /**
+     * Get the holidays of the followed calendars in a year
+     * @param {number} year - Calendar year
+     * @returns {Map} - Date key -> holiday names, days in that year only
+     */
+    getYearHolidays(year) {
+        if (this.cache.has(year)) return this.cache.get(year);
+
+        const holidays = new Map();
+        this.getSelectedCalendars().forEach(calendar => {
+            // A made-up day for 1 January can fall on 31 December
+            [...calendar.getHolidays(year), ...calendar.getHolidays(year + 1)].forEach(({ date, name }) => {
+                if (!date.startsWith(`${year}-`)) return;
+                const names = holidays.get(date) || [];
+                if (!names.includes(name)) names.push(name);
+                holidays.set(date, names);
+            });
+        });
+
+        this.cache.set(year, holidays);
+        return holidays;
+    }
+
+    /**
+     * Get the public holidays on a date
+     * @param {Date|string} date - Date, or date key (YYYY-MM-DD)
+     * @returns {Array} - Holiday names, empty on ordinary days
+     */
+    getHolidayNames(date) {
+        const dateKey = typeof date === 'string' ? date : HolidayCalendar.toDateKey(date.getFullYear(), date.getMonth() + 1, date.getDate());
+        return this.getYearHolidays(parseInt(dateKey.slice(0, 4), 10)).get(dateKey) || [];
+    }
+
+    /**
+     * Check if a date is a public holiday in a followed calendar
+     * @param {Date|string} date - Date, or date key (YYYY-MM-DD)
+     * @returns {boolean}
+     */
+    isHoliday(date) {
+        return this.getHolidayNames(date).length > 0;
+    }
+
+    /**
+     * Get the hours the work schedule expects on a date
+     * Nothing is expected on a public holiday of a followed calendar.
+     * @param {Date|string} date - Date, or date key (YYYY-MM-DD)
+     * @returns {number} - Hours, 0 on days off and public holidays
+     */
+    getExpectedHours(date) {
+        return this.isHoliday(date) ? 0 : WorkSchedule.current.getExpectedHours(date);
+    }
+
+    /**
+     * Get the series ID holiday entries of a year are saved under
+     * @param {number} year - Calendar year
+     * @returns {string} - Series ID
+     */
+    getSeriesId(year) {
+        return `publicHolidays${year}`;
+    }
+
+    /**
+     * Work out the holiday entries a year needs, without saving anything
+     * Days off and days that already have other entries are left alone. Holiday
+     * entries made before keep their IDs, and ones edited by hand stay as they are.
+     * @param {number} year - Calendar year
+     * @returns {Object} - { seriesId, year, occurrences, skipped: [{ date, names, reason }] }
+     */
+    planYear(year) {
+        if (!Number.isInteger(year) || year < 1970 || year > 2100) {
+            throw new Error('Validation failed: Choose a year between 1970 and 2100');
+        }
+        if (this.selected.length === 0) {
+            throw new Error('Validation failed: Follow at least one holiday calendar first');
+        }
+
+        const seriesId = this.getSeriesId(year);
+        const existing = this.dataService.flattenWorkLog(this.dataService.workLogData).filter(entry => entry.seriesId === seriesId);
+        const occurrences = [];
+        const skipped = [];
+
+        [...this.getYearHolidays(year).entries()].sort(([a], [b]) => a.localeCompare(b)).forEach(([date, names]) => {
+            const current = existing.find(entry => entry.date === date);
+            if (current?.seriesException) {
+                occurrences.push(current);
+                return;
+            }
+
+            if (!WorkSchedule.current.isWorkingDay(date)) {
+                skipped.push({ date, names, reason: 'day off' });
+                return;
+            }
+
+            const others = this.dataService.getEntriesForDate(date).filter(entry => entry.seriesId !== seriesId);
+            if (others.length > 0) {
+                skipped.push({ date, names, reason: 'has entries' });
+                return;
+            }
+
+            const occurrence = {
+                ...(current || { id: this.dataService.generateId() }),
+                type: 'holiday',
+                comments: names.join(' / '),
+                publicHoliday: names.join(' / ').slice(0, 200),
+                seriesId,
+                date
+            };
+            // Same rules as entries typed into the form
+            new WorkEntry(occurrence);
+            occurrences.push(occurrence);
+        });
+
+        return { seriesId, year, occurrences, skipped };
+    }
+
+    /**
+     * Save the holiday entries of a planned year as one undoable change
+     * @param {Object} plan - Plan from planYear
+     * @returns {Promise<Object>} - { success, message, count }
+     */
+    async saveYear(plan) {
+        const hadEntries = this.dataService.flattenWorkLog(this.dataService.workLogData).some(entry => entry.seriesId === plan.seriesId);
+        await this.dataService.setSeriesEntries(plan.seriesId, plan.occurrences, hadEntries ? 'update' : 'add');
+
+        const count = plan.occurrences.length;
+        return {
+            success: true,
+            message: `${count} public ${count === 1 ? 'holiday' : 'holidays'} in ${plan.year} added as entries`,
+            count
+        };
+    }
+
+    /**
+     * Move the holiday entries of a year to the trash
+     * @param {number} year - Calendar year
+     * @returns {Promise<Object>} - { success, message }
+     */
+    async clearYear(year) {
+        const seriesId = this.getSeriesId(year);
+        const count = this.dataService.flattenWorkLog(this.dataService.workLogData).filter(entry => entry.seriesId === seriesId).length;
+        if (count === 0) {
+            throw new Error(`No public holiday entries in ${year}`);
+        }
+
+        await this.dataService.setSeriesEntries(seriesId, [], 'delete');
+        return { success: true, message: `${count} public holiday ${count === 1 ? 'entry' : 'entries'} in ${year} moved to trash` };
+    }
+
+    /**
+     * Tell the UI the calendars changed
+     * @param {Object} detail - Event detail
+     */
+    dispatchCalendarsChanged(detail = {}) {
+        document.dispatchEvent(new CustomEvent('holidayCalendars:changed', {
+            detail: { ...detail, selected: [...this.selected] }
+        }));
+    }
+
+    /**
+     * Stop listening for synced changes
+     */
+    destroy() {
+        document.removeEventListener('data:settingsChanged', this.handleSettingsChanged);
+    }
+}
+
+export default HolidayService;
@@ -0,0 +1,289 @@
+// services/InvoiceService.js
+// Invoice Service Class - Build invoices from billable hours and keep the issued ones, numbered in sequence and synced with the rest of the user's data
+
+import Invoice from '../models/Invoice.js';
+import Project from '../models/Project.js';
+import RateCard from '../models/RateCard.js';
+
+class InvoiceService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.handleInvoicesChanged = this.handleInvoicesChanged.bind(this);
+        this.load();
+
+        // Another tab or device issued an invoice, or a backup was restored
+        document.addEventListener('data:invoicesChanged', this.handleInvoicesChanged);
+    }
+
+    /**
+     * Load the signed-in user's invoices from their data
+     * @returns {Array} - Invoice instances, in the order issued
+     */
+    load() {
+        const invoices = [];
+        this.dataService.getUserRecords('invoices').forEach(data => {
+            try {
+                invoices.push(new Invoice(data));
+            } catch (error) {
+                console.warn(`Skipping invalid invoice ${data?.number}:`, error.message);
+            }
+        });
+
+        this.invoices = invoices.sort((a, b) => Invoice.parseNumber(a.number) - Invoice.parseNumber(b.number));
+        return this.invoices;
+    }
+
+    /**
+     * Pick up invoices that didn't come from this page
+     */
+    handleInvoicesChanged() {
+        this.load();
+        this.dispatchInvoicesChanged({ fromSync: true });
+    }
+
+    /**
+     * Get the position in the sequence of the next invoice
+     * One past the highest number issued on any of the user's devices, so numbers
+     * are never reused, even if a stored invoice can't be read.
+     * @returns {number} - Sequence position, from 1
+     */
+    getNextNumber() {
+        const issued = this.dataService.getUserRecords('invoices').map(record => Invoice.parseNumber(record.number));
+        return Math.max(0, ...issued) + 1;
+    }
+
+    /**
+     * Get all invoices
+     * @returns {Array} - Invoice instances, newest first
+     */
+    getInvoices() {
+        return [...this.invoices].reverse();
+    }
+
+    /**
+     * Get an invoice by ID
+     * @param {string} id - Invoice ID
+     * @returns {Invoice|null}
+     */
+    getInvoice(id) {
+        return this.invoices.find(invoice => invoice.id === id) || null;
+    }
+
+    /**
+     * Get the entries already billed on an invoice
+     * @returns {Set} - Entry IDs
+     */
+    getInvoicedEntryIds() {
+        return new Set(this.invoices.flatMap(invoice => invoice.entryIds));
+    }
+
+    /**
+     * Get the charge code hours on a project are invoiced under
+     * @param {Object} project - Project data
+     * @returns {string} - Charge code
+     */
+    getChargeCode(project) {
+        try {
+            return new Project(project).getChargeCode();
+        } catch (error) {
+            return `${project.projectId}-${project.subCode}`;
+        }
+    }
+
+    /**
+     * Work out an invoice for a client's billable hours, without issuing it
+     * Lines are grouped by charge code and rate. Hours already invoiced are left out,
+     * and billable hours without a rate are listed so they can be priced first.
+     * @param {Object} options - { client, startDate, endDate, taxRate, notes }
+     * @returns {Object} - Draft { client, startDate, endDate, currency, currencies, taxRate, notes, lines, subtotal, tax, total, entryIds, unrated, alreadyInvoicedHours }
+     */
+    planInvoice({ client = '', startDate = '', endDate = '', taxRate = 0, notes = '' } = {}) {
+        const errors = [];
+        const clientName = client.trim();
+        const tax = parseFloat(taxRate) || 0;
+
+        if (!clientName) {
+            errors.push('Choose a client');
+        }
+        if (!startDate || !endDate) {
+            errors.push('Choose the dates to invoice');
+        } else if (endDate < startDate) {
+            errors.push('The end date cannot be before the start date');
+        }
+        if (!(tax >= 0 && tax <= 100)) {
+            errors.push('Tax rate must be between 0 and 100%');
+        }
+        if (errors.length > 0) {
+            throw new Error(`Validation failed: ${errors.join(', ')}`);
+        }
+
+        const projects = new Map(this.dataService.getProjects()
+            .filter(project => (project.client || '').trim().toLowerCase() === clientName.toLowerCase())
+            .map(project => [`${project.projectId}-${project.subCode}`, project]));
+        const invoiced = this.getInvoicedEntryIds();
+        const workLogData = this.dataService.getWorkLogData();
+        const lines = new Map();
+        const entryIds = [];
+        const unrated = [];
+        let alreadyInvoicedHours = 0;
+
+        Object.keys(workLogData).sort().forEach(dateKey => {
+            if (dateKey < startDate || dateKey > endDate) return;
+
+            workLogData[dateKey].forEach(entry => {
+                const project = projects.get(entry.project);
+                if (!project) return;
+
+                const billing = this.dataService.billing.getEntryBilling(entry, dateKey);
+                if (!billing.billable || billing.hours <= 0) return;
+
+                if (invoiced.has(entry.id)) {
+                    alreadyInvoicedHours += billing.hours;
+                    return;
+                }
+
+                const chargeCode = this.getChargeCode(project);
+                if (!billing.rateCard) {
+                    unrated.push({ date: dateKey, chargeCode, hours: billing.hours });
+                    return;
+                }
+
+                const key = `${chargeCode}|${billing.currency}|${billing.rate}`;
+                const line = lines.get(key) || {
+                    chargeCode,
+                    description: project.projectTitle,
+                    hours: 0,
+                    rate: billing.rate,
+                    currency: billing.currency
+                };
+                line.hours += billing.hours;
+                lines.set(key, line);
+                entryIds.push(entry.id);
+            });
+        });
+
+        const invoiceLines = [...lines.values()]
+            .sort((a, b) => a.chargeCode.localeCompare(b.chargeCode) || a.rate - b.rate)
+            .map(line => ({
+                ...line,
+                hours: Invoice.round(line.hours),
+                amount: Invoice.round(line.hours * line.rate)
+            }));
+        const currencies = [...new Set(invoiceLines.map(line => line.currency))];
+
+        return {
+            client: projects.size > 0 ? projects.values().next().value.client.trim() : clientName,
+            startDate,
+            endDate,
+            currency: currencies[0] || RateCard.defaultCurrency,
+            currencies,
+            taxRate: tax,
+            notes: notes.trim(),
+            lines: invoiceLines,
+            ...Invoice.calculateTotals(invoiceLines, tax),
+            entryIds,
+            unrated,
+            alreadyInvoicedHours: Invoice.round(alreadyInvoicedHours)
+        };
+    }
+
+    /**
+     * Issue a planned invoice with the next number
+     * @param {Object} draft - Draft from planInvoice
+     * @returns {Promise<Object>} - { success, message, invoice }
+     */
+    async issueInvoice(draft) {
+        if (draft.unrated.length > 0) {
+            const hours = Invoice.round(draft.unrated.reduce((sum, item) => sum + item.hours, 0));
+            throw new Error(`Validation failed: ${hours} billable ${hours === 1 ? 'hour has' : 'hours have'} no rate - add rates for ${[...new Set(draft.unrated.map(item => item.chargeCode))].join(', ')} first`);
+        }
+        if (draft.lines.length === 0) {
+            throw new Error(`Validation failed: No billable hours to invoice for ${draft.client || 'this client'} in these dates`);
+        }
+        if (draft.currencies.length > 1) {
+            throw new Error(`Validation failed: These hours are charged in ${draft.currencies.join(' and ')} - invoice each currency's dates separately`);
+        }
+
+        // Pick up invoices other devices issued since the last sync, so their numbers aren't reused
+        if (this.dataService.canUseCloud() && this.dataService.isOnline && this.dataService.syncStatus !== 'syncing') {
+            try {
+                await this.dataService.loadFromCloud();
+            } catch (error) {
+                console.error('Checking for invoices issued on other devices failed:', error);
+            }
+        }
+
+        // Another tab or device may have issued an invoice since the draft was made
+        this.load();
+        const invoiced = this.getInvoicedEntryIds();
+        if (draft.entryIds.some(id => invoiced.has(id))) {
+            throw new Error('Some of these hours have been invoiced since - build the invoice again');
+        }
+
+        const invoice = new Invoice({
+            ...draft,
+            id: `inv_${this.dataService.generateId()}`,
+            number: Invoice.formatNumber(this.getNextNumber()),
+            issuedAt: new Date().toISOString(),
+            issuedBy: this.dataService.user.getUserEmail?.() || ''
+        });
+
+        const saved = this.dataService.saveUserRecords('invoices', [invoice.toJSON()]);
+        this.load();
+        this.dispatchInvoicesChanged();
+        await saved;
+
+        return {
+            success: true,
+            message: `Issued invoice ${invoice.number} for ${invoice.client} (${RateCard.formatMoney(invoice.total, invoice.currency)})`,
+            invoice
+        };
+    }
+
+    /**
+     * Add invoices from a backup that aren't here yet
+     * Issued invoices are never replaced or removed, whatever the restore strategy.
+     * @param {Array} invoiceList - Invoice data
+     * @returns {Promise<number>} - Invoices added
+     */
+    async importInvoices(invoiceList = []) {
+        const known = new Set(this.dataService.getUserRecords('invoices').map(record => record.id));
+        const added = [];
+
+        invoiceList.forEach(data => {
+            if (!data?.id || known.has(data.id)) return;
+            try {
+                added.push(new Invoice(data));
+            } catch (error) {
+                console.warn(`Skipping invalid invoice ${data.number}:`, error.message);
+            }
+        });
+
+        if (added.length === 0) return 0;
+
+        const saved = this.dataService.saveUserRecords('invoices', added.map(invoice => invoice.toJSON()));
+        this.load();
+        this.dispatchInvoicesChanged();
+        await saved;
+        return added.length;
+    }
+
+    /**
+     * Tell the UI the invoices changed
+     * @param {Object} detail - Event detail
+     */
+    dispatchInvoicesChanged(detail = {}) {
+        document.dispatchEvent(new CustomEvent('invoices:changed', {
+            detail: { ...detail, count: this.invoices.length }
+        }));
+    }
+
+    /**
+     * Stop listening for synced changes
+     */
+    destroy() {
+        document.removeEventListener('data:invoicesChanged', this.handleInvoicesChanged);
+    }
+}
+
+export default InvoiceService;
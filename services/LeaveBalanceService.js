@@ -0,0 +1,333 @@
+// services/LeaveBalanceService.js
+// Leave Balance Service Class - Each user's leave entitlements, synced with the rest of their data, and the balances left on them
+
+import EntryType from '../models/EntryType.js';
+import LeaveEntitlement from '../models/LeaveEntitlement.js';
+
+class LeaveBalanceService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.handleSettingsChanged = this.handleSettingsChanged.bind(this);
+        this.load();
+
+        // Another tab or device changed the entitlements, or a backup was restored
+        document.addEventListener('data:settingsChanged', this.handleSettingsChanged);
+    }
+
+    /**
+     * Load the signed-in user's entitlements from their settings
+     * @returns {Array} - LeaveEntitlement instances, in display order
+     */
+    load() {
+        const saved = this.dataService.getSetting('leaveEntitlements');
+
+        const entitlements = [];
+        (Array.isArray(saved) ? saved : LeaveEntitlement.defaults).forEach(data => {
+            try {
+                entitlements.push(new LeaveEntitlement(data));
+            } catch (error) {
+                console.warn(`Skipping invalid leave entitlement ${data?.id}:`, error.message);
+            }
+        });
+
+        this.entitlements = entitlements;
+        return entitlements;
+    }
+
+    /**
+     * Save the entitlements with the user's data and tell listeners
+     */
+    persist() {
+        this.dataService.saveSetting('leaveEntitlements', this.entitlements.map(entitlement => entitlement.toJSON()));
+        this.dispatchEntitlementsChanged();
+    }
+
+    /**
+     * Pick up entitlement changes that didn't come from this page
+     * @param {CustomEvent} event - data:settingsChanged event
+     */
+    handleSettingsChanged(event) {
+        if (!event.detail?.ids?.includes('leaveEntitlements')) return;
+
+        this.load();
+        this.dispatchEntitlementsChanged({ fromSync: true });
+    }
+
+    /**
+     * Get all entitlements
+     * @returns {Array} - LeaveEntitlement instances, in display order
+     */
+    getEntitlements() {
+        return [...this.entitlements];
+    }
+
+    /**
+     * Get an entitlement by ID
+     * @param {string} id - Entitlement ID
+     * @returns {LeaveEntitlement|null}
+     */
+    getEntitlement(id) {
+        return this.entitlements.find(entitlement => entitlement.id === id) || null;
+    }
+
+    /**
+     * Get the entitlement entries of a type draw on
+     * @param {string} typeId - Entry type ID
+     * @returns {LeaveEntitlement|null}
+     */
+    getEntitlementForType(typeId) {
+        return this.entitlements.find(entitlement => entitlement.coversType(typeId)) || null;
+    }
+
+    /**
+     * Add an entitlement or change an existing one
+     * @param {Object} entitlementData - Entitlement fields; without an id a new entitlement is created
+     * @returns {Object} - { success, message, entitlement }
+     */
+    saveEntitlement(entitlementData) {
+        const existing = entitlementData.id ? this.getEntitlement(entitlementData.id) : null;
+        if (entitlementData.id && !existing) {
+            throw new Error('Leave entitlement not found');
+        }
+
+        const label = (entitlementData.label || '').trim();
+        if (this.entitlements.some(entitlement => entitlement !== existing && entitlement.label.toLowerCase() === label.toLowerCase())) {
+            throw new Error(`A leave entitlement called "${label}" already exists`);
+        }
+
+        // Each leave type draws on one allowance at most
+        (entitlementData.types || []).forEach(typeId => {
+            const other = this.entitlements.find(entitlement => entitlement !== existing && entitlement.coversType(typeId));
+            if (other) {
+                throw new Error(`${EntryType.resolve(typeId).label} already draws on ${other.label}`);
+            }
+        });
+
+        const entitlement = new LeaveEntitlement({
+            ...(existing ? existing.toJSON() : {}),
+            ...entitlementData,
+            id: existing ? existing.id : this.generateId(label)
+        });
+
+        this.entitlements = existing
+            ? this.entitlements.map(current => current === existing ? entitlement : current)
+            : [...this.entitlements, entitlement];
+        this.persist();
+
+        return { success: true, message: `${existing ? 'Updated' : 'Added'} leave entitlement ${entitlement.label}`, entitlement };
+    }
+
+    /**
+     * Remove an entitlement
+     * Entries are kept; their type just stops drawing on an allowance.
+     * @param {string} id - Entitlement ID
+     * @returns {Object} - { success, message }
+     */
+    deleteEntitlement(id) {
+        const entitlement = this.getEntitlement(id);
+        if (!entitlement) {
+            throw new Error('Leave entitlement not found');
+        }
+
+        this.entitlements = this.entitlements.filter(current => current !== entitlement);
+        this.persist();
+
+        return { success: true, message: `Removed leave entitlement ${entitlement.label}` };
+    }
+
+    /**
+     * Get the days an entry takes from its allowance
+     * @param {Object} entry - Entry data
+     * @returns {number} - 1 for a full day, 0.5 for a half day
+     */
+    getDayValue(entry) {
+        return EntryType.get(entry.type)?.isHalfDay() ? 0.5 : 1;
+    }
+
+    /**
+     * Get the days taken from an allowance between two dates
+     * @param {LeaveEntitlement} entitlement - Entitlement
+     * @param {string} startDate - First day (YYYY-MM-DD, inclusive)
+     * @param {string} endDate - Last day (YYYY-MM-DD, inclusive)
+     * @param {Array} excludeIds - Entries to leave out, such as one being edited
+     * @returns {number} - Days
+     */
+    getDaysTaken(entitlement, startDate, endDate, excludeIds = []) {
+        const workLogData = this.dataService.getWorkLogData();
+        let days = 0;
+
+        Object.keys(workLogData).forEach(dateKey => {
+            if (dateKey < startDate || dateKey > endDate) return;
+
+            workLogData[dateKey].forEach(entry => {
+                if (entitlement.coversType(entry.type) && !excludeIds.includes(entry.id)) {
+                    days += this.getDayValue(entry);
+                }
+            });
+        });
+
+        return days;
+    }
+
+    /**
+     * Get the days carried into a leave year
+     * Unused days carry over up to the cap; an overdrawn year carries its deficit forward.
+     * The first leave year with any of the entitlement's entries starts from nothing.
+     * @param {LeaveEntitlement} entitlement - Entitlement
+     * @param {string} yearStart - First day of the leave year (YYYY-MM-DD)
+     * @param {Array} excludeIds - Entries to leave out
+     * @returns {number} - Days, negative for a deficit
+     */
+    getCarriedOver(entitlement, yearStart, excludeIds = []) {
+        const earliest = this.getEarliestDate(entitlement);
+        if (!earliest || earliest >= yearStart) return 0;
+
+        const previousEnd = LeaveEntitlement.shiftDate(yearStart, -1);
+        const previousStart = entitlement.getYearStart(previousEnd);
+        const remaining = this.getCarriedOver(entitlement, previousStart, excludeIds) +
+            entitlement.daysPerYear - this.getDaysTaken(entitlement, previousStart, previousEnd, excludeIds);
+
+        return Math.min(remaining, entitlement.carryOverMax);
+    }
+
+    /**
+     * Get the first date an entitlement's leave was taken
+     * @param {LeaveEntitlement} entitlement - Entitlement
+     * @returns {string|null} - Date key
+     */
+    getEarliestDate(entitlement) {
+        const workLogData = this.dataService.getWorkLogData();
+        return Object.keys(workLogData).sort().find(dateKey =>
+            workLogData[dateKey].some(entry => entitlement.coversType(entry.type))
+        ) || null;
+    }
+
+    /**
+     * Get the balance of an allowance in the leave year containing a date
+     * Leave booked later in the year is already taken off what is available.
+     * @param {string} id - Entitlement ID
+     * @param {string} asOf - Date key, defaults to today
+     * @param {Object} options - Optional { excludeIds, extraDays } to preview a change
+     * @returns {Object|null} - { entitlement, yearStart, yearEnd, carriedOver, accrued, taken, available }
+     */
+    getBalance(id, asOf = new Date().toISOString().split('T')[0], { excludeIds = [], extraDays = 0 } = {}) {
+        const entitlement = this.getEntitlement(id);
+        if (!entitlement) return null;
+
+        const yearStart = entitlement.getYearStart(asOf);
+        const yearEnd = entitlement.getYearEnd(yearStart);
+        const carriedOver = this.getCarriedOver(entitlement, yearStart, excludeIds);
+        const accrued = entitlement.getAccrued(yearStart, asOf);
+        const taken = this.getDaysTaken(entitlement, yearStart, yearEnd, excludeIds) + extraDays;
+
+        return {
+            entitlement,
+            yearStart,
+            yearEnd,
+            carriedOver: this.round(carriedOver),
+            accrued,
+            taken: this.round(taken),
+            available: this.round(carriedOver + accrued - taken)
+        };
+    }
+
+    /**
+     * Get the balance of every allowance
+     * @param {string} asOf - Date key, defaults to today
+     * @returns {Array} - Balances, in display order
+     */
+    getBalances(asOf = new Date().toISOString().split('T')[0]) {
+        return this.entitlements.map(entitlement => this.getBalance(entitlement.id, asOf));
+    }
+
+    /**
+     * Preview the balance after taking leave on some dates
+     * Dates may fall in different leave years; the lowest balance is returned.
+     * @param {string} typeId - Entry type of the leave
+     * @param {Array} dateKeys - Days the leave is taken
+     * @param {Array} excludeIds - Entries the leave replaces, such as one being edited
+     * @returns {Object|null} - Balance, or null if the type draws on no allowance
+     */
+    previewLeave(typeId, dateKeys, excludeIds = []) {
+        const entitlement = this.getEntitlementForType(typeId);
+        if (!entitlement || dateKeys.length === 0) return null;
+
+        const dayValue = this.getDayValue({ type: typeId });
+        const daysByYear = {};
+        dateKeys.forEach(dateKey => {
+            const yearStart = entitlement.getYearStart(dateKey);
+            daysByYear[yearStart] = (daysByYear[yearStart] || 0) + dayValue;
+        });
+
+        // Monthly allowances are judged on what has accrued by the last leave day of each year
+        return Object.entries(daysByYear)
+            .map(([yearStart, days]) => {
+                const lastDay = dateKeys.filter(dateKey => entitlement.getYearStart(dateKey) === yearStart).sort().pop();
+                return this.getBalance(entitlement.id, lastDay, { excludeIds, extraDays: days });
+            })
+            .sort((a, b) => a.available - b.available)[0];
+    }
+
+    /**
+     * Describe what is left of an allowance
+     * @param {Object} balance - Balance from getBalance or previewLeave
+     * @returns {string} - e.g. "Annual Leave: 12.5 days left" or "Annual Leave: 2 days over the allowance"
+     */
+    describeBalance(balance) {
+        const days = Math.abs(balance.available);
+        return balance.available < 0
+            ? `${balance.entitlement.label}: ${days} ${days === 1 ? 'day' : 'days'} over the allowance`
+            : `${balance.entitlement.label}: ${days} ${days === 1 ? 'day' : 'days'} left`;
+    }
+
+    /**
+     * Make an entitlement ID from a label
+     * @param {string} label - Entitlement label
+     * @returns {string} - Unused ID, e.g. 'parentalLeave'
+     */
+    generateId(label) {
+        const words = label.replace(/[^a-zA-Z0-9 ]/g, ' ').trim().split(/\s+/).filter(Boolean);
+        let base = words.map((word, index) => index === 0
+            ? word.toLowerCase()
+            : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()
+        ).join('').slice(0, 24);
+
+        if (!/^[a-zA-Z]/.test(base)) {
+            base = `leave${base}`;
+        }
+
+        let id = base;
+        for (let suffix = 2; this.getEntitlement(id); suffix++) {
+            id = `${base}${suffix}`;
+        }
+        return id;
+    }
+
+    /**
+     * Round days to two decimals
+     * @param {number} days - Days
+     * @returns {number} - Rounded days
+     */
+    round(days) {
+        return parseFloat(days.toFixed(2));
+    }
+
+    /**
+     * Tell the UI the entitlements changed
+     * @param {Object} detail - Event detail
+     */
+    dispatchEntitlementsChanged(detail = {}) {
+        document.dispatchEvent(new CustomEvent('leaveEntitlements:changed', {
+            detail: { ...detail, entitlements: this.entitlements.map(entitlement => entitlement.toJSON()) }
+        }));
+    }
+
+    /**
+     * Stop listening for synced changes
+     */
+    destroy() {
+        document.removeEventListener('data:settingsChanged', this.handleSettingsChanged);
+    }
+}
+
+export default LeaveBalanceService;
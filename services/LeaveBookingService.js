@@ -0,0 +1,168 @@
+// services/LeaveBookingService.js
+// Leave Booking Service Class - Creates, edits and cancels multi-day leave as one booking
+
+import LeaveBooking from '../models/LeaveBooking.js';
+import EntryType from '../models/EntryType.js';
+import WorkEntry from '../models/WorkEntry.js';
+import WorkSchedule from '../models/WorkSchedule.js';
+
+class LeaveBookingService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        // Fields every day of the booking copies
+        this.templateFields = ['type', 'halfDayPeriod', 'comments', 'tags'];
+    }
+
+    /**
+     * Get a booking
+     * Bookings are stored as entries sharing a seriesId, like recurring series.
+     * @param {string} bookingId - Booking ID
+     * @returns {Object|null} - { bookingId, booking, entries }, entries carrying their date, or null if none are left
+     */
+    getBooking(bookingId) {
+        const entries = this.dataService.flattenWorkLog(this.dataService.workLogData)
+            .filter(entry => entry.seriesId === bookingId && entry.booking)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        if (entries.length === 0) return null;
+
+        return {
+            bookingId,
+            booking: new LeaveBooking(entries[entries.length - 1].booking),
+            entries
+        };
+    }
+
+    /**
+     * Work out the days a booking covers and what they clash with, without saving anything
+     * When planning an edit, days edited on their own keep their data.
+     * @param {Object} entryData - Entry fields every day gets (type, halfDayPeriod, comments, tags)
+     * @param {Object} bookingData - { startDate, endDate, skipWeekends, skipHolidays }
+     * @param {string|null} bookingId - Booking being edited, or null for a new one
+     * @returns {Object} - { bookingId, booking, occurrences, removed, skipped, conflicts }
+     */
+    planBooking(entryData, bookingData, bookingId = null) {
+        const type = EntryType.get(entryData.type);
+        if (!type || type.isHourly()) {
+            throw new Error('Choose a full or half day leave type');
+        }
+
+        const booking = new LeaveBooking(bookingData);
+        const id = bookingId || this.dataService.generateId();
+        const existing = bookingId ? (this.getBooking(bookingId)?.entries || []) : [];
+        const template = Object.fromEntries(this.templateFields.map(field => [field, entryData[field]]));
+        const { dates, skipped } = booking.getDates(date => this.isHoliday(date, id));
+
+        const conflicts = [];
+        const occurrences = dates.map(date => {
+            const current = existing.find(entry => entry.date === date);
+
+            if (current?.seriesException) {
+                return { ...current, booking: booking.toJSON() };
+            }
+
+            const occurrence = {
+                ...(current || { id: this.dataService.generateId() }),
+                ...template,
+                seriesId: id,
+                booking: booking.toJSON(),
+                date
+            };
+
+            // Same rules as entries typed into the form
+            const entry = new WorkEntry(occurrence);
+            const clashes = this.findConflicts(entry, id);
+            if (clashes.length > 0) {
+                conflicts.push({ date, entries: clashes });
+            }
+            return occurrence;
+        });
+
+        return {
+            bookingId: id,
+            booking,
+            occurrences,
+            removed: existing.filter(entry => !dates.includes(entry.date)),
+            skipped,
+            conflicts
+        };
+    }
+
+    /**
+     * Save a planned booking
+     * Days that clash with other entries are left out.
+     * @param {Object} plan - Plan from planBooking
+     * @param {boolean} isNew - Whether the booking is being created
+     * @returns {Promise<Object>} - { success, message, bookingId, count }
+     */
+    async saveBooking(plan, isNew = true) {
+        const conflictDates = new Set(plan.conflicts.map(conflict => conflict.date));
+        const occurrences = plan.occurrences.filter(occurrence => !conflictDates.has(occurrence.date));
+
+        if (occurrences.length === 0) {
+            throw new Error('This booking has no free days to book');
+        }
+
+        await this.dataService.setSeriesEntries(plan.bookingId, occurrences, isNew ? 'add' : 'update');
+
+        const count = occurrences.length;
+        return {
+            success: true,
+            message: `${isNew ? 'Booked' : 'Updated booking:'} ${count} ${count === 1 ? 'day' : 'days'} of leave (${plan.booking.describe()})`,
+            bookingId: plan.bookingId,
+            count
+        };
+    }
+
+    /**
+     * Move every day of a booking to the trash
+     * @param {string} bookingId - Booking ID
+     * @returns {Promise<Object>} - { success, message, count }
+     */
+    async cancelBooking(bookingId) {
+        const booking = this.getBooking(bookingId);
+        if (!booking) {
+            throw new Error('Booking not found');
+        }
+
+        await this.dataService.setSeriesEntries(bookingId, [], 'delete');
+
+        const count = booking.entries.length;
+        return { success: true, message: `Cancelled ${count} ${count === 1 ? 'day' : 'days'} of leave (${booking.booking.describe()})`, count };
+    }
+
+    /**
+     * Check if a date is already a holiday, from a followed calendar or a holiday entry
+     * @param {string} dateKey - Date key
+     * @param {string} bookingId - Booking whose own entries are ignored
+     * @returns {boolean}
+     */
+    isHoliday(dateKey, bookingId) {
+        return this.dataService.holidays.isHoliday(dateKey) || this.dataService.getEntriesForDate(dateKey).some(entry =>
+            entry.seriesId !== bookingId && EntryType.get(entry.type)?.category === 'holiday'
+        );
+    }
+
+    /**
+     * Find entries a day of leave would clash with
+     * @param {WorkEntry} entry - Day of leave
+     * @param {string} bookingId - Booking whose own entries are ignored
+     * @returns {Array} - Display names of the clashing entries
+     */
+    findConflicts(entry, bookingId) {
+        const others = this.dataService.getEntriesForDate(entry.date).filter(other => other.seriesId !== bookingId);
+        let clashes = others.filter(other => entry.conflictsWith({ ...other, date: entry.date }));
+
+        // Half days also have to fit the daily limit
+        const totalHours = others.reduce((sum, other) => sum + EntryType.getEntryHours(other, entry.date), entry.getHours());
+        if (clashes.length === 0 && totalHours > WorkSchedule.current.getDailyLimit()) {
+            clashes = others;
+        }
+
+        return clashes.map(other => other.type === 'work' && other.project
+            ? `${EntryType.resolve(other.type).label} - ${other.project}`
+            : EntryType.resolve(other.type).label);
+    }
+}
+
+export default LeaveBookingService;
@@ -0,0 +1,197 @@
+// services/MergeService.js
+// Merge Service Class - Three-way merge of local and cloud records with conflict detection
+
+class MergeService {
+    constructor() {
+        // Bookkeeping fields that never take part in field-level merging
+        this.metaFields = ['id', 'timestamp', 'revision', 'userId', 'syncedAt', 'updatedAt', 'schemaVersion'];
+    }
+
+    /**
+     * Merge local and remote records using the last synced copy as common ancestor
+     * @param {Array} localRecords - Records held on this device
+     * @param {Array} remoteRecords - Records loaded from the cloud
+     * @param {Object} baseRecords - Last synced copy of each record, keyed by ID
+     * @param {Object} options - Merge options
+     * @param {string} options.changedAtField - Field holding the last change time
+     * @param {boolean} options.reportConflicts - Report overlapping edits instead of keeping the newest
+     * @returns {Object} - { records, conflicts, needsUpload }
+     */
+    mergeRecords(localRecords, remoteRecords, baseRecords = {}, options = {}) {
+        const { changedAtField = 'timestamp', reportConflicts = true } = options;
+
+        const localById = new Map(localRecords.map(record => [record.id, record]));
+        const remoteById = new Map(remoteRecords.map(record => [record.id, record]));
+        const allIds = new Set([...localById.keys(), ...remoteById.keys()]);
+
+        const records = [];
+        const conflicts = [];
+        const needsUpload = [];
+
+        allIds.forEach(id => {
+            const local = localById.get(id);
+            const remote = remoteById.get(id);
+            const base = baseRecords[id];
+
+            // Only on this device
+            if (local && !remote) {
+                // Deleted elsewhere - keep it only if edited here since the last sync
+                if (base && !this.hasChanged(local, base)) return;
+                records.push(local);
+                needsUpload.push(id);
+                return;
+            }
+
+            // Only in the cloud
+            if (remote && !local) {
+                // Deleted here - bring it back only if edited elsewhere since the last sync
+                if (base && !this.hasChanged(remote, base)) return;
+                records.push(remote);
+                return;
+            }
+
+            const result = this.mergeRecord(local, remote, base, { changedAtField, reportConflicts });
+            records.push(result.record);
+
+            if (result.conflict) {
+                conflicts.push(result.conflict);
+            }
+            if (result.needsUpload) {
+                needsUpload.push(id);
+            }
+        });
+
+        return { records, conflicts, needsUpload };
+    }
+
+    /**
+     * Merge a single record present on both sides
+     * @param {Object} local - Local version
+     * @param {Object} remote - Cloud version
+     * @param {Object|undefined} base - Last synced version
+     * @param {Object} options - Merge options
+     * @returns {Object} - { record, conflict, needsUpload }
+     */
+    mergeRecord(local, remote, base, options = {}) {
+        const { changedAtField = 'timestamp', reportConflicts = true } = options;
+
+        if (this.sameContent(local, remote)) {
+            return { record: remote, conflict: null, needsUpload: false };
+        }
+
+        // Never synced from this device - fall back to the most recent change
+        if (!base) {
+            const localIsNewer = (local[changedAtField] || '') > (remote[changedAtField] || '');
+            return { record: localIsNewer ? local : remote, conflict: null, needsUpload: localIsNewer };
+        }
+
+        const localChanged = this.hasChanged(local, base);
+        const remoteChanged = this.hasChanged(remote, base);
+
+        if (!localChanged) {
+            return { record: remote, conflict: null, needsUpload: false };
+        }
+        if (!remoteChanged) {
+            return { record: local, conflict: null, needsUpload: true };
+        }
+
+        // Edited on both devices - merge field by field
+        const merged = { ...remote };
+        const conflictingFields = [];
+
+        this.getContentFields(local, remote, base).forEach(field => {
+            const localFieldChanged = !this.sameValue(local[field], base[field]);
+            const remoteFieldChanged = !this.sameValue(remote[field], base[field]);
+
+            if (localFieldChanged && !remoteFieldChanged) {
+                merged[field] = local[field];
+            } else if (field === 'deletedAt' && local[field] && remote[field]) {
+                // Moved to the trash on both devices - not worth asking about
+                merged[field] = local[field] < remote[field] ? local[field] : remote[field];
+            } else if (localFieldChanged && remoteFieldChanged && !this.sameValue(local[field], remote[field])) {
+                conflictingFields.push(field);
+                // Keep this device's value until the user decides
+                merged[field] = local[field];
+            }
+        });
+
+        merged.revision = Math.max(local.revision || 0, remote.revision || 0) + 1;
+        merged[changedAtField] = new Date().toISOString();
+
+        if (conflictingFields.length === 0) {
+            return { record: merged, conflict: null, needsUpload: true };
+        }
+
+        if (!reportConflicts) {
+            const localIsNewer = (local[changedAtField] || '') > (remote[changedAtField] || '');
+            conflictingFields.forEach(field => {
+                merged[field] = localIsNewer ? local[field] : remote[field];
+            });
+            return { record: merged, conflict: null, needsUpload: true };
+        }
+
+        return {
+            record: merged,
+            conflict: {
+                id: local.id,
+                fields: conflictingFields,
+                local,
+                remote,
+                base,
+                detectedAt: new Date().toISOString()
+            },
+            needsUpload: false
+        };
+    }
+
+    /**
+     * Check if a record differs from its last synced version
+     * @param {Object} record - Record to check
+     * @param {Object} base - Last synced version
+     * @returns {boolean} - Whether the record changed
+     */
+    hasChanged(record, base) {
+        if ((record.revision || 0) !== (base.revision || 0)) return true;
+        return !this.sameContent(record, base);
+    }
+
+    /**
+     * Compare two records ignoring bookkeeping fields
+     * @param {Object} a - First record
+     * @param {Object} b - Second record
+     * @returns {boolean} - Whether content is identical
+     */
+    sameContent(a, b) {
+        return this.getContentFields(a, b).every(field => this.sameValue(a[field], b[field]));
+    }
+
+    /**
+     * Compare two field values
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} - Whether values are equal
+     */
+    sameValue(a, b) {
+        const normalize = value => (value === undefined || value === null ? '' : value);
+        return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+    }
+
+    /**
+     * Get mergeable field names across records
+     * @param {...Object} records - Records to inspect
+     * @returns {Array} - Field names
+     */
+    getContentFields(...records) {
+        const fields = new Set();
+        records.forEach(record => {
+            Object.keys(record || {}).forEach(field => {
+                if (!this.metaFields.includes(field)) {
+                    fields.add(field);
+                }
+            });
+        });
+        return Array.from(fields);
+    }
+}
+
+export default MergeService;
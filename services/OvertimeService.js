@@ -0,0 +1,115 @@
+// services/OvertimeService.js
+// Overtime Service Class - Overtime accrued beyond the work schedule and time off in lieu (TOIL) taken against it
+
+import EntryType from '../models/EntryType.js';
+
+class OvertimeService {
+    constructor(dataService) {
+        this.dataService = dataService;
+    }
+
+    /**
+     * Get the overtime worked on a day
+     * Work beyond the hours the schedule expects is overtime; leave on the same day
+     * counts towards the expected hours first. Every hour worked on a day off or a
+     * followed public holiday is overtime.
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {Array} entries - Entries for the day, defaults to the saved ones
+     * @returns {number} - Hours
+     */
+    getDayOvertime(dateKey, entries = this.dataService.getEntriesForDate(dateKey)) {
+        let workHours = 0;
+        let totalHours = 0;
+
+        entries.forEach(entry => {
+            const hours = EntryType.getEntryHours(entry, dateKey);
+            totalHours += hours;
+            if (EntryType.get(entry.type)?.category === 'work') {
+                workHours += hours;
+            }
+        });
+
+        return this.round(Math.max(0, Math.min(workHours, totalHours - this.dataService.holidays.getExpectedHours(dateKey))));
+    }
+
+    /**
+     * Get the TOIL hours an entry takes from the balance
+     * A day of comp-off uses the hours that day would have been worked, so days off
+     * and followed public holidays use nothing.
+     * @param {Object} entry - Entry data
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {number} - Hours, 0 for types not taken from the balance
+     */
+    getToilUsed(entry, dateKey = entry.date) {
+        const type = EntryType.get(entry.type);
+        if (!type?.usesToil) return 0;
+
+        const dayHours = this.dataService.holidays.getExpectedHours(dateKey);
+        return type.isHalfDay() ? dayHours / 2 : dayHours;
+    }
+
+    /**
+     * Summarise overtime and TOIL over a date range
+     * The balance carries over everything logged before the range.
+     * @param {Object} range - Optional { startDate, endDate } (YYYY-MM-DD, inclusive)
+     * @returns {Object} - { openingBalance, accrued, used, balance, days: [{ date, hours, reasons }] }
+     */
+    getSummary({ startDate = null, endDate = null } = {}) {
+        const workLogData = this.dataService.getWorkLogData();
+        let openingBalance = 0;
+        let accrued = 0;
+        let used = 0;
+        const days = [];
+
+        Object.keys(workLogData).sort().forEach(dateKey => {
+            if (endDate && dateKey > endDate) return;
+
+            const entries = workLogData[dateKey];
+            const overtime = this.getDayOvertime(dateKey, entries);
+            const toilUsed = entries.reduce((sum, entry) => sum + this.getToilUsed(entry, dateKey), 0);
+
+            if (startDate && dateKey < startDate) {
+                openingBalance += overtime - toilUsed;
+                return;
+            }
+
+            accrued += overtime;
+            used += toilUsed;
+            if (overtime > 0) {
+                days.push({
+                    date: dateKey,
+                    hours: overtime,
+                    reasons: entries.map(entry => entry.overtimeReason).filter(Boolean)
+                });
+            }
+        });
+
+        return {
+            openingBalance: this.round(openingBalance),
+            accrued: this.round(accrued),
+            used: this.round(used),
+            balance: this.round(openingBalance + accrued - used),
+            days
+        };
+    }
+
+    /**
+     * Get the TOIL balance
+     * @param {string|null} endDate - Balance at the end of this date (YYYY-MM-DD), or with everything logged
+     * @returns {number} - Hours, negative when more comp-off was taken than earned
+     */
+    getBalance(endDate = null) {
+        return this.getSummary({ endDate }).balance;
+    }
+
+    /**
+     * Round hours to two decimals
+     * @param {number} hours - Hours
+     * @returns {number} - Rounded hours
+     */
+    round(hours) {
+        return parseFloat(hours.toFixed(2));
+    }
+}
+
+export default OvertimeService;
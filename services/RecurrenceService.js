@@ -0,0 +1,123 @@
+// services/RecurrenceService.js
+// Recurrence Service Class - Creates and edits series of entries generated from a recurrence rule
+
+import RecurrenceRule from '../models/RecurrenceRule.js';
+import WorkEntry from '../models/WorkEntry.js';
+
+class RecurrenceService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        // Fields every occurrence copies from the series
+        this.templateFields = ['type', 'project', 'billable', 'hours', 'halfDayPeriod', 'startTime', 'endTime', 'breakMinutes', 'comments', 'overtimeReason', 'tags'];
+    }
+
+    /**
+     * Get a series
+     * @param {string} seriesId - Series ID
+     * @returns {Object|null} - { seriesId, rule, entries }, entries carrying their date, or null if none are left
+     */
+    getSeries(seriesId) {
+        const entries = this.dataService.flattenWorkLog(this.dataService.workLogData)
+            .filter(entry => entry.seriesId === seriesId)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        if (entries.length === 0) return null;
+
+        return {
+            seriesId,
+            rule: new RecurrenceRule(entries[entries.length - 1].recurrence || {}),
+            entries
+        };
+    }
+
+    /**
+     * Work out the occurrences a rule produces, without saving anything
+     * When planning an edit, occurrences edited on their own keep their data and
+     * occurrences moved to the trash are not brought back.
+     * @param {Object} entryData - Entry fields every occurrence gets
+     * @param {Object} ruleData - Recurrence rule data
+     * @param {string|null} seriesId - Series being edited, or null for a new one
+     * @returns {Object} - { seriesId, rule, occurrences, removed, skipped }
+     */
+    planSeries(entryData, ruleData, seriesId = null) {
+        const rule = new RecurrenceRule(ruleData);
+        const id = seriesId || this.dataService.generateId();
+        const existing = seriesId ? (this.getSeries(seriesId)?.entries || []) : [];
+        const deletedDates = new Set(this.dataService.trash.entries
+            .filter(entry => seriesId && entry.seriesId === seriesId)
+            .map(entry => entry.date));
+        const template = Object.fromEntries(this.templateFields.map(field => [field, entryData[field]]));
+
+        const dates = rule.getOccurrences();
+        const occurrences = dates
+            .filter(date => !deletedDates.has(date) || existing.some(entry => entry.date === date))
+            .map(date => {
+                const current = existing.find(entry => entry.date === date);
+
+                if (current?.seriesException) {
+                    return { ...current, recurrence: rule.toJSON() };
+                }
+
+                const occurrence = {
+                    ...(current || { id: this.dataService.generateId() }),
+                    ...template,
+                    seriesId: id,
+                    recurrence: rule.toJSON(),
+                    date
+                };
+
+                // Same rules as entries typed into the form
+                new WorkEntry(occurrence);
+                return occurrence;
+            });
+
+        return {
+            seriesId: id,
+            rule,
+            occurrences,
+            removed: existing.filter(entry => !dates.includes(entry.date)),
+            skipped: dates.filter(date => deletedDates.has(date) && !existing.some(entry => entry.date === date))
+        };
+    }
+
+    /**
+     * Save a planned series
+     * @param {Object} plan - Plan from planSeries, optionally with occurrences left out
+     * @param {boolean} isNew - Whether the series is being created
+     * @returns {Promise<Object>} - { success, message, seriesId, count }
+     */
+    async saveSeries(plan, isNew = true) {
+        if (plan.occurrences.length === 0) {
+            throw new Error('This repeat rule produces no entries');
+        }
+
+        await this.dataService.setSeriesEntries(plan.seriesId, plan.occurrences, isNew ? 'add' : 'update');
+
+        const count = plan.occurrences.length;
+        return {
+            success: true,
+            message: `${isNew ? 'Created' : 'Updated'} ${count} repeating ${count === 1 ? 'entry' : 'entries'} (${plan.rule.describe()})`,
+            seriesId: plan.seriesId,
+            count
+        };
+    }
+
+    /**
+     * Move every occurrence of a series to the trash
+     * @param {string} seriesId - Series ID
+     * @returns {Promise<Object>} - { success, message, count }
+     */
+    async deleteSeries(seriesId) {
+        const series = this.getSeries(seriesId);
+        if (!series) {
+            throw new Error('Series not found');
+        }
+
+        await this.dataService.setSeriesEntries(seriesId, [], 'delete');
+
+        const count = series.entries.length;
+        return { success: true, message: `Moved ${count} repeating ${count === 1 ? 'entry' : 'entries'} to the trash`, count };
+    }
+}
+
+export default RecurrenceService;
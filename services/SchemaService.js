@@ -0,0 +1,217 @@
+// services/SchemaService.js
+// Schema Service Class - Data version registry and migrations for stored, synced and imported records
+
+class SchemaService {
+    constructor() {
+        // Each version lists what changed and how to upgrade a record from the version before it.
+        // Migrations only fill in or normalise fields, so running one twice is harmless.
+        this.versions = [
+            {
+                version: '1.0',
+                description: 'Original format: entries grouped by date, projects in a list'
+            },
+            {
+                version: '2.0',
+                description: 'Every entry and project has an ID and timestamps; projects have usage and status',
+                migrateEntry: entry => ({
+                    ...entry,
+                    id: entry.id || this.generateId(),
+                    timestamp: entry.timestamp || new Date().toISOString()
+                }),
+                migrateProject: project => ({
+                    ...project,
+                    id: project.id || `proj_${this.generateId()}`,
+                    isActive: project.isActive !== undefined ? project.isActive : true,
+                    usageCount: project.usageCount || 0,
+                    createdAt: project.createdAt || new Date().toISOString(),
+                    updatedAt: project.updatedAt || project.createdAt || new Date().toISOString()
+                })
+            },
+            {
+                version: '2.1',
+                description: 'Entries and projects record their owner; projects have a colour',
+                migrateEntry: (entry, context) => ({
+                    ...entry,
+                    userId: entry.userId || context.userId || ''
+                }),
+                migrateProject: (project, context) => ({
+                    ...project,
+                    color: project.color || this.getDefaultColor(project.projectId),
+                    userId: project.userId || context.userId || ''
+                })
+            },
+            {
+                version: '3.0',
+                description: 'Entries carry a revision counter used to merge edits from several devices',
+                migrateEntry: entry => ({
+                    ...entry,
+                    revision: parseInt(entry.revision, 10) || 1
+                })
+            }
+        ];
+
+        // Records saved before versions were stamped on them could be from any older release
+        this.unstampedVersion = '1.0';
+    }
+
+    /**
+     * Get the version this app writes
+     * @returns {string} - Schema version
+     */
+    getCurrentVersion() {
+        return this.versions[this.versions.length - 1].version;
+    }
+
+    /**
+     * Get the registered versions
+     * @returns {Array} - { version, description }
+     */
+    getVersions() {
+        return this.versions.map(({ version, description }) => ({ version, description }));
+    }
+
+    /**
+     * Upgrade records to the current version
+     * @param {string} collection - 'entries' or 'projects'
+     * @param {Array} records - Records
+     * @param {Object} options - { fromVersion: version of unstamped records, userId }
+     * @returns {Object} - { records, migrated: number of records that were upgraded }
+     */
+    migrateRecords(collection, records, options = {}) {
+        const { fromVersion = this.unstampedVersion, ...context } = options;
+        let migrated = 0;
+
+        const upgraded = records.map(record => {
+            const recordVersion = record.schemaVersion || fromVersion;
+            if (this.compareVersions(recordVersion, this.getCurrentVersion()) === 0 && record.schemaVersion) {
+                return record;
+            }
+
+            migrated++;
+            return this.migrateRecord(collection, record, recordVersion, context);
+        });
+
+        return { records: upgraded, migrated };
+    }
+
+    /**
+     * Upgrade one record to the current version
+     * @param {string} collection - 'entries' or 'projects'
+     * @param {Object} record - Record
+     * @param {string} fromVersion - Version the record was written in
+     * @param {Object} context - { userId }
+     * @returns {Object} - Upgraded record
+     */
+    migrateRecord(collection, record, fromVersion, context = {}) {
+        this.assertSupported(fromVersion);
+
+        const step = collection === 'entries' ? 'migrateEntry' : 'migrateProject';
+
+        const upgraded = this.versions
+            .filter(({ version }) => this.compareVersions(version, fromVersion) > 0)
+            .reduce((current, version) => (version[step] ? version[step](current, context) : current), { ...record });
+
+        upgraded.schemaVersion = this.getCurrentVersion();
+        return upgraded;
+    }
+
+    /**
+     * Upgrade a backup file's contents to the current version
+     * @param {Object} backup - Parsed backup ({ version, workLogData, projectData })
+     * @param {Object} context - { userId }
+     * @returns {Object} - { workLogData, projectData, fromVersion, migrated }
+     */
+    migrateBackup(backup, context = {}) {
+        if (!backup || typeof backup !== 'object' || !backup.workLogData || !Array.isArray(backup.projectData)) {
+            throw new Error('Invalid backup file format');
+        }
+
+        // Backups from before versions were stamped are the original format
+        const fromVersion = backup.version ? String(backup.version) : '1.0';
+        this.assertSupported(fromVersion);
+
+        const entries = Object.keys(backup.workLogData).flatMap(dateKey =>
+            (backup.workLogData[dateKey] || []).map(entry => ({ ...entry, date: dateKey }))
+        );
+
+        // The file version only gates the import: '2.1' backups don't reliably have every 2.1 field,
+        // so records without their own stamp run the whole chain
+        const entryResult = this.migrateRecords('entries', entries, context);
+        const projectResult = this.migrateRecords('projects', backup.projectData, context);
+
+        const workLogData = {};
+        entryResult.records.forEach(({ date, ...entry }) => {
+            if (!workLogData[date]) {
+                workLogData[date] = [];
+            }
+            workLogData[date].push(entry);
+        });
+
+        return {
+            workLogData,
+            projectData: projectResult.records,
+            fromVersion,
+            migrated: entryResult.migrated + projectResult.migrated
+        };
+    }
+
+    /**
+     * Throw if data is from a version this app doesn't know
+     * @param {string} version - Schema version
+     */
+    assertSupported(version) {
+        if (!/^\d+(\.\d+)*$/.test(String(version))) {
+            const error = new Error(`Unrecognised data version "${version}"`);
+            error.code = 'schema/unknown-version';
+            throw error;
+        }
+
+        if (this.compareVersions(version, this.getCurrentVersion()) > 0) {
+            const error = new Error(
+                `This data was saved by a newer version of the app (data version ${version}, ` +
+                `this app supports up to ${this.getCurrentVersion()}). Please update the app and try again.`
+            );
+            error.code = 'schema/newer-version';
+            throw error;
+        }
+    }
+
+    /**
+     * Compare two dotted version strings
+     * @param {string} a - First version
+     * @param {string} b - Second version
+     * @returns {number} - Negative, zero or positive
+     */
+    compareVersions(a, b) {
+        const partsA = String(a).split('.').map(Number);
+        const partsB = String(b).split('.').map(Number);
+
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    /**
+     * Pick a stable colour for a project, so every device migrates it the same way
+     * Keyed by project code, so migrated and newly added projects get the same colour.
+     * @param {string} projectId - Project code (projectId), not the record ID
+     * @returns {string} - Hex colour
+     */
+    getDefaultColor(projectId = '') {
+        const colors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#06b6d4', '#84cc16', '#f97316', '#ec4899', '#6b7280'];
+        const hash = Array.from(String(projectId)).reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+        return colors[hash % colors.length];
+    }
+
+    /**
+     * Generate unique ID
+     * @returns {string} - Unique ID
+     */
+    generateId() {
+        return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
+
+export default SchemaService;
@@ -0,0 +1,163 @@
+// services/SyncJournal.js
+// Sync Journal Class - Persisted, ordered log of local changes waiting to reach the cloud
+
+class SyncJournal {
+    constructor(storageKey = 'syncJournal') {
+        this.storageKey = storageKey;
+        this.operations = []; // [{ seq, op, collection, id, recordedAt }]
+        this.lastSequence = 0;
+
+        this.load();
+    }
+
+    /**
+     * Load the journal from local storage
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            this.operations = Array.isArray(saved?.operations) ? saved.operations : [];
+            this.lastSequence = saved?.lastSequence || 0;
+        } catch (error) {
+            console.error('Error loading sync journal:', error);
+            this.operations = [];
+            this.lastSequence = 0;
+        }
+    }
+
+    /**
+     * Persist the journal to local storage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                operations: this.operations,
+                lastSequence: this.lastSequence
+            }));
+        } catch (error) {
+            console.error('Error saving sync journal:', error);
+        }
+    }
+
+    /**
+     * Record a change to an entry or project
+     * Replay uploads the record's current state, so only the latest operation
+     * per record is kept - in the position of that latest change.
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {string} op - 'add', 'update' or 'delete'
+     * @param {string} id - Record ID
+     * @returns {Object} - Recorded operation
+     */
+    record(collection, op, id) {
+        const operation = this.append(collection, op, id);
+        this.save();
+        return operation;
+    }
+
+    /**
+     * Record the same change for many records with a single write
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {string} op - 'add', 'update' or 'delete'
+     * @param {Array} ids - Record IDs
+     */
+    recordAll(collection, op, ids) {
+        ids.forEach(id => this.append(collection, op, id));
+        this.save();
+    }
+
+    /**
+     * Append an operation without persisting
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {string} op - 'add', 'update' or 'delete'
+     * @param {string} id - Record ID
+     * @returns {Object} - Appended operation
+     */
+    append(collection, op, id) {
+        if (!['entries', 'projects', 'settings', 'invoices'].includes(collection)) {
+            throw new Error(`Unknown journal collection: ${collection}`);
+        }
+        if (!['add', 'update', 'delete'].includes(op)) {
+            throw new Error(`Unknown journal operation: ${op}`);
+        }
+
+        const previous = this.operations.find(entry => entry.collection === collection && entry.id === id);
+        this.operations = this.operations.filter(entry => entry !== previous);
+
+        const operation = {
+            seq: ++this.lastSequence,
+            // An update to a record never synced is still an add
+            op: op === 'update' && previous?.op === 'add' ? 'add' : op,
+            collection,
+            id,
+            recordedAt: new Date().toISOString()
+        };
+
+        this.operations.push(operation);
+        return operation;
+    }
+
+    /**
+     * Get queued operations in the order they were recorded
+     * @returns {Array} - Operations
+     */
+    getOperations() {
+        return [...this.operations];
+    }
+
+    /**
+     * Get number of queued operations
+     * @returns {number} - Queue length
+     */
+    getLength() {
+        return this.operations.length;
+    }
+
+    /**
+     * Get sequence number of the most recent operation
+     * @returns {number} - Sequence number
+     */
+    getLastSequence() {
+        return this.lastSequence;
+    }
+
+    /**
+     * Get IDs of records added or changed locally but not yet in the cloud
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @returns {Array} - Record IDs
+     */
+    getPendingSaves(collection) {
+        return this.operations
+            .filter(entry => entry.collection === collection && entry.op !== 'delete')
+            .map(entry => entry.id);
+    }
+
+    /**
+     * Get IDs of records deleted locally but not yet in the cloud
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @returns {Array} - Record IDs
+     */
+    getPendingDeletions(collection) {
+        return this.operations
+            .filter(entry => entry.collection === collection && entry.op === 'delete')
+            .map(entry => entry.id);
+    }
+
+    /**
+     * Remove operations that have reached the cloud
+     * @param {number} sequence - Highest synced sequence number
+     */
+    acknowledge(sequence) {
+        this.operations = this.operations.filter(entry => entry.seq > sequence);
+        this.save();
+    }
+
+    /**
+     * Remove all queued operations
+     */
+    clear() {
+        this.operations = [];
+        this.save();
+    }
+}
+
+export default SyncJournal;
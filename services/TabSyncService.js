@@ -0,0 +1,84 @@
+// services/TabSyncService.js
+// Tab Sync Service Class - Shares data changes with other open tabs of the app via BroadcastChannel
+
+class TabSyncService {
+    constructor(channelName = 'dailyWorkLog') {
+        this.channelName = channelName;
+        this.tabId = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.listeners = [];
+        this.channel = null;
+        this.handleMessage = this.handleMessage.bind(this);
+
+        if (TabSyncService.isSupported()) {
+            this.channel = new BroadcastChannel(channelName);
+            this.channel.addEventListener('message', this.handleMessage);
+        } else {
+            console.warn('BroadcastChannel not supported - other tabs will not see changes until reloaded');
+        }
+    }
+
+    /**
+     * Check if this browser can message other tabs
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof BroadcastChannel !== 'undefined';
+    }
+
+    /**
+     * Send a message to every other tab
+     * @param {Object} message - Structured-cloneable message
+     */
+    broadcast(message) {
+        if (!this.channel) return;
+
+        try {
+            this.channel.postMessage({ ...message, tabId: this.tabId, sentAt: new Date().toISOString() });
+        } catch (error) {
+            console.error('Broadcasting to other tabs failed:', error);
+        }
+    }
+
+    /**
+     * Listen for messages from other tabs
+     * @param {Function} callback - Called with each message
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Pass a received message to listeners
+     * @param {MessageEvent} event - Channel message
+     */
+    handleMessage(event) {
+        const message = event.data;
+        if (!message || message.tabId === this.tabId) return;
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(message);
+            } catch (error) {
+                console.error('Tab sync listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Stop listening and release the channel
+     */
+    close() {
+        if (this.channel) {
+            this.channel.removeEventListener('message', this.handleMessage);
+            this.channel.close();
+            this.channel = null;
+        }
+        this.listeners = [];
+    }
+}
+
+export default TabSyncService;
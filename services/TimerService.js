@@ -0,0 +1,347 @@
+// services/TimerService.js
+// Timer Service Class - Stopwatch bound to a project that turns tracked time into a work entry
+
+import WorkEntry from '../models/WorkEntry.js';
+import EntryType from '../models/EntryType.js';
+import WorkSchedule from '../models/WorkSchedule.js';
+
+class TimerService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.keys = {
+            timer: 'workTimer', // Running or paused timer, shared by every tab
+            rounding: 'timerRounding' // Rounding rule for logged hours
+        };
+        this.roundingModes = ['nearest', 'up', 'down'];
+        this.state = this.load();
+        this.rounding = this.loadRounding();
+        this.handleStorageEvent = this.handleStorageEvent.bind(this);
+
+        // Another tab started, paused or stopped the timer
+        window.addEventListener('storage', this.handleStorageEvent);
+    }
+
+    /**
+     * Load the timer from device storage
+     * @returns {Object|null} - { project, comments, segments: [{ start, end }], warned, createdAt }
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.keys.timer);
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.error('Error loading timer:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save the timer to device storage and tell listeners
+     */
+    persist() {
+        if (this.state) {
+            localStorage.setItem(this.keys.timer, JSON.stringify(this.state));
+        } else {
+            localStorage.removeItem(this.keys.timer);
+        }
+        this.dispatchTimerChanged();
+    }
+
+    /**
+     * Pick up timer changes made in another tab
+     * @param {StorageEvent} event - Storage event
+     */
+    handleStorageEvent(event) {
+        if (event.key === this.keys.timer) {
+            this.state = this.load();
+            this.dispatchTimerChanged({ fromOtherTab: true });
+        } else if (event.key === this.keys.rounding) {
+            this.rounding = this.loadRounding();
+            this.dispatchTimerChanged({ fromOtherTab: true });
+        }
+    }
+
+    /**
+     * Get the current timer
+     * @returns {Object|null} - Timer state with status and elapsed time, or null if none
+     */
+    getState() {
+        if (!this.state) return null;
+
+        return {
+            ...this.state,
+            status: this.isRunning() ? 'running' : 'paused',
+            elapsedMs: this.getElapsedMs()
+        };
+    }
+
+    /**
+     * Check if the timer is counting
+     * @returns {boolean}
+     */
+    isRunning() {
+        if (!this.state) return false;
+        const last = this.state.segments[this.state.segments.length - 1];
+        return Boolean(last) && !last.end;
+    }
+
+    /**
+     * Get the tracked time, excluding pauses
+     * @param {Date} now - Current time
+     * @returns {number} - Milliseconds
+     */
+    getElapsedMs(now = new Date()) {
+        if (!this.state) return 0;
+
+        return this.state.segments.reduce((sum, segment) => {
+            const end = segment.end ? new Date(segment.end) : now;
+            return sum + Math.max(0, end - new Date(segment.start));
+        }, 0);
+    }
+
+    /**
+     * Start a new timer
+     * @param {string} project - Project value (projectId-subCode)
+     * @param {string} comments - Optional comments for the entry
+     */
+    start(project, comments = '') {
+        if (this.state) {
+            throw new Error('A timer is already running - stop or discard it first');
+        }
+        if (!project || !this.dataService.findProjectByValue(project)) {
+            throw new Error('Select a project for the timer');
+        }
+
+        const now = new Date().toISOString();
+        this.state = {
+            project,
+            comments,
+            segments: [{ start: now, end: null }],
+            warned: { midnight: false, dailyLimit: false },
+            createdAt: now
+        };
+        this.persist();
+    }
+
+    /**
+     * Pause the running timer
+     */
+    pause() {
+        if (!this.isRunning()) {
+            throw new Error('The timer is not running');
+        }
+
+        this.state.segments[this.state.segments.length - 1].end = new Date().toISOString();
+        this.persist();
+    }
+
+    /**
+     * Resume a paused timer
+     */
+    resume() {
+        if (!this.state || this.isRunning()) {
+            throw new Error('There is no paused timer');
+        }
+
+        this.state.segments.push({ start: new Date().toISOString(), end: null });
+        this.persist();
+    }
+
+    /**
+     * Change the project or comments of the current timer
+     * @param {Object} updateData - { project, comments }
+     */
+    update(updateData) {
+        if (!this.state) {
+            throw new Error('There is no timer');
+        }
+        if (updateData.project !== undefined && !this.dataService.findProjectByValue(updateData.project)) {
+            throw new Error('Select a project for the timer');
+        }
+
+        this.state = { ...this.state, ...updateData };
+        this.persist();
+    }
+
+    /**
+     * Stop the timer and log the tracked time as a work entry for today
+     * @returns {Promise<Object>} - { success, message, dateKey, entry }
+     */
+    async stop() {
+        if (!this.state) {
+            throw new Error('There is no timer');
+        }
+
+        const hours = this.roundHours(this.getElapsedMs());
+        if (hours <= 0) {
+            throw new Error('Not enough time tracked to log - keep the timer running or discard it');
+        }
+
+        const dateKey = this.getDateKey(new Date());
+        const entryData = {
+            type: 'work',
+            project: this.state.project,
+            hours,
+            comments: this.state.comments || ''
+        };
+
+        // Same rules as entries typed into the form
+        new WorkEntry({ ...entryData, date: dateKey });
+
+        await this.dataService.addEntry(dateKey, entryData);
+
+        this.state = null;
+        this.persist();
+
+        return { success: true, message: `Logged ${hours}h to ${entryData.project}`, dateKey, entry: entryData };
+    }
+
+    /**
+     * Throw the timer away without logging anything
+     */
+    discard() {
+        this.state = null;
+        this.persist();
+    }
+
+    /**
+     * Check for situations the user should hear about, once each per timer
+     * @param {Date} now - Current time
+     * @returns {Array} - New warnings ('midnight', 'dailyLimit')
+     */
+    checkWarnings(now = new Date()) {
+        if (!this.state || !this.isRunning()) return [];
+
+        const warnings = [];
+        const warned = this.state.warned || {};
+
+        if (!warned.midnight && this.getDateKey(new Date(this.state.createdAt)) !== this.getDateKey(now)) {
+            warnings.push('midnight');
+        }
+
+        if (!warned.dailyLimit) {
+            const today = this.getDateKey(now);
+            const loggedToday = this.dataService.getEntriesForDate(today)
+                .reduce((sum, entry) => sum + this.getEntryHours(entry, today), 0);
+            if (loggedToday + this.getElapsedMs(now) / 3600000 > this.getDailyLimitHours()) {
+                warnings.push('dailyLimit');
+            }
+        }
+
+        if (warnings.length > 0) {
+            this.state.warned = { ...warned, ...Object.fromEntries(warnings.map(warning => [warning, true])) };
+            this.persist();
+        }
+        return warnings;
+    }
+
+    /**
+     * Round tracked time to hours using the rounding rule
+     * @param {number} ms - Tracked milliseconds
+     * @returns {number} - Hours
+     */
+    roundHours(ms) {
+        const minutes = ms / 60000;
+        const { mode, increment } = this.rounding;
+
+        if (!increment) {
+            return Math.round((minutes / 60) * 100) / 100;
+        }
+
+        const round = { nearest: Math.round, up: Math.ceil, down: Math.floor }[mode];
+        // Ignore sub-second noise so 15:00.2 doesn't round up to 30 minutes
+        const steps = round(Math.round(minutes * 1000) / 1000 / increment);
+        return Math.round((steps * increment / 60) * 100) / 100;
+    }
+
+    /**
+     * Get the rounding rule
+     * @returns {Object} - { mode: 'nearest' | 'up' | 'down', increment: minutes (0 = exact) }
+     */
+    getRounding() {
+        return { ...this.rounding };
+    }
+
+    /**
+     * Change the rounding rule
+     * @param {string} mode - 'nearest', 'up' or 'down'
+     * @param {number} increment - Minutes to round to (0 = exact)
+     */
+    setRounding(mode, increment) {
+        const minutes = parseInt(increment, 10);
+        if (!this.roundingModes.includes(mode)) {
+            throw new Error(`Unknown rounding mode: ${mode}`);
+        }
+        if (isNaN(minutes) || minutes < 0 || minutes > 60) {
+            throw new Error('Rounding must be between 0 and 60 minutes');
+        }
+
+        this.rounding = { mode, increment: minutes };
+        localStorage.setItem(this.keys.rounding, JSON.stringify(this.rounding));
+        this.dispatchTimerChanged();
+    }
+
+    /**
+     * Load the rounding rule
+     * @returns {Object} - { mode, increment }
+     */
+    loadRounding() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.keys.rounding));
+            if (saved && this.roundingModes.includes(saved.mode) && Number.isInteger(saved.increment)) {
+                return saved;
+            }
+        } catch (error) {
+            console.error('Error loading timer rounding:', error);
+        }
+        return { mode: 'nearest', increment: 15 };
+    }
+
+    /**
+     * Get the most hours the work schedule allows on one day
+     * @returns {number} - Hours
+     */
+    getDailyLimitHours() {
+        return WorkSchedule.current.getDailyLimit();
+    }
+
+    /**
+     * Get entry hours based on type
+     * @param {Object} entry - Entry object
+     * @param {string} dateKey - Date of the entry
+     * @returns {number} - Hours
+     */
+    getEntryHours(entry, dateKey = entry.date) {
+        return EntryType.getEntryHours(entry, dateKey);
+    }
+
+    /**
+     * Get the local date key for a time
+     * @param {Date} date - Date
+     * @returns {string} - Date key (YYYY-MM-DD)
+     */
+    getDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Tell the UI the timer changed
+     * @param {Object} detail - Event detail
+     */
+    dispatchTimerChanged(detail = {}) {
+        document.dispatchEvent(new CustomEvent('timer:changed', {
+            detail: { ...detail, timer: this.getState() }
+        }));
+    }
+
+    /**
+     * Stop listening for other tabs
+     */
+    destroy() {
+        window.removeEventListener('storage', this.handleStorageEvent);
+    }
+}
+
+export default TimerService;
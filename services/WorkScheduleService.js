@@ -0,0 +1,89 @@
+// services/WorkScheduleService.js
+// Work Schedule Service Class - Each user's working week, synced with the rest of their data
+
+import WorkSchedule from '../models/WorkSchedule.js';
+
+class WorkScheduleService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.handleSettingsChanged = this.handleSettingsChanged.bind(this);
+        this.load();
+
+        // Another tab or device changed the schedule, or a backup was restored
+        document.addEventListener('data:settingsChanged', this.handleSettingsChanged);
+    }
+
+    /**
+     * Load the signed-in user's schedule from their settings
+     * @returns {WorkSchedule} - Schedule, or the default Monday to Friday week
+     */
+    load() {
+        let schedule = new WorkSchedule();
+        try {
+            const saved = this.dataService.getSetting('workSchedule');
+            if (saved) {
+                schedule = new WorkSchedule(saved);
+            }
+        } catch (error) {
+            console.error('Error loading work schedule:', error);
+        }
+
+        this.schedule = schedule;
+        WorkSchedule.setCurrent(schedule);
+        return schedule;
+    }
+
+    /**
+     * Pick up schedule changes that didn't come from this page
+     * @param {CustomEvent} event - data:settingsChanged event
+     */
+    handleSettingsChanged(event) {
+        if (!event.detail?.ids?.includes('workSchedule')) return;
+
+        this.load();
+        this.dispatchScheduleChanged({ fromSync: true });
+    }
+
+    /**
+     * Get the schedule
+     * @returns {WorkSchedule} - Schedule
+     */
+    getSchedule() {
+        return this.schedule;
+    }
+
+    /**
+     * Change the schedule
+     * @param {Object} scheduleData - Schedule fields
+     * @returns {Object} - { success, message, schedule }
+     */
+    saveSchedule(scheduleData) {
+        const schedule = new WorkSchedule({ ...this.schedule.toJSON(), ...scheduleData });
+
+        this.dataService.saveSetting('workSchedule', schedule.toJSON());
+        this.schedule = schedule;
+        WorkSchedule.setCurrent(schedule);
+        this.dispatchScheduleChanged();
+
+        return { success: true, message: `Work schedule saved (${schedule.describe()})`, schedule };
+    }
+
+    /**
+     * Tell the UI the schedule changed
+     * @param {Object} detail - Event detail
+     */
+    dispatchScheduleChanged(detail = {}) {
+        document.dispatchEvent(new CustomEvent('workSchedule:changed', {
+            detail: { ...detail, schedule: this.schedule.toJSON() }
+        }));
+    }
+
+    /**
+     * Stop listening for synced changes
+     */
+    destroy() {
+        document.removeEventListener('data:settingsChanged', this.handleSettingsChanged);
+    }
+}
+
+export default WorkScheduleService;
@@ -0,0 +1,317 @@
+// services/storage/FirestoreAdapter.js
+// Firestore Adapter Class - Cloud storage for a signed-in user's entries, projects, settings and invoices
+
+import StorageAdapter from './StorageAdapter.js';
+
+const FIRESTORE_MODULE = 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+
+class FirestoreAdapter extends StorageAdapter {
+    constructor(firebaseConfig, user) {
+        super('Firestore');
+        this.firebaseConfig = firebaseConfig;
+        this.user = user;
+        this.collectionNames = {
+            entries: 'workLogs',
+            projects: 'projects',
+            settings: 'userSettings',
+            invoices: 'invoices'
+        };
+        this.batchLimit = 450; // Firestore allows 500 writes per batch
+        this.legacyDocs = []; // Documents written before IDs were stable
+        this.snapshotUnsubscribers = [];
+        this.isWatching = false;
+    }
+
+    /**
+     * Check if Firebase is initialized and a user is signed in
+     * @returns {boolean} - Whether the adapter is ready
+     */
+    isReady() {
+        return Boolean(this.firebaseConfig && this.firebaseConfig.isInitialized() && this.user.isAuthenticated());
+    }
+
+    /**
+     * Load every record of the current user
+     * @returns {Promise<Object>} - { entries, projects, settings, invoices, hasData, legacyDocuments }
+     */
+    async load() {
+        this.assertReady();
+
+        const db = this.firebaseConfig.getDatabase();
+        const { collection, query, where, orderBy, getDocs } = await import(FIRESTORE_MODULE);
+        const userId = this.user.getCurrentUser().uid;
+
+        this.legacyDocs = [];
+
+        const workLogSnapshot = await getDocs(query(
+            collection(db, this.collectionNames.entries),
+            where('userId', '==', userId),
+            orderBy('date', 'desc')
+        ));
+        const entriesById = new Map();
+
+        workLogSnapshot.forEach(snapshot => {
+            const entry = this.fromDocument(snapshot, true);
+
+            // Older syncs duplicated every entry, keep one copy per ID
+            const existing = entriesById.get(entry.id);
+            if (!existing || (entry.timestamp || '') > (existing.timestamp || '')) {
+                entriesById.set(entry.id, entry);
+            }
+        });
+
+        const projectsSnapshot = await getDocs(query(
+            collection(db, this.collectionNames.projects),
+            where('userId', '==', userId),
+            orderBy('usageCount', 'desc')
+        ));
+        const projectsById = new Map();
+
+        projectsSnapshot.forEach(snapshot => {
+            const project = this.fromDocument(snapshot, true);
+            if (!projectsById.has(project.id)) {
+                projectsById.set(project.id, project);
+            }
+        });
+
+        const [settingsSnapshot, invoicesSnapshot] = await Promise.all(['settings', 'invoices'].map(name => getDocs(query(
+            collection(db, this.collectionNames[name]),
+            where('userId', '==', userId)
+        ))));
+        const settings = [];
+        const invoices = [];
+        settingsSnapshot.forEach(snapshot => settings.push(this.fromDocument(snapshot)));
+        invoicesSnapshot.forEach(snapshot => invoices.push(this.fromDocument(snapshot)));
+
+        return {
+            entries: Array.from(entriesById.values()),
+            projects: Array.from(projectsById.values()),
+            settings,
+            invoices,
+            hasData: entriesById.size + projectsById.size > 0,
+            legacyDocuments: this.legacyDocs.length
+        };
+    }
+
+    /**
+     * Create or replace records
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Array} records - Records to write
+     */
+    async save(collection, records) {
+        this.assertReady();
+
+        const { doc, serverTimestamp } = await import(FIRESTORE_MODULE);
+        const db = this.firebaseConfig.getDatabase();
+        const userId = this.user.getCurrentUser().uid;
+
+        await this.commitInChunks(records, (batch, record) => batch.set(
+            doc(db, this.getCollectionName(collection), this.getDocId(record.id)),
+            { ...record, userId: userId, syncedAt: serverTimestamp() }
+        ));
+    }
+
+    /**
+     * Delete records by ID
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Array} ids - Record IDs
+     */
+    async delete(collection, ids) {
+        this.assertReady();
+
+        const { doc } = await import(FIRESTORE_MODULE);
+        const db = this.firebaseConfig.getDatabase();
+
+        await this.commitInChunks(ids, (batch, id) => batch.delete(
+            doc(db, this.getCollectionName(collection), this.getDocId(id))
+        ));
+    }
+
+    /**
+     * Get entries between two dates
+     * @param {string} startDate - First date (YYYY-MM-DD)
+     * @param {string} endDate - Last date (YYYY-MM-DD)
+     * @returns {Promise<Array>} - Entries
+     */
+    async queryByDateRange(startDate, endDate) {
+        this.assertReady();
+
+        const db = this.firebaseConfig.getDatabase();
+        const { collection, query, where, orderBy, getDocs } = await import(FIRESTORE_MODULE);
+
+        const snapshot = await getDocs(query(
+            collection(db, this.collectionNames.entries),
+            where('userId', '==', this.user.getCurrentUser().uid),
+            where('date', '>=', startDate),
+            where('date', '<=', endDate),
+            orderBy('date', 'desc')
+        ));
+
+        const entries = [];
+        snapshot.forEach(docSnapshot => entries.push(this.fromDocument(docSnapshot)));
+        return entries;
+    }
+
+    /**
+     * Listen for changes written by other devices
+     * @param {Function} callback - Called with { collection, upserted, deleted }
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+        const unsubscribe = super.subscribe(callback);
+
+        if (!this.isWatching && this.isReady()) {
+            this.isWatching = true;
+            this.startSnapshotListeners();
+        }
+
+        return () => {
+            unsubscribe();
+            if (this.listeners.length === 0) {
+                this.stopSnapshotListeners();
+            }
+        };
+    }
+
+    /**
+     * Stop Firestore snapshot listeners
+     */
+    stopSnapshotListeners() {
+        this.isWatching = false;
+        this.snapshotUnsubscribers.forEach(stop => stop());
+        this.snapshotUnsubscribers = [];
+    }
+
+    /**
+     * Start Firestore snapshot listeners for every collection
+     */
+    async startSnapshotListeners() {
+        const db = this.firebaseConfig.getDatabase();
+        const { collection, query, where, onSnapshot } = await import(FIRESTORE_MODULE);
+        const userId = this.user.getCurrentUser().uid;
+
+        // Unsubscribed while the module was loading
+        if (!this.isWatching) return;
+
+        Object.keys(this.collectionNames).forEach(name => {
+            let isInitialSnapshot = true;
+
+            const stop = onSnapshot(
+                query(collection(db, this.collectionNames[name]), where('userId', '==', userId)),
+                snapshot => {
+                    // The first snapshot is the current state, and local writes echo back before reaching the server
+                    if (isInitialSnapshot || snapshot.metadata.hasPendingWrites) {
+                        isInitialSnapshot = false;
+                        return;
+                    }
+
+                    const upserted = [];
+                    const deleted = [];
+                    snapshot.docChanges().forEach(change => {
+                        const record = this.fromDocument(change.doc);
+                        if (change.type === 'removed') {
+                            deleted.push(record.id);
+                        } else {
+                            upserted.push(record);
+                        }
+                    });
+
+                    if (upserted.length > 0 || deleted.length > 0) {
+                        this.notify({ collection: name, upserted, deleted });
+                    }
+                },
+                error => console.error(`Firestore ${name} listener failed:`, error)
+            );
+
+            this.snapshotUnsubscribers.push(stop);
+        });
+    }
+
+    /**
+     * Delete legacy duplicate documents found by the last load
+     * Call only after every record has been saved under its stable ID.
+     */
+    async cleanup() {
+        if (this.legacyDocs.length === 0) return;
+
+        const legacyDocs = this.legacyDocs;
+        await this.commitInChunks(legacyDocs, (batch, ref) => batch.delete(ref));
+        this.legacyDocs = [];
+
+        console.log(`Removed ${legacyDocs.length} legacy cloud documents`);
+    }
+
+    /**
+     * Convert a Firestore document into a plain record
+     * @param {Object} snapshot - Document snapshot
+     * @param {boolean} trackLegacy - Remember documents not stored under their stable ID
+     * @returns {Object} - Record
+     */
+    fromDocument(snapshot, trackLegacy = false) {
+        const { userId, syncedAt, ...data } = snapshot.data();
+        const id = data.id || snapshot.id;
+
+        if (trackLegacy && snapshot.id !== this.getDocId(id)) {
+            this.legacyDocs.push(snapshot.ref);
+        }
+
+        // Legacy documents stored a server timestamp in updatedAt
+        if (data.updatedAt && typeof data.updatedAt !== 'string') {
+            data.updatedAt = data.updatedAt.toDate ? data.updatedAt.toDate().toISOString() : new Date().toISOString();
+        }
+
+        return { ...data, id };
+    }
+
+    /**
+     * Commit writes in batches under the Firestore limit
+     * @param {Array} items - Items to write
+     * @param {Function} apply - Adds one item to a batch
+     */
+    async commitInChunks(items, apply) {
+        if (items.length === 0) return;
+
+        const { writeBatch } = await import(FIRESTORE_MODULE);
+        const db = this.firebaseConfig.getDatabase();
+
+        for (let i = 0; i < items.length; i += this.batchLimit) {
+            const batch = writeBatch(db);
+            items.slice(i, i + this.batchLimit).forEach(item => apply(batch, item));
+            await batch.commit();
+        }
+    }
+
+    /**
+     * Get Firestore collection name
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @returns {string} - Firestore collection
+     */
+    getCollectionName(collection) {
+        const name = this.collectionNames[collection];
+        if (!name) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+        return name;
+    }
+
+    /**
+     * Get Firestore document ID for a record
+     * Prefixed with the user ID so default project IDs don't collide between users
+     * @param {string} id - Record ID
+     * @returns {string} - Document ID
+     */
+    getDocId(id) {
+        return `${this.user.getCurrentUser().uid}_${id}`;
+    }
+
+    /**
+     * Throw if Firebase isn't ready
+     */
+    assertReady() {
+        if (!this.isReady()) {
+            throw new Error('Firebase not initialized or user not authenticated');
+        }
+    }
+}
+
+export default FirestoreAdapter;
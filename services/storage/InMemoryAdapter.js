@@ -0,0 +1,91 @@
+// services/storage/InMemoryAdapter.js
+// In-Memory Adapter Class - Non-persistent storage for headless runs and demos
+
+import StorageAdapter from './StorageAdapter.js';
+
+class InMemoryAdapter extends StorageAdapter {
+    /**
+     * @param {Object} seed - Initial { entries, projects, settings, invoices }
+     */
+    constructor(seed = {}) {
+        super('In-memory');
+        this.collections = {
+            entries: new Map((seed.entries || []).map(entry => [entry.id, { ...entry }])),
+            projects: new Map((seed.projects || []).map(project => [project.id, { ...project }])),
+            settings: new Map((seed.settings || []).map(setting => [setting.id, { ...setting }])),
+            invoices: new Map((seed.invoices || []).map(invoice => [invoice.id, { ...invoice }]))
+        };
+        this.hasData = Boolean(seed.entries || seed.projects);
+    }
+
+    /**
+     * Load every record
+     * @returns {Promise<Object>} - { entries, projects, settings, invoices, hasData }
+     */
+    async load() {
+        return {
+            entries: this.getRecords('entries'),
+            projects: this.getRecords('projects'),
+            settings: this.getRecords('settings'),
+            invoices: this.getRecords('invoices'),
+            hasData: this.hasData
+        };
+    }
+
+    /**
+     * Create or replace records
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Array} records - Records to write
+     */
+    async save(collection, records) {
+        const store = this.getCollection(collection);
+        records.forEach(record => store.set(record.id, { ...record }));
+        this.hasData = true;
+    }
+
+    /**
+     * Delete records by ID
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Array} ids - Record IDs
+     */
+    async delete(collection, ids) {
+        const store = this.getCollection(collection);
+        ids.forEach(id => store.delete(id));
+        this.hasData = true;
+    }
+
+    /**
+     * Apply a change as if another client made it, notifying subscribers
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Object} change - { upserted, deleted }
+     */
+    async applyExternalChange(collection, { upserted = [], deleted = [] } = {}) {
+        await this.save(collection, upserted);
+        await this.delete(collection, deleted);
+        this.notify({ collection, upserted, deleted });
+    }
+
+    /**
+     * Get a copy of every record in a collection
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @returns {Array} - Records
+     */
+    getRecords(collection) {
+        return Array.from(this.getCollection(collection).values()).map(record => ({ ...record }));
+    }
+
+    /**
+     * Get the map backing a collection
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @returns {Map} - Records keyed by ID
+     */
+    getCollection(collection) {
+        const store = this.collections[collection];
+        if (!store) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+        return store;
+    }
+}
+
+export default InMemoryAdapter;
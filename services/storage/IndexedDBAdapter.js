@@ -0,0 +1,291 @@
+// services/storage/IndexedDBAdapter.js
+// IndexedDB Adapter Class - Per-record local persistence for entries, projects, settings and invoices
+
+import StorageAdapter from './StorageAdapter.js';
+import LocalStorageAdapter from './LocalStorageAdapter.js';
+
+class IndexedDBAdapter extends StorageAdapter {
+    constructor(dbName = 'dailyWorkLog', version = 2) {
+        super('IndexedDB');
+        this.dbName = dbName;
+        this.version = version;
+        this.db = null;
+        this.fallback = null; // localStorage adapter used when IndexedDB can't be opened
+    }
+
+    /**
+     * Check if IndexedDB is available in this browser
+     * @returns {boolean} - Whether IndexedDB can be used
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating object stores and indexes on first use
+     * An upgrade waits while another tab holds an older version open; the request
+     * goes through once that tab closes, so being blocked is not an error.
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('entries')) {
+                    const entries = db.createObjectStore('entries', { keyPath: 'id' });
+                    entries.createIndex('date', 'date');
+                    entries.createIndex('project', 'project');
+                    entries.createIndex('type', 'type');
+                }
+
+                if (!db.objectStoreNames.contains('projects')) {
+                    db.createObjectStore('projects', { keyPath: 'id' });
+                }
+
+                // Added in version 2
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings', { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains('invoices')) {
+                    db.createObjectStore('invoices', { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => {
+                console.warn('IndexedDB upgrade waiting for another open tab to close');
+                document.dispatchEvent(new CustomEvent('storage:blocked', { detail: { name: this.name } }));
+            };
+        });
+    }
+
+    /**
+     * Load every record
+     * Falls back to localStorage when IndexedDB can't be opened (e.g. private browsing).
+     * @returns {Promise<Object>} - { entries, projects, settings, invoices, hasData }
+     */
+    async load() {
+        if (this.fallback) return this.fallback.load();
+
+        try {
+            await this.open();
+        } catch (error) {
+            console.error('IndexedDB unavailable, using localStorage:', error);
+            this.fallback = new LocalStorageAdapter();
+            return this.fallback.load();
+        }
+
+        if (await this.migrateFromLocalStorage()) {
+            console.log('Migrated local data from localStorage to IndexedDB');
+        }
+
+        const [entries, projects, settings, invoices, lastSave] = await Promise.all([
+            this.getAll('entries'),
+            this.getAll('projects'),
+            this.getAll('settings'),
+            this.getAll('invoices'),
+            this.getMeta('lastLocalSave')
+        ]);
+
+        return { entries, projects, settings, invoices, hasData: Boolean(lastSave) };
+    }
+
+    /**
+     * Create or replace records
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Array} records - Records to write
+     */
+    async save(collection, records) {
+        if (this.fallback) return this.fallback.save(collection, records);
+
+        await this.write(collection, store => records.forEach(record => store.put(record)));
+    }
+
+    /**
+     * Delete records by ID
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Array} ids - Record IDs
+     */
+    async delete(collection, ids) {
+        if (this.fallback) return this.fallback.delete(collection, ids);
+
+        await this.write(collection, store => ids.forEach(id => store.delete(id)));
+    }
+
+    /**
+     * Get entries between two dates using the date index
+     * @param {string} startDate - First date (YYYY-MM-DD)
+     * @param {string} endDate - Last date (YYYY-MM-DD)
+     * @returns {Promise<Array>} - Entries
+     */
+    async queryByDateRange(startDate, endDate) {
+        if (this.fallback) return this.fallback.queryByDateRange(startDate, endDate);
+
+        await this.open();
+
+        const transaction = this.db.transaction('entries', 'readonly');
+        const index = transaction.objectStore('entries').index('date');
+        return this.requestToPromise(index.getAll(IDBKeyRange.bound(startDate, endDate)));
+    }
+
+    /**
+     * Get entries by an indexed field
+     * @param {string} indexName - 'date', 'project' or 'type'
+     * @param {string} value - Value to match
+     * @returns {Promise<Array>} - Matching entries
+     */
+    async getEntriesBy(indexName, value) {
+        if (this.fallback) {
+            const { entries } = await this.fallback.load();
+            return entries.filter(entry => entry[indexName] === value);
+        }
+
+        await this.open();
+
+        const transaction = this.db.transaction('entries', 'readonly');
+        const index = transaction.objectStore('entries').index(indexName);
+        return this.requestToPromise(index.getAll(value));
+    }
+
+    /**
+     * Drop cached data (only the localStorage fallback keeps any)
+     */
+    invalidate() {
+        if (this.fallback) this.fallback.invalidate();
+    }
+
+    /**
+     * Listen for changes written by other tabs (only available on the localStorage fallback)
+     * @param {Function} callback - Called with { collection, upserted, deleted }
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+        if (this.fallback) return this.fallback.subscribe(callback);
+        return super.subscribe(callback);
+    }
+
+    /**
+     * Move data from the old localStorage keys into IndexedDB (runs once)
+     * @returns {Promise<boolean>} - Whether data was migrated
+     */
+    async migrateFromLocalStorage() {
+        if (await this.getMeta('migratedFromLocalStorage')) return false;
+
+        const legacy = new LocalStorageAdapter();
+        const { entries, projects, settings, invoices, hasData } = await legacy.load();
+
+        if (hasData || entries.length > 0) {
+            await this.write('entries', store => entries.forEach(entry => store.put(entry)));
+            await this.write('projects', store => projects.forEach(project => store.put(project)));
+            await this.write('settings', store => settings.forEach(setting => store.put(setting)));
+            await this.write('invoices', store => invoices.forEach(invoice => store.put(invoice)));
+        }
+
+        await this.setMeta('migratedFromLocalStorage', new Date().toISOString());
+
+        // Free the localStorage quota only once the copy is committed
+        localStorage.removeItem('workLogData');
+        localStorage.removeItem('projectData');
+        localStorage.removeItem('settingsData');
+        localStorage.removeItem('invoiceData');
+
+        return hasData || entries.length > 0;
+    }
+
+    /**
+     * Run a write against one collection and stamp the last save time
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Function} apply - Receives the object store
+     * @returns {Promise} - Resolves on commit
+     */
+    async write(collection, apply) {
+        if (!['entries', 'projects', 'settings', 'invoices'].includes(collection)) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+
+        await this.open();
+
+        const transaction = this.db.transaction([collection, 'meta'], 'readwrite');
+        apply(transaction.objectStore(collection));
+        transaction.objectStore('meta').put({ key: 'lastLocalSave', value: new Date().toISOString() });
+        await this.transactionDone(transaction);
+    }
+
+    /**
+     * Read a metadata value
+     * @param {string} key - Metadata key
+     * @returns {Promise<*>} - Stored value or undefined
+     */
+    async getMeta(key) {
+        await this.open();
+
+        const transaction = this.db.transaction('meta', 'readonly');
+        const record = await this.requestToPromise(transaction.objectStore('meta').get(key));
+        return record ? record.value : undefined;
+    }
+
+    /**
+     * Write a metadata value
+     * @param {string} key - Metadata key
+     * @param {*} value - Value to store
+     * @returns {Promise} - Resolves when written
+     */
+    async setMeta(key, value) {
+        await this.open();
+
+        const transaction = this.db.transaction('meta', 'readwrite');
+        transaction.objectStore('meta').put({ key, value });
+        await this.transactionDone(transaction);
+    }
+
+    /**
+     * Read every record from an object store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Array>} - Records
+     */
+    getAll(storeName) {
+        const transaction = this.db.transaction(storeName, 'readonly');
+        return this.requestToPromise(transaction.objectStore(storeName).getAll());
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request - Request
+     * @returns {Promise<*>} - Request result
+     */
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Wait for a transaction to commit
+     * @param {IDBTransaction} transaction - Transaction
+     * @returns {Promise} - Resolves on commit
+     */
+    transactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+}
+
+export default IndexedDBAdapter;
@@ -0,0 +1,156 @@
+// services/storage/LocalStorageAdapter.js
+// localStorage Adapter Class - Stores work log, projects, settings and invoices as JSON strings in localStorage
+
+import StorageAdapter from './StorageAdapter.js';
+
+class LocalStorageAdapter extends StorageAdapter {
+    constructor() {
+        super('localStorage');
+        this.keys = {
+            entries: 'workLogData', // { 'YYYY-MM-DD': [entries] }
+            projects: 'projectData', // [projects]
+            settings: 'settingsData', // [settings]
+            invoices: 'invoiceData' // [invoices]
+        };
+        this.cache = null;
+        this.handleStorageEvent = this.handleStorageEvent.bind(this);
+    }
+
+    /**
+     * Load every record
+     * @returns {Promise<Object>} - { entries, projects, settings, invoices, hasData }
+     */
+    async load() {
+        const savedWorkLog = localStorage.getItem(this.keys.entries);
+        const savedProjects = localStorage.getItem(this.keys.projects);
+        const savedSettings = localStorage.getItem(this.keys.settings);
+        const savedInvoices = localStorage.getItem(this.keys.invoices);
+        const workLogData = savedWorkLog ? JSON.parse(savedWorkLog) : {};
+
+        this.cache = {
+            entries: new Map(
+                Object.keys(workLogData).flatMap(dateKey =>
+                    workLogData[dateKey].map(entry => [entry.id, { ...entry, date: dateKey }])
+                )
+            ),
+            projects: new Map((savedProjects ? JSON.parse(savedProjects) : []).map(project => [project.id, project])),
+            settings: new Map((savedSettings ? JSON.parse(savedSettings) : []).map(setting => [setting.id, setting])),
+            invoices: new Map((savedInvoices ? JSON.parse(savedInvoices) : []).map(invoice => [invoice.id, invoice]))
+        };
+
+        return {
+            entries: Array.from(this.cache.entries.values()),
+            projects: Array.from(this.cache.projects.values()),
+            settings: Array.from(this.cache.settings.values()),
+            invoices: Array.from(this.cache.invoices.values()),
+            hasData: Boolean(savedProjects)
+        };
+    }
+
+    /**
+     * Create or replace records
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Array} records - Records to write
+     */
+    async save(collection, records) {
+        const store = await this.getCollection(collection);
+        records.forEach(record => store.set(record.id, record));
+        this.persist(collection);
+    }
+
+    /**
+     * Delete records by ID
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Array} ids - Record IDs
+     */
+    async delete(collection, ids) {
+        const store = await this.getCollection(collection);
+        ids.forEach(id => store.delete(id));
+        this.persist(collection);
+    }
+
+    /**
+     * Listen for changes written by other tabs
+     * @param {Function} callback - Called with { collection, upserted, deleted }
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+        if (this.listeners.length === 0) {
+            window.addEventListener('storage', this.handleStorageEvent);
+        }
+
+        const unsubscribe = super.subscribe(callback);
+        return () => {
+            unsubscribe();
+            if (this.listeners.length === 0) {
+                window.removeEventListener('storage', this.handleStorageEvent);
+            }
+        };
+    }
+
+    /**
+     * Translate a storage event from another tab into a change notification
+     * @param {StorageEvent} event - Storage event
+     */
+    async handleStorageEvent(event) {
+        const collection = Object.keys(this.keys).find(name => this.keys[name] === event.key);
+        if (!collection) return;
+
+        const previous = new Map(this.cache ? this.cache[collection] : []);
+        const records = (await this.load())[collection];
+
+        const upserted = records.filter(record => JSON.stringify(previous.get(record.id)) !== JSON.stringify(record));
+        const deleted = Array.from(previous.keys()).filter(id => !this.cache[collection].has(id));
+
+        if (upserted.length > 0 || deleted.length > 0) {
+            this.notify({ collection, upserted, deleted });
+        }
+    }
+
+    /**
+     * Drop the cache so the next write starts from what other tabs saved
+     */
+    invalidate() {
+        this.cache = null;
+    }
+
+    /**
+     * Get the cached records of a collection, loading them first if needed
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @returns {Promise<Map>} - Records keyed by ID
+     */
+    async getCollection(collection) {
+        if (!this.keys[collection]) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+        if (!this.cache) {
+            await this.load();
+        }
+        return this.cache[collection];
+    }
+
+    /**
+     * Write a cached collection back to localStorage
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     */
+    persist(collection) {
+        const records = Array.from(this.cache[collection].values());
+
+        if (collection === 'entries') {
+            const workLogData = records.reduce((byDate, { date, ...entry }) => {
+                if (!byDate[date]) {
+                    byDate[date] = [];
+                }
+                byDate[date].push(entry);
+                return byDate;
+            }, {});
+            localStorage.setItem(this.keys.entries, JSON.stringify(workLogData));
+        } else {
+            localStorage.setItem(this.keys[collection], JSON.stringify(records));
+        }
+
+        localStorage.setItem('lastLocalSave', new Date().toISOString());
+    }
+}
+
+export default LocalStorageAdapter;
@@ -0,0 +1,220 @@
+// services/storage/RestAdapter.js
+// REST Adapter Class - Cloud storage on a self-hosted server (API documented in server/README.md)
+
+import StorageAdapter from './StorageAdapter.js';
+
+class RestAdapter extends StorageAdapter {
+    constructor(restConfig, user) {
+        super('REST');
+        this.restConfig = restConfig;
+        this.user = user;
+        this.collections = ['entries', 'projects', 'settings', 'invoices'];
+        this.cache = null; // Records of each collection, e.g. { entries: Map, ... }, as of `cursor`
+        this.cacheOwner = null;
+        this.cursor = null;
+        this.pollInterval = 30000;
+        this.pollTimer = null;
+    }
+
+    /**
+     * Check if the server is configured and a user is signed in
+     * @returns {boolean} - Whether the adapter is ready
+     */
+    isReady() {
+        return this.restConfig.isEnabled() && this.restConfig.hasSession() && this.user.isAuthenticated();
+    }
+
+    /**
+     * Load every record
+     * After the first load only changes since the last cursor are fetched.
+     * @returns {Promise<Object>} - { entries, projects, settings, invoices, hasData }
+     */
+    async load() {
+        this.assertReady();
+
+        const userId = this.user.getCurrentUser().uid;
+        const canFetchChanges = this.cache && this.cacheOwner === userId && this.cursor !== null;
+
+        if (!canFetchChanges || !(await this.fetchChanges())) {
+            await this.fetchAll();
+        }
+
+        const entries = Array.from(this.cache.entries.values());
+        const projects = Array.from(this.cache.projects.values());
+
+        return {
+            entries,
+            projects,
+            settings: Array.from(this.cache.settings.values()),
+            invoices: Array.from(this.cache.invoices.values()),
+            hasData: entries.length + projects.length > 0,
+            legacyDocuments: 0
+        };
+    }
+
+    /**
+     * Create or replace records
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Array} records - Records to write
+     */
+    async save(collection, records) {
+        this.assertReady();
+
+        await this.restConfig.request('POST', `/${this.getPath(collection)}/batch`, { upsert: records });
+
+        if (this.cache) {
+            records.forEach(record => this.cache[collection].set(record.id, { ...record }));
+        }
+    }
+
+    /**
+     * Delete records by ID
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Array} ids - Record IDs
+     */
+    async delete(collection, ids) {
+        this.assertReady();
+
+        await this.restConfig.request('POST', `/${this.getPath(collection)}/batch`, { delete: ids });
+
+        if (this.cache) {
+            ids.forEach(id => this.cache[collection].delete(id));
+        }
+    }
+
+    /**
+     * Get entries between two dates
+     * @param {string} startDate - First date (YYYY-MM-DD)
+     * @param {string} endDate - Last date (YYYY-MM-DD)
+     * @returns {Promise<Array>} - Entries
+     */
+    async queryByDateRange(startDate, endDate) {
+        this.assertReady();
+
+        const params = new URLSearchParams({ from: startDate, to: endDate });
+        const { entries } = await this.restConfig.request('GET', `/entries?${params}`);
+        return entries;
+    }
+
+    /**
+     * Poll the server for changes made by other clients
+     * @param {Function} callback - Called with { collection, upserted, deleted }
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+        const unsubscribe = super.subscribe(callback);
+
+        if (!this.pollTimer) {
+            this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+        }
+
+        return () => {
+            unsubscribe();
+            if (this.listeners.length === 0) {
+                clearInterval(this.pollTimer);
+                this.pollTimer = null;
+            }
+        };
+    }
+
+    /**
+     * Fetch changes and notify subscribers
+     */
+    async poll() {
+        if (!this.isReady() || !this.cache || this.cursor === null) return;
+
+        try {
+            const changes = [];
+            const applied = await this.fetchChanges(changes);
+
+            if (!applied) {
+                await this.fetchAll();
+                this.collections.forEach(collection => {
+                    this.notify({ collection, upserted: Array.from(this.cache[collection].values()), deleted: [] });
+                });
+                return;
+            }
+
+            this.collections.forEach(collection => {
+                const forCollection = changes.filter(change => change.collection === collection);
+                const upserted = forCollection.filter(change => change.op === 'upsert').map(change => change.record);
+                const deleted = forCollection.filter(change => change.op === 'delete').map(change => change.id);
+
+                if (upserted.length > 0 || deleted.length > 0) {
+                    this.notify({ collection, upserted, deleted });
+                }
+            });
+        } catch (error) {
+            console.error('Polling the sync server failed:', error);
+        }
+    }
+
+    /**
+     * Replace the cache with a full download
+     */
+    async fetchAll() {
+        const responses = await Promise.all(
+            this.collections.map(collection => this.restConfig.request('GET', `/${collection}`))
+        );
+
+        this.cache = Object.fromEntries(this.collections.map((collection, index) => [
+            collection,
+            new Map(responses[index][collection].map(record => [record.id, record]))
+        ]));
+        this.cacheOwner = this.user.getCurrentUser().uid;
+
+        // Changes between the requests are fetched again next time, which is harmless
+        this.cursor = Math.min(...responses.map(response => response.cursor));
+    }
+
+    /**
+     * Apply changes since the cursor to the cache
+     * @param {Array} collected - Receives the applied changes
+     * @returns {Promise<boolean>} - False if the server can't serve the cursor and a full load is needed
+     */
+    async fetchChanges(collected = []) {
+        // This page's own writes are already in the cache
+        const params = new URLSearchParams({ since: this.cursor, exclude: this.restConfig.clientId });
+        const { changes, cursor, reset } = await this.restConfig.request('GET', `/changes?${params}`);
+
+        if (reset) return false;
+
+        changes.forEach(change => {
+            const store = this.cache[change.collection];
+            if (!store) return;
+
+            if (change.op === 'delete') {
+                store.delete(change.id);
+            } else {
+                store.set(change.id, change.record);
+            }
+            collected.push(change);
+        });
+
+        this.cursor = cursor;
+        return true;
+    }
+
+    /**
+     * Get API path for a collection
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @returns {string} - Path segment
+     */
+    getPath(collection) {
+        if (!this.collections.includes(collection)) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+        return collection;
+    }
+
+    /**
+     * Throw if the server can't be used
+     */
+    assertReady() {
+        if (!this.isReady()) {
+            throw new Error('Sync server not configured or user not signed in');
+        }
+    }
+}
+
+export default RestAdapter;
@@ -0,0 +1,99 @@
+// services/storage/StorageAdapter.js
+// Storage Adapter Base Class - Contract every DataService backend implements
+//
+// Records are plain objects keyed by `id`. Entries carry their `date` (YYYY-MM-DD).
+// Collections are 'entries', 'projects', 'settings' (per-user settings, { id, value, updatedAt }) and 'invoices'.
+
+class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+        this.listeners = [];
+    }
+
+    /**
+     * Check if the backend can be used right now (e.g. user signed in)
+     * @returns {boolean} - Whether the adapter is ready
+     */
+    isReady() {
+        return true;
+    }
+
+    /**
+     * Load every record
+     * @returns {Promise<Object>} - { entries, projects, settings, invoices, hasData }
+     */
+    async load() {
+        throw new Error(`${this.name} storage does not implement load()`);
+    }
+
+    /**
+     * Create or replace records
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Array} records - Records to write
+     * @returns {Promise} - Resolves when written
+     */
+    async save(collection, records) {
+        throw new Error(`${this.name} storage does not implement save()`);
+    }
+
+    /**
+     * Delete records by ID
+     * @param {string} collection - 'entries', 'projects', 'settings' or 'invoices'
+     * @param {Array} ids - Record IDs
+     * @returns {Promise} - Resolves when deleted
+     */
+    async delete(collection, ids) {
+        throw new Error(`${this.name} storage does not implement delete()`);
+    }
+
+    /**
+     * Get entries between two dates (inclusive)
+     * Backends with a date index should override this.
+     * @param {string} startDate - First date (YYYY-MM-DD)
+     * @param {string} endDate - Last date (YYYY-MM-DD)
+     * @returns {Promise<Array>} - Entries
+     */
+    async queryByDateRange(startDate, endDate) {
+        const { entries } = await this.load();
+        return entries.filter(entry => entry.date >= startDate && entry.date <= endDate);
+    }
+
+    /**
+     * Listen for changes made outside this DataService (other tabs, devices or clients)
+     * @param {Function} callback - Called with { collection, upserted, deleted }
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Notify subscribers about outside changes
+     * @param {Object} change - { collection, upserted, deleted }
+     */
+    notify(change) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error(`${this.name} storage listener failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Remove leftovers once everything has been re-saved (optional)
+     * @returns {Promise} - Resolves when done
+     */
+    async cleanup() {}
+
+    /**
+     * Drop any in-memory copy after another tab wrote to the same storage (optional)
+     */
+    invalidate() {}
+}
+
+export default StorageAdapter;
@@ -0,0 +1,18 @@
+// utils/html.js
+// HTML Helpers - Escape user-entered text before it is put into markup
+
+/**
+ * Escape text for HTML, in element content and quoted attributes alike
+ * @param {*} value - Value
+ * @returns {string} - Escaped text
+ */
+function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+export default escapeHTML;
@@ -1,6 +1,9 @@
 // views/CalendarView.js
 // Calendar View Class - Manages calendar display and interactions with weekend detection
 
+import EntryType from '../models/EntryType.js';
+import WorkSchedule from '../models/WorkSchedule.js';
+
 class CalendarView {
     constructor(dataService) {
         this.dataService = dataService;
@@ -89,6 +92,21 @@ class CalendarView {
             this.refresh();
         });
 
+        // Entry type colours can change
+        document.addEventListener('entryTypes:changed', () => {
+            this.refresh();
+        });
+
+        // Working days can change
+        document.addEventListener('workSchedule:changed', () => {
+            this.refresh();
+        });
+
+        // Followed holiday calendars changed here or in another tab
+        document.addEventListener('holidayCalendars:changed', () => {
+            this.refresh();
+        });
+
         console.log('CalendarView: Event listeners set up');
     }
 
@@ -319,6 +337,8 @@ class CalendarView {
         const isSelected = this.selectedDate && this.formatDateKey(this.selectedDate) === dateKey;
         const hasEntries = this.hasEntriesForDate(dateKey);
         const isWeekend = this.isWeekend(date);
+        const holidayNames = this.dataService.holidays.getHolidayNames(dateKey);
+        const isHoliday = holidayNames.length > 0;
         
         // Base styling
         dayElement.style.cssText = `
@@ -366,6 +386,15 @@ class CalendarView {
             }
         }
         
+        // Public holidays show before any entry is logged for them
+        if (isHoliday) {
+            dayElement.classList.add('public-holiday');
+            dayElement.title = holidayNames.join(', ');
+            if (!isSelected && !isToday) {
+                dayElement.style.backgroundColor = 'var(--color-bg-3)';
+            }
+        }
+        
         if (hasEntries) {
             dayElement.classList.add('has-entries');
             if (!isSelected) {
@@ -385,6 +414,22 @@ class CalendarView {
 
         dayElement.appendChild(dateNumber);
 
+        if (isHoliday && isCurrentMonth) {
+            const holidayName = document.createElement('div');
+            holidayName.className = 'holiday-name';
+            holidayName.textContent = holidayNames[0];
+            holidayName.style.cssText = `
+                max-width: 100%;
+                font-size: var(--font-size-xs);
+                line-height: 1.2;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+                color: ${isSelected ? 'var(--color-btn-primary-text)' : 'var(--color-success)'};
+            `;
+            dayElement.appendChild(holidayName);
+        }
+
         // Add entry indicators
         if (hasEntries) {
             this.addEntryIndicators(dayElement, dateKey, isSelected);
@@ -417,6 +462,9 @@ class CalendarView {
                     if (isToday) {
                         dayElement.style.backgroundColor = 'var(--color-bg-2)';
                         dayElement.style.borderColor = 'var(--color-warning)';
+                    } else if (isHoliday) {
+                        dayElement.style.backgroundColor = 'var(--color-bg-3)';
+                        dayElement.style.borderColor = hasEntries ? 'var(--color-primary)' : 'var(--color-border)';
                     } else if (isWeekend && this.weekendDetectionEnabled) {
                         dayElement.style.backgroundColor = 'var(--color-bg-8)';
                         dayElement.style.borderColor = 'var(--color-border)';
@@ -465,9 +513,9 @@ class CalendarView {
         dayElement.appendChild(entryCount);
 
         // Add hours indicator for work entries
-        const workEntries = entries.filter(entry => entry.type === 'work');
+        const workEntries = entries.filter(entry => EntryType.get(entry.type)?.category === 'work');
         if (workEntries.length > 0) {
-            const totalHours = workEntries.reduce((sum, entry) => sum + (entry.hours || 0), 0);
+            const totalHours = workEntries.reduce((sum, entry) => sum + EntryType.getEntryHours(entry, dateKey), 0);
             
             const hoursIndicator = document.createElement('div');
             hoursIndicator.className = 'hours-indicator';
@@ -515,23 +563,16 @@ class CalendarView {
      * @returns {string} - Color value
      */
     getEntryTypeColor(type) {
-        const colors = {
-            work: 'var(--color-primary)',
-            fullLeave: 'var(--color-error)',
-            halfLeave: 'var(--color-warning)',
-            holiday: 'var(--color-success)'
-        };
-        return colors[type] || 'var(--color-info)';
+        return EntryType.get(type)?.color || 'var(--color-info)';
     }
 
     /**
-     * Check if date is weekend
+     * Check if date is a day off in the work schedule
      * @param {Date} date - Date to check
      * @returns {boolean} - Whether date is weekend
      */
     isWeekend(date) {
-        const dayOfWeek = date.getDay();
-        return dayOfWeek === 0 || dayOfWeek === 6; // Sunday = 0, Saturday = 6
+        return !WorkSchedule.current.isWorkingDay(date);
     }
 
     /**
@@ -708,7 +749,7 @@ class CalendarView {
                 sum + workLogData[dateKey].length, 0
             ),
             workDays: monthDates.filter(dateKey =>
-                workLogData[dateKey].some(entry => entry.type === 'work')
+                workLogData[dateKey].some(entry => EntryType.get(entry.type)?.category === 'work')
             ).length
         };
     }